@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Look up Nutrislice school slugs for the configured district
+ *
+ * Usage:
+ *   node scripts/find-school.js                   # list every school
+ *   node scripts/find-school.js "westmore"        # best match for a name
+ *   NUTRISLICE_DISTRICT=d45 node scripts/find-school.js
+ *
+ * Prints entries ready to paste into NUTRISLICE_SCHOOLS ("slug:Name").
+ */
+
+const schoolDirectoryService = require('../src/services/schoolDirectoryService');
+const householdSetup = require('../src/utils/householdSetup');
+const constants = require('../src/utils/constants');
+
+/**
+ * Print one school with its menu types
+ * @param {{id: string, name: string, menuTypes: Array<string>}} school
+ */
+function printSchool(school) {
+    const menuTypes = school.menuTypes.length > 0 ? school.menuTypes.join(', ') : 'no active menus';
+    console.log(`  ${school.id}:${school.name}  (${menuTypes})`);
+}
+
+async function findSchool() {
+    const spokenName = process.argv.slice(2).join(' ').trim();
+
+    console.log(`District: ${constants.NUTRISLICE.DISTRICT} (${constants.NUTRISLICE.API_BASE_URL})\n`);
+
+    try {
+        // Use the directory directly so fetch errors are reported, not hidden by the fallback
+        const schools = await schoolDirectoryService.getSchools();
+
+        if (!spokenName) {
+            console.log(`✓ Found ${schools.length} schools:`);
+            schools.forEach(printSchool);
+            return;
+        }
+
+        const school = householdSetup.findSchool(spokenName, schools);
+        if (!school) {
+            console.log(`✗ No school matches "${spokenName}"`);
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(`✓ "${spokenName}" matches:`);
+        printSchool(school);
+    } catch (error) {
+        console.error(`✗ Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+findSchool().catch(console.error);
@@ -5,13 +5,14 @@
  */
 
 const axios = require('axios');
+const constants = require('../src/utils/constants');
 
 async function testAPI() {
     const dates = ['2025-10-22', '2025-10-23'];
 
     for (const date of dates) {
         const [year, month, day] = date.split('-');
-        const url = `https://d45.api.nutrislice.com/menu/api/weeks/school/westmore-elementary-school-2/menu-type/lunch/${year}/${month}/${day}/`;
+        const url = `${constants.NUTRISLICE.API_BASE_URL}/weeks/school/${constants.NUTRISLICE.SCHOOL_ID}/menu-type/lunch/${year}/${month}/${day}/`;
 
         console.log(`\nTesting: ${date}`);
         console.log(`URL: ${url}\n`);
@@ -20,7 +21,7 @@ async function testAPI() {
             const response = await axios.get(url, {
                 headers: {
                     'accept': 'application/json, text/plain, */*',
-                    'x-nutrislice-origin': 'd45.nutrislice.com'
+                    'x-nutrislice-origin': constants.NUTRISLICE.ORIGIN
                 },
                 timeout: 5000
             });
@@ -6,9 +6,10 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const constants = require('../src/utils/constants');
 
-const SCHOOL_ID = 'westmore-elementary-school-2';
-const BASE_URL = 'https://d45.nutrislice.com/menu';
+const SCHOOL_ID = constants.NUTRISLICE.SCHOOL_ID;
+const BASE_URL = constants.NUTRISLICE.BASE_URL;
 
 async function testNutrislice() {
     // Get today's date in YYYY-MM-DD format
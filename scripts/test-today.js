@@ -9,7 +9,7 @@ const cacheService = require('../src/services/cacheService');
 
 // Initialize dependencies
 nutrisliceService.setDependencies({
-  cache: cacheService,
+  cache: cacheService.namespace('menu'),
   parser: null, // Use built-in parsing
   dateUtils: null // Use built-in date utils
 });
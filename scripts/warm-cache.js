@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Run the scheduled cache warmer locally
+ *
+ * Usage:
+ *   node scripts/warm-cache.js --dry-run    # list what would be fetched
+ *   node scripts/warm-cache.js              # fetch into the configured cache
+ *   CACHE_BACKEND=dynamodb CACHE_DYNAMODB_ENDPOINT=http://localhost:8000 node scripts/warm-cache.js
+ *
+ * Without a shared backend the fetched menus only live as long as this
+ * process, which still shows whether every school and week can be fetched.
+ */
+
+const { handler } = require('../src/cacheWarmer');
+
+async function warmCache() {
+    const dryRun = process.argv.includes('--dry-run');
+    const summary = await handler({ dryRun });
+
+    console.log(dryRun ? `Would warm ${summary.tasks.length} entries:` : `Warmed ${summary.warmed} of ${summary.tasks.length} entries:`);
+    summary.tasks.forEach(task => console.log(`  ${task}`));
+
+    if (summary.failed.length > 0) {
+        console.log(`\n✗ ${summary.failed.length} failed:`);
+        summary.failed.forEach(({ task, error }) => console.log(`  ${task}: ${error}`));
+        process.exitCode = 1;
+    }
+}
+
+warmCache().catch(error => {
+    console.error(`✗ Error: ${error.message}`);
+    process.exitCode = 1;
+});
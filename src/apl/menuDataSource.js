@@ -7,10 +7,13 @@
  * @module menuDataSource
  */
 
+const { formatAlertBanner } = require('../utils/weatherAlerts');
+
 /**
  * Builds APL data source for menu calendar display
  *
  * @param {Object} menuCalendar - Menu calendar object from LunchMenuService
+ * @param {string} [menuCalendar.title] - Optional heading (defaults to "School Lunch Menu")
  * @param {Array} menuCalendar.days - Array of daily menu objects
  * @param {string} menuCalendar.days[].date - ISO date string
  * @param {string} menuCalendar.days[].dayOfWeek - Day name (e.g., "Monday")
@@ -19,6 +22,11 @@
  * @param {number} weatherData.temperature - Temperature in Fahrenheit
  * @param {string} weatherData.conditions - Weather conditions description
  * @param {string} weatherData.icon - URL to weather icon
+ * @param {Array} [weatherData.alerts] - Relevant weather.gov alerts, shown as a header banner
+ * @param {Array} [childColumns] - Per-child menus for households with children at several schools
+ * @param {string} childColumns[].name - Child's name
+ * @param {string} childColumns[].schoolName - School display name
+ * @param {Array} childColumns[].menuItems - Array of menu item strings
  *
  * @returns {Object} APL-compatible data source object
  *
@@ -39,7 +47,7 @@
  * };
  * const dataSource = buildMenuDataSource(menuCalendar, weatherData);
  */
-function buildMenuDataSource(menuCalendar, weatherData = null) {
+function buildMenuDataSource(menuCalendar, weatherData = null, childColumns = null) {
     // Validate input
     if (!menuCalendar || !menuCalendar.days || !Array.isArray(menuCalendar.days)) {
         throw new Error('Invalid menu calendar: must have days array');
@@ -73,10 +81,22 @@ function buildMenuDataSource(menuCalendar, weatherData = null) {
     // Build weather data source
     const aplWeather = buildWeatherData(weatherData);
 
+    const menuData = {
+        title: menuCalendar.title || 'School Lunch Menu',
+        days: aplDays
+    };
+
+    // One column per child replaces the calendar when schools differ
+    if (Array.isArray(childColumns) && childColumns.length > 0) {
+        menuData.childColumns = childColumns.map(column => ({
+            name: column.name,
+            schoolName: column.schoolName || '',
+            menuItems: column.menuItems || []
+        }));
+    }
+
     return {
-        menuData: {
-            days: aplDays
-        },
+        menuData,
         weatherData: aplWeather
     };
 }
@@ -118,21 +138,28 @@ function getShortDayName(fullDayName) {
  * Builds weather data for APL display
  *
  * @param {Object} weatherData - Weather information
- * @returns {Object} APL-compatible weather data
+ * @returns {Object} APL-compatible weather data, with `hasAlert` and `alertText` for the banner
  */
 function buildWeatherData(weatherData) {
     if (!weatherData) {
         return {
             temperature: '--°F',
             conditions: 'N/A',
-            icon: null
+            icon: null,
+            hasAlert: false,
+            alertText: ''
         };
     }
 
+    // The header shows a banner while any relevant alert is in effect
+    const alertText = formatAlertBanner(weatherData.alerts);
+
     return {
         temperature: formatTemperature(weatherData.temperature),
         conditions: weatherData.conditions || 'N/A',
-        icon: weatherData.icon || null
+        icon: weatherData.icon || null,
+        hasAlert: alertText !== '',
+        alertText
     };
 }
 
@@ -0,0 +1,42 @@
+/**
+ * Lambda Entry Point - Scheduled cache warming
+ *
+ * Invoked by an EventBridge schedule (see CacheWarmerFunction in
+ * template.yaml) to pre-fetch menus and weather into the shared cache
+ * before the morning rush. Set CACHE_WARM_DRY_RUN=true, or send
+ * { "dryRun": true } as the event, to list the fetches without making them.
+ */
+
+const nutrisliceService = require('./services/nutrisliceService');
+const cacheService = require('./services/cacheService');
+const cacheWarmingService = require('./services/cacheWarmingService');
+const { createCacheBackend } = require('./services/cacheBackends');
+const menuParser = require('./utils/menuParser');
+const dateUtils = require('./utils/dateUtils');
+
+/**
+ * Wire the services to the same cache namespaces and backend the skill uses
+ */
+function initializeServices() {
+    nutrisliceService.setDependencies({
+        cache: cacheService.namespace('menu'),
+        parser: menuParser,
+        dateUtils: dateUtils
+    });
+
+    cacheService.setBackend(createCacheBackend());
+}
+
+// A bad configuration should fail the cold start, not each run
+nutrisliceService.validateConfig();
+initializeServices();
+
+/**
+ * Lambda handler for the cache warming schedule
+ * @param {Object} [event] - EventBridge scheduled event, or { dryRun: true }
+ * @returns {Promise<Object>} Run summary from cacheWarmingService.warmCache()
+ */
+exports.handler = async (event = {}) => {
+    const dryRun = event.dryRun === true || process.env.CACHE_WARM_DRY_RUN === 'true';
+    return cacheWarmingService.warmCache({ dryRun });
+};
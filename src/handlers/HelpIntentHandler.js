@@ -9,7 +9,7 @@ const HelpIntentHandler = {
         return handlerInput.requestEnvelope.request.intent.name === 'AMAZON.HelpIntent';
     },
     handle(handlerInput) {
-        const speakOutput = 'You can ask me about the lunch menu! Try saying "what\'s for lunch today" or "what\'s for lunch tomorrow".';
+        const speakOutput = 'You can ask me about the lunch menu! Try saying "what\'s for lunch today", "what\'s for lunch on Friday", "what\'s for lunch next week", "what\'s for breakfast tomorrow", or "when is pizza next". To update your household, say "add a child", "change my child\'s school", or "forget my settings".';
 
         return handlerInput.responseBuilder
             .speak(speakOutput)
@@ -1,66 +1,92 @@
 const menuCalendarService = require('../services/menuCalendarService');
 const weatherService = require('../services/weatherService');
-const nutrisliceService = require('../services/nutrisliceService');
+const menuService = require('../services/menuService');
+const profileService = require('../services/profileService');
+const householdMenuService = require('../services/householdMenuService');
+const householdSetup = require('../utils/householdSetup');
+const lunchRuleEngine = require('../utils/lunchRuleEngine');
 const aplUtils = require('../utils/aplUtils');
 const { buildMenuDataSource } = require('../apl/menuDataSource');
 const menuCalendarDocument = require('../apl/menuCalendarDocument.json');
-
-/**
- * Check if menu contains pancakes
- * @param {Object} menuData - Menu data from nutrislice service
- * @returns {boolean} True if pancakes are found
- */
-function hasPancakes(menuData) {
-    if (!menuData || !menuData.items || !Array.isArray(menuData.items)) {
-        return false;
-    }
-
-    return menuData.items.some(item =>
-        item.name && item.name.toLowerCase().includes('pancake')
-    );
-}
+const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { escapeXml } = require('../utils/ssml');
 
 const LaunchRequestHandler = {
     canHandle(handlerInput) {
         return handlerInput.requestEnvelope.request.type === 'LaunchRequest';
     },
     async handle(handlerInput) {
-        // Fetch today's menu to check for pancakes
-        let braydenMessage = 'Brayden.. we already know.. home lunch';
-        try {
-            const todayMenu = await nutrisliceService.getMenuForToday();
-            if (hasPancakes(todayMenu)) {
-                braydenMessage = 'Brayden.. maybe school lunch today?';
-            }
-        } catch (error) {
-            // If menu fetch fails, use default message
+        // First-time users are walked through household setup
+        const profile = profileService.getProfile(handlerInput);
+        if (!profileService.hasChildren(profile)) {
+            const speakOutput = 'Welcome to Lunch Dad! I can tell you what\'s for lunch at school, and I\'ll remember your kids, their schools and any allergies. Let\'s get set up. What\'s your first child\'s name?';
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('What\'s your child\'s name?')
+                .addElicitSlotDirective('childName', householdSetup.buildSetupIntent('AddChildIntent'))
+                .getResponse();
         }
 
-        const speakOutput = `Ask me whats for lunch today or tomorrow, and I'll help you decide what to eat. ${braydenMessage}`;
+        const supportsAPL = aplUtils.supportsAPL(handlerInput);
+        const deadline = getDeadline(handlerInput);
+
+        // Weather is only needed for weather-based rules or the APL header, and
+        // the 5-day calendar only for APL. The welcome is spoken without today's
+        // meals if they'd miss the deadline, and without the visual if it would.
+        const [breakfastSections, sections, weatherData, menuCalendar] = await Promise.all([
+            deadline.run(() => householdMenuService.getHouseholdMenus(
+                profile,
+                schoolId => menuService.getMenuForToday(schoolId, constants.NUTRISLICE.BREAKFAST_TYPE)
+            )).catch(() => []),
+            deadline.run(() => householdMenuService.getHouseholdMenus(profile, schoolId => menuService.getMenuForToday(schoolId)))
+                .catch(() => []),
+            supportsAPL || lunchRuleEngine.rulesNeedWeather(profile.children)
+                ? deadline.optional(() => weatherService.getTodayWeather())
+                : null,
+            supportsAPL
+                ? deadline.optional(() => menuCalendarService.getMenuCalendar(profileService.getPrimarySchoolId(profile)))
+                : null
+        ]);
+
+        // Each child's school-or-home verdict, skipped when their school has no menu
+        let verdictMessage = '';
+        const verdicts = householdMenuService.evaluateSections(sections, weatherData);
+        if (verdicts.length > 0) {
+            verdictMessage = ` ${escapeXml(lunchRuleEngine.formatVerdictSpeech(verdicts, 'today'))}`;
+        }
+
+        // Today's breakfast and lunch, skipping meals a school hasn't posted
+        const mealSummary = householdMenuService.formatMealSummary(
+            { breakfast: breakfastSections, lunch: sections },
+            'Today'
+        );
+        const mealMessage = mealSummary ? `${escapeXml(mealSummary)} ` : '';
+
+        const speakOutput = `${mealMessage}Ask me whats for lunch today or tomorrow, and I'll help you decide what to eat.${verdictMessage}`;
 
         const responseBuilder = handlerInput.responseBuilder
             .speak(speakOutput)
             .reprompt('What would you like to know about lunch today?');
 
         // Add APL visual if device supports it
-        if (aplUtils.supportsAPL(handlerInput)) {
+        if (supportsAPL) {
             try {
-                // Fetch calendar and weather in parallel
-                const [menuCalendar, weatherData] = await Promise.all([
-                    menuCalendarService.getMenuCalendar().catch(() => null),
-                    weatherService.getTodayWeather().catch(() => null)
-                ]);
-
                 if (menuCalendar && menuCalendar.days) {
                     // Transform weather data for APL
                     const aplWeatherData = weatherData && !weatherData.isFallback ? {
                         temperature: weatherData.current.temperature,
                         conditions: weatherData.current.conditions,
-                        icon: null
+                        icon: null,
+                        alerts: weatherData.alerts
                     } : null;
 
                     // Build APL data source
-                    const aplDataSource = buildMenuDataSource(menuCalendar, aplWeatherData);
+                    const aplDataSource = buildMenuDataSource(
+                        menuCalendar,
+                        aplWeatherData,
+                        sections.length > 1 ? householdMenuService.buildChildColumns(sections) : null
+                    );
 
                     // Add APL directive
                     const aplDirective = aplUtils.buildRenderDocumentDirective(
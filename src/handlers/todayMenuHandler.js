@@ -24,7 +24,7 @@ const GetTodayMenuHandler = {
         try {
             // Fetch menu and weather in parallel for better performance
             const [menuData, weatherData] = await Promise.allSettled([
-                nutrisliceService.getMenuForToday(),
+                nutrisliceService.getMenuForToday(constants.NUTRISLICE.SCHOOL_ID),
                 weatherService.getMorningWeather()
             ]);
 
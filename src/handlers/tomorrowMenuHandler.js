@@ -22,7 +22,7 @@ const GetTomorrowMenuHandler = {
     async handle(handlerInput) {
         try {
             // Fetch tomorrow's menu (next school day)
-            const menuData = await nutrisliceService.getMenuForTomorrow();
+            const menuData = await nutrisliceService.getMenuForTomorrow(constants.NUTRISLICE.SCHOOL_ID);
 
             // Build response based on menu availability
             let speakOutput = '';
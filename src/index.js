@@ -15,15 +15,30 @@ const LaunchRequestHandler = require('./handlers/LaunchRequestHandler');
 const GetLunchIntentHandler = require('./intents/GetLunchIntentHandler');
 const GetTodayMenuHandler = require('./intents/GetTodayMenuHandler');
 const GetTomorrowMenuHandler = require('./intents/GetTomorrowMenuHandler');
+const GetMenuForDateHandler = require('./intents/GetMenuForDateHandler');
+const GetBreakfastMenuHandler = require('./intents/GetBreakfastMenuHandler');
+const GetWeekMenuHandler = require('./intents/GetWeekMenuHandler');
+const FindMenuItemHandler = require('./intents/FindMenuItemHandler');
+const AllergenCheckHandler = require('./intents/AllergenCheckHandler');
+const AddChildHandler = require('./intents/AddChildHandler');
+const ChangeSchoolHandler = require('./intents/ChangeSchoolHandler');
+const ForgetSettingsHandler = require('./intents/ForgetSettingsHandler');
 const HelpIntentHandler = require('./handlers/HelpIntentHandler');
 const CancelAndStopIntentHandler = require('./handlers/CancelAndStopIntentHandler');
 const SessionEndedRequestHandler = require('./handlers/SessionEndedRequestHandler');
 const ErrorHandler = require('./handlers/ErrorHandler');
 
+// Import interceptors
+const DeadlineRequestInterceptor = require('./interceptors/DeadlineRequestInterceptor');
+const ProfileRequestInterceptor = require('./interceptors/ProfileRequestInterceptor');
+const ProfileResponseInterceptor = require('./interceptors/ProfileResponseInterceptor');
+
 // Import services
 const nutrisliceService = require('./services/nutrisliceService');
 const weatherService = require('./services/weatherService');
 const cacheService = require('./services/cacheService');
+const { createCacheBackend } = require('./services/cacheBackends');
+const { createPersistenceAdapter } = require('./services/persistenceService');
 
 // Import utilities
 const menuParser = require('./utils/menuParser');
@@ -37,22 +52,30 @@ const constants = require('./utils/constants');
 function initializeServices() {
   // Set up nutrisliceService dependencies
   nutrisliceService.setDependencies({
-    cache: cacheService,
+    cache: cacheService.namespace('menu'),
     parser: menuParser,
     dateUtils: dateUtils
   });
 
   // Weather service already imports cacheService directly
   // No additional setup needed for weatherService
+
+  // Share cached menus and forecasts across containers when configured
+  cacheService.setBackend(createCacheBackend());
 }
 
 /**
  * Validate environment configuration
  * Logs configuration (without secrets) for debugging
+ * @throws {Error} If the Nutrislice district or school slugs are invalid
  */
 function validateEnvironment() {
+  nutrisliceService.validateConfig();
+
   const config = {
     nutrislice: {
+      district: constants.NUTRISLICE.DISTRICT,
+      apiBaseUrl: constants.NUTRISLICE.API_BASE_URL,
       baseUrl: constants.NUTRISLICE.BASE_URL,
       schoolId: constants.NUTRISLICE.SCHOOL_ID,
       timeout: constants.NUTRISLICE.TIMEOUT_MS
@@ -63,19 +86,32 @@ function validateEnvironment() {
       lon: constants.WEATHER.LON,
       timeout: constants.WEATHER.TIMEOUT_MS
     },
+    persistence: {
+      adapter: constants.PERSISTENCE.ADAPTER,
+      tableName: constants.PERSISTENCE.TABLE_NAME
+    },
     cache: {
+      backend: constants.CACHE_BACKEND.TYPE,
+      tableName: constants.CACHE_BACKEND.TABLE_NAME,
       menuTTL: constants.CACHE_TTL.MENU,
       weatherTTL: constants.CACHE_TTL.WEATHER,
       gridInfoTTL: constants.CACHE_TTL.GRID_INFO
     },
+    deadline: {
+      alexaLimit: constants.DEADLINE.ALEXA_LIMIT_MS,
+      safetyMargin: constants.DEADLINE.SAFETY_MARGIN_MS,
+      optionalMin: constants.DEADLINE.OPTIONAL_MIN_MS
+    },
     timezone: constants.TIMEZONE,
     maxMenuItems: constants.MAX_MENU_ITEMS
   };
 }
 
-// Initialize on cold start
+// Initialize on cold start. A bad Nutrislice configuration would fail every
+// request, so it fails the cold start instead of being swallowed below.
+validateEnvironment();
+
 try {
-  validateEnvironment();
   initializeServices();
 } catch (error) {
   // Continue anyway - individual handlers will handle errors gracefully
@@ -95,10 +131,21 @@ exports.handler = Alexa.SkillBuilders.custom()
     LaunchRequestHandler,
     GetTodayMenuHandler,
     GetTomorrowMenuHandler,
+    GetMenuForDateHandler,
+    GetBreakfastMenuHandler,
+    GetWeekMenuHandler,
+    FindMenuItemHandler,
+    AllergenCheckHandler,
+    AddChildHandler,
+    ChangeSchoolHandler,
+    ForgetSettingsHandler,
     GetLunchIntentHandler,
     HelpIntentHandler,
     CancelAndStopIntentHandler,
     SessionEndedRequestHandler
   )
   .addErrorHandlers(ErrorHandler)
+  .addRequestInterceptors(DeadlineRequestInterceptor, ProfileRequestInterceptor)
+  .addResponseInterceptors(ProfileResponseInterceptor)
+  .withPersistenceAdapter(createPersistenceAdapter())
   .lambda();
@@ -0,0 +1,135 @@
+/**
+ * AddChildHandler - Add a child to the household profile
+ *
+ * Also runs the first-time setup dialog, which LaunchRequestHandler starts
+ * by chaining into this intent.
+ *
+ * Intent: AddChildIntent
+ * Slots:
+ *   - childName (AMAZON.FirstName)
+ *   - schoolName (SCHOOL_NAME)
+ *   - allergies (ALLERGEN, multiple values)
+ * Example utterances:
+ *   - "Add a child"
+ *   - "Add Emma"
+ *   - "Emma goes to Westmore Elementary"
+ */
+
+const profileService = require('../services/profileService');
+const menuService = require('../services/menuService');
+const householdSetup = require('../utils/householdSetup');
+const { escapeXml } = require('../utils/ssml');
+
+/**
+ * Ask for one slot of the AddChildIntent
+ * @param {Object} handlerInput - Alexa handler input
+ * @param {string} slotName - Slot to elicit
+ * @param {Object} intent - Intent with the answers collected so far
+ * @param {string} speakOutput - Question to ask
+ * @returns {Object} Alexa response
+ */
+function elicit(handlerInput, slotName, intent, speakOutput) {
+    return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addElicitSlotDirective(slotName, intent)
+        .getResponse();
+}
+
+const AddChildHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'AddChildIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        const intent = handlerInput.requestEnvelope.request.intent;
+
+        const childName = householdSetup.getSlotValue(intent, 'childName');
+        if (!childName) {
+            return elicit(handlerInput, 'childName', intent, 'What\'s your child\'s name?');
+        }
+        const safeName = escapeXml(childName);
+
+        const spokenSchool = householdSetup.getSlotValue(intent, 'schoolName');
+        if (!spokenSchool) {
+            return elicit(handlerInput, 'schoolName', intent, `Which school does ${safeName} go to?`);
+        }
+
+        const school = await menuService.findSchool(spokenSchool);
+        if (!school) {
+            return elicit(
+                handlerInput,
+                'schoolName',
+                householdSetup.clearSlot(intent, 'schoolName'),
+                `I couldn't find a school called ${escapeXml(spokenSchool)}. Which school does ${safeName} go to?`
+            );
+        }
+
+        const allergies = householdSetup.getAllergySlotIds(intent);
+        if (allergies === null && householdSetup.isSlotAnswered(intent, 'allergies')) {
+            // Clear the answer, or the dialog keeps returning it unchanged
+            return elicit(
+                handlerInput,
+                'allergies',
+                householdSetup.clearSlot(intent, 'allergies'),
+                `I didn't recognize that allergy. Which food allergies does ${safeName} have? You can say peanuts, milk or eggs, for example, or say none.`
+            );
+        }
+        if (allergies === null) {
+            return elicit(
+                handlerInput,
+                'allergies',
+                intent,
+                `Does ${safeName} have any food allergies? You can name them, or say no allergies.`
+            );
+        }
+
+        const summary = `${safeName} goes to ${escapeXml(school.name)} and ${householdSetup.describeAllergies(allergies)}.`;
+
+        if (intent.confirmationStatus === 'DENIED') {
+            const speakOutput = `Okay, I didn't save ${safeName}. You can say add a child to start over.`;
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('What would you like to do?')
+                .getResponse();
+        }
+
+        if (intent.confirmationStatus !== 'CONFIRMED') {
+            return handlerInput.responseBuilder
+                .speak(`${summary} Should I save that?`)
+                .reprompt(`Should I save ${safeName}?`)
+                .addConfirmIntentDirective(intent)
+                .getResponse();
+        }
+
+        // Adding an existing name updates that child instead of duplicating it
+        const profile = profileService.getProfile(handlerInput);
+        const existing = profileService.findChild(profile, childName);
+        const child = {
+            ...(existing || {}),
+            name: existing ? existing.name : childName,
+            schoolId: school.id,
+            schoolName: school.name,
+            allergies
+        };
+
+        profileService.saveProfile(handlerInput, {
+            ...profile,
+            children: existing
+                ? profile.children.map(entry => (entry === existing ? child : entry))
+                : [...profile.children, child]
+        });
+
+        const speakOutput = `Got it. ${summary} To add another child, say add a child. Or ask me what's for lunch today.`;
+
+        return handlerInput.responseBuilder
+            .speak(speakOutput)
+            .reprompt('What would you like to know about lunch?')
+            .getResponse();
+    }
+};
+
+module.exports = AddChildHandler;
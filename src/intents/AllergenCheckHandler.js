@@ -0,0 +1,147 @@
+/**
+ * AllergenCheckHandler - Handle allergy questions about a day's lunch
+ *
+ * Intent: AllergenCheckIntent
+ * Slots:
+ *   - allergen (ALLERGEN)
+ *   - date (AMAZON.DATE, optional - defaults to today)
+ * Example utterances:
+ *   - "Is today's lunch safe for a peanut allergy?"
+ *   - "Does lunch have milk in it tomorrow?"
+ *   - "Which lunch items have gluten?"
+ */
+
+const menuService = require('../services/menuService');
+const profileService = require('../services/profileService');
+const menuParser = require('../utils/menuParser');
+const allergenParser = require('../utils/allergenParser');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { escapeXml } = require('../utils/ssml');
+
+/**
+ * Read the canonical allergen id from the request
+ * Prefers the entity-resolved id and falls back to parsing the spoken value.
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {string|null} Allergen id
+ */
+function getAllergenSlotId(handlerInput) {
+    const slots = handlerInput.requestEnvelope.request.intent.slots;
+    const slot = slots && slots.allergen;
+    if (!slot) {
+        return null;
+    }
+
+    const authority = slot.resolutions?.resolutionsPerAuthority?.[0];
+    if (authority && authority.status?.code === 'ER_SUCCESS_MATCH') {
+        return allergenParser.normalizeAllergen(authority.values[0].value.id);
+    }
+
+    return allergenParser.normalizeAllergen(slot.value);
+}
+
+/**
+ * Build the spoken allergen report for a day's main items
+ * @param {Array<Object>} mainItems - Main menu items with allergen fields
+ * @param {string} allergenId - Canonical allergen id
+ * @returns {string} Speech, without the day prefix or disclaimer
+ */
+function formatAllergenReport(mainItems, allergenId) {
+    const label = allergenParser.ALLERGENS[allergenId];
+    const groups = { contains: [], may_contain: [], free: [], unknown: [] };
+
+    for (const item of mainItems) {
+        groups[allergenParser.getAllergenStatus(item, allergenId)].push(item);
+    }
+
+    const names = (items) => escapeXml(menuParser.formatMenuItems(items));
+    const sentences = [];
+
+    if (groups.contains.length > 0) {
+        sentences.push(`${names(groups.contains)} ${groups.contains.length === 1 ? 'contains' : 'contain'} ${label}.`);
+    }
+    if (groups.may_contain.length > 0) {
+        sentences.push(`${names(groups.may_contain)} may contain ${label}.`);
+    }
+    if (groups.free.length > 0) {
+        sentences.push(`${names(groups.free)} ${groups.free.length === 1 ? 'is' : 'are'} listed as free of ${label}.`);
+    }
+    if (groups.unknown.length > 0) {
+        sentences.push(`Allergen info isn't published for ${names(groups.unknown)}.`);
+    }
+
+    return sentences.join(' ');
+}
+
+const AllergenCheckHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'AllergenCheckIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        const allergenId = getAllergenSlotId(handlerInput);
+
+        if (!allergenId) {
+            const speakOutput = 'Which allergy should I check for? For example, peanuts, milk, or gluten.';
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt(speakOutput)
+                .getResponse();
+        }
+
+        const today = dateUtils.getTodayInTimezone();
+        const slots = handlerInput.requestEnvelope.request.intent.slots;
+        const dateValue = slots && slots.date ? slots.date.value : null;
+        const targetDate = (dateValue && dateUtils.resolveSlotDate(dateValue, today)) || today;
+
+        const isToday = dateUtils.formatDateForNutrislice(targetDate) === dateUtils.formatDateForNutrislice(today);
+        const dayLabel = isToday ? 'today' : `on ${dateUtils.formatDateForSpeech(targetDate)}`;
+
+        if (!dateUtils.isSchoolDay(targetDate)) {
+            const dayOfWeek = targetDate.getDay();
+            const reason = dayOfWeek === 0 || dayOfWeek === 6
+                ? constants.ERRORS.WEEKEND
+                : constants.ERRORS.HOLIDAY;
+            return handlerInput.responseBuilder
+                .speak(`There's no school lunch ${dayLabel}. ${reason}`)
+                .reprompt('Is there anything else I can help you with?')
+                .getResponse();
+        }
+
+        try {
+            const schoolId = profileService.getPrimarySchoolId(profileService.getProfile(handlerInput));
+            const menuData = await getDeadline(handlerInput).run(() => menuService.getMenuForDate(
+                schoolId,
+                dateUtils.formatDateForNutrislice(targetDate)
+            ));
+            const mainItems = menuParser.extractMainItems(menuData);
+
+            if (mainItems.length === 0) {
+                return handlerInput.responseBuilder
+                    .speak(constants.ERRORS.NO_MENU)
+                    .reprompt('Is there anything else I can help you with?')
+                    .getResponse();
+            }
+
+            const label = allergenParser.ALLERGENS[allergenId];
+            const speakOutput = `Checking the main lunch items ${dayLabel} for ${label}. ` +
+                `${formatAllergenReport(mainItems, allergenId)} ${constants.ALLERGEN_DISCLAIMER}`;
+
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('Is there another allergy you\'d like me to check?')
+                .getResponse();
+        } catch (error) {
+            return handlerInput.responseBuilder
+                .speak(constants.ERRORS.API_ERROR)
+                .reprompt('Please try again.')
+                .getResponse();
+        }
+    }
+};
+
+module.exports = AllergenCheckHandler;
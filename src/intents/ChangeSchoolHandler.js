@@ -0,0 +1,121 @@
+/**
+ * ChangeSchoolHandler - Change which school a child attends
+ *
+ * Intent: ChangeSchoolIntent
+ * Slots:
+ *   - childName (AMAZON.FirstName)
+ *   - schoolName (SCHOOL_NAME)
+ * Example utterances:
+ *   - "Change Emma's school"
+ *   - "Emma goes to Jefferson Middle now"
+ *   - "Update my child's school"
+ */
+
+const profileService = require('../services/profileService');
+const menuService = require('../services/menuService');
+const householdSetup = require('../utils/householdSetup');
+const menuParser = require('../utils/menuParser');
+const { escapeXml } = require('../utils/ssml');
+
+/**
+ * Ask for one slot of the ChangeSchoolIntent
+ * @param {Object} handlerInput - Alexa handler input
+ * @param {string} slotName - Slot to elicit
+ * @param {Object} intent - Intent with the answers collected so far
+ * @param {string} speakOutput - Question to ask
+ * @returns {Object} Alexa response
+ */
+function elicit(handlerInput, slotName, intent, speakOutput) {
+    return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addElicitSlotDirective(slotName, intent)
+        .getResponse();
+}
+
+const ChangeSchoolHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'ChangeSchoolIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        const intent = handlerInput.requestEnvelope.request.intent;
+        const profile = profileService.getProfile(handlerInput);
+
+        // Nobody to change yet - switch to adding a child
+        if (!profileService.hasChildren(profile)) {
+            return elicit(
+                handlerInput,
+                'childName',
+                householdSetup.buildSetupIntent('AddChildIntent'),
+                'You haven\'t added any children yet. Let\'s add one. What\'s your child\'s name?'
+            );
+        }
+
+        const spokenName = householdSetup.getSlotValue(intent, 'childName');
+        const names = escapeXml(menuParser.formatMenuItems(profile.children));
+
+        // With one child there's no need to ask whose school it is
+        const child = spokenName
+            ? profileService.findChild(profile, spokenName)
+            : (profile.children.length === 1 ? profile.children[0] : null);
+
+        if (!child) {
+            const question = spokenName
+                ? `I don't have a child named ${escapeXml(spokenName)}. Whose school should I change? You can say ${names}.`
+                : `Whose school should I change? You can say ${names}.`;
+            return elicit(handlerInput, 'childName', householdSetup.clearSlot(intent, 'childName'), question);
+        }
+        const safeName = escapeXml(child.name);
+
+        const spokenSchool = householdSetup.getSlotValue(intent, 'schoolName');
+        if (!spokenSchool) {
+            return elicit(handlerInput, 'schoolName', intent, `Which school does ${safeName} go to now?`);
+        }
+
+        const school = await menuService.findSchool(spokenSchool);
+        if (!school) {
+            return elicit(
+                handlerInput,
+                'schoolName',
+                householdSetup.clearSlot(intent, 'schoolName'),
+                `I couldn't find a school called ${escapeXml(spokenSchool)}. Which school does ${safeName} go to now?`
+            );
+        }
+        const safeSchool = escapeXml(school.name);
+
+        if (intent.confirmationStatus === 'DENIED') {
+            const current = child.schoolName ? ` ${safeName} is still at ${escapeXml(child.schoolName)}.` : '';
+            return handlerInput.responseBuilder
+                .speak(`Okay, I won't change it.${current}`)
+                .reprompt('What would you like to do?')
+                .getResponse();
+        }
+
+        if (intent.confirmationStatus !== 'CONFIRMED') {
+            const speakOutput = `Change ${safeName}'s school to ${safeSchool}?`;
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt(speakOutput)
+                .addConfirmIntentDirective(intent)
+                .getResponse();
+        }
+
+        profileService.saveProfile(handlerInput, {
+            ...profile,
+            children: profile.children.map(entry => (entry === child
+                ? { ...entry, schoolId: school.id, schoolName: school.name }
+                : entry))
+        });
+
+        return handlerInput.responseBuilder
+            .speak(`Done. ${safeName} now goes to ${safeSchool}.`)
+            .reprompt('What would you like to know about lunch?')
+            .getResponse();
+    }
+};
+
+module.exports = ChangeSchoolHandler;
@@ -0,0 +1,118 @@
+/**
+ * FindMenuItemHandler - Handle "when is <food> next?" searches
+ *
+ * Intent: FindMenuItemIntent
+ * Slots:
+ *   - food (AMAZON.Food)
+ * Example utterances:
+ *   - "When is pizza next?"
+ *   - "When are they serving chicken nuggets?"
+ *   - "Is there mac and cheese coming up?"
+ */
+
+const menuService = require('../services/menuService');
+const profileService = require('../services/profileService');
+const menuParser = require('../utils/menuParser');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { escapeXml } = require('../utils/ssml');
+
+/**
+ * List the upcoming school days to search, starting with today if it is one
+ * @param {Date} today - Today in the school timezone
+ * @param {number} count - Number of school days to include
+ * @returns {Array<Date>} School days in chronological order
+ */
+function getUpcomingSchoolDays(today, count) {
+    const first = dateUtils.isSchoolDay(today)
+        ? today
+        : dateUtils.getNextSchoolDay(today, 1);
+
+    const days = [];
+    for (let i = 0; i < count; i++) {
+        days.push(dateUtils.getNextSchoolDay(first, i));
+    }
+    return days;
+}
+
+const FindMenuItemHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'FindMenuItemIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        const slots = handlerInput.requestEnvelope.request.intent.slots;
+        const query = slots && slots.food ? slots.food.value : null;
+
+        if (!query) {
+            const speakOutput = 'Which food should I look for?';
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt(speakOutput)
+                .getResponse();
+        }
+
+        try {
+            const today = dateUtils.getTodayInTimezone();
+            const schoolDays = getUpcomingSchoolDays(today, constants.SEARCH_SCHOOL_DAYS);
+            const schoolId = profileService.getPrimarySchoolId(profileService.getProfile(handlerInput));
+            const menus = await getDeadline(handlerInput).run(() => menuService.getMenusForDates(
+                schoolId,
+                schoolDays.map(date => dateUtils.formatDateForNutrislice(date))
+            ));
+
+            // Walk the days in order and stop at the first match
+            let found = null;
+            let failedDays = 0;
+            for (const date of schoolDays) {
+                const menuData = menus[dateUtils.formatDateForNutrislice(date)];
+                if (!menuData || menuData instanceof Error) {
+                    failedDays++;
+                    continue;
+                }
+
+                const item = menuParser.findMatchingItem(menuData.items, query);
+                if (item) {
+                    found = { item, date };
+                    break;
+                }
+            }
+
+            // Every lookup failed - we can't say it isn't coming up
+            if (!found && failedDays === schoolDays.length) {
+                return handlerInput.responseBuilder
+                    .speak(constants.ERRORS.API_ERROR)
+                    .reprompt('Please try again.')
+                    .getResponse();
+            }
+
+            let speakOutput;
+            if (!found) {
+                speakOutput = `I don't see ${escapeXml(query)} on the menu in the next two weeks.`;
+            } else {
+                const itemName = escapeXml(found.item.name);
+                const isToday = dateUtils.formatDateForNutrislice(found.date) ===
+                    dateUtils.formatDateForNutrislice(today);
+                speakOutput = isToday
+                    ? `${itemName} is on the menu today.`
+                    : `${itemName} is next served on ${dateUtils.formatDateForSpeech(found.date)}.`;
+            }
+
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('Is there another food you\'d like me to look for?')
+                .getResponse();
+        } catch (error) {
+            return handlerInput.responseBuilder
+                .speak(constants.ERRORS.API_ERROR)
+                .reprompt('Please try again.')
+                .getResponse();
+        }
+    }
+};
+
+module.exports = FindMenuItemHandler;
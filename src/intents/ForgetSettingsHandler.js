@@ -0,0 +1,49 @@
+/**
+ * ForgetSettingsHandler - Erase the household profile after confirmation
+ *
+ * Intent: ForgetSettingsIntent
+ * Example utterances:
+ *   - "Forget my settings"
+ *   - "Start over"
+ *   - "Delete my household"
+ */
+
+const profileService = require('../services/profileService');
+
+const ForgetSettingsHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'ForgetSettingsIntent'
+        );
+    },
+
+    handle(handlerInput) {
+        const intent = handlerInput.requestEnvelope.request.intent;
+
+        if (intent.confirmationStatus === 'DENIED') {
+            return handlerInput.responseBuilder
+                .speak('Okay, I\'ll keep your settings.')
+                .reprompt('What would you like to know about lunch?')
+                .getResponse();
+        }
+
+        if (intent.confirmationStatus !== 'CONFIRMED') {
+            const speakOutput = 'This will erase your children, their schools and their allergies. Are you sure you want me to forget your settings?';
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('Should I forget your settings?')
+                .addConfirmIntentDirective(intent)
+                .getResponse();
+        }
+
+        profileService.clearProfile(handlerInput);
+
+        return handlerInput.responseBuilder
+            .speak('Okay, I\'ve forgotten your household settings. Next time you open Lunch Dad, I\'ll help you set things up again.')
+            .withShouldEndSession(true)
+            .getResponse();
+    }
+};
+
+module.exports = ForgetSettingsHandler;
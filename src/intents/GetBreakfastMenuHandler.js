@@ -0,0 +1,147 @@
+/**
+ * GetBreakfastMenuHandler - Handle requests for the school breakfast menu
+ *
+ * Without a date, answers for today, or for the next school day on
+ * weekends and holidays. Households with children at several schools hear
+ * one section per school.
+ *
+ * Intent: GetBreakfastMenuIntent
+ * Slots:
+ *   - date (AMAZON.DATE, optional)
+ * Example utterances:
+ *   - "What's for breakfast?"
+ *   - "What's for breakfast tomorrow?"
+ *   - "What's the breakfast menu on Friday?"
+ */
+
+const menuService = require('../services/menuService');
+const profileService = require('../services/profileService');
+const householdMenuService = require('../services/householdMenuService');
+const menuParser = require('../utils/menuParser');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { escapeXml } = require('../utils/ssml');
+
+/**
+ * Read the raw AMAZON.DATE slot value from the request
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {string|null} Slot value, or null if not provided
+ */
+function getDateSlotValue(handlerInput) {
+    const slots = handlerInput.requestEnvelope.request.intent.slots;
+    if (!slots || !slots.date || !slots.date.value) {
+        return null;
+    }
+    return slots.date.value;
+}
+
+/**
+ * Describe a day relative to today for speech
+ * @param {Date} targetDate - Day being answered
+ * @param {Date} today - Today in the school timezone
+ * @returns {string} "today", "tomorrow", or "on Friday, October 24th"
+ */
+function getDayLabel(targetDate, today) {
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    if (targetDate.toDateString() === today.toDateString()) {
+        return 'today';
+    }
+    if (targetDate.toDateString() === tomorrow.toDateString()) {
+        return 'tomorrow';
+    }
+    return `on ${dateUtils.formatDateForSpeech(targetDate)}`;
+}
+
+const GetBreakfastMenuHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'GetBreakfastMenuIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        const today = dateUtils.getTodayInTimezone();
+        const slotValue = getDateSlotValue(handlerInput);
+
+        let targetDate;
+        if (slotValue) {
+            targetDate = dateUtils.resolveSlotDate(slotValue, today);
+
+            // Week, month or other ranges can't be answered with a single menu
+            if (!targetDate) {
+                const speakOutput = 'Which day would you like the breakfast menu for?';
+                return handlerInput.responseBuilder
+                    .speak(speakOutput)
+                    .reprompt(speakOutput)
+                    .getResponse();
+            }
+
+            // Weekends and holidays have no school breakfast
+            if (!dateUtils.isSchoolDay(targetDate)) {
+                const dayOfWeek = targetDate.getDay();
+                const reason = dayOfWeek === 0 || dayOfWeek === 6
+                    ? constants.ERRORS.WEEKEND
+                    : constants.ERRORS.HOLIDAY;
+                return handlerInput.responseBuilder
+                    .speak(`${dateUtils.formatDateForSpeech(targetDate)} isn't a school day. ${reason}`)
+                    .reprompt('Is there another day you\'d like to hear about?')
+                    .getResponse();
+            }
+        } else {
+            targetDate = dateUtils.isSchoolDay(today) ? today : dateUtils.getNextSchoolDay(today, 1);
+        }
+
+        try {
+            const dateStr = dateUtils.formatDateForNutrislice(targetDate);
+            const dayLabel = getDayLabel(targetDate, today);
+            const profile = profileService.getProfile(handlerInput);
+            const sections = await getDeadline(handlerInput).run(() => householdMenuService.getHouseholdMenus(
+                profile,
+                schoolId => menuService.getMenuForDate(schoolId, dateStr, constants.NUTRISLICE.BREAKFAST_TYPE)
+            ));
+
+            if (householdMenuService.allFailed(sections)) {
+                throw sections[0].error;
+            }
+
+            // Not every school serves breakfast
+            if (!householdMenuService.hasAnyMenu(sections)) {
+                return handlerInput.responseBuilder
+                    .speak(constants.ERRORS.NO_BREAKFAST)
+                    .reprompt('Would you like to hear what\'s for lunch instead?')
+                    .getResponse();
+            }
+
+            let speakOutput;
+            if (sections.length > 1) {
+                const sectionText = householdMenuService.formatSchoolSections(sections, constants.NUTRISLICE.BREAKFAST_TYPE);
+                speakOutput = `Here's what's for breakfast ${dayLabel}. ${escapeXml(sectionText)}`;
+            } else {
+                const safeMenuText = escapeXml(menuParser.formatMenuItems(sections[0].mainItems));
+                speakOutput = `Breakfast ${dayLabel} is ${safeMenuText}.`;
+            }
+
+            // Menus served from a stale cache say how old they are
+            const staleNotice = householdMenuService.formatStaleNotice(sections);
+            if (staleNotice) {
+                speakOutput += ` ${staleNotice}`;
+            }
+
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('Would you like to hear what\'s for lunch?')
+                .getResponse();
+        } catch (error) {
+            return handlerInput.responseBuilder
+                .speak(constants.ERRORS.API_ERROR)
+                .reprompt('Please try again.')
+                .getResponse();
+        }
+    }
+};
+
+module.exports = GetBreakfastMenuHandler;
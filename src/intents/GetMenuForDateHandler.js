@@ -0,0 +1,119 @@
+/**
+ * GetMenuForDateHandler - Handle requests for the lunch menu on a specific day
+ *
+ * Households with children at several schools hear one section per school.
+ *
+ * Intent: GetMenuForDateIntent
+ * Slots:
+ *   - date (AMAZON.DATE)
+ * Example utterances:
+ *   - "What's for lunch on Friday?"
+ *   - "What's for lunch October 30th?"
+ *   - "What are they serving next Tuesday?"
+ */
+
+const menuService = require('../services/menuService');
+const profileService = require('../services/profileService');
+const householdMenuService = require('../services/householdMenuService');
+const menuParser = require('../utils/menuParser');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { escapeXml } = require('../utils/ssml');
+
+/**
+ * Read the raw AMAZON.DATE slot value from the request
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {string|null} Slot value, or null if not provided
+ */
+function getDateSlotValue(handlerInput) {
+    const slots = handlerInput.requestEnvelope.request.intent.slots;
+    if (!slots || !slots.date || !slots.date.value) {
+        return null;
+    }
+    return slots.date.value;
+}
+
+const GetMenuForDateHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'GetMenuForDateIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        const today = dateUtils.getTodayInTimezone();
+        const targetDate = dateUtils.resolveSlotDate(getDateSlotValue(handlerInput), today);
+
+        // Week, month or missing values can't be answered with a single menu
+        if (!targetDate) {
+            const speakOutput = 'Which day would you like the lunch menu for?';
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt(speakOutput)
+                .getResponse();
+        }
+
+        const spokenDate = dateUtils.formatDateForSpeech(targetDate);
+
+        // Weekends and holidays have no school lunch
+        if (!dateUtils.isSchoolDay(targetDate)) {
+            const dayOfWeek = targetDate.getDay();
+            const reason = dayOfWeek === 0 || dayOfWeek === 6
+                ? constants.ERRORS.WEEKEND
+                : constants.ERRORS.HOLIDAY;
+            return handlerInput.responseBuilder
+                .speak(`${spokenDate} isn't a school day. ${reason}`)
+                .reprompt('Is there another day you\'d like to hear about?')
+                .getResponse();
+        }
+
+        try {
+            const dateStr = dateUtils.formatDateForNutrislice(targetDate);
+            const profile = profileService.getProfile(handlerInput);
+            const sections = await getDeadline(handlerInput).run(() => householdMenuService.getHouseholdMenus(
+                profile,
+                schoolId => menuService.getMenuForDate(schoolId, dateStr)
+            ));
+
+            if (householdMenuService.allFailed(sections)) {
+                throw sections[0].error;
+            }
+
+            if (!householdMenuService.hasAnyMenu(sections)) {
+                return handlerInput.responseBuilder
+                    .speak(constants.ERRORS.NO_MENU)
+                    .reprompt('Is there anything else I can help you with?')
+                    .getResponse();
+            }
+
+            let speakOutput;
+            if (sections.length > 1) {
+                speakOutput = `Here's what's for lunch on ${spokenDate}. ${escapeXml(householdMenuService.formatSchoolSections(sections))}`;
+            } else {
+                // Format menu items for speech and escape XML special characters
+                const safeMenuText = escapeXml(menuParser.formatMenuItems(sections[0].mainItems));
+                speakOutput = `On ${spokenDate}, the lunch menu includes ${safeMenuText}.`;
+            }
+
+            // Menus served from a stale cache say how old they are
+            const staleNotice = householdMenuService.formatStaleNotice(sections);
+            if (staleNotice) {
+                speakOutput += ` ${staleNotice}`;
+            }
+
+            return handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('Is there another day you\'d like to hear about?')
+                .getResponse();
+        } catch (error) {
+            return handlerInput.responseBuilder
+                .speak(constants.ERRORS.API_ERROR)
+                .reprompt('Please try again.')
+                .getResponse();
+        }
+    }
+};
+
+module.exports = GetMenuForDateHandler;
@@ -1,6 +1,8 @@
 /**
  * GetTodayMenuHandler - Handle requests for today's lunch menu
  *
+ * Households with children at several schools hear one section per school.
+ *
  * Intent: GetTodayMenuIntent
  * Example utterances:
  *   - "What's for lunch today?"
@@ -8,29 +10,22 @@
  *   - "Tell me today's lunch menu"
  */
 
-const nutrisliceService = require('../services/nutrisliceService');
+const menuService = require('../services/menuService');
 const weatherService = require('../services/weatherService');
 const menuCalendarService = require('../services/menuCalendarService');
+const profileService = require('../services/profileService');
+const householdMenuService = require('../services/householdMenuService');
 const menuParser = require('../utils/menuParser');
+const lunchRuleEngine = require('../utils/lunchRuleEngine');
+const dateUtils = require('../utils/dateUtils');
 const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { formatAlertSpeech } = require('../utils/weatherAlerts');
 const aplUtils = require('../utils/aplUtils');
+const { escapeXml } = require('../utils/ssml');
 const { buildMenuDataSource } = require('../apl/menuDataSource');
 const menuCalendarDocument = require('../apl/menuCalendarDocument.json');
 
-/**
- * Escape XML special characters for SSML
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text safe for SSML
- */
-function escapeXml(text) {
-    return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-}
-
 /**
  * Format weather data into concise speech output
  * @param {Object} weatherData - Weather data from weatherService
@@ -46,8 +41,11 @@ function formatWeatherSpeech(weatherData) {
     const high = weatherData.today.high;
     const forecast = weatherData.today.detailedForecast.toLowerCase();
 
-    // Build concise weather message
-    let weatherMsg = `In ${constants.WEATHER.LOCATION_NAME}, current temp is ${temp} with ${conditions}. `;
+    // Build concise weather message; a stale forecast says when it was current
+    const asOf = weatherData.stale ? dateUtils.describeAsOf(weatherData.cachedAt) : '';
+    let weatherMsg = asOf
+        ? `In ${constants.WEATHER.LOCATION_NAME}, as of ${asOf} the temp was ${temp} with ${conditions}. `
+        : `In ${constants.WEATHER.LOCATION_NAME}, current temp is ${temp} with ${conditions}. `;
 
     // Extract rain/precipitation info if present
     const rainMatch = forecast.match(/(heavy|light|moderate)?\s*(rain|showers|precipitation|drizzle)/i);
@@ -81,26 +79,24 @@ const GetTodayMenuHandler = {
 
     async handle(handlerInput) {
         try {
-            // Fetch today's menu, weather, and 5-day calendar in parallel
-            const [menuData, weatherData, menuCalendar] = await Promise.all([
-                nutrisliceService.getMenuForToday(),
-                weatherService.getTodayWeather().catch(() => null), // Weather is optional
-                menuCalendarService.getMenuCalendar().catch(() => null) // Calendar is optional for APL
+            const profile = profileService.getProfile(handlerInput);
+
+            const deadline = getDeadline(handlerInput);
+
+            // Fetch each school's menu, weather, and 5-day calendar in parallel.
+            // Weather and the APL calendar are dropped if they'd miss the deadline.
+            const [sections, weatherData, menuCalendar] = await Promise.all([
+                deadline.run(() => householdMenuService.getHouseholdMenus(profile, schoolId => menuService.getMenuForToday(schoolId))),
+                deadline.optional(() => weatherService.getTodayWeather()),
+                deadline.optional(() => menuCalendarService.getMenuCalendar(profileService.getPrimarySchoolId(profile)))
             ]);
 
-            // Check if menu is available
-            if (!menuData || !menuData.items || menuData.items.length === 0) {
-                const speakOutput = constants.ERRORS.NO_MENU;
-                return handlerInput.responseBuilder
-                    .speak(speakOutput)
-                    .reprompt('Is there anything else I can help you with?')
-                    .getResponse();
+            if (householdMenuService.allFailed(sections)) {
+                throw sections[0].error;
             }
 
-            // Extract main items from menu
-            const mainItems = menuParser.extractMainItems(menuData);
-
-            if (mainItems.length === 0) {
+            // Check if any menu is available
+            if (!householdMenuService.hasAnyMenu(sections)) {
                 const speakOutput = constants.ERRORS.NO_MENU;
                 return handlerInput.responseBuilder
                     .speak(speakOutput)
@@ -108,12 +104,26 @@ const GetTodayMenuHandler = {
                     .getResponse();
             }
 
-            // Format menu items for speech and escape XML special characters
-            const menuText = menuParser.formatMenuItems(mainItems);
-            const safeMenuText = escapeXml(menuText);
+            // Build speech output, one section per school when schools differ
+            let speakOutput;
+            if (sections.length === 1) {
+                const safeMenuText = escapeXml(menuParser.formatMenuItems(sections[0].mainItems));
+                speakOutput = `Today's lunch menu includes ${safeMenuText}.`;
+            } else {
+                speakOutput = `Here's what's for lunch today. ${escapeXml(householdMenuService.formatSchoolSections(sections))}`;
+            }
+
+            // Menus served from a stale cache say how old they are
+            const staleNotice = householdMenuService.formatStaleNotice(sections);
+            if (staleNotice) {
+                speakOutput += ` ${staleNotice}`;
+            }
 
-            // Build speech output
-            let speakOutput = `Today's lunch menu includes ${safeMenuText}.`;
+            // School-or-home verdict for each child in the household
+            const verdicts = householdMenuService.evaluateSections(sections, weatherData);
+            if (verdicts.length > 0) {
+                speakOutput += ` ${escapeXml(lunchRuleEngine.formatVerdictSpeech(verdicts, 'today'))}`;
+            }
 
             // Add weather context if available
             const weatherMsg = formatWeatherSpeech(weatherData);
@@ -121,6 +131,12 @@ const GetTodayMenuHandler = {
                 speakOutput = weatherMsg + speakOutput;
             }
 
+            // Severe weather, winter storm and heat alerts lead the response
+            const alertMsg = formatAlertSpeech(weatherData);
+            if (alertMsg) {
+                speakOutput = `${escapeXml(alertMsg)} ${speakOutput}`;
+            }
+
             // Build response
             const responseBuilder = handlerInput.responseBuilder
                 .speak(speakOutput)
@@ -133,11 +149,16 @@ const GetTodayMenuHandler = {
                     const aplWeatherData = weatherData && !weatherData.isFallback ? {
                         temperature: weatherData.current.temperature,
                         conditions: weatherData.current.conditions,
-                        icon: null // Weather.gov doesn't provide icon URLs
+                        icon: null, // Weather.gov doesn't provide icon URLs
+                        alerts: weatherData.alerts
                     } : null;
 
                     // Build APL data source
-                    const aplDataSource = buildMenuDataSource(menuCalendar, aplWeatherData);
+                    const aplDataSource = buildMenuDataSource(
+                        menuCalendar,
+                        aplWeatherData,
+                        sections.length > 1 ? householdMenuService.buildChildColumns(sections) : null
+                    );
 
                     // Add APL directive
                     const aplDirective = aplUtils.buildRenderDocumentDirective(
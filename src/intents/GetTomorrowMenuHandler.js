@@ -1,6 +1,8 @@
 /**
  * GetTomorrowMenuHandler - Handle requests for tomorrow's lunch menu
  *
+ * Households with children at several schools hear one section per school.
+ *
  * Intent: GetTomorrowMenuIntent
  * Example utterances:
  *   - "What's for lunch tomorrow?"
@@ -8,30 +10,22 @@
  *   - "Tell me tomorrow's lunch menu"
  */
 
-const nutrisliceService = require('../services/nutrisliceService');
+const menuService = require('../services/menuService');
 const weatherService = require('../services/weatherService');
 const menuCalendarService = require('../services/menuCalendarService');
+const profileService = require('../services/profileService');
+const householdMenuService = require('../services/householdMenuService');
 const menuParser = require('../utils/menuParser');
+const lunchRuleEngine = require('../utils/lunchRuleEngine');
 const dateUtils = require('../utils/dateUtils');
 const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const { formatAlertSpeech } = require('../utils/weatherAlerts');
 const aplUtils = require('../utils/aplUtils');
+const { escapeXml } = require('../utils/ssml');
 const { buildMenuDataSource } = require('../apl/menuDataSource');
 const menuCalendarDocument = require('../apl/menuCalendarDocument.json');
 
-/**
- * Escape XML special characters for SSML
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text safe for SSML
- */
-function escapeXml(text) {
-    return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-}
-
 /**
  * Format tomorrow's weather data into concise speech output
  * @param {Object} weatherData - Weather data from weatherService
@@ -47,8 +41,10 @@ function formatTomorrowWeatherSpeech(weatherData) {
     const conditions = weatherData.tomorrow.shortForecast.toLowerCase();
     const forecast = weatherData.tomorrow.detailedForecast.toLowerCase();
 
-    // Build concise weather message
-    let weatherMsg = `In ${constants.WEATHER.LOCATION_NAME}, ${dayName}'s forecast is ${conditions} with a high of ${high}. `;
+    // Build concise weather message; a stale forecast says when it was issued
+    const asOf = weatherData.stale ? dateUtils.describeAsOf(weatherData.cachedAt) : '';
+    const forecastLabel = asOf ? `${dayName}'s forecast as of ${asOf}` : `${dayName}'s forecast`;
+    let weatherMsg = `In ${constants.WEATHER.LOCATION_NAME}, ${forecastLabel} is ${conditions} with a high of ${high}. `;
 
     // Extract rain/precipitation info if present
     const rainMatch = forecast.match(/(heavy|light|moderate)?\s*(rain|showers|precipitation|drizzle)/i);
@@ -74,13 +70,22 @@ const GetTomorrowMenuHandler = {
 
     async handle(handlerInput) {
         try {
-            // Fetch tomorrow's menu, weather, and 5-day calendar in parallel
-            const [menuData, weatherData, menuCalendar] = await Promise.all([
-                nutrisliceService.getMenuForTomorrow(),
-                weatherService.getTomorrowWeather().catch(() => null), // Weather is optional
-                menuCalendarService.getMenuCalendar().catch(() => null) // Calendar is optional for APL
+            const profile = profileService.getProfile(handlerInput);
+
+            const deadline = getDeadline(handlerInput);
+
+            // Fetch each school's menu, weather, and 5-day calendar in parallel.
+            // Weather and the APL calendar are dropped if they'd miss the deadline.
+            const [sections, weatherData, menuCalendar] = await Promise.all([
+                deadline.run(() => householdMenuService.getHouseholdMenus(profile, schoolId => menuService.getMenuForTomorrow(schoolId))),
+                deadline.optional(() => weatherService.getTomorrowWeather()),
+                deadline.optional(() => menuCalendarService.getMenuCalendar(profileService.getPrimarySchoolId(profile)))
             ]);
 
+            if (householdMenuService.allFailed(sections)) {
+                throw sections[0].error;
+            }
+
             // Calculate which day we're showing (for better UX)
             // Use timezone-aware date to ensure correct "today" in Villa Park, IL
             const today = dateUtils.getTodayInTimezone();
@@ -95,8 +100,8 @@ const GetTomorrowMenuHandler = {
         nextSchoolDay.getDate() === tomorrow.getDate()
             );
 
-            // Check if menu is available
-            if (!menuData || !menuData.items || menuData.items.length === 0) {
+            // Check if any menu is available
+            if (!householdMenuService.hasAnyMenu(sections)) {
                 const speakOutput = constants.ERRORS.NO_MENU;
                 return handlerInput.responseBuilder
                     .speak(speakOutput)
@@ -104,29 +109,37 @@ const GetTomorrowMenuHandler = {
                     .getResponse();
             }
 
-            // Extract main items from menu
-            const mainItems = menuParser.extractMainItems(menuData);
+            // Weekend/holiday case - specify the actual day
+            const dayName = nextSchoolDay.toLocaleDateString('en-US', { weekday: 'long' });
+            const dayLabel = isActuallyTomorrow ? 'tomorrow' : `on ${dayName}`;
 
-            if (mainItems.length === 0) {
-                const speakOutput = constants.ERRORS.NO_MENU;
-                return handlerInput.responseBuilder
-                    .speak(speakOutput)
-                    .reprompt('Is there anything else I can help you with?')
-                    .getResponse();
+            // Build speech output with appropriate day reference, one section
+            // per school when schools differ
+            let speakOutput;
+            if (sections.length > 1) {
+                speakOutput = `Here's what's for lunch ${dayLabel}. ${escapeXml(householdMenuService.formatSchoolSections(sections))}`;
+            } else {
+                // Format menu items for speech and escape XML special characters
+                const safeMenuText = escapeXml(menuParser.formatMenuItems(sections[0].mainItems));
+                speakOutput = isActuallyTomorrow
+                    ? `Tomorrow's lunch menu includes ${safeMenuText}.`
+                    : `The next school lunch is on ${dayName}, featuring ${safeMenuText}.`;
             }
 
-            // Format menu items for speech and escape XML special characters
-            const menuText = menuParser.formatMenuItems(mainItems);
-            const safeMenuText = escapeXml(menuText);
+            // Menus served from a stale cache say how old they are
+            const staleNotice = householdMenuService.formatStaleNotice(sections);
+            if (staleNotice) {
+                speakOutput += ` ${staleNotice}`;
+            }
 
-            // Build speech output with appropriate day reference
-            let speakOutput;
-            if (isActuallyTomorrow) {
-                speakOutput = `Tomorrow's lunch menu includes ${safeMenuText}.`;
-            } else {
-                // Weekend/holiday case - specify the actual day
-                const dayName = nextSchoolDay.toLocaleDateString('en-US', { weekday: 'long' });
-                speakOutput = `The next school lunch is on ${dayName}, featuring ${safeMenuText}.`;
+            // Tomorrow's forecast and alerts only apply to the menu when the
+            // next school day really is tomorrow
+            const schoolDayWeather = isActuallyTomorrow ? weatherData : null;
+
+            // School-or-home verdict for each child
+            const verdicts = householdMenuService.evaluateSections(sections, schoolDayWeather);
+            if (verdicts.length > 0) {
+                speakOutput += ` ${escapeXml(lunchRuleEngine.formatVerdictSpeech(verdicts, dayLabel))}`;
             }
 
             // Add weather context if available
@@ -135,6 +148,12 @@ const GetTomorrowMenuHandler = {
                 speakOutput = weatherMsg + speakOutput;
             }
 
+            // Severe weather, winter storm and heat alerts lead the response
+            const alertMsg = formatAlertSpeech(schoolDayWeather);
+            if (alertMsg) {
+                speakOutput = `${escapeXml(alertMsg)} ${speakOutput}`;
+            }
+
             // Build response
             const responseBuilder = handlerInput.responseBuilder
                 .speak(speakOutput)
@@ -147,11 +166,16 @@ const GetTomorrowMenuHandler = {
                     const aplWeatherData = weatherData && !weatherData.isFallback ? {
                         temperature: weatherData.tomorrow.temperature,
                         conditions: weatherData.tomorrow.shortForecast,
-                        icon: null // Weather.gov doesn't provide icon URLs
+                        icon: null, // Weather.gov doesn't provide icon URLs
+                        alerts: schoolDayWeather ? weatherData.alerts : []
                     } : null;
 
                     // Build APL data source
-                    const aplDataSource = buildMenuDataSource(menuCalendar, aplWeatherData);
+                    const aplDataSource = buildMenuDataSource(
+                        menuCalendar,
+                        aplWeatherData,
+                        sections.length > 1 ? householdMenuService.buildChildColumns(sections) : null
+                    );
 
                     // Add APL directive
                     const aplDirective = aplUtils.buildRenderDocumentDirective(
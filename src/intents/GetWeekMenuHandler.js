@@ -0,0 +1,181 @@
+/**
+ * GetWeekMenuHandler - Handle requests for a whole week's lunch menu
+ *
+ * Intent: GetWeekMenuIntent
+ * Slots:
+ *   - week (WEEK_REFERENCE) - THIS_WEEK or NEXT_WEEK
+ * Example utterances:
+ *   - "What's for lunch this week?"
+ *   - "What's on the menu next week?"
+ */
+
+const menuCalendarService = require('../services/menuCalendarService');
+const profileService = require('../services/profileService');
+const { formatMenuForSpeech } = require('../utils/responseBuilder');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+const { getDeadline } = require('../utils/deadline');
+const aplUtils = require('../utils/aplUtils');
+const { escapeXml } = require('../utils/ssml');
+const { buildMenuDataSource } = require('../apl/menuDataSource');
+const menuCalendarDocument = require('../apl/menuCalendarDocument.json');
+
+/**
+ * Read the resolved WEEK_REFERENCE slot id from the request
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {string|null} THIS_WEEK, NEXT_WEEK, or null if not provided
+ */
+function getWeekSlotId(handlerInput) {
+    const slots = handlerInput.requestEnvelope.request.intent.slots;
+    const slot = slots && slots.week;
+    if (!slot) {
+        return null;
+    }
+
+    const authority = slot.resolutions?.resolutionsPerAuthority?.[0];
+    if (authority && authority.status?.code === 'ER_SUCCESS_MATCH') {
+        return authority.values[0].value.id;
+    }
+
+    // Fall back to the spoken value when entity resolution is unavailable
+    if (slot.value && /next|following|coming/i.test(slot.value)) {
+        return 'NEXT_WEEK';
+    }
+    return slot.value ? 'THIS_WEEK' : null;
+}
+
+/**
+ * The school week "this week" refers to: the week of the next school day,
+ * so on a Saturday it's the coming week rather than the one just ended
+ * @param {Date} today - Today in the school timezone
+ * @returns {Date} Monday of the current school week
+ */
+function getCurrentSchoolWeek(today) {
+    const nextSchoolDay = dateUtils.isSchoolDay(today)
+        ? today
+        : dateUtils.getNextSchoolDay(today, 1);
+    return dateUtils.getWeekStart(nextSchoolDay);
+}
+
+/**
+ * Work out which week the user asked about
+ *
+ * "This week" (or no slot) is the current school week and "next week" the
+ * one after it, so on a weekend they're the coming week and the week after.
+ *
+ * @param {Object} handlerInput - Alexa handler input
+ * @param {Date} today - Today in the school timezone
+ * @returns {Date} Monday of the requested week
+ */
+function resolveRequestedWeek(handlerInput, today) {
+    const weekStart = getCurrentSchoolWeek(today);
+    if (getWeekSlotId(handlerInput) === 'NEXT_WEEK') {
+        weekStart.setDate(weekStart.getDate() + 7);
+    }
+    return weekStart;
+}
+
+/**
+ * Describe the requested week relative to the current school week
+ * @param {Date} weekStart - Monday of the requested week
+ * @param {Date} today - Today in the school timezone
+ * @returns {string} "this week", "next week" or "the week of October 27th"
+ */
+function describeWeek(weekStart, today) {
+    const currentWeekStart = getCurrentSchoolWeek(today);
+    const weeksAhead = Math.round((weekStart - currentWeekStart) / (7 * 24 * 60 * 60 * 1000));
+
+    if (weeksAhead === 0) {
+        return 'this week';
+    }
+    if (weeksAhead === 1) {
+        return 'next week';
+    }
+
+    const month = weekStart.toLocaleDateString('en-US', { month: 'long' });
+    return `the week of ${month} ${weekStart.getDate()}`;
+}
+
+/**
+ * Build a compact per-day summary of the week's main items
+ * @param {Object} calendar - Calendar from menuCalendarService.getWeekMenuCalendar
+ * @returns {string} Speech summary, one sentence per weekday
+ */
+function formatWeekSpeech(calendar) {
+    return calendar.days.map(day => {
+        if (day.isSchoolDay === false) {
+            return `${day.dayOfWeek}, no school.`;
+        }
+        if (day.isUnavailable || day.menuItems.length === 0) {
+            return `${day.dayOfWeek}, no menu posted yet.`;
+        }
+
+        const items = day.menuItems.slice(0, constants.MAX_WEEK_SUMMARY_ITEMS);
+        return `${day.dayOfWeek}, ${escapeXml(formatMenuForSpeech(items))}.`;
+    }).join(' ');
+}
+
+const GetWeekMenuHandler = {
+    canHandle(handlerInput) {
+        return (
+            handlerInput.requestEnvelope.request.type === 'IntentRequest' &&
+      handlerInput.requestEnvelope.request.intent.name === 'GetWeekMenuIntent'
+        );
+    },
+
+    async handle(handlerInput) {
+        try {
+            const today = dateUtils.getTodayInTimezone();
+            const weekStart = resolveRequestedWeek(handlerInput, today);
+            const weekLabel = describeWeek(weekStart, today);
+            const title = weekLabel.startsWith('the week of')
+                ? `Lunch Menu for the Week of ${weekLabel.slice('the week of '.length)}`
+                : `${weekLabel === 'this week' ? 'This' : 'Next'} Week's Lunch Menu`;
+            const schoolId = profileService.getPrimarySchoolId(profileService.getProfile(handlerInput));
+            const calendar = await getDeadline(handlerInput).run(
+                () => menuCalendarService.getWeekMenuCalendar(schoolId, weekStart, title)
+            );
+
+            // Nothing to report if every day failed or had no menu
+            const hasAnyMenu = calendar.days.some(day =>
+                day.isSchoolDay !== false && !day.isUnavailable && day.menuItems.length > 0
+            );
+            const hasAnySchool = calendar.days.some(day => day.isSchoolDay !== false);
+
+            let speakOutput;
+            if (!hasAnySchool) {
+                speakOutput = `There's no school ${weekLabel}.`;
+            } else if (!hasAnyMenu) {
+                speakOutput = constants.ERRORS.NO_MENU;
+            } else {
+                speakOutput = `Here's the lunch menu for ${weekLabel}. ${formatWeekSpeech(calendar)}`;
+            }
+
+            const responseBuilder = handlerInput.responseBuilder
+                .speak(speakOutput)
+                .reprompt('Would you like to hear about a specific day?');
+
+            // Show the requested week on APL devices
+            if (aplUtils.supportsAPL(handlerInput)) {
+                try {
+                    const aplDataSource = buildMenuDataSource(calendar, null);
+                    responseBuilder.addDirective(aplUtils.buildRenderDocumentDirective(
+                        menuCalendarDocument,
+                        aplDataSource
+                    ));
+                } catch (aplError) {
+                    // APL error shouldn't break the voice response
+                }
+            }
+
+            return responseBuilder.getResponse();
+        } catch (error) {
+            return handlerInput.responseBuilder
+                .speak(constants.ERRORS.API_ERROR)
+                .reprompt('Please try again.')
+                .getResponse();
+        }
+    }
+};
+
+module.exports = GetWeekMenuHandler;
@@ -0,0 +1,26 @@
+/**
+ * DeadlineRequestInterceptor - Start the request's time budget
+ *
+ * Builds the Deadline from the Lambda context before handlers run and
+ * stores it in request attributes for deadline.getDeadline(). Calls the
+ * deadline abandons keep their sockets open, so Lambda is told not to
+ * wait for an empty event loop before returning the response.
+ */
+
+const { Deadline, DEADLINE_ATTRIBUTE } = require('../utils/deadline');
+
+const DeadlineRequestInterceptor = {
+    process(handlerInput) {
+        const { attributesManager, context } = handlerInput;
+
+        if (context) {
+            context.callbackWaitsForEmptyEventLoop = false;
+        }
+
+        const requestAttributes = attributesManager.getRequestAttributes();
+        requestAttributes[DEADLINE_ATTRIBUTE] = Deadline.fromContext(context);
+        attributesManager.setRequestAttributes(requestAttributes);
+    }
+};
+
+module.exports = DeadlineRequestInterceptor;
@@ -0,0 +1,33 @@
+/**
+ * ProfileRequestInterceptor - Load the household profile before handlers run
+ *
+ * Reads persistent attributes once per request and stores the normalized
+ * profile in request attributes for profileService.getProfile().
+ * Persistence failures fall back to an empty profile so menu answers
+ * still work when the profile store is unavailable.
+ */
+
+const profileService = require('../services/profileService');
+
+const ProfileRequestInterceptor = {
+    async process(handlerInput) {
+        const { attributesManager } = handlerInput;
+        let profile;
+
+        try {
+            const persistentAttributes = await attributesManager.getPersistentAttributes();
+            profile = profileService.normalizeProfile(persistentAttributes[profileService.PROFILE_ATTRIBUTE]);
+        } catch (error) {
+            // Menu answers don't need the profile; fail quietly
+            profile = profileService.createDefaultProfile();
+        }
+
+        const requestAttributes = attributesManager.getRequestAttributes();
+        requestAttributes[profileService.PROFILE_ATTRIBUTE] = profile;
+        requestAttributes[profileService.PROFILE_DIRTY_ATTRIBUTE] = false;
+        requestAttributes[profileService.PROFILE_DELETED_ATTRIBUTE] = false;
+        attributesManager.setRequestAttributes(requestAttributes);
+    }
+};
+
+module.exports = ProfileRequestInterceptor;
@@ -0,0 +1,34 @@
+/**
+ * ProfileResponseInterceptor - Persist household profile changes
+ *
+ * Writes (or deletes) persistent attributes only when a handler changed
+ * the profile through profileService, so read-only requests never pay
+ * for a write. Save failures are swallowed and don't affect the response.
+ */
+
+const profileService = require('../services/profileService');
+
+const ProfileResponseInterceptor = {
+    async process(handlerInput) {
+        const { attributesManager } = handlerInput;
+        const requestAttributes = attributesManager.getRequestAttributes();
+
+        try {
+            if (requestAttributes[profileService.PROFILE_DELETED_ATTRIBUTE]) {
+                await attributesManager.deletePersistentAttributes();
+                return;
+            }
+
+            if (requestAttributes[profileService.PROFILE_DIRTY_ATTRIBUTE]) {
+                const persistentAttributes = await attributesManager.getPersistentAttributes();
+                persistentAttributes[profileService.PROFILE_ATTRIBUTE] = requestAttributes[profileService.PROFILE_ATTRIBUTE];
+                attributesManager.setPersistentAttributes(persistentAttributes);
+                await attributesManager.savePersistentAttributes();
+            }
+        } catch (error) {
+            // The response is already built; the change is simply not kept
+        }
+    }
+};
+
+module.exports = ProfileResponseInterceptor;
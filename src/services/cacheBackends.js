@@ -0,0 +1,201 @@
+/**
+ * Cache Backends - Shared stores layered under cacheService
+ *
+ * cacheService keeps entries in the container's memory (L1). A backend is
+ * a second, shared level (L2) that outlives cold starts and is visible to
+ * every concurrent Lambda container:
+ * - DynamoDB (production), with the table's native TTL removing entries
+ *   at their hard expiry
+ * - none ('memory'), when each container keeps its own cache
+ *
+ * A backend stores whole cache entries so soft expiry and the stale
+ * windows survive the round trip.
+ *
+ * @module services/cacheBackends
+ */
+
+const constants = require('../utils/constants');
+
+/**
+ * Shared store for cache entries (CacheEntry as in cacheService)
+ * @typedef {Object} CacheBackend
+ * @property {function(string): Promise<CacheEntry|null>} get - Entry by key, or null
+ * @property {function(string, CacheEntry): Promise<void>} set - Store an entry
+ * @property {function(string): Promise<void>} delete - Remove an entry
+ * @property {function(string): Promise<void>} deletePrefix - Remove every entry whose key starts with a prefix
+ */
+
+/**
+ * DynamoDB document commands, loaded lazily so tests and local runs
+ * don't pay for the AWS SDK
+ * @private
+ * @returns {Object} The @aws-sdk/lib-dynamodb module
+ */
+function documentCommands() {
+    return require('@aws-sdk/lib-dynamodb');
+}
+
+/**
+ * Cache backend storing entries in a DynamoDB table
+ *
+ * Table layout: partition key `key` (string), the value as a JSON string,
+ * the entry timestamps, and `ttl` (epoch seconds of the hard expiry) for
+ * DynamoDB's TTL. TTL deletion can lag by hours, so expired items are
+ * also filtered on read.
+ */
+class DynamoDbCacheBackend {
+    /**
+   * @param {Object} options
+   * @param {string} options.tableName - DynamoDB table name
+   * @param {Object} [options.client] - DynamoDBDocumentClient (created from endpoint/timeoutMs if omitted)
+   * @param {string} [options.endpoint] - DynamoDB endpoint, e.g. http://localhost:8000 for DynamoDB Local
+   * @param {number} [options.timeoutMs=1000] - Per-request timeout for a created client
+   */
+    constructor({ tableName, client, endpoint, timeoutMs = 1000 }) {
+        if (!tableName) {
+            throw new Error('DynamoDB cache backend needs CACHE_TABLE_NAME');
+        }
+
+        this.tableName = tableName;
+        this.client = client || DynamoDbCacheBackend.createClient(endpoint, timeoutMs);
+    }
+
+    /**
+   * Create a document client that fails fast, since a slow cache is worse than a miss
+   *
+   * @param {string} [endpoint] - DynamoDB endpoint override
+   * @param {number} timeoutMs - Per-request timeout
+   * @returns {Object} DynamoDBDocumentClient
+   */
+    static createClient(endpoint, timeoutMs) {
+        const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+        const { DynamoDBDocumentClient } = documentCommands();
+        return DynamoDBDocumentClient.from(new DynamoDBClient({
+            ...(endpoint ? { endpoint } : {}),
+            maxAttempts: 2,
+            requestHandler: { requestTimeout: timeoutMs, connectionTimeout: timeoutMs }
+        }));
+    }
+
+    /**
+   * Retrieve an entry by key
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<CacheEntry|null>} The entry, or null if missing or past its TTL
+   */
+    async get(key) {
+        const { GetCommand } = documentCommands();
+        const { Item: item } = await this.client.send(new GetCommand({
+            TableName: this.tableName,
+            Key: { key }
+        }));
+
+        if (!item || item.ttl * 1000 <= Date.now()) {
+            return null;
+        }
+
+        return {
+            value: JSON.parse(item.value),
+            expiresAt: item.expiresAt,
+            revalidateUntil: item.revalidateUntil,
+            staleUntil: item.staleUntil,
+            createdAt: item.createdAt
+        };
+    }
+
+    /**
+   * Store an entry, expiring it at its hard expiry
+   *
+   * @param {string} key - Cache key
+   * @param {CacheEntry} entry - Entry to store
+   * @returns {Promise<void>}
+   */
+    async set(key, entry) {
+        const { PutCommand } = documentCommands();
+        await this.client.send(new PutCommand({
+            TableName: this.tableName,
+            Item: {
+                key,
+                value: JSON.stringify(entry.value),
+                expiresAt: entry.expiresAt,
+                revalidateUntil: entry.revalidateUntil,
+                staleUntil: entry.staleUntil,
+                createdAt: entry.createdAt,
+                ttl: Math.ceil(entry.staleUntil / 1000)
+            }
+        }));
+    }
+
+    /**
+   * Remove an entry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+    async delete(key) {
+        const { DeleteCommand } = documentCommands();
+        await this.client.send(new DeleteCommand({
+            TableName: this.tableName,
+            Key: { key }
+        }));
+    }
+
+    /**
+   * Remove every entry whose key starts with a prefix
+   *
+   * Scans the table, which is fine for a cache of a few thousand items but
+   * is meant for invalidation, not the request path.
+   *
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<void>}
+   */
+    async deletePrefix(prefix) {
+        const { ScanCommand } = documentCommands();
+        let startKey;
+        do {
+            const page = await this.client.send(new ScanCommand({
+                TableName: this.tableName,
+                ProjectionExpression: '#key',
+                FilterExpression: 'begins_with(#key, :prefix)',
+                // "key" is a DynamoDB reserved word
+                ExpressionAttributeNames: { '#key': 'key' },
+                ExpressionAttributeValues: { ':prefix': prefix },
+                ExclusiveStartKey: startKey
+            }));
+
+            await Promise.all(page.Items.map(item => this.delete(item.key)));
+            startKey = page.LastEvaluatedKey;
+        } while (startKey);
+    }
+}
+
+/**
+ * Create the cache backend selected by configuration
+ *
+ * @param {Object} [config] - Defaults to constants.CACHE_BACKEND
+ * @param {string} config.TYPE - 'dynamodb' or 'memory'
+ * @param {string} config.TABLE_NAME - DynamoDB table name
+ * @param {string} [config.ENDPOINT] - DynamoDB endpoint override
+ * @param {number} [config.TIMEOUT_MS] - DynamoDB request timeout
+ * @returns {CacheBackend|null} The shared backend, or null to cache in memory only
+ * @throws {Error} If the backend type is unknown
+ */
+function createCacheBackend(config = constants.CACHE_BACKEND) {
+    switch (config.TYPE) {
+    case 'dynamodb':
+        return new DynamoDbCacheBackend({
+            tableName: config.TABLE_NAME,
+            endpoint: config.ENDPOINT,
+            timeoutMs: config.TIMEOUT_MS
+        });
+    case 'memory':
+        return null;
+    default:
+        throw new Error(`Unknown cache backend: ${config.TYPE}`);
+    }
+}
+
+module.exports = {
+    DynamoDbCacheBackend,
+    createCacheBackend
+};
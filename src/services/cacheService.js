@@ -4,14 +4,82 @@
  * Provides a simple in-memory caching mechanism with time-to-live (TTL) expiration.
  * Uses native JavaScript Map for optimal performance and memory efficiency.
  *
+ * Entries can outlive their TTL (soft expiry) so callers can still answer
+ * when the upstream API is slow or down, like HTTP's Cache-Control:
+ * - staleWhileRevalidate: serve the stale value at once and refresh in the background
+ * - staleIfError: serve the stale value only if a fresh fetch fails
+ * The longer window is the hard expiry, after which the entry is gone.
+ *
+ * A shared backend (see cacheBackends) can be layered underneath as L2.
+ * Reads that miss (or find a stale value) in memory check it, and writes
+ * go through to it, so a cold start or another container reuses what was
+ * already fetched. Every read and write is therefore async.
+ *
+ * Keys are namespaced (menu, weather, grid, profile). Services work
+ * through namespace(), which builds "<namespace>:<part>:<part>" keys,
+ * applies the namespace's default TTL from constants.CACHE_TTL, and can
+ * invalidate the whole namespace or a key prefix:
+ *
+ *   const menuCache = cacheService.namespace('menu');
+ *   await menuCache.set([schoolId, 'lunch', '2025-10-20'], menu);
+ *   await menuCache.invalidate([schoolId]); // every menu for the school
+ *
+ * Concurrent getOrFetch() calls for the same key share one fetch, so two
+ * handlers asking for the same week of menus on a cold cache make one
+ * upstream request (counted as `coalesced` in getStats()).
+ *
+ * Memory is bounded by an entry count and an approximate byte size
+ * (constants.CACHE_LIMITS). Past either limit the least recently used
+ * entries are evicted, and expired entries are swept every few minutes
+ * as the cache is written to.
+ *
  * @module services/cacheService
  */
 
+const constants = require('../utils/constants');
+
+/**
+ * Cache namespaces and the constants.CACHE_TTL entry holding each one's default TTL
+ */
+const NAMESPACE_TTLS = {
+    menu: 'MENU',
+    weather: 'WEATHER',
+    grid: 'GRID_INFO',
+    profile: 'PROFILE'
+};
+
 /**
  * Cache entry structure
  * @typedef {Object} CacheEntry
  * @property {*} value - The cached value
- * @property {number} expiresAt - Timestamp when entry expires (ms since epoch)
+ * @property {number} expiresAt - Timestamp when entry goes stale (soft expiry, ms since epoch)
+ * @property {number} revalidateUntil - Timestamp until which stale data is served while refreshing (ms since epoch)
+ * @property {number} staleUntil - Timestamp when entry is removed (hard expiry, ms since epoch)
+ * @property {number} createdAt - Timestamp when entry was created (ms since epoch)
+ * @property {number} size - Approximate bytes held by the entry
+ */
+
+/**
+ * Memory limits
+ * @typedef {Object} CacheLimits
+ * @property {number} maxEntries - Most entries kept before evicting
+ * @property {number} maxBytes - Most approximate bytes kept before evicting
+ * @property {number} sweepIntervalMs - Minimum time between sweeps for expired entries
+ */
+
+/**
+ * Stale serving windows, in seconds past the TTL
+ * @typedef {Object} StaleOptions
+ * @property {number} [staleWhileRevalidate=0] - Serve stale immediately while refreshing in the background
+ * @property {number} [staleIfError=0] - Serve stale when a fresh fetch fails
+ */
+
+/**
+ * Cache lookup that includes stale entries
+ * @typedef {Object} CacheLookup
+ * @property {*} value - The cached value
+ * @property {boolean} stale - True once past the TTL
+ * @property {boolean} revalidate - True while within the stale-while-revalidate window
  * @property {number} createdAt - Timestamp when entry was created (ms since epoch)
  */
 
@@ -21,48 +89,359 @@
  * @property {number} hits - Number of successful cache retrievals
  * @property {number} misses - Number of failed cache retrievals
  * @property {number} hitRate - Percentage of hits (0-1)
+ * @property {number} staleHits - Number of stale values served
+ * @property {number} revalidations - Number of background refreshes started
+ * @property {number} revalidationErrors - Number of background refreshes that failed
+ * @property {number} coalesced - Number of getOrFetch() calls that joined a fetch already in flight
+ * @property {number} backendHits - Number of entries loaded from the shared backend
+ * @property {number} backendErrors - Number of failed shared backend reads and writes
+ * @property {number} evictions - Number of entries evicted to stay within the limits
+ * @property {number} expirations - Number of entries removed at their hard expiry
  * @property {number} size - Current number of cached entries
+ * @property {number} bytes - Approximate bytes held by cached entries
+ */
+
+/**
+ * Estimate the memory an entry holds from its JSON size
+ * @param {string} key - Cache key
+ * @param {*} value - Cached value
+ * @returns {number} Approximate bytes (JSON is UTF-16 in memory, so twice its length)
  */
+function approximateSize(key, value) {
+    let json;
+    try {
+        json = JSON.stringify(value) || '';
+    } catch (error) {
+        json = '';
+    }
+    return (key.length + json.length) * 2;
+}
+
+/**
+ * Flag a value served past its TTL
+ * @param {CacheLookup} cached - Stale lookup from getEntry()
+ * @returns {*} Object values copied with `stale` and `cachedAt`; other values unchanged
+ */
+function markStale(cached) {
+    const { value } = cached;
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    return { ...value, stale: true, cachedAt: new Date(cached.createdAt).toISOString() };
+}
 
 class CacheService {
-    constructor() {
-    /** @type {Map<string, CacheEntry>} */
+    /**
+   * @param {CacheLimits} [limits] - Defaults to constants.CACHE_LIMITS
+   */
+    constructor(limits = {
+        maxEntries: constants.CACHE_LIMITS.MAX_ENTRIES,
+        maxBytes: constants.CACHE_LIMITS.MAX_BYTES,
+        sweepIntervalMs: constants.CACHE_LIMITS.SWEEP_INTERVAL_MS
+    }) {
+    /** @type {Map<string, CacheEntry>} In least to most recently used order */
         this.cache = new Map();
 
+        /** @type {CacheLimits} */
+        this.limits = { ...limits };
+
+        /** @type {number} Approximate bytes held by all entries */
+        this.bytes = 0;
+
+        /** @type {number} When expired entries were last swept (ms since epoch) */
+        this.lastSweep = Date.now();
+
+        /** @type {number} */
+        this.evictions = 0;
+
+        /** @type {number} */
+        this.expirations = 0;
+
         /** @type {number} */
         this.hits = 0;
 
         /** @type {number} */
         this.misses = 0;
+
+        /** @type {number} */
+        this.staleHits = 0;
+
+        /** @type {number} */
+        this.revalidations = 0;
+
+        /** @type {number} */
+        this.revalidationErrors = 0;
+
+        /** @type {Map<string, Promise<void>>} Background refreshes in flight */
+        this.revalidating = new Map();
+
+        /** @type {Map<string, Promise<*>>} getOrFetch() fetches in flight */
+        this.inFlight = new Map();
+
+        /** @type {number} */
+        this.coalesced = 0;
+
+        /** @type {Object|null} Shared L2 store (CacheBackend) */
+        this.backend = null;
+
+        /** @type {number} */
+        this.backendHits = 0;
+
+        /** @type {number} */
+        this.backendErrors = 0;
     }
 
     /**
-   * Retrieve a cached value by key
+   * Layer a shared backend under this container's memory
    *
+   * @param {Object|null} backend - CacheBackend from cacheBackends, or null for memory only
+   * @returns {void}
+   */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+   * Change the memory limits, evicting at once if now over them
+   *
+   * @param {Partial<CacheLimits>} limits - Limits to change
+   * @returns {void}
+   */
+    setLimits(limits) {
+        Object.assign(this.limits, limits);
+        this._evictOverLimits();
+    }
+
+    /**
+   * Store an entry as the most recently used, then enforce the limits
+   *
+   * @private
    * @param {string} key - Cache key
-   * @returns {*|null} The cached value if exists and not expired, null otherwise
+   * @param {CacheEntry} entry - Entry to store (its size is filled in)
+   * @returns {boolean} False if the entry alone is over the byte limit
    */
-    get(key) {
+    _store(key, entry) {
+        const size = approximateSize(key, entry.value);
+        this._remove(key);
+        if (size > this.limits.maxBytes) {
+            return false;
+        }
+
+        this.cache.set(key, { ...entry, size });
+        this.bytes += size;
+        this._evictOverLimits();
+        return true;
+    }
+
+    /**
+   * Remove an entry, keeping the byte count in step
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {void}
+   */
+    _remove(key) {
         const entry = this.cache.get(key);
+        if (entry) {
+            this.bytes -= entry.size;
+            this.cache.delete(key);
+        }
+    }
 
-        // Key doesn't exist
-        if (!entry) {
-            this.misses++;
-            return null;
+    /**
+   * Mark an entry as the most recently used
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @param {CacheEntry} entry - Entry stored under key
+   * @returns {void}
+   */
+    _touch(key, entry) {
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+    }
+
+    /**
+   * Evict least recently used entries until within the limits
+   *
+   * @private
+   * @returns {void}
+   */
+    _evictOverLimits() {
+        for (const key of this.cache.keys()) {
+            if (this.cache.size <= this.limits.maxEntries && this.bytes <= this.limits.maxBytes) {
+                return;
+            }
+            this._remove(key);
+            this.evictions++;
+        }
+    }
+
+    /**
+   * Sweep expired entries if the sweep interval has passed
+   *
+   * @private
+   * @param {number} now - Current timestamp (ms since epoch)
+   * @returns {void}
+   */
+    _sweepIfDue(now) {
+        if (now - this.lastSweep >= this.limits.sweepIntervalMs) {
+            this.cleanup();
+        }
+    }
+
+    /**
+   * Remove an entry if it's past its hard expiry
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @param {CacheEntry} entry - Entry stored under key
+   * @param {number} now - Current timestamp (ms since epoch)
+   * @returns {boolean} True if the entry was removed
+   */
+    _evictIfGone(key, entry, now) {
+        if (now >= entry.staleUntil) {
+            this._remove(key);
+            this.expirations++;
+            return true;
         }
+        return false;
+    }
 
-        // Check if entry has expired
+    /**
+   * Look up an entry in memory, then in the shared backend if missing or stale
+   *
+   * Does not affect hit/miss statistics.
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<CacheLookup|null>} The entry with its staleness, or null if missing or gone
+   */
+    async _find(key) {
+        const entry = this.cache.get(key);
         const now = Date.now();
-        if (now >= entry.expiresAt) {
-            // Clean up expired entry
-            this.cache.delete(key);
+        let cached = null;
+
+        if (entry && !this._evictIfGone(key, entry, now)) {
+            this._touch(key, entry);
+            cached = this._toLookup(entry, now);
+        }
+
+        if (this.backend && (!cached || cached.stale)) {
+            // Another container may have fetched it, or refreshed it already
+            cached = (await this._loadFromBackend(key, cached)) || cached;
+        }
+
+        return cached;
+    }
+
+    /**
+   * Retrieve a cached value by key
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<*|null>} The cached value if exists and not expired, null otherwise
+   */
+    async get(key) {
+        const cached = await this._find(key);
+
+        // Missing, or expired (stale entries are kept for getEntry())
+        if (!cached || cached.stale) {
             this.misses++;
             return null;
         }
 
         // Valid cache hit
         this.hits++;
-        return entry.value;
+        return cached.value;
+    }
+
+    /**
+   * Retrieve a cached entry, including one past its TTL but not its hard expiry
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<CacheLookup|null>} The entry with its staleness, or null if missing or gone
+   */
+    async getEntry(key) {
+        const cached = await this._find(key);
+
+        if (!cached) {
+            this.misses++;
+        } else if (cached.stale) {
+            this.staleHits++;
+        } else {
+            this.hits++;
+        }
+
+        return cached;
+    }
+
+    /**
+   * Describe an entry's staleness
+   *
+   * @private
+   * @param {CacheEntry} entry - Cache entry
+   * @param {number} now - Current timestamp (ms since epoch)
+   * @returns {CacheLookup}
+   */
+    _toLookup(entry, now) {
+        const stale = now >= entry.expiresAt;
+        return {
+            value: entry.value,
+            stale,
+            revalidate: stale && now < entry.revalidateUntil,
+            createdAt: entry.createdAt
+        };
+    }
+
+    /**
+   * Load an entry from the shared backend into memory if it's newer
+   *
+   * Backend failures count as a miss so the caller fetches instead.
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @param {CacheLookup|null} cached - What memory holds for the key
+   * @returns {Promise<CacheLookup|null>} The shared entry, or null if missing, gone or not newer
+   */
+    async _loadFromBackend(key, cached) {
+        let entry;
+        try {
+            entry = await this.backend.get(key);
+        } catch (error) {
+            this.backendErrors++;
+            return null;
+        }
+
+        const now = Date.now();
+        if (!entry || now >= entry.staleUntil || (cached && entry.createdAt <= cached.createdAt)) {
+            return null;
+        }
+
+        if (!this._store(key, entry)) {
+            return null;
+        }
+        this.backendHits++;
+        return this._toLookup(entry, now);
+    }
+
+    /**
+   * Write an entry through to the shared backend
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<void>} Never rejects; failures are counted
+   */
+    async _saveToBackend(key) {
+        const entry = this.cache.get(key);
+        if (!this.backend || !entry) {
+            return;
+        }
+
+        try {
+            await this.backend.set(key, entry);
+        } catch (error) {
+            this.backendErrors++;
+        }
     }
 
     /**
@@ -71,22 +450,33 @@ class CacheService {
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in seconds
-   * @returns {boolean} True if value was cached, false otherwise
+   * @param {StaleOptions} [options] - How long the value may be served stale
+   * @returns {Promise<boolean>} True if value was cached, false otherwise (including a
+   *   value too large for the byte limit)
    */
-    set(key, value, ttl) {
+    async set(key, value, ttl, { staleWhileRevalidate = 0, staleIfError = 0 } = {}) {
     // Don't cache if TTL is 0 or negative
         if (ttl <= 0) {
             return false;
         }
 
         const now = Date.now();
+        this._sweepIfDue(now);
+
+        const expiresAt = now + (ttl * 1000);
         const entry = {
             value,
-            expiresAt: now + (ttl * 1000),
+            expiresAt,
+            revalidateUntil: expiresAt + (staleWhileRevalidate * 1000),
+            staleUntil: expiresAt + (Math.max(staleWhileRevalidate, staleIfError) * 1000),
             createdAt: now
         };
 
-        this.cache.set(key, entry);
+        if (!this._store(key, entry)) {
+            return false;
+        }
+
+        await this._saveToBackend(key);
         return true;
     }
 
@@ -96,35 +486,206 @@ class CacheService {
    * Note: This method does NOT affect cache statistics (hits/misses)
    *
    * @param {string} key - Cache key
-   * @returns {boolean} True if key exists and is not expired
+   * @returns {Promise<boolean>} True if key exists and is not expired
    */
-    has(key) {
-        const entry = this.cache.get(key);
+    async has(key) {
+        const cached = await this._find(key);
+        return Boolean(cached && !cached.stale);
+    }
 
-        if (!entry) {
-            return false;
+    /**
+   * Remove a key from memory and the shared backend
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+    async delete(key) {
+        this._remove(key);
+        if (!this.backend) {
+            return;
         }
 
-        // Check expiration
-        const now = Date.now();
-        if (now >= entry.expiresAt) {
-            // Clean up expired entry
-            this.cache.delete(key);
-            return false;
+        try {
+            await this.backend.delete(key);
+        } catch (error) {
+            this.backendErrors++;
         }
+    }
 
-        return true;
+    /**
+   * Remove every key starting with a prefix from memory and the shared backend
+   *
+   * Other containers keep their in-memory copies until those expire.
+   *
+   * @param {string} prefix - Key prefix, e.g. "menu:westmore-elementary-school-2:"
+   * @returns {Promise<number>} Number of entries removed from memory
+   */
+    async invalidate(prefix) {
+        let removed = 0;
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(prefix)) {
+                this._remove(key);
+                removed++;
+            }
+        }
+
+        if (this.backend) {
+            try {
+                await this.backend.deletePrefix(prefix);
+            } catch (error) {
+                this.backendErrors++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+   * Get a namespaced view of the cache
+   *
+   * @param {string} name - 'menu', 'weather', 'grid' or 'profile'
+   * @returns {CacheNamespace}
+   * @throws {Error} If the namespace is unknown
+   */
+    namespace(name) {
+        if (!NAMESPACE_TTLS[name]) {
+            throw new Error(`Unknown cache namespace: ${name}`);
+        }
+        return new CacheNamespace(this, name);
+    }
+
+    /**
+   * Refresh a key in the background, at most once at a time per key
+   *
+   * @param {string} key - Cache key being refreshed
+   * @param {function(): Promise<*>} refresh - Fetches the new value and caches it
+   * @returns {Promise<void>} Settles when the refresh finishes; never rejects
+   */
+    revalidate(key, refresh) {
+        if (this.revalidating.has(key)) {
+            return this.revalidating.get(key);
+        }
+
+        this.revalidations++;
+        const pending = Promise.resolve()
+            .then(refresh)
+            .catch(() => {
+                // The stale entry stays until its hard expiry
+                this.revalidationErrors++;
+            })
+            .then(() => {
+                this.revalidating.delete(key);
+            });
+
+        this.revalidating.set(key, pending);
+        return pending;
+    }
+
+    /**
+   * Wait for every background refresh to finish
+   *
+   * For callers that must not return before the cache is written, such as
+   * the scheduled cache warmer, whose container is frozen once it returns.
+   *
+   * @returns {Promise<void>} Settles when no refresh is running; never rejects
+   */
+    async settle() {
+        while (this.revalidating.size > 0) {
+            await Promise.all(Array.from(this.revalidating.values()));
+        }
+    }
+
+    /**
+   * Run a fetch for a key, or join the one already in flight
+   *
+   * @private
+   * @param {string} key - Cache key
+   * @param {function(): Promise<*>} fetchAndStore - Fetches and caches the value
+   * @returns {Promise<*>} The shared fetch's result
+   */
+    _fetchOnce(key, fetchAndStore) {
+        if (this.inFlight.has(key)) {
+            this.coalesced++;
+            return this.inFlight.get(key);
+        }
+
+        const pending = fetchAndStore().finally(() => {
+            this.inFlight.delete(key);
+        });
+        this.inFlight.set(key, pending);
+        return pending;
+    }
+
+    /**
+   * Get a value, fetching and caching it when missing or stale
+   *
+   * Fresh values are returned as is. Within the stale-while-revalidate
+   * window the stale value is returned at once and refreshed in the
+   * background; past it, a fresh fetch is awaited and the stale value is
+   * only returned if that fetch fails. Stale object values are returned as
+   * copies flagged with `stale: true` and `cachedAt` (ISO timestamp).
+   * Concurrent calls for a key share one fetch.
+   *
+   * @param {string} key - Cache key
+   * @param {function(): Promise<*>} fetch - Fetches a fresh value
+   * @param {number|function(*): number} ttl - Time to live in seconds, or a function
+   *   of the fetched value returning it (0 = don't cache)
+   * @param {StaleOptions} [options] - How long the value may be served stale
+   * @returns {Promise<*>} Fresh or stale value
+   * @throws {Error} The fetch error, when there is no stale value to serve
+   */
+    async getOrFetch(key, fetch, ttl, options = {}) {
+        const cached = await this.getEntry(key);
+
+        if (cached && !cached.stale) {
+            return cached.value;
+        }
+
+        const fetchAndStore = async () => {
+            const value = await fetch();
+            await this.set(key, value, typeof ttl === 'function' ? ttl(value) : ttl, options);
+            return value;
+        };
+
+        if (cached && cached.revalidate) {
+            this.revalidate(key, fetchAndStore);
+            return markStale(cached);
+        }
+
+        try {
+            return await this._fetchOnce(key, fetchAndStore);
+        } catch (error) {
+            if (cached) {
+                return markStale(cached);
+            }
+            throw error;
+        }
     }
 
     /**
    * Clear all cached entries and reset statistics
    *
+   * Only this container's memory is cleared; the shared backend is left
+   * to its TTL.
+   *
    * @returns {void}
    */
     clear() {
         this.cache.clear();
+        this.bytes = 0;
+        this.lastSweep = Date.now();
+        this.evictions = 0;
+        this.expirations = 0;
         this.hits = 0;
         this.misses = 0;
+        this.staleHits = 0;
+        this.revalidations = 0;
+        this.revalidationErrors = 0;
+        this.revalidating.clear();
+        this.inFlight.clear();
+        this.coalesced = 0;
+        this.backendHits = 0;
+        this.backendErrors = 0;
     }
 
     /**
@@ -140,25 +701,36 @@ class CacheService {
             hits: this.hits,
             misses: this.misses,
             hitRate,
-            size: this.cache.size
+            staleHits: this.staleHits,
+            revalidations: this.revalidations,
+            revalidationErrors: this.revalidationErrors,
+            coalesced: this.coalesced,
+            backendHits: this.backendHits,
+            backendErrors: this.backendErrors,
+            evictions: this.evictions,
+            expirations: this.expirations,
+            size: this.cache.size,
+            bytes: this.bytes
         };
     }
 
     /**
    * Remove expired entries from cache (cleanup utility)
    *
-   * This is called automatically during get() and has() operations,
-   * but can be called manually for batch cleanup.
+   * Entries are removed at their hard expiry. This happens automatically
+   * during get() and has() operations and in a sweep every
+   * limits.sweepIntervalMs as values are set, but can be called manually
+   * for batch cleanup.
    *
    * @returns {number} Number of entries removed
    */
     cleanup() {
         const now = Date.now();
         let removed = 0;
+        this.lastSweep = now;
 
         for (const [key, entry] of this.cache.entries()) {
-            if (now >= entry.expiresAt) {
-                this.cache.delete(key);
+            if (this._evictIfGone(key, entry, now)) {
                 removed++;
             }
         }
@@ -167,6 +739,97 @@ class CacheService {
     }
 }
 
+/**
+ * Cache keys of one namespace, with its default TTL
+ */
+class CacheNamespace {
+    /**
+   * @param {CacheService} cache - Underlying cache
+   * @param {string} name - Namespace name (a key of NAMESPACE_TTLS)
+   */
+    constructor(cache, name) {
+        this.cache = cache;
+        this.name = name;
+    }
+
+    /**
+   * Default TTL in seconds, read from constants.CACHE_TTL
+   * @type {number}
+   */
+    get ttl() {
+        return constants.CACHE_TTL[NAMESPACE_TTLS[this.name]];
+    }
+
+    /**
+   * Build the full cache key
+   *
+   * @param {string|Array<string|number>} key - Key, or key parts to join with ':'
+   * @returns {string} e.g. "menu:westmore-elementary-school-2:lunch:2025-10-20"
+   */
+    key(key) {
+        const parts = Array.isArray(key) ? key : [key];
+        return [this.name, ...parts].join(':');
+    }
+
+    /**
+   * @param {string|Array<string|number>} key - Key or key parts
+   * @returns {Promise<*|null>} See CacheService#get
+   */
+    get(key) {
+        return this.cache.get(this.key(key));
+    }
+
+    /**
+   * @param {string|Array<string|number>} key - Key or key parts
+   * @param {*} value - Value to cache
+   * @param {number} [ttl] - Time to live in seconds (namespace default if omitted)
+   * @param {StaleOptions} [options] - How long the value may be served stale
+   * @returns {Promise<boolean>} See CacheService#set
+   */
+    set(key, value, ttl = this.ttl, options) {
+        return this.cache.set(this.key(key), value, ttl, options);
+    }
+
+    /**
+   * @param {string|Array<string|number>} key - Key or key parts
+   * @returns {Promise<boolean>} See CacheService#has
+   */
+    has(key) {
+        return this.cache.has(this.key(key));
+    }
+
+    /**
+   * @param {string|Array<string|number>} key - Key or key parts
+   * @returns {Promise<void>} See CacheService#delete
+   */
+    delete(key) {
+        return this.cache.delete(this.key(key));
+    }
+
+    /**
+   * @param {string|Array<string|number>} key - Key or key parts
+   * @param {function(): Promise<*>} fetch - Fetches a fresh value
+   * @param {number|function(*): number} [ttl] - See CacheService#getOrFetch (namespace default if omitted)
+   * @param {StaleOptions} [options] - How long the value may be served stale
+   * @returns {Promise<*>} See CacheService#getOrFetch
+   */
+    getOrFetch(key, fetch, ttl = this.ttl, options) {
+        return this.cache.getOrFetch(this.key(key), fetch, ttl, options);
+    }
+
+    /**
+   * Remove every key in the namespace, or those under a key prefix
+   *
+   * Prefixes match whole parts, so ['westmore'] doesn't match "westmore-2".
+   *
+   * @param {Array<string|number>} [prefix=[]] - Leading key parts, e.g. [schoolId]
+   * @returns {Promise<number>} See CacheService#invalidate
+   */
+    invalidate(prefix = []) {
+        return this.cache.invalidate(`${[this.name, ...prefix].join(':')}:`);
+    }
+}
+
 // Export singleton instance
 const cacheService = new CacheService();
 
@@ -0,0 +1,137 @@
+/**
+ * Cache Warming Service - Pre-fetch menus and weather into the shared cache
+ *
+ * Mornings are when everyone asks, and the first request after a menu or
+ * forecast expires pays all the upstream latency. A scheduled run fetches
+ * this and next week's lunch and breakfast menus for every configured
+ * school, plus the weather grid and forecasts, through nutrisliceService
+ * and weatherService so they land in the cache under the same keys the
+ * skill reads.
+ *
+ * Warming only helps other containers through the shared cache backend
+ * (see cacheBackends); in memory-only mode it warms the warmer.
+ */
+
+const nutrisliceService = require('./nutrisliceService');
+const weatherService = require('./weatherService');
+const cacheService = require('./cacheService');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+
+// Menu types warmed for each school; schools without breakfast cost one request
+const MENU_TYPES = [constants.NUTRISLICE.MEAL_TYPE, constants.NUTRISLICE.BREAKFAST_TYPE];
+
+// Weeks warmed, counted from the current one
+const WEEKS_AHEAD = 2;
+
+/**
+ * Something to pre-fetch
+ * @typedef {Object} WarmingTask
+ * @property {string} type - 'menu' or 'weather'
+ * @property {string} [schoolId] - Nutrislice school slug (menu tasks)
+ * @property {string} [menuType] - Menu type slug (menu tasks)
+ * @property {string} [weekStart] - Sunday of the Nutrislice week, YYYY-MM-DD (menu tasks)
+ */
+
+/**
+ * Every configured school: the default school and those offered during setup
+ * @returns {Array<string>} Unique school slugs
+ */
+function getConfiguredSchoolIds() {
+    const ids = [constants.NUTRISLICE.SCHOOL_ID, ...constants.SCHOOLS.map(school => school.id)];
+    return Array.from(new Set(ids));
+}
+
+/**
+ * List the fetches a warming run makes
+ * @param {Date} [today] - Today in the school's timezone
+ * @returns {Array<WarmingTask>} Menu tasks for each school, menu type and week, then weather
+ */
+function planWarming(today = dateUtils.getTodayInTimezone()) {
+    const weekStarts = [];
+    for (let week = 0; week < WEEKS_AHEAD; week++) {
+        const date = new Date(today);
+        date.setDate(date.getDate() + week * 7);
+        weekStarts.push(nutrisliceService.getWeekStartDate(dateUtils.formatDateForNutrislice(date)));
+    }
+
+    const tasks = [];
+    getConfiguredSchoolIds().forEach(schoolId => {
+        MENU_TYPES.forEach(menuType => {
+            weekStarts.forEach(weekStart => tasks.push({ type: 'menu', schoolId, menuType, weekStart }));
+        });
+    });
+    tasks.push({ type: 'weather' });
+    return tasks;
+}
+
+/**
+ * Describe a task for logs and run summaries
+ * @param {WarmingTask} task - Task to describe
+ * @returns {string} e.g. "menu westmore-elementary-school-2 lunch week of 2025-10-19"
+ */
+function describeTask(task) {
+    if (task.type === 'weather') {
+        return 'weather';
+    }
+    return `menu ${task.schoolId} ${task.menuType} week of ${task.weekStart}`;
+}
+
+/**
+ * Fetch one task through its service, caching the result
+ * @param {WarmingTask} task - Task to run
+ * @returns {Promise<void>}
+ * @throws {Error} If the upstream couldn't be reached
+ */
+async function runTask(task) {
+    if (task.type === 'weather') {
+        // weatherService never throws; its fallback means weather.gov failed
+        const weather = await weatherService.getTodayWeather();
+        if (weather.isFallback) {
+            throw new Error('weather.gov unavailable');
+        }
+        return;
+    }
+
+    await nutrisliceService.getMenuForWeek(task.schoolId, task.weekStart, task.menuType);
+}
+
+/**
+ * Warm the cache with this and next week's menus and today's weather
+ *
+ * Tasks run in parallel and fail independently. Stale entries are
+ * refreshed in the background by the services, so the run waits for
+ * those refreshes before returning.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - List the tasks without fetching anything
+ * @param {Date} [options.today] - Today in the school's timezone
+ * @returns {Promise<{dryRun: boolean, tasks: Array<string>, warmed: number, failed: Array<{task: string, error: string}>}>}
+ *   Run summary
+ */
+async function warmCache({ dryRun = false, today } = {}) {
+    const tasks = planWarming(today);
+    const summary = { dryRun, tasks: tasks.map(describeTask), warmed: 0, failed: [] };
+
+    if (dryRun) {
+        return summary;
+    }
+
+    await Promise.all(tasks.map(async task => {
+        try {
+            await runTask(task);
+            summary.warmed++;
+        } catch (error) {
+            summary.failed.push({ task: describeTask(task), error: error.message });
+        }
+    }));
+    await cacheService.settle();
+
+    return summary;
+}
+
+module.exports = {
+    getConfiguredSchoolIds,
+    planWarming,
+    warmCache
+};
@@ -0,0 +1,185 @@
+/**
+ * Household Menu Service - One day's menus for every school in the household
+ *
+ * Children at different schools get different menus. This service fetches
+ * the day's menu once per school (in parallel) and shapes the results for
+ * per-school speech, per-child verdicts and per-child APL columns.
+ */
+
+const profileService = require('./profileService');
+const menuParser = require('../utils/menuParser');
+const lunchRuleEngine = require('../utils/lunchRuleEngine');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+
+/**
+ * Fetch a day's menu for each school the household's children attend
+ *
+ * A failure at one school doesn't fail the others; the section carries
+ * the error instead.
+ *
+ * @param {Object} profile - Household profile
+ * @param {function(string): Promise<Object>} fetchMenu - Fetches the day's menu for a school slug
+ * @returns {Promise<Array<Object>>} Sections: { schoolId, schoolName, children, menuData, mainItems, error }
+ *
+ * @example
+ * const sections = await getHouseholdMenus(profile, schoolId => nutrisliceService.getMenuForToday(schoolId));
+ */
+async function getHouseholdMenus(profile, fetchMenu) {
+    const schools = profileService.getHouseholdSchools(profile);
+
+    return Promise.all(schools.map(async school => {
+        try {
+            const menuData = await fetchMenu(school.schoolId);
+            const mainItems = menuData && menuData.items && menuData.items.length > 0
+                ? menuParser.extractMainItems(menuData)
+                : [];
+            return { ...school, menuData, mainItems, error: null };
+        } catch (error) {
+            return { ...school, menuData: null, mainItems: [], error };
+        }
+    }));
+}
+
+/**
+ * Check whether every school's menu fetch failed
+ * @param {Array<Object>} sections - From getHouseholdMenus
+ * @returns {boolean}
+ */
+function allFailed(sections) {
+    return sections.every(section => section.error);
+}
+
+/**
+ * Check whether any school has main items to speak
+ * @param {Array<Object>} sections - From getHouseholdMenus
+ * @returns {boolean}
+ */
+function hasAnyMenu(sections) {
+    return sections.some(section => section.mainItems.length > 0);
+}
+
+/**
+ * Speak one sentence per school, naming the children who attend it
+ * @param {Array<Object>} sections - From getHouseholdMenus
+ * @param {string} [menuType] - Meal the sections hold, for schools without a menu
+ * @returns {string} e.g. "At Westmore, Emma has Pizza. At Jefferson Middle, Liam has Tacos."
+ *   Not XML-escaped.
+ */
+function formatSchoolSections(sections, menuType = constants.NUTRISLICE.MEAL_TYPE) {
+    return sections.map(section => {
+        const names = menuParser.formatMenuItems(section.children);
+
+        if (section.error) {
+            return `I couldn't get the menu for ${section.schoolName}.`;
+        }
+        if (section.mainItems.length === 0) {
+            return `${section.schoolName} hasn't posted a ${menuType} menu.`;
+        }
+
+        const menuText = menuParser.formatMenuItems(section.mainItems);
+        if (!names) {
+            return `At ${section.schoolName}, lunch is ${menuText}.`;
+        }
+        const verb = section.children.length === 1 ? 'has' : 'have';
+        return `At ${section.schoolName}, ${names} ${verb} ${menuText}.`;
+    }).join(' ');
+}
+
+/**
+ * Say how old the menus are when any was served from a stale cache
+ * @param {Array<Object>} sections - From getHouseholdMenus
+ * @returns {string} e.g. "That's the menu as of this morning."; empty if every menu is fresh
+ */
+function formatStaleNotice(sections) {
+    const staleSection = sections.find(section => section.menuData && section.menuData.stale);
+    if (!staleSection) {
+        return '';
+    }
+
+    const asOf = dateUtils.describeAsOf(staleSection.menuData.fetchedAt);
+    return asOf ? `That's the menu as of ${asOf}.` : '';
+}
+
+/**
+ * Summarize several meals on the same day, one sentence per school
+ *
+ * Meals a school hasn't posted (or couldn't be fetched) are left out.
+ *
+ * @param {Object<string, Array<Object>>} sectionsByMeal - getHouseholdMenus results keyed by
+ *   menu type, in speaking order, e.g. { breakfast: [...], lunch: [...] }
+ * @param {string} dayLabel - Leading day, e.g. "Today"
+ * @returns {string} e.g. "Today, breakfast is Pancakes, and lunch is Pizza." or
+ *   "Today at Westmore, lunch is Pizza. At Jefferson Middle, lunch is Tacos."; empty if
+ *   no meal has a menu. Not XML-escaped.
+ */
+function formatMealSummary(sectionsByMeal, dayLabel) {
+    const meals = Object.entries(sectionsByMeal);
+    const schools = meals.length > 0 ? meals[0][1] : [];
+
+    const sentences = [];
+    schools.forEach((school, index) => {
+        const parts = meals
+            .filter(([, sections]) => sections[index] && sections[index].mainItems.length > 0)
+            .map(([menuType, sections]) => `${menuType} is ${menuParser.formatMenuItems(sections[index].mainItems)}`);
+        if (parts.length === 0) {
+            return;
+        }
+
+        let lead = sentences.length === 0 ? dayLabel : '';
+        if (schools.length > 1) {
+            lead = lead ? `${lead} at ${school.schoolName}` : `At ${school.schoolName}`;
+        }
+        sentences.push(`${lead}, ${parts.join(', and ')}.`);
+    });
+
+    return sentences.join(' ');
+}
+
+/**
+ * Decide school or home lunch for each child against their own school's menu
+ * @param {Array<Object>} sections - From getHouseholdMenus
+ * @param {Object} [weatherData] - Day's weather from weatherService
+ * @returns {Array<Object>} Verdicts for children whose school posted a menu
+ */
+function evaluateSections(sections, weatherData) {
+    return sections
+        .filter(section => section.mainItems.length > 0)
+        .flatMap(section => lunchRuleEngine.evaluateHousehold(section.children, section.menuData, weatherData));
+}
+
+/**
+ * Build one APL column per child showing the day's main items at their school
+ * @param {Array<Object>} sections - From getHouseholdMenus
+ * @returns {Array<{name: string, schoolName: string, menuItems: Array<string>}>} Columns
+ */
+function buildChildColumns(sections) {
+    return sections.flatMap(section => {
+        let menuItems = section.mainItems.map(item => item.name);
+        if (section.error) {
+            menuItems = ['Menu unavailable'];
+        } else if (menuItems.length === 0) {
+            menuItems = ['No menu posted'];
+        }
+
+        if (section.children.length === 0) {
+            return [{ name: section.schoolName, schoolName: section.schoolName, menuItems }];
+        }
+        return section.children.map(child => ({
+            name: child.name,
+            schoolName: section.schoolName,
+            menuItems
+        }));
+    });
+}
+
+module.exports = {
+    getHouseholdMenus,
+    allFailed,
+    hasAnyMenu,
+    formatSchoolSections,
+    formatStaleNotice,
+    formatMealSummary,
+    evaluateSections,
+    buildChildColumns
+};
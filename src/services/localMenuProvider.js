@@ -0,0 +1,328 @@
+/**
+ * Local Menu Provider - Menus from a JSON or CSV file (or S3 object)
+ *
+ * For schools that publish only a PDF or spreadsheet menu, and for
+ * deterministic tests. The file holds one row per menu item:
+ *
+ * JSON:
+ * {
+ *   "schools": [{ "id": "st-marys", "name": "St. Mary's School" }],   // optional
+ *   "items": [
+ *     { "school": "st-marys", "date": "2025-10-20", "menuType": "lunch",
+ *       "name": "Cheese Pizza", "category": "entree", "allergens": ["milk", "wheat"] }
+ *   ]
+ * }
+ *
+ * CSV (header row required; menu_type defaults to lunch, allergens are ;-separated):
+ * school,school_name,date,menu_type,name,category,description,allergens
+ * st-marys,St. Mary's School,2025-10-20,lunch,Cheese Pizza,entree,,milk;wheat
+ *
+ * Implements the MenuProvider interface (see menuService). Day and week
+ * results match nutrisliceService's shape so callers can't tell them apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cacheService = require('./cacheService');
+const constants = require('../utils/constants');
+const { normalizeAllergen } = require('../utils/allergenParser');
+
+const menuCache = cacheService.namespace('menu');
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of raw field values
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV menu rows into the JSON file shape
+ * @param {string} text - CSV content with a header row
+ * @returns {{schools: Array<Object>, items: Array<Object>}}
+ */
+function parseCsv(text) {
+    const [header = [], ...rows] = parseCsvRows(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    const items = rows.map(fields => {
+        const row = {};
+        columns.forEach((column, index) => {
+            row[column] = (fields[index] || '').trim();
+        });
+        return {
+            school: row.school,
+            schoolName: row.school_name,
+            date: row.date,
+            menuType: row.menu_type,
+            name: row.name,
+            category: row.category,
+            description: row.description,
+            allergens: row.allergens ? row.allergens.split(';') : []
+        };
+    });
+
+    return { schools: [], items };
+}
+
+/**
+ * Convert a file row into a menu item in menuParser-compatible format
+ * @param {Object} row - Item row from the file
+ * @returns {Object} Menu item
+ */
+function buildItem(row) {
+    const allergens = Array.from(new Set((row.allergens || []).map(normalizeAllergen).filter(Boolean)));
+    return {
+        name: row.name.trim(),
+        description: row.description || '',
+        category: row.category || 'Other',
+        nutrients: {
+            calories: Number(row.calories) || 0,
+            protein: Number(row.protein) || 0
+        },
+        imageUrl: null,
+        allergens,
+        mayContain: [],
+        dietaryTags: [],
+        allergenInfoAvailable: allergens.length > 0
+    };
+}
+
+/**
+ * Get the Sunday-Saturday dates of the week containing a date
+ * (the same week boundaries as the Nutrislice weeks endpoint)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Array<string>} Seven dates, Sunday first
+ */
+function getWeekDates(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    // Use UTC so the container's local timezone can't shift the day
+    const sunday = new Date(Date.UTC(year, month - 1, day));
+    sunday.setUTCDate(sunday.getUTCDate() - sunday.getUTCDay());
+
+    return Array.from({ length: 7 }, (_, offset) => {
+        const weekDay = new Date(sunday);
+        weekDay.setUTCDate(sunday.getUTCDate() + offset);
+        return weekDay.toISOString().split('T')[0];
+    });
+}
+
+class LocalMenuProvider {
+    /**
+   * @param {Object} options - Where the menu file lives (one of filePath or bucket + key)
+   * @param {string} [options.filePath] - Local JSON or CSV file
+   * @param {string} [options.bucket] - S3 bucket holding the file
+   * @param {string} [options.key] - S3 object key
+   * @throws {Error} If no file location is configured
+   */
+    constructor({ filePath, bucket, key } = {}) {
+        if (!filePath && !(bucket && key)) {
+            throw new Error('Local menu provider needs MENU_FILE_PATH or MENU_S3_BUCKET and MENU_S3_KEY');
+        }
+        this.name = 'local';
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        this.bucket = bucket;
+        this.key = key;
+    }
+
+    /**
+   * Read the raw file content
+   *
+   * @private
+   * @returns {Promise<string>} File content
+   */
+    async _readSource() {
+        if (this.filePath) {
+            return fs.promises.readFile(this.filePath, 'utf8');
+        }
+
+        // Loaded lazily so local runs and tests don't pay for the AWS SDK
+        const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+        const object = await new S3Client({}).send(new GetObjectCommand({ Bucket: this.bucket, Key: this.key }));
+        return object.Body.transformToString('utf8');
+    }
+
+    /**
+   * Load and index the menu file (cached like fetched menus)
+   *
+   * @private
+   * @returns {Promise<{schools: Array<Object>, days: Object<string, Array<Object>>, loadedAt: string}>}
+   *   Plain data, so it survives the shared cache's JSON round trip
+   * @throws {Error} If the file can't be read or parsed
+   */
+    async _load() {
+        const location = this.filePath || `s3://${this.bucket}/${this.key}`;
+        const cacheKey = ['file', location];
+        const cached = await menuCache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        let data;
+        try {
+            const content = await this._readSource();
+            data = /\.csv$/i.test(this.filePath || this.key) ? parseCsv(content) : JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Failed to load menu file ${location}: ${error.message}`);
+        }
+
+        const days = {};
+        const schools = new Map();
+        for (const school of data.schools || []) {
+            if (school && school.id) {
+                schools.set(school.id, { id: school.id, name: school.name || school.id, menuTypes: new Set(school.menuTypes || []) });
+            }
+        }
+
+        for (const row of data.items || []) {
+            if (!row || !row.school || !row.date || !row.name) {
+                continue;
+            }
+            const menuType = row.menuType || constants.NUTRISLICE.MEAL_TYPE;
+            const dayKey = `${row.school}|${menuType}|${row.date}`;
+            if (!days[dayKey]) {
+                days[dayKey] = [];
+            }
+            days[dayKey].push(buildItem(row));
+
+            if (!schools.has(row.school)) {
+                schools.set(row.school, { id: row.school, name: row.schoolName || row.school, menuTypes: new Set() });
+            }
+            schools.get(row.school).menuTypes.add(menuType);
+        }
+
+        const index = {
+            schools: Array.from(schools.values())
+                .map(school => ({ ...school, menuTypes: Array.from(school.menuTypes) }))
+                .sort((a, b) => a.name.localeCompare(b.name)),
+            days,
+            loadedAt: new Date().toISOString()
+        };
+
+        await menuCache.set(cacheKey, index);
+        return index;
+    }
+
+    /**
+   * Get one day's menu
+   *
+   * @param {string} schoolId - School id from the file (default school if empty)
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} [menuType] - Menu type (lunch if empty)
+   * @returns {Promise<Object>} Menu data: { date, items, fetchedAt }
+   * @throws {Error} If the date is invalid or the file can't be loaded
+   */
+    async getDay(schoolId, date, menuType) {
+        if (!date || typeof date !== 'string' || date.trim() === '') {
+            throw new Error('Invalid date parameter');
+        }
+
+        const index = await this._load();
+        const key = `${schoolId || constants.NUTRISLICE.SCHOOL_ID}|${menuType || constants.NUTRISLICE.MEAL_TYPE}|${date}`;
+        const items = index.days[key];
+
+        if (!items || items.length === 0) {
+            return {
+                date,
+                items: [],
+                message: 'No menu available for this date',
+                fetchedAt: index.loadedAt
+            };
+        }
+
+        return { date, items, fetchedAt: index.loadedAt };
+    }
+
+    /**
+   * Get the Sunday-Saturday week containing a date
+   *
+   * @param {string} schoolId - School id from the file (default school if empty)
+   * @param {string} date - Any date in the week, YYYY-MM-DD format
+   * @param {string} [menuType] - Menu type (lunch if empty)
+   * @returns {Promise<Object>} Week data: { schoolId, menuType, weekStart, days: { [date]: menuData }, fetchedAt }
+   * @throws {Error} If the date is invalid or the file can't be loaded
+   */
+    async getWeek(schoolId, date, menuType) {
+        if (!date || typeof date !== 'string' || date.trim() === '') {
+            throw new Error('Invalid date parameter');
+        }
+
+        const weekDates = getWeekDates(date);
+        const index = await this._load();
+        const days = {};
+        for (const weekDate of weekDates) {
+            const dayMenu = await this.getDay(schoolId, weekDate, menuType);
+            if (dayMenu.items.length > 0) {
+                days[weekDate] = dayMenu;
+            }
+        }
+
+        return {
+            schoolId: schoolId || constants.NUTRISLICE.SCHOOL_ID,
+            menuType: menuType || constants.NUTRISLICE.MEAL_TYPE,
+            weekStart: weekDates[0],
+            days,
+            fetchedAt: index.loadedAt
+        };
+    }
+
+    /**
+   * List the schools in the file
+   *
+   * @returns {Promise<Array<{id: string, name: string, menuTypes: Array<string>}>>} Schools sorted by name
+   * @throws {Error} If the file can't be loaded
+   */
+    async listSchools() {
+        const index = await this._load();
+        return index.schools;
+    }
+}
+
+module.exports = {
+    LocalMenuProvider,
+    parseCsv
+};
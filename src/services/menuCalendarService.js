@@ -1,57 +1,124 @@
 /**
  * Menu Calendar Service - Fetch 5-day school lunch menu
  *
- * Provides multi-day menu calendar for APL visual display
+ * Provides multi-day menu calendar for APL visual display. Every function
+ * takes the Nutrislice school slug first; an empty slug means the
+ * configured default school. The optional menu type comes last and
+ * defaults to lunch.
  */
 
-const nutrisliceService = require('./nutrisliceService');
+const menuService = require('./menuService');
 const dateUtils = require('../utils/dateUtils');
 const menuParser = require('../utils/menuParser');
 const constants = require('../utils/constants');
 
+/**
+ * Build a calendar day entry from a fetched menu (or fetch error)
+ * @param {Date} targetDate - Calendar day
+ * @param {Object|Error} menuData - Menu data from menuService, or the fetch error
+ * @returns {Object} Calendar day entry
+ */
+function buildCalendarDay(targetDate, menuData) {
+    const dayOfWeek = targetDate.toLocaleDateString('en-US', { weekday: 'long' });
+    const day = {
+        date: dateUtils.formatDateForNutrislice(targetDate),
+        dayOfWeek: dayOfWeek,
+        fullDate: targetDate.toISOString(),
+        isSchoolDay: true
+    };
+
+    // If menu fetch failed, add placeholder
+    if (!menuData || menuData instanceof Error) {
+        day.menuItems = ['Menu unavailable'];
+        day.isUnavailable = true;
+        return day;
+    }
+
+    // Extract main items
+    const mainItems = menuData.items && menuData.items.length > 0
+        ? menuParser.extractMainItems(menuData)
+        : [];
+    day.menuItems = mainItems.map(item => item.name);
+    return day;
+}
+
 /**
  * Get 5-day menu calendar starting from today
+ *
+ * The five school days span at most two Nutrislice weeks, which are
+ * fetched in parallel with one request each.
+ *
+ * @param {string} [schoolId] - Nutrislice school slug
+ * @param {string} [menuType] - Menu type slug, e.g. "breakfast"
  * @returns {Promise<Object>} Calendar with 5 days of menu data
  */
-async function getMenuCalendar() {
+async function getMenuCalendar(schoolId, menuType) {
     const today = dateUtils.getTodayInTimezone();
-    const calendar = {
-        days: []
+
+    // Work out the next 5 school days
+    const targetDates = [];
+    for (let i = 0; i < 5; i++) {
+        targetDates.push(dateUtils.getNextSchoolDay(today, i, constants.HOLIDAYS));
+    }
+
+    const menus = await menuService.getMenusForDates(
+        schoolId,
+        targetDates.map(date => dateUtils.formatDateForNutrislice(date)),
+        menuType
+    );
+
+    return {
+        days: targetDates.map(targetDate =>
+            buildCalendarDay(targetDate, menus[dateUtils.formatDateForNutrislice(targetDate)])
+        )
     };
+}
 
-    // Fetch menus for next 5 school days
+/**
+ * Get the Monday-Friday menu calendar for a specific week
+ *
+ * Unlike getMenuCalendar(), weekends and holidays are not skipped: every
+ * weekday is returned so partial weeks render in place, with non-school
+ * days flagged and left unfetched.
+ *
+ * @param {string} schoolId - Nutrislice school slug
+ * @param {Date} weekStart - Monday of the requested week
+ * @param {string} [title] - Optional heading for display (e.g. "Next Week's Lunch Menu")
+ * @param {string} [menuType] - Menu type slug, e.g. "breakfast"
+ * @returns {Promise<Object>} Calendar with 5 weekday entries
+ */
+async function getWeekMenuCalendar(schoolId, weekStart, title, menuType) {
+    const weekdays = [];
     for (let i = 0; i < 5; i++) {
-        const targetDate = dateUtils.getNextSchoolDay(today, i, constants.HOLIDAYS);
-        const dateStr = dateUtils.formatDateForNutrislice(targetDate);
-
-        try {
-            // Fetch menu for this date
-            const menuData = await nutrisliceService.getMenuForDate(dateStr);
-
-            // Extract main items
-            const mainItems = menuData.items && menuData.items.length > 0
-                ? menuParser.extractMainItems(menuData)
-                : [];
-
-            // Format for calendar
-            const dayOfWeek = targetDate.toLocaleDateString('en-US', { weekday: 'long' });
-
-            calendar.days.push({
-                date: dateStr,
-                dayOfWeek: dayOfWeek,
-                menuItems: mainItems.map(item => item.name),
-                fullDate: targetDate.toISOString()
-            });
-        } catch (error) {
-            // If menu fetch fails, add placeholder
-            const dayOfWeek = targetDate.toLocaleDateString('en-US', { weekday: 'long' });
-            calendar.days.push({
-                date: dateStr,
-                dayOfWeek: dayOfWeek,
-                menuItems: ['Menu unavailable'],
-                fullDate: targetDate.toISOString()
-            });
-        }
+        const targetDate = new Date(weekStart);
+        targetDate.setDate(weekStart.getDate() + i);
+        weekdays.push(targetDate);
+    }
+
+    const schoolDates = weekdays
+        .filter(date => dateUtils.isSchoolDay(date))
+        .map(date => dateUtils.formatDateForNutrislice(date));
+    const menus = schoolDates.length > 0
+        ? await menuService.getMenusForDates(schoolId, schoolDates, menuType)
+        : {};
+
+    const calendar = {
+        days: weekdays.map(targetDate => {
+            if (!dateUtils.isSchoolDay(targetDate)) {
+                return {
+                    date: dateUtils.formatDateForNutrislice(targetDate),
+                    dayOfWeek: targetDate.toLocaleDateString('en-US', { weekday: 'long' }),
+                    menuItems: ['No school'],
+                    fullDate: targetDate.toISOString(),
+                    isSchoolDay: false
+                };
+            }
+            return buildCalendarDay(targetDate, menus[dateUtils.formatDateForNutrislice(targetDate)]);
+        })
+    };
+
+    if (title) {
+        calendar.title = title;
     }
 
     return calendar;
@@ -59,11 +126,13 @@ async function getMenuCalendar() {
 
 /**
  * Get single day menu (for backwards compatibility)
+ * @param {string} schoolId - Nutrislice school slug
  * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type slug, e.g. "breakfast"
  * @returns {Promise<Object>} Menu data for specified date
  */
-async function getMenuForDate(dateStr) {
-    const menuData = await nutrisliceService.getMenuForDate(dateStr);
+async function getMenuForDate(schoolId, dateStr, menuType) {
+    const menuData = await menuService.getMenuForDate(schoolId, dateStr, menuType);
     const mainItems = menuData.items && menuData.items.length > 0
         ? menuParser.extractMainItems(menuData)
         : [];
@@ -76,5 +145,6 @@ async function getMenuForDate(dateStr) {
 
 module.exports = {
     getMenuCalendar,
+    getWeekMenuCalendar,
     getMenuForDate
 };
@@ -0,0 +1,209 @@
+/**
+ * Menu Service - Menu access through a configurable MenuProvider
+ *
+ * Handlers and menuCalendarService read menus through this module rather
+ * than a specific source. The provider is chosen by configuration:
+ * - nutrislice: Nutrislice weeks API and school directory (default)
+ * - local: JSON or CSV file on disk or in S3 (see localMenuProvider)
+ *
+ * Every function takes the school id first (empty means the configured
+ * default school) and an optional menu type last (empty means lunch).
+ *
+ * @module services/menuService
+ */
+
+const nutrisliceService = require('./nutrisliceService');
+const schoolDirectoryService = require('./schoolDirectoryService');
+const { LocalMenuProvider } = require('./localMenuProvider');
+const householdSetup = require('../utils/householdSetup');
+const dateUtils = require('../utils/dateUtils');
+const constants = require('../utils/constants');
+
+/**
+ * A source of school menus
+ * @typedef {Object} MenuProvider
+ * @property {string} name - Provider name, e.g. "nutrislice"
+ * @property {function(string, string, string=): Promise<Object>} getDay -
+ *   (schoolId, date, menuType) => { date, items, fetchedAt }
+ * @property {function(string, string, string=): Promise<Object>} getWeek -
+ *   (schoolId, date, menuType) => { schoolId, menuType, weekStart, days: { [date]: menuData }, fetchedAt }
+ * @property {function(): Promise<Array<{id: string, name: string, menuTypes: Array<string>}>>} listSchools
+ * @property {function(string, Array<string>, string=): Promise<Object<string, Object|Error>>} [getDays] -
+ *   Optional batch fetch; without it getDay is called per date
+ */
+
+/** @type {MenuProvider} */
+const nutrisliceProvider = {
+    name: 'nutrislice',
+    getDay: (schoolId, date, menuType) => nutrisliceService.getMenuForDate(schoolId, date, menuType),
+    getWeek: (schoolId, date, menuType) => nutrisliceService.getMenuForWeek(schoolId, date, menuType),
+    getDays: (schoolId, dates, menuType) => nutrisliceService.getMenusForDates(schoolId, dates, menuType),
+    listSchools: () => schoolDirectoryService.getSchools()
+};
+
+// Provider in use, created from configuration on first access
+let provider = null;
+
+/**
+ * Create the menu provider selected by configuration
+ *
+ * @param {Object} [config] - Defaults to constants.MENU_PROVIDER
+ * @param {string} config.TYPE - 'nutrislice' or 'local'
+ * @param {string} [config.FILE_PATH] - JSON or CSV file for the local provider
+ * @param {string} [config.S3_BUCKET] - S3 bucket for the local provider
+ * @param {string} [config.S3_KEY] - S3 object key for the local provider
+ * @returns {MenuProvider}
+ * @throws {Error} If the provider type is unknown or misconfigured
+ */
+function createMenuProvider(config = constants.MENU_PROVIDER) {
+    switch (config.TYPE) {
+    case 'nutrislice':
+        return nutrisliceProvider;
+    case 'local':
+        return new LocalMenuProvider({
+            filePath: config.FILE_PATH,
+            bucket: config.S3_BUCKET,
+            key: config.S3_KEY
+        });
+    default:
+        throw new Error(`Unknown menu provider: ${config.TYPE}`);
+    }
+}
+
+/**
+ * Get the provider in use
+ * @returns {MenuProvider}
+ */
+function getMenuProvider() {
+    if (!provider) {
+        provider = createMenuProvider();
+    }
+    return provider;
+}
+
+/**
+ * Replace the provider in use (tests and scripts)
+ * @param {MenuProvider} menuProvider - Provider to use
+ */
+function setMenuProvider(menuProvider) {
+    provider = menuProvider;
+}
+
+/**
+ * Fetch menu for a specific date
+ * @param {string} schoolId - School id
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type, e.g. "breakfast"
+ * @returns {Promise<Object>} Menu data: { date, items, fetchedAt }
+ */
+async function getMenuForDate(schoolId, date, menuType) {
+    return getMenuProvider().getDay(schoolId, date, menuType);
+}
+
+/**
+ * Fetch the week containing a date
+ * @param {string} schoolId - School id
+ * @param {string} date - Any date in the week, YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type, e.g. "breakfast"
+ * @returns {Promise<Object>} Week data: { schoolId, menuType, weekStart, days, fetchedAt }
+ */
+async function getMenuForWeek(schoolId, date, menuType) {
+    return getMenuProvider().getWeek(schoolId, date, menuType);
+}
+
+/**
+ * Fetch menus for several dates
+ *
+ * A failed date yields an Error in its place so callers can degrade per day.
+ *
+ * @param {string} schoolId - School id
+ * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type, e.g. "breakfast"
+ * @returns {Promise<Object<string, Object|Error>>} Menu data (or Error) keyed by date
+ */
+async function getMenusForDates(schoolId, dates, menuType) {
+    const menuProvider = getMenuProvider();
+    if (menuProvider.getDays) {
+        return menuProvider.getDays(schoolId, dates, menuType);
+    }
+
+    const menus = await Promise.all(dates.map(date =>
+        menuProvider.getDay(schoolId, date, menuType).catch(error => error)
+    ));
+    return Object.fromEntries(dates.map((date, index) => [date, menus[index]]));
+}
+
+/**
+ * Get menu for today in the school's timezone
+ * @param {string} schoolId - School id
+ * @param {string} [menuType] - Menu type, e.g. "breakfast"
+ * @returns {Promise<Object>} Today's menu data
+ */
+async function getMenuForToday(schoolId, menuType) {
+    const today = dateUtils.getTodayInTimezone();
+    return getMenuForDate(schoolId, dateUtils.formatDateForNutrislice(today), menuType);
+}
+
+/**
+ * Get menu for the next school day (skips weekends and holidays)
+ * @param {string} schoolId - School id
+ * @param {string} [menuType] - Menu type, e.g. "breakfast"
+ * @returns {Promise<Object>} Next school day's menu data
+ */
+async function getMenuForTomorrow(schoolId, menuType) {
+    const nextSchoolDay = dateUtils.getNextSchoolDay(dateUtils.getTodayInTimezone(), 1);
+    return getMenuForDate(schoolId, dateUtils.formatDateForNutrislice(nextSchoolDay), menuType);
+}
+
+/**
+ * List the schools the provider can serve
+ * @returns {Promise<Array<{id: string, name: string, menuTypes: Array<string>}>>}
+ */
+async function listSchools() {
+    return getMenuProvider().listSchools();
+}
+
+/**
+ * Find the school a spoken name refers to
+ *
+ * Searches the provider's schools; if they can't be listed, matches
+ * against the configured schools (constants.SCHOOLS) so setup still works.
+ *
+ * @param {string} spokenName - e.g. "westmore elementary"
+ * @returns {Promise<{id: string, name: string, menuTypes: Array<string>}|null>} Matching school
+ */
+async function findSchool(spokenName) {
+    if (!spokenName) {
+        return null;
+    }
+
+    let schools;
+    try {
+        schools = await listSchools();
+    } catch (error) {
+        schools = constants.SCHOOLS.map(school => ({ ...school, menuTypes: [constants.NUTRISLICE.MEAL_TYPE] }));
+    }
+
+    return householdSetup.findSchool(spokenName, schools);
+}
+
+/**
+ * Reset service state (for testing)
+ */
+function __resetForTesting() {
+    provider = null;
+}
+
+module.exports = {
+    createMenuProvider,
+    getMenuProvider,
+    setMenuProvider,
+    getMenuForDate,
+    getMenuForWeek,
+    getMenusForDates,
+    getMenuForToday,
+    getMenuForTomorrow,
+    listSchools,
+    findSchool,
+    __resetForTesting
+};
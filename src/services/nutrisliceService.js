@@ -2,14 +2,31 @@
  * Nutrislice Service - JSON API Client with Caching
  *
  * Fetches and parses lunch menu data from Nutrislice JSON API
- * with retry logic, caching, and error handling.
+ * with retry logic, caching, and error handling. The weeks endpoint
+ * returns a whole week per request, so menus are fetched and cached
+ * a week at a time. Every fetch takes an optional menu type (lunch,
+ * breakfast, or any other type the school publishes) as its last argument.
+ *
+ * Weeks-endpoint payloads are validated (see nutrisliceValidator); schema
+ * drift is raised as a NutrisliceSchemaError rather than read as "no menu".
+ * There is no HTML fallback: the public menu pages are rendered in the
+ * browser and carry no menu in their markup (see debug.html), so when the
+ * JSON API fails only a stale cached week can still be served.
+ *
+ * Every fetch goes through the Nutrislice circuit breaker, so while
+ * Nutrislice is down requests fail at once (CircuitOpenError) instead of
+ * retrying into Alexa's timeout.
  */
 
 const axios = require('axios');
 const constants = require('../utils/constants');
+const { extractDietaryInfo } = require('../utils/allergenParser');
+const { validateWeekResponse, NutrisliceSchemaError, WEEK_STATUS } = require('../utils/nutrisliceValidator');
+const { nutrisliceCircuitBreaker } = require('../utils/circuitBreaker');
+const { boundedTimeout, remainingBudget } = require('../utils/deadline');
 
 // Default dependencies (can be overridden for testing)
-let cache = null;
+let cache = null; // Menu cache namespace: cacheService.namespace('menu')
 let parser = null;
 let dateUtils = null;
 
@@ -17,6 +34,23 @@ let dateUtils = null;
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 100; // Base delay, will use exponential backoff
 
+// Menu cache TTL in seconds
+const MENU_CACHE_TTL = constants.CACHE_TTL.MENU;
+
+// How long past its TTL a cached week may still be served
+const MENU_STALE_OPTIONS = {
+    staleWhileRevalidate: constants.CACHE_STALE.MENU.STALE_WHILE_REVALIDATE,
+    staleIfError: constants.CACHE_STALE.MENU.STALE_IF_ERROR
+};
+
+// Where a menu came from
+const MENU_SOURCE = {
+    API: 'api'
+};
+
+// Nutrislice district and school slugs, e.g. "d45", "westmore-elementary-school-2"
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
 /**
  * Sleep utility for retry delays
  * @param {number} ms - Milliseconds to sleep
@@ -25,122 +59,163 @@ const RETRY_DELAY_MS = 100; // Base delay, will use exponential backoff
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Build Nutrislice API URL for a specific date
+ * Resolve the school to query, falling back to the configured default
+ * @param {string} [schoolId] - Nutrislice school slug
+ * @returns {string} School slug
+ */
+function resolveSchoolId(schoolId) {
+    return schoolId || constants.NUTRISLICE.SCHOOL_ID;
+}
+
+/**
+ * Resolve the menu type to query, falling back to lunch
+ * @param {string} [menuType] - Nutrislice menu type slug, e.g. "breakfast"
+ * @returns {string} Menu type slug
+ */
+function resolveMenuType(menuType) {
+    return menuType || constants.NUTRISLICE.MEAL_TYPE;
+}
+
+/**
+ * Validate the Nutrislice configuration
+ *
+ * The district slug becomes part of every API host, so a typo would fail
+ * every menu request; this catches it at cold start instead.
+ *
+ * @param {Object} [config] - Nutrislice configuration (defaults to constants.NUTRISLICE)
+ * @param {Array<{id: string, name: string}>} [schools] - Setup schools (defaults to constants.SCHOOLS)
+ * @returns {Object} The validated configuration
+ * @throws {Error} Listing every invalid setting
+ */
+function validateConfig(config = constants.NUTRISLICE, schools = constants.SCHOOLS) {
+    const problems = [];
+
+    if (!SLUG_PATTERN.test(config.DISTRICT || '')) {
+        problems.push(`NUTRISLICE_DISTRICT "${config.DISTRICT}" is not a district slug like "d45"`);
+    }
+    if (!SLUG_PATTERN.test(config.SCHOOL_ID || '')) {
+        problems.push(`NUTRISLICE_SCHOOL_ID "${config.SCHOOL_ID}" is not a school slug`);
+    }
+    for (const school of schools || []) {
+        if (!SLUG_PATTERN.test(school.id || '')) {
+            problems.push(`NUTRISLICE_SCHOOLS entry "${school.id}" is not a school slug`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid Nutrislice configuration: ${problems.join('; ')}`);
+    }
+
+    return config;
+}
+
+/**
+ * Build Nutrislice API URL for a specific school, date and menu type
+ * @param {string} schoolId - Nutrislice school slug (default school if empty)
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type slug (lunch if empty)
  * @returns {string} Complete Nutrislice API URL
  * @throws {Error} If date is invalid
  */
-function buildNutrisliceURL(date) {
+function buildNutrisliceURL(schoolId, date, menuType) {
     // Validate date parameter
     if (!date || typeof date !== 'string' || date.trim() === '') {
         throw new Error('Invalid date parameter');
     }
 
-    const { SCHOOL_ID } = constants.NUTRISLICE;
     // Parse date to extract year, month, day for API path
     const [year, month, day] = date.split('-');
 
     // Use the JSON API endpoint discovered from the browser
-    return `https://d45.api.nutrislice.com/menu/api/weeks/school/${SCHOOL_ID}/menu-type/lunch/${year}/${month}/${day}/`;
+    return `${constants.NUTRISLICE.API_BASE_URL}/weeks/school/${resolveSchoolId(schoolId)}/menu-type/${resolveMenuType(menuType)}/${year}/${month}/${day}/`;
 }
 
 /**
- * Fetch menu for a specific date with caching and retry logic
+ * Get the Sunday that starts the Nutrislice week containing a date
+ *
+ * The weeks endpoint always returns Sunday-Saturday, so this is the
+ * identity of a week for caching and de-duplication.
+ *
  * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<Object>} Parsed menu data
- * @throws {Error} After retry attempts exhausted
+ * @returns {string} Sunday of that week in YYYY-MM-DD format
  */
-async function getMenuForDate(date) {
-    // Validate date parameter
-    if (!date || typeof date !== 'string' || date.trim() === '') {
-        throw new Error('Invalid date parameter');
+function getWeekStartDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    // Use UTC so the container's local timezone can't shift the day
+    const utcDate = new Date(Date.UTC(year, month - 1, day));
+    utcDate.setUTCDate(utcDate.getUTCDate() - utcDate.getUTCDay());
+    return utcDate.toISOString().split('T')[0];
+}
+
+/**
+ * Build the day-level menu object from a Nutrislice day entry
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [dayData] - Entry from the weeks endpoint `days` array
+ * @param {string} fetchedAt - ISO timestamp of the upstream fetch
+ * @returns {Object} Menu data in menuParser-compatible format
+ */
+function buildDayMenu(date, dayData, fetchedAt) {
+    if (!dayData || !dayData.menu_items || dayData.menu_items.length === 0) {
+        return {
+            date,
+            items: [],
+            message: 'No menu available for this date',
+            source: MENU_SOURCE.API,
+            fetchedAt
+        };
     }
 
-    const { SCHOOL_ID } = constants.NUTRISLICE;
-    const cacheKey = `menu:${SCHOOL_ID}:${date}`;
+    // Extract menu items - format for menuParser compatibility
+    const items = dayData.menu_items
+        .filter(item => item.food && item.food.name)
+        .map(item => ({
+            name: item.food.name,
+            description: item.food.description || '',
+            category: item.food.food_category || 'Other',
+            nutrients: {
+                calories: item.food.rounded_nutrition_info?.calories || 0,
+                protein: item.food.rounded_nutrition_info?.g_protein || 0
+            },
+            imageUrl: item.food.image_url || null,
+            ...extractDietaryInfo(item.food)
+        }));
 
-    // Check cache first
-    if (cache) {
-        const cachedData = await cache.get(cacheKey);
-        if (cachedData) {
-            return cachedData;
-        }
-    }
+    return {
+        date,
+        items,
+        source: MENU_SOURCE.API,
+        fetchedAt
+    };
+}
 
-    // Cache miss - fetch from API with retry logic
+/**
+ * Request a week from the JSON weeks endpoint, retrying network errors,
+ * timeouts and server errors with exponential backoff
+ *
+ * Each attempt's timeout is capped at the request's remaining budget, and
+ * no backoff is started that the budget won't outlast.
+ *
+ * @param {string} url - Weeks endpoint URL
+ * @returns {Promise<Object>} axios response (status 200 or 404)
+ * @throws {Error} A non-retryable error, or after retry attempts exhausted
+ */
+async function requestWeek(url) {
     let lastError;
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    let attempt;
+    for (attempt = 1; attempt <= MAX_RETRIES; attempt++) {
         try {
-            const url = buildNutrisliceURL(date);
-
             // Make HTTP request with required headers for API
-            const response = await axios.get(url, {
-                timeout: constants.NUTRISLICE.TIMEOUT_MS,
+            return await axios.get(url, {
+                timeout: boundedTimeout(constants.NUTRISLICE.TIMEOUT_MS),
                 headers: {
                     'accept': 'application/json, text/plain, */*',
-                    'x-nutrislice-origin': 'd45.nutrislice.com'
+                    'x-nutrislice-origin': constants.NUTRISLICE.ORIGIN
                 },
                 validateStatus: (status) => {
                     // Accept 200 and 404 as valid responses
                     return status === 200 || status === 404;
                 }
             });
-
-            // Handle 404 - no menu available
-            if (response.status === 404) {
-                return {
-                    date,
-                    items: [],
-                    message: 'No menu available for this date'
-                };
-            }
-
-            // Parse JSON response from API
-            const apiData = response.data;
-            let menuData;
-
-            // Find the day matching our requested date
-            const dayData = apiData.days?.find(day => day.date === date);
-
-            if (dayData && dayData.menu_items && dayData.menu_items.length > 0) {
-
-                // Extract menu items - format for menuParser compatibility
-                const items = dayData.menu_items
-                    .filter(item => item.food && item.food.name)
-                    .map(item => ({
-                        name: item.food.name,
-                        description: item.food.description || '',
-                        category: item.food.food_category || 'Other',
-                        nutrients: {
-                            calories: item.food.rounded_nutrition_info?.calories || 0,
-                            protein: item.food.rounded_nutrition_info?.g_protein || 0
-                        },
-                        imageUrl: item.food.image_url || null
-                    }));
-
-                menuData = {
-                    date,
-                    items,
-                    fetchedAt: new Date().toISOString()
-                };
-            } else {
-                // No menu items found for this date
-                menuData = {
-                    date,
-                    items: [],
-                    message: 'No menu available for this date',
-                    fetchedAt: new Date().toISOString()
-                };
-            }
-
-            // Cache successful response
-            if (cache) {
-                const ttl = 3600; // 1 hour (from requirements)
-                await cache.set(cacheKey, menuData, ttl);
-            }
-
-            return menuData;
-
         } catch (error) {
             lastError = error;
 
@@ -160,21 +235,248 @@ async function getMenuForDate(date) {
                 throw error;
             }
 
-            // Exponential backoff
+            // Exponential backoff, unless the request would run out of time
             const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+            if (delay >= remainingBudget()) {
+                break;
+            }
             await sleep(delay);
         }
     }
 
     // All retries exhausted
-    throw new Error(`Failed to fetch menu after ${MAX_RETRIES} attempts: ${lastError.message}`);
+    throw new Error(`Failed to fetch menu after ${attempt} attempts: ${lastError.message}`);
+}
+
+/**
+ * Fetch a week from the JSON weeks endpoint, with retry logic
+ *
+ * The circuit breaker sees the request with all its retries as one call,
+ * so a fetch counts at most one failure however many attempts it made.
+ *
+ * @param {string} school - Nutrislice school slug
+ * @param {string} type - Menu type slug
+ * @param {string} weekStart - Sunday of the week, YYYY-MM-DD format
+ * @returns {Promise<Object>} Week data (source "api")
+ * @throws {NutrisliceSchemaError} If the response no longer matches the expected schema
+ * @throws {CircuitOpenError} If Nutrislice has been failing
+ * @throws {Error} After retry attempts exhausted
+ */
+async function fetchWeekFromAPI(school, type, weekStart) {
+    const url = buildNutrisliceURL(school, weekStart, type);
+    const response = await nutrisliceCircuitBreaker.execute(() => requestWeek(url));
+
+    const fetchedAt = new Date().toISOString();
+
+    // Handle 404 - no menus published for this week (not cached)
+    if (response.status === 404) {
+        return {
+            schoolId: school,
+            menuType: type,
+            weekStart,
+            days: {},
+            source: MENU_SOURCE.API,
+            fetchedAt
+        };
+    }
+
+    // A drifted payload won't fix itself on retry
+    const validation = validateWeekResponse(response.data);
+    if (validation.status === WEEK_STATUS.DRIFT) {
+        throw new NutrisliceSchemaError(validation.path, validation.reason);
+    }
+
+    // Index every day in the response by date
+    const days = {};
+    for (const dayData of response.data.days) {
+        if (dayData && dayData.date) {
+            days[dayData.date] = buildDayMenu(dayData.date, dayData, fetchedAt);
+        }
+    }
+
+    const weekData = {
+        schoolId: school,
+        menuType: type,
+        weekStart,
+        days,
+        source: MENU_SOURCE.API,
+        fetchedAt
+    };
+
+    await cacheDays(weekData, MENU_CACHE_TTL);
+    return weekData;
+}
+
+/**
+ * Cache each day of a week for getMenuForDate()
+ * @param {Object} weekData - Week data from the API
+ * @param {number} ttl - Cache TTL in seconds
+ * @returns {Promise<void>}
+ */
+async function cacheDays(weekData, ttl) {
+    if (!cache) {
+        return;
+    }
+
+    const { schoolId, menuType, days } = weekData;
+    await Promise.all(Object.values(days).map(dayMenu =>
+        cache.set([schoolId, menuType, dayMenu.date], dayMenu, ttl)
+    ));
+}
+
+/**
+ * Choose how long to cache a fetched week
+ *
+ * Weeks without days (nothing published yet) aren't cached, so menus show
+ * up as soon as they're published.
+ *
+ * @param {Object} weekData - Week data from the API
+ * @returns {number} Cache TTL in seconds (0 = don't cache)
+ */
+function getWeekCacheTTL(weekData) {
+    if (Object.keys(weekData.days).length === 0) {
+        return 0;
+    }
+    return MENU_CACHE_TTL;
+}
+
+/**
+ * Get one day's menu from week data, carrying the week's stale flag
+ * @param {Object} weekData - Week data from getMenuForWeek()
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} Day menu data
+ */
+function getDayFromWeek(weekData, date) {
+    const dayMenu = weekData.days[date] || buildDayMenu(date, null, weekData.fetchedAt);
+    return weekData.stale ? { ...dayMenu, stale: true } : dayMenu;
+}
+
+/**
+ * Fetch the whole Nutrislice week containing a date, with caching and retry logic
+ *
+ * A single weeks-endpoint response covers every day of the week, so each
+ * day is also written to its own cache entry for getMenuForDate().
+ *
+ * A week past its TTL is served stale (`stale: true`) while it's refreshed
+ * in the background, or when the JSON API fails (see cacheService).
+ *
+ * @param {string} schoolId - Nutrislice school slug (default school if empty)
+ * @param {string} date - Any date in the week, YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type slug (lunch if empty)
+ * @returns {Promise<Object>} Week data: { schoolId, menuType, weekStart, days: { [date]: menuData }, source, fetchedAt, stale? }
+ * @throws {NutrisliceSchemaError|Error} If the JSON API fails and no stale week is cached
+ */
+async function getMenuForWeek(schoolId, date, menuType) {
+    // Validate date parameter
+    if (!date || typeof date !== 'string' || date.trim() === '') {
+        throw new Error('Invalid date parameter');
+    }
+
+    const school = resolveSchoolId(schoolId);
+    const type = resolveMenuType(menuType);
+    const weekStart = getWeekStartDate(date);
+    const weekCacheKey = [school, type, 'week', weekStart];
+
+    if (!cache) {
+        return fetchWeekFromAPI(school, type, weekStart);
+    }
+
+    return cache.getOrFetch(
+        weekCacheKey,
+        () => fetchWeekFromAPI(school, type, weekStart),
+        getWeekCacheTTL,
+        MENU_STALE_OPTIONS
+    );
+}
+
+/**
+ * Fetch menu for a specific date
+ *
+ * Served from the per-day cache when possible; otherwise the whole week
+ * is fetched (populating the cache for its other days too).
+ *
+ * @param {string} schoolId - Nutrislice school slug (default school if empty)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type slug (lunch if empty)
+ * @returns {Promise<Object>} Parsed menu data
+ * @throws {Error} After retry attempts exhausted
+ */
+async function getMenuForDate(schoolId, date, menuType) {
+    // Validate date parameter
+    if (!date || typeof date !== 'string' || date.trim() === '') {
+        throw new Error('Invalid date parameter');
+    }
+
+    const school = resolveSchoolId(schoolId);
+    const type = resolveMenuType(menuType);
+    // Check cache first
+    if (cache) {
+        const cachedData = await cache.get([school, type, date]);
+        if (cachedData) {
+            return cachedData;
+        }
+    }
+
+    const weekData = await getMenuForWeek(school, date, type);
+    return getDayFromWeek(weekData, date);
+}
+
+/**
+ * Fetch menus for several dates, fetching each distinct week only once
+ *
+ * Days already in the per-day cache are served from it; the remaining
+ * dates are grouped by week and those weeks are fetched in parallel.
+ * A failed week yields an Error in place of each of its days so callers
+ * can degrade per day.
+ *
+ * @param {string} schoolId - Nutrislice school slug (default school if empty)
+ * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+ * @param {string} [menuType] - Menu type slug (lunch if empty)
+ * @returns {Promise<Object<string, Object|Error>>} Menu data (or Error) keyed by date
+ */
+async function getMenusForDates(schoolId, dates, menuType) {
+    const school = resolveSchoolId(schoolId);
+    const type = resolveMenuType(menuType);
+    const results = {};
+    const missingByWeek = new Map();
+
+    for (const date of dates) {
+        const cachedData = cache ? await cache.get([school, type, date]) : null;
+        if (cachedData) {
+            results[date] = cachedData;
+            continue;
+        }
+
+        const weekStart = getWeekStartDate(date);
+        if (!missingByWeek.has(weekStart)) {
+            missingByWeek.set(weekStart, []);
+        }
+        missingByWeek.get(weekStart).push(date);
+    }
+
+    await Promise.all(Array.from(missingByWeek.entries()).map(async ([weekStart, weekDates]) => {
+        try {
+            const weekData = await getMenuForWeek(school, weekStart, type);
+            for (const date of weekDates) {
+                results[date] = getDayFromWeek(weekData, date);
+            }
+        } catch (error) {
+            for (const date of weekDates) {
+                results[date] = error;
+            }
+        }
+    }));
+
+    return results;
 }
 
 /**
  * Get menu for today
+ * @param {string} schoolId - Nutrislice school slug (default school if empty)
+ * @param {string} [menuType] - Menu type slug (lunch if empty)
  * @returns {Promise<Object>} Today's menu data
  */
-async function getMenuForToday() {
+async function getMenuForToday(schoolId, menuType) {
     let todayDate;
 
     if (dateUtils && dateUtils.getTodayInTimezone && dateUtils.formatDateForNutrislice) {
@@ -187,14 +489,16 @@ async function getMenuForToday() {
         todayDate = now.toISOString().split('T')[0];
     }
 
-    return getMenuForDate(todayDate);
+    return getMenuForDate(schoolId, todayDate, menuType);
 }
 
 /**
  * Get menu for tomorrow (next school day)
+ * @param {string} schoolId - Nutrislice school slug (default school if empty)
+ * @param {string} [menuType] - Menu type slug (lunch if empty)
  * @returns {Promise<Object>} Tomorrow's menu data
  */
-async function getMenuForTomorrow() {
+async function getMenuForTomorrow(schoolId, menuType) {
     // Use timezone-aware date to get correct "today" in school's timezone
     const today = dateUtils && dateUtils.getTodayInTimezone ?
         dateUtils.getTodayInTimezone() :
@@ -218,7 +522,7 @@ async function getMenuForTomorrow() {
         tomorrowDate = tomorrow.toISOString().split('T')[0];
     }
 
-    return getMenuForDate(tomorrowDate);
+    return getMenuForDate(schoolId, tomorrowDate, menuType);
 }
 
 /**
@@ -229,7 +533,7 @@ async function getMenuForTomorrow() {
  */
 function __withMocks(mocks) {
     return {
-        getMenuForDate: async (date) => {
+        getMenuForDate: async (schoolId, date, menuType) => {
             // Temporarily set mocks
             const originalCache = cache;
             const originalParser = parser;
@@ -240,7 +544,7 @@ function __withMocks(mocks) {
                 if (mocks.parser) parser = mocks.parser;
                 if (mocks.dateUtils) dateUtils = mocks.dateUtils;
 
-                return await getMenuForDate(date);
+                return await getMenuForDate(schoolId, date, menuType);
             } finally {
                 // Restore original dependencies
                 cache = originalCache;
@@ -249,7 +553,25 @@ function __withMocks(mocks) {
             }
         },
 
-        getMenuForToday: async () => {
+        getMenuForToday: async (schoolId, menuType) => {
+            const originalCache = cache;
+            const originalParser = parser;
+            const originalDateUtils = dateUtils;
+
+            try {
+                if (mocks.cache) cache = mocks.cache;
+                if (mocks.parser) parser = mocks.parser;
+                if (mocks.dateUtils) dateUtils = mocks.dateUtils;
+
+                return await getMenuForToday(schoolId, menuType);
+            } finally {
+                cache = originalCache;
+                parser = originalParser;
+                dateUtils = originalDateUtils;
+            }
+        },
+
+        getMenuForWeek: async (schoolId, date, menuType) => {
             const originalCache = cache;
             const originalParser = parser;
             const originalDateUtils = dateUtils;
@@ -259,7 +581,7 @@ function __withMocks(mocks) {
                 if (mocks.parser) parser = mocks.parser;
                 if (mocks.dateUtils) dateUtils = mocks.dateUtils;
 
-                return await getMenuForToday();
+                return await getMenuForWeek(schoolId, date, menuType);
             } finally {
                 cache = originalCache;
                 parser = originalParser;
@@ -267,7 +589,7 @@ function __withMocks(mocks) {
             }
         },
 
-        getMenuForTomorrow: async () => {
+        getMenuForTomorrow: async (schoolId, menuType) => {
             const originalCache = cache;
             const originalParser = parser;
             const originalDateUtils = dateUtils;
@@ -277,7 +599,7 @@ function __withMocks(mocks) {
                 if (mocks.parser) parser = mocks.parser;
                 if (mocks.dateUtils) dateUtils = mocks.dateUtils;
 
-                return await getMenuForTomorrow();
+                return await getMenuForTomorrow(schoolId, menuType);
             } finally {
                 cache = originalCache;
                 parser = originalParser;
@@ -292,6 +614,9 @@ function __withMocks(mocks) {
 /**
  * Set dependencies (for production use)
  * @param {Object} dependencies - Service dependencies
+ * @param {Object} [dependencies.cache] - Menu cache namespace, cacheService.namespace('menu')
+ * @param {Object} [dependencies.parser] - menuParser
+ * @param {Object} [dependencies.dateUtils] - dateUtils
  */
 function setDependencies(dependencies) {
     if (dependencies.cache) cache = dependencies.cache;
@@ -309,8 +634,12 @@ function __resetForTesting() {
 }
 
 module.exports = {
+    validateConfig,
     buildNutrisliceURL,
+    getWeekStartDate,
+    getMenuForWeek,
     getMenuForDate,
+    getMenusForDates,
     getMenuForToday,
     getMenuForTomorrow,
     setDependencies,
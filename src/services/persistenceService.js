@@ -0,0 +1,173 @@
+/**
+ * Persistence Service - ask-sdk persistence adapters
+ *
+ * Provides the PersistenceAdapter used by the skill builder:
+ * - DynamoDB (production) via ask-sdk-dynamodb-persistence-adapter
+ * - JSON file (local development with `sam local` or scripts)
+ * - In-memory (tests and default when nothing is configured)
+ *
+ * All adapters key attributes by Alexa user ID, matching the
+ * ask-sdk DynamoDB adapter's default partition key.
+ *
+ * @module services/persistenceService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Alexa = require('ask-sdk-core');
+const constants = require('../utils/constants');
+
+/**
+ * Persistence adapter that keeps attributes in a Map
+ * Data lives only as long as the container (or test) does.
+ */
+class InMemoryPersistenceAdapter {
+    constructor() {
+        /** @type {Map<string, Object>} */
+        this.store = new Map();
+    }
+
+    /**
+   * Retrieve attributes for the requesting user
+   *
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @returns {Promise<Object>} Stored attributes, or an empty object
+   */
+    async getAttributes(requestEnvelope) {
+        const stored = this.store.get(Alexa.getUserId(requestEnvelope));
+        // Hand out copies so callers can't mutate the store by reference
+        return stored ? JSON.parse(JSON.stringify(stored)) : {};
+    }
+
+    /**
+   * Save attributes for the requesting user
+   *
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @param {Object} attributes - Attributes to store
+   * @returns {Promise<void>}
+   */
+    async saveAttributes(requestEnvelope, attributes) {
+        this.store.set(Alexa.getUserId(requestEnvelope), JSON.parse(JSON.stringify(attributes)));
+    }
+
+    /**
+   * Delete attributes for the requesting user
+   *
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @returns {Promise<void>}
+   */
+    async deleteAttributes(requestEnvelope) {
+        this.store.delete(Alexa.getUserId(requestEnvelope));
+    }
+}
+
+/**
+ * Persistence adapter that stores all users' attributes in one JSON file
+ * Intended for local testing only - there is no locking between processes.
+ */
+class FilePersistenceAdapter {
+    /**
+   * @param {string} filePath - Path of the JSON file (created on first save)
+   */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    /**
+   * Read the whole file, treating a missing file as empty
+   *
+   * @private
+   * @returns {Promise<Object<string, Object>>} Attributes keyed by user ID
+   */
+    async _readAll() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+   * @private
+   * @param {Object<string, Object>} data - Attributes keyed by user ID
+   * @returns {Promise<void>}
+   */
+    async _writeAll(data) {
+        await fs.promises.writeFile(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+   * Retrieve attributes for the requesting user
+   *
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @returns {Promise<Object>} Stored attributes, or an empty object
+   */
+    async getAttributes(requestEnvelope) {
+        const data = await this._readAll();
+        return data[Alexa.getUserId(requestEnvelope)] || {};
+    }
+
+    /**
+   * Save attributes for the requesting user
+   *
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @param {Object} attributes - Attributes to store
+   * @returns {Promise<void>}
+   */
+    async saveAttributes(requestEnvelope, attributes) {
+        const data = await this._readAll();
+        data[Alexa.getUserId(requestEnvelope)] = attributes;
+        await this._writeAll(data);
+    }
+
+    /**
+   * Delete attributes for the requesting user
+   *
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @returns {Promise<void>}
+   */
+    async deleteAttributes(requestEnvelope) {
+        const data = await this._readAll();
+        delete data[Alexa.getUserId(requestEnvelope)];
+        await this._writeAll(data);
+    }
+}
+
+/**
+ * Create the persistence adapter selected by configuration
+ *
+ * @param {Object} [config] - Defaults to constants.PERSISTENCE
+ * @param {string} config.ADAPTER - 'dynamodb', 'file' or 'memory'
+ * @param {string} config.TABLE_NAME - DynamoDB table name
+ * @param {string} config.FILE_PATH - JSON file path for the file adapter
+ * @returns {Object} ask-sdk PersistenceAdapter
+ * @throws {Error} If the adapter type is unknown
+ */
+function createPersistenceAdapter(config = constants.PERSISTENCE) {
+    switch (config.ADAPTER) {
+    case 'dynamodb': {
+        // Loaded lazily so tests and local runs don't pay for aws-sdk
+        const { DynamoDbPersistenceAdapter } = require('ask-sdk-dynamodb-persistence-adapter');
+        return new DynamoDbPersistenceAdapter({
+            tableName: config.TABLE_NAME,
+            createTable: false
+        });
+    }
+    case 'file':
+        return new FilePersistenceAdapter(config.FILE_PATH);
+    case 'memory':
+        return new InMemoryPersistenceAdapter();
+    default:
+        throw new Error(`Unknown persistence adapter: ${config.ADAPTER}`);
+    }
+}
+
+module.exports = {
+    InMemoryPersistenceAdapter,
+    FilePersistenceAdapter,
+    createPersistenceAdapter
+};
@@ -0,0 +1,250 @@
+/**
+ * Profile Service - Household profile stored in persistent attributes
+ *
+ * The profile is loaded once per request by the profile request interceptor
+ * and kept in request attributes; handlers read and update it through this
+ * module, and the response interceptor persists it only if it changed.
+ *
+ * Profile shape:
+ * {
+ *   version: 1,
+ *   children: [{ name, schoolId, schoolName, allergies: [], likes: [], dislikes: [], rules: [] }],
+ *   preferences: { units: 'imperial' | 'metric', verbosity: 'brief' | 'normal' | 'detailed' },
+ *   createdAt, updatedAt
+ * }
+ *
+ * Child rules are described in utils/lunchRuleEngine.
+ *
+ * @module services/profileService
+ */
+
+const lunchRuleEngine = require('../utils/lunchRuleEngine');
+const constants = require('../utils/constants');
+
+const PROFILE_VERSION = 1;
+
+// Request attribute keys used to pass the profile between interceptors and handlers
+const PROFILE_ATTRIBUTE = 'profile';
+const PROFILE_DIRTY_ATTRIBUTE = 'profileDirty';
+const PROFILE_DELETED_ATTRIBUTE = 'profileDeleted';
+
+const UNITS = ['imperial', 'metric'];
+const VERBOSITY = ['brief', 'normal', 'detailed'];
+
+/**
+ * Build an empty household profile
+ * @returns {Object} Profile with no children and default preferences
+ */
+function createDefaultProfile() {
+    return {
+        version: PROFILE_VERSION,
+        children: [],
+        preferences: {
+            units: 'imperial',
+            verbosity: 'normal'
+        },
+        createdAt: null,
+        updatedAt: null
+    };
+}
+
+/**
+ * Keep only non-empty strings from a list
+ * @param {*} list - Candidate list
+ * @returns {Array<string>}
+ */
+function normalizeStringList(list) {
+    if (!Array.isArray(list)) {
+        return [];
+    }
+    return list.filter(value => typeof value === 'string' && value.trim() !== '');
+}
+
+/**
+ * Normalize a child entry, filling in missing fields
+ * @param {Object} child - Stored child entry
+ * @returns {Object|null} Normalized child, or null if it has no name
+ */
+function normalizeChild(child) {
+    if (!child || typeof child.name !== 'string' || child.name.trim() === '') {
+        return null;
+    }
+
+    return {
+        name: child.name.trim(),
+        schoolId: child.schoolId || null,
+        schoolName: child.schoolName || null,
+        allergies: normalizeStringList(child.allergies),
+        likes: normalizeStringList(child.likes),
+        dislikes: normalizeStringList(child.dislikes),
+        rules: lunchRuleEngine.normalizeRules(child.rules)
+    };
+}
+
+/**
+ * Normalize a stored profile into the current shape
+ *
+ * Tolerates missing or partial data so older or hand-edited records
+ * never break a request.
+ *
+ * @param {Object} [stored] - Profile from persistent attributes
+ * @returns {Object} Complete profile
+ */
+function normalizeProfile(stored) {
+    const profile = createDefaultProfile();
+
+    if (!stored || typeof stored !== 'object') {
+        return profile;
+    }
+
+    profile.children = (Array.isArray(stored.children) ? stored.children : [])
+        .map(normalizeChild)
+        .filter(Boolean);
+
+    const preferences = stored.preferences || {};
+    if (UNITS.includes(preferences.units)) {
+        profile.preferences.units = preferences.units;
+    }
+    if (VERBOSITY.includes(preferences.verbosity)) {
+        profile.preferences.verbosity = preferences.verbosity;
+    }
+
+    profile.createdAt = stored.createdAt || null;
+    profile.updatedAt = stored.updatedAt || null;
+
+    return profile;
+}
+
+/**
+ * Get the household profile for the current request
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {Object} Profile (default profile if none was loaded)
+ */
+function getProfile(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    return requestAttributes[PROFILE_ATTRIBUTE] || createDefaultProfile();
+}
+
+/**
+ * Replace the household profile; it is persisted by the response interceptor
+ * @param {Object} handlerInput - Alexa handler input
+ * @param {Object} profile - Updated profile
+ * @returns {Object} The normalized profile that will be saved
+ */
+function saveProfile(handlerInput, profile) {
+    const now = new Date().toISOString();
+    const normalized = normalizeProfile(profile);
+    normalized.createdAt = normalized.createdAt || now;
+    normalized.updatedAt = now;
+
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    requestAttributes[PROFILE_ATTRIBUTE] = normalized;
+    requestAttributes[PROFILE_DIRTY_ATTRIBUTE] = true;
+    requestAttributes[PROFILE_DELETED_ATTRIBUTE] = false;
+    handlerInput.attributesManager.setRequestAttributes(requestAttributes);
+
+    return normalized;
+}
+
+/**
+ * Forget the household profile; it is deleted by the response interceptor
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {void}
+ */
+function clearProfile(handlerInput) {
+    const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+    requestAttributes[PROFILE_ATTRIBUTE] = createDefaultProfile();
+    requestAttributes[PROFILE_DIRTY_ATTRIBUTE] = false;
+    requestAttributes[PROFILE_DELETED_ATTRIBUTE] = true;
+    handlerInput.attributesManager.setRequestAttributes(requestAttributes);
+}
+
+/**
+ * Check whether the household has been set up
+ * @param {Object} profile - Household profile
+ * @returns {boolean} True if at least one child is configured
+ */
+function hasChildren(profile) {
+    return Boolean(profile && profile.children && profile.children.length > 0);
+}
+
+/**
+ * Find a child by name (case-insensitive)
+ * @param {Object} profile - Household profile
+ * @param {string} name - Child's name
+ * @returns {Object|null} Child entry
+ */
+function findChild(profile, name) {
+    if (!profile || !name) {
+        return null;
+    }
+    const target = name.trim().toLowerCase();
+    return profile.children.find(child => child.name.toLowerCase() === target) || null;
+}
+
+/**
+ * Look up the display name of a known school
+ * @param {string} schoolId - Nutrislice school slug
+ * @returns {string} Display name, or the slug if the school isn't known
+ */
+function getSchoolName(schoolId) {
+    const school = constants.SCHOOLS.find(entry => entry.id === schoolId);
+    return school ? school.name : schoolId;
+}
+
+/**
+ * Group the household's children by the school they attend
+ *
+ * Children without a school, and households with no children, fall back
+ * to the configured default school so there is always one entry.
+ *
+ * @param {Object} profile - Household profile
+ * @returns {Array<{schoolId: string, schoolName: string, children: Array<Object>}>}
+ *   One entry per school, in the order children were added
+ */
+function getHouseholdSchools(profile) {
+    const defaultSchoolId = constants.NUTRISLICE.SCHOOL_ID;
+    const schools = new Map();
+
+    for (const child of (profile && profile.children) || []) {
+        const schoolId = child.schoolId || defaultSchoolId;
+        if (!schools.has(schoolId)) {
+            schools.set(schoolId, {
+                schoolId,
+                schoolName: (child.schoolId && child.schoolName) || getSchoolName(schoolId),
+                children: []
+            });
+        }
+        schools.get(schoolId).children.push(child);
+    }
+
+    if (schools.size === 0) {
+        return [{ schoolId: defaultSchoolId, schoolName: getSchoolName(defaultSchoolId), children: [] }];
+    }
+
+    return Array.from(schools.values());
+}
+
+/**
+ * Get the school used for single-school questions (week view, search, allergens)
+ * @param {Object} profile - Household profile
+ * @returns {string} School slug of the first child, or the default school
+ */
+function getPrimarySchoolId(profile) {
+    return getHouseholdSchools(profile)[0].schoolId;
+}
+
+module.exports = {
+    PROFILE_ATTRIBUTE,
+    PROFILE_DIRTY_ATTRIBUTE,
+    PROFILE_DELETED_ATTRIBUTE,
+    createDefaultProfile,
+    normalizeProfile,
+    getProfile,
+    saveProfile,
+    clearProfile,
+    hasChildren,
+    findChild,
+    getHouseholdSchools,
+    getPrimarySchoolId
+};
@@ -0,0 +1,82 @@
+/**
+ * School Directory Service - Nutrislice district school list
+ *
+ * Looks up the schools in the configured Nutrislice district so a spoken
+ * school name can be turned into the slug the menu API needs, without
+ * digging the slug out of a browser URL. School list cached for 24 hours.
+ * Spoken names are matched by menuService.findSchool().
+ */
+
+const axios = require('axios');
+const cacheService = require('./cacheService');
+const constants = require('../utils/constants');
+const { boundedTimeout } = require('../utils/deadline');
+
+const menuCache = cacheService.namespace('menu');
+
+/**
+ * Normalize one school from the schools endpoint
+ * @param {Object} school - Raw school, e.g. { name, slug, active_menu_types: [{ slug: 'lunch' }] }
+ * @returns {{id: string, name: string, menuTypes: Array<string>}|null} Null if it has no slug or name
+ */
+function normalizeSchool(school) {
+    if (!school || !school.slug || !school.name) {
+        return null;
+    }
+
+    const menuTypes = (school.active_menu_types || school.menu_types || [])
+        .map(menuType => menuType && menuType.slug)
+        .filter(Boolean);
+
+    return {
+        id: school.slug,
+        name: school.name.trim(),
+        menuTypes: Array.from(new Set(menuTypes))
+    };
+}
+
+/**
+ * Get every school in the configured district (cached 24 hours)
+ * @returns {Promise<Array<{id: string, name: string, menuTypes: Array<string>}>>} Schools sorted by name
+ * @throws {Error} If the directory cannot be fetched or is malformed
+ */
+async function getSchools() {
+    const cacheKey = ['schools', constants.NUTRISLICE.DISTRICT];
+    const cached = await menuCache.get(cacheKey);
+
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await axios.get(`${constants.NUTRISLICE.API_BASE_URL}/schools/`, {
+            timeout: boundedTimeout(constants.NUTRISLICE.TIMEOUT_MS),
+            headers: {
+                'accept': 'application/json, text/plain, */*',
+                'x-nutrislice-origin': constants.NUTRISLICE.ORIGIN
+            }
+        });
+
+        if (!Array.isArray(response.data)) {
+            throw new Error('Invalid school directory response structure');
+        }
+
+        const schools = response.data
+            .map(normalizeSchool)
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        await menuCache.set(cacheKey, schools, constants.CACHE_TTL.SCHOOL_DIRECTORY);
+
+        return schools;
+    } catch (error) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            throw new Error('School directory request timeout');
+        }
+        throw new Error(`Failed to fetch school directory: ${error.message}`);
+    }
+}
+
+module.exports = {
+    getSchools
+};
@@ -3,7 +3,13 @@
  *
  * Provides morning weather forecasts with caching:
  * - Grid info cached for 30 days
- * - Hourly forecasts cached for 10 minutes
+ * - Hourly and daily forecasts cached for 10 minutes
+ * - Active alerts for the location cached for 5 minutes; today's and
+ *   tomorrow's weather carry the relevant ones (see weatherAlerts)
+ * - Forecasts past their TTL are served stale (flagged `stale`) while
+ *   refreshing, or when weather.gov is down (see cacheService)
+ * - Requests go through the weather.gov circuit breaker, failing fast while
+ *   weather.gov is down
  * - Filters for morning hours (7-9 AM)
  * - Graceful fallback on errors
  */
@@ -11,6 +17,18 @@
 const axios = require('axios');
 const cacheService = require('./cacheService');
 const constants = require('../utils/constants');
+const { weatherCircuitBreaker } = require('../utils/circuitBreaker');
+const { boundedTimeout } = require('../utils/deadline');
+const weatherAlerts = require('../utils/weatherAlerts');
+
+const gridCache = cacheService.namespace('grid');
+const weatherCache = cacheService.namespace('weather');
+
+// How long past its TTL cached weather may still be served
+const WEATHER_STALE_OPTIONS = {
+    staleWhileRevalidate: constants.CACHE_STALE.WEATHER.STALE_WHILE_REVALIDATE,
+    staleIfError: constants.CACHE_STALE.WEATHER.STALE_IF_ERROR
+};
 
 /**
  * Get grid coordinates for lat/lon (cached 30 days)
@@ -24,24 +42,28 @@ async function getGridInfo(lat, lon) {
         throw new Error('Invalid coordinates');
     }
 
-    // Check cache first
-    const cacheKey = _generateGridCacheKey(lat, lon);
-    const cached = cacheService.get(cacheKey);
-
-    if (cached) {
-        return cached;
-    }
+    return gridCache.getOrFetch(
+        _generateGridCacheKey(lat, lon),
+        () => _fetchGridInfo(lat, lon),
+        gridCache.ttl,
+        WEATHER_STALE_OPTIONS
+    );
+}
 
-    // Fetch from Weather.gov
+/**
+ * Fetch grid coordinates from Weather.gov
+ * @private
+ */
+async function _fetchGridInfo(lat, lon) {
     try {
         const url = `${constants.WEATHER.BASE_URL}/points/${lat},${lon}`;
-        const response = await axios.get(url, {
-            timeout: constants.WEATHER.TIMEOUT_MS,
+        const response = await weatherCircuitBreaker.execute(() => axios.get(url, {
+            timeout: boundedTimeout(constants.WEATHER.TIMEOUT_MS),
             headers: {
                 'User-Agent': 'AlexaLunchDad/1.0',
                 'Accept': 'application/json'
             }
-        });
+        }));
 
         // Validate response structure
         if (!response.data || !response.data.properties) {
@@ -54,12 +76,7 @@ async function getGridInfo(lat, lon) {
             throw new Error('Missing required grid properties');
         }
 
-        const gridInfo = { gridId, gridX, gridY };
-
-        // Cache for 30 days
-        cacheService.set(cacheKey, gridInfo, constants.CACHE_TTL.GRID_INFO);
-
-        return gridInfo;
+        return { gridId, gridX, gridY };
     } catch (error) {
         if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
             throw new Error('Grid info request timeout');
@@ -73,35 +90,36 @@ async function getGridInfo(lat, lon) {
  * @param {string} gridId - Grid ID (e.g., "LWX")
  * @param {number} gridX - Grid X coordinate
  * @param {number} gridY - Grid Y coordinate
- * @returns {Promise<Object>} Hourly forecast data
+ * @returns {Promise<Object>} Hourly forecast data (`stale` and `cachedAt` when served stale)
  */
 async function getHourlyForecast(gridId, gridX, gridY) {
-    // Check cache first
-    const cacheKey = _generateForecastCacheKey(gridId, gridX, gridY);
-    const cached = cacheService.get(cacheKey);
-
-    if (cached) {
-        return cached;
-    }
+    return weatherCache.getOrFetch(
+        _generateForecastCacheKey(gridId, gridX, gridY),
+        () => _fetchHourlyForecast(gridId, gridX, gridY),
+        weatherCache.ttl,
+        WEATHER_STALE_OPTIONS
+    );
+}
 
-    // Fetch from Weather.gov
+/**
+ * Fetch hourly forecast from Weather.gov
+ * @private
+ */
+async function _fetchHourlyForecast(gridId, gridX, gridY) {
     try {
         const url = `${constants.WEATHER.BASE_URL}/gridpoints/${gridId}/${gridX},${gridY}/forecast/hourly`;
-        const response = await axios.get(url, {
-            timeout: constants.WEATHER.TIMEOUT_MS,
+        const response = await weatherCircuitBreaker.execute(() => axios.get(url, {
+            timeout: boundedTimeout(constants.WEATHER.TIMEOUT_MS),
             headers: {
                 'User-Agent': 'AlexaLunchDad/1.0',
                 'Accept': 'application/json'
             }
-        });
+        }));
 
         if (!response.data) {
             throw new Error('Invalid forecast response');
         }
 
-        // Cache for 10 minutes
-        cacheService.set(cacheKey, response.data, constants.CACHE_TTL.WEATHER);
-
         return response.data;
     } catch (error) {
         if (error.response && error.response.status === 404) {
@@ -142,22 +160,35 @@ function filterMorningHours(forecast) {
 }
 
 /**
- * Get daily forecast
+ * Get daily forecast (cached 10 minutes)
  * @param {string} gridId - Grid ID
  * @param {number} gridX - Grid X coordinate
  * @param {number} gridY - Grid Y coordinate
- * @returns {Promise<Object>} Daily forecast data
+ * @returns {Promise<Object>} Daily forecast data (`stale` and `cachedAt` when served stale)
  */
 async function getDailyForecast(gridId, gridX, gridY) {
+    return weatherCache.getOrFetch(
+        _generateDailyForecastCacheKey(gridId, gridX, gridY),
+        () => _fetchDailyForecast(gridId, gridX, gridY),
+        weatherCache.ttl,
+        WEATHER_STALE_OPTIONS
+    );
+}
+
+/**
+ * Fetch daily forecast from Weather.gov
+ * @private
+ */
+async function _fetchDailyForecast(gridId, gridX, gridY) {
     try {
         const url = `${constants.WEATHER.BASE_URL}/gridpoints/${gridId}/${gridX},${gridY}/forecast`;
-        const response = await axios.get(url, {
-            timeout: constants.WEATHER.TIMEOUT_MS,
+        const response = await weatherCircuitBreaker.execute(() => axios.get(url, {
+            timeout: boundedTimeout(constants.WEATHER.TIMEOUT_MS),
             headers: {
                 'User-Agent': 'AlexaLunchDad/1.0',
                 'Accept': 'application/json'
             }
-        });
+        }));
 
         if (!response.data || !response.data.properties || !response.data.properties.periods) {
             throw new Error('Invalid daily forecast response');
@@ -169,15 +200,61 @@ async function getDailyForecast(gridId, gridX, gridY) {
     }
 }
 
+/**
+ * Get the relevant active alerts for a location (cached 5 minutes)
+ *
+ * Not served stale: an alert that has since been lifted shouldn't be
+ * spoken, so callers treat a failure as no alerts.
+ *
+ * @param {string} lat - Latitude
+ * @param {string} lon - Longitude
+ * @returns {Promise<Array<Object>>} Relevant alerts, most severe first (see weatherAlerts)
+ */
+async function getActiveAlerts(lat, lon) {
+    if (!lat || !lon) {
+        throw new Error('Invalid coordinates');
+    }
+
+    return weatherCache.getOrFetch(
+        _generateAlertsCacheKey(lat, lon),
+        () => _fetchActiveAlerts(lat, lon),
+        constants.CACHE_TTL.WEATHER_ALERTS
+    );
+}
+
+/**
+ * Fetch active alerts from Weather.gov
+ * @private
+ */
+async function _fetchActiveAlerts(lat, lon) {
+    try {
+        const url = `${constants.WEATHER.BASE_URL}/alerts/active?point=${lat},${lon}`;
+        const response = await weatherCircuitBreaker.execute(() => axios.get(url, {
+            timeout: boundedTimeout(constants.WEATHER.TIMEOUT_MS),
+            headers: {
+                'User-Agent': 'AlexaLunchDad/1.0',
+                'Accept': 'application/geo+json'
+            }
+        }));
+
+        return weatherAlerts.extractRelevantAlerts(response.data);
+    } catch (error) {
+        throw new Error(`Failed to fetch active alerts: ${error.message}`);
+    }
+}
+
 /**
  * Get comprehensive weather (current + forecast for the day)
- * @returns {Promise<Object>} Complete weather data
+ * @returns {Promise<Object>} Complete weather data, with `alerts` in effect today
  */
 async function getTodayWeather() {
     try {
         const lat = constants.WEATHER.LAT;
         const lon = constants.WEATHER.LON;
 
+        // Alerts don't need the grid, and are optional
+        const alertsRequest = getActiveAlerts(lat, lon).catch(() => []);
+
         // Step 1: Get grid info (with retry on timeout)
         let gridInfo;
         try {
@@ -199,6 +276,7 @@ async function getTodayWeather() {
 
         // Step 3: Get current conditions (first hourly period)
         const currentConditions = hourlyForecast.properties.periods[0];
+        const staleForecast = [hourlyForecast, dailyForecast].find(forecast => forecast.stale);
 
         // Step 4: Get today's daily forecast (find "Today" period, not "Tonight")
         const dailyPeriods = dailyForecast.properties.periods;
@@ -211,6 +289,12 @@ async function getTodayWeather() {
             .replace(/"/g, '')  // Remove double quotes
             .replace(/'/g, ''); // Remove single quotes
 
+        // Alerts in effect from now until the end of today's forecast period
+        const alerts = weatherAlerts.alertsDuring(await alertsRequest, {
+            startTime: new Date(Date.now()).toISOString(),
+            endTime: todayForecast.endTime
+        });
+
         return {
             current: {
                 temperature: currentConditions.temperature,
@@ -224,6 +308,9 @@ async function getTodayWeather() {
                 detailedForecast: cleanForecast,
                 shortForecast: todayForecast.shortForecast
             },
+            alerts,
+            stale: Boolean(staleForecast),
+            cachedAt: staleForecast ? staleForecast.cachedAt : null,
             isFallback: false
         };
     } catch (error) {
@@ -233,13 +320,16 @@ async function getTodayWeather() {
 
 /**
  * Get tomorrow's weather forecast
- * @returns {Promise<Object>} Tomorrow's weather forecast
+ * @returns {Promise<Object>} Tomorrow's weather forecast, with `alerts` in effect during it
  */
 async function getTomorrowWeather() {
     try {
         const lat = constants.WEATHER.LAT;
         const lon = constants.WEATHER.LON;
 
+        // Alerts don't need the grid, and are optional
+        const alertsRequest = getActiveAlerts(lat, lon).catch(() => []);
+
         // Step 1: Get grid info (with retry on timeout)
         let gridInfo;
         try {
@@ -279,6 +369,9 @@ async function getTomorrowWeather() {
                 detailedForecast: cleanForecast,
                 shortForecast: tomorrowForecast.shortForecast
             },
+            alerts: weatherAlerts.alertsDuring(await alertsRequest, tomorrowForecast),
+            stale: Boolean(dailyForecast.stale),
+            cachedAt: dailyForecast.stale ? dailyForecast.cachedAt : null,
             isFallback: false
         };
     } catch (error) {
@@ -357,19 +450,35 @@ function formatWeatherForAPL(weatherData) {
 }
 
 /**
- * Generate cache key for grid info
+ * Generate cache key parts for grid info (grid namespace)
  * @private
  */
 function _generateGridCacheKey(lat, lon) {
-    return `weather:grid:${lat}:${lon}`;
+    return [lat, lon];
 }
 
 /**
- * Generate cache key for hourly forecast
+ * Generate cache key parts for hourly forecast (weather namespace)
  * @private
  */
 function _generateForecastCacheKey(gridId, gridX, gridY) {
-    return `weather:hourly:${gridId}:${gridX}:${gridY}`;
+    return ['hourly', gridId, gridX, gridY];
+}
+
+/**
+ * Generate cache key parts for daily forecast (weather namespace)
+ * @private
+ */
+function _generateDailyForecastCacheKey(gridId, gridX, gridY) {
+    return ['daily', gridId, gridX, gridY];
+}
+
+/**
+ * Generate cache key parts for active alerts (weather namespace)
+ * @private
+ */
+function _generateAlertsCacheKey(lat, lon) {
+    return ['alerts', lat, lon];
 }
 
 /**
@@ -392,6 +501,7 @@ module.exports = {
     getGridInfo,
     getHourlyForecast,
     getDailyForecast,
+    getActiveAlerts,
     filterMorningHours,
     getTodayWeather,
     getTomorrowWeather,
@@ -399,5 +509,7 @@ module.exports = {
     formatWeatherForAPL,
     // Export for testing
     _generateGridCacheKey,
-    _generateForecastCacheKey
+    _generateForecastCacheKey,
+    _generateDailyForecastCacheKey,
+    _generateAlertsCacheKey
 };
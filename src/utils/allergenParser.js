@@ -0,0 +1,244 @@
+/**
+ * Allergen Parser - Normalize Nutrislice allergen and dietary flags
+ *
+ * Nutrislice publishes allergens and dietary attributes as icons on each
+ * food object (`food.icons.food_icons[]`), labelled per district
+ * ("Contains Peanuts", "Peanut", "Gluten Free", "Vegetarian", ...).
+ * This module maps those labels onto a fixed vocabulary so handlers and
+ * APL don't need to know any district's wording.
+ */
+
+/**
+ * Canonical allergen ids with spoken labels
+ * Covers the FDA major food allergens plus gluten, which many districts flag.
+ */
+const ALLERGENS = {
+    peanut: 'peanuts',
+    tree_nut: 'tree nuts',
+    milk: 'milk',
+    egg: 'eggs',
+    fish: 'fish',
+    shellfish: 'shellfish',
+    wheat: 'wheat',
+    gluten: 'gluten',
+    soy: 'soy',
+    sesame: 'sesame'
+};
+
+/**
+ * Canonical dietary tag ids with display labels
+ */
+const DIETARY_TAGS = {
+    vegetarian: 'Vegetarian',
+    vegan: 'Vegan',
+    gluten_free: 'Gluten Free',
+    dairy_free: 'Dairy Free',
+    peanut_free: 'Peanut Free',
+    tree_nut_free: 'Tree Nut Free',
+    halal: 'Halal',
+    kosher: 'Kosher',
+    whole_grain: 'Whole Grain',
+    contains_pork: 'Contains Pork'
+};
+
+// Order matters: peanut must be tested before the generic nut pattern
+const ALLERGEN_PATTERNS = [
+    ['peanut', /peanut/],
+    ['tree_nut', /tree ?nut|almond|cashew|walnut|pecan|hazelnut|pistachio|\bnuts?\b/],
+    ['milk', /milk|dairy|lactose/],
+    ['egg', /\beggs?\b/],
+    ['shellfish', /shellfish|crustacean|shrimp|crab|lobster/],
+    ['fish', /\bfish\b/],
+    ['wheat', /wheat/],
+    ['gluten', /gluten/],
+    ['soy', /\bsoy/],
+    ['sesame', /sesame/]
+];
+
+// "Free of" labels become dietary tags, never allergens. Order matters:
+// "peanut free" says nothing about tree nuts, so only a plain "nut free"
+// rules out both.
+const FREE_OF_PATTERNS = [
+    [['gluten_free'], /gluten[- ]?free|no gluten/],
+    [['dairy_free'], /(dairy|milk|lactose)[- ]?free|no dairy/],
+    [['tree_nut_free'], /tree ?nuts? ?free|no tree ?nuts/],
+    [['peanut_free'], /peanuts? ?free|no peanuts?/],
+    [['peanut_free', 'tree_nut_free'], /\bnuts? ?free|no nuts/]
+];
+
+// Dietary tags that mean allergen information was published
+const FREE_OF_TAG_IDS = ['gluten_free', 'dairy_free', 'peanut_free', 'tree_nut_free'];
+
+const DIETARY_PATTERNS = [
+    ['vegan', /\bvegan\b/],
+    ['vegetarian', /vegetarian|\bveggie\b/],
+    ['halal', /halal/],
+    ['kosher', /kosher/],
+    ['whole_grain', /whole grain/],
+    ['contains_pork', /\bpork\b/]
+];
+
+const FREE_OF_PATTERN = /[- ]?free\b|^no |without/;
+
+const MAY_CONTAIN_PATTERN = /may contain|facility|cross[- ]?contact|traces? of/;
+
+/**
+ * Collect the raw allergen/dietary labels from a Nutrislice food object
+ * @param {Object} food - Nutrislice `food` object
+ * @returns {Array<string>} Lowercased labels
+ */
+function collectLabels(food) {
+    const labels = [];
+
+    const icons = food?.icons?.food_icons;
+    if (Array.isArray(icons)) {
+        for (const icon of icons) {
+            if (!icon || icon.enabled === false) continue;
+            const label = icon.synced_name || icon.name || icon.slug;
+            if (label) labels.push(String(label));
+        }
+    }
+
+    // Some districts also publish a plain allergens list
+    if (Array.isArray(food?.allergens)) {
+        for (const allergen of food.allergens) {
+            const label = typeof allergen === 'string' ? allergen : allergen?.name;
+            if (label) labels.push(String(label));
+        }
+    }
+
+    return labels.map(label => label.toLowerCase().replace(/[_-]/g, ' ').trim());
+}
+
+/**
+ * Extract normalized allergen and dietary information from a Nutrislice food
+ *
+ * `allergenInfoAvailable` is true only when the food carries at least one
+ * allergen or "free of" flag. An empty `allergens` list without it means
+ * "unknown", not "allergen-free".
+ *
+ * @param {Object} food - Nutrislice `food` object
+ * @returns {{allergens: Array<string>, mayContain: Array<string>, dietaryTags: Array<string>, allergenInfoAvailable: boolean}}
+ *
+ * @example
+ * extractDietaryInfo({ icons: { food_icons: [{ synced_name: 'Contains Milk' }, { synced_name: 'Vegetarian' }] } })
+ * // { allergens: ['milk'], mayContain: [], dietaryTags: ['vegetarian'], allergenInfoAvailable: true }
+ */
+function extractDietaryInfo(food) {
+    const allergens = new Set();
+    const mayContain = new Set();
+    const dietaryTags = new Set();
+
+    for (const label of collectLabels(food)) {
+        // "Egg Free" must never be read as "egg"
+        if (FREE_OF_PATTERN.test(label)) {
+            const freeOf = FREE_OF_PATTERNS.find(([, pattern]) => pattern.test(label));
+            if (freeOf) {
+                freeOf[0].forEach(tag => dietaryTags.add(tag));
+            }
+            continue;
+        }
+
+        const dietary = DIETARY_PATTERNS.find(([, pattern]) => pattern.test(label));
+        if (dietary) {
+            dietaryTags.add(dietary[0]);
+            continue;
+        }
+
+        const allergen = ALLERGEN_PATTERNS.find(([, pattern]) => pattern.test(label));
+        if (allergen) {
+            if (MAY_CONTAIN_PATTERN.test(label)) {
+                mayContain.add(allergen[0]);
+            } else {
+                allergens.add(allergen[0]);
+            }
+        }
+    }
+
+    // "Contains" wins over "may contain" for the same allergen
+    for (const allergen of allergens) {
+        mayContain.delete(allergen);
+    }
+
+    const hasFreeOfFlag = FREE_OF_TAG_IDS.some(tag => dietaryTags.has(tag));
+
+    return {
+        allergens: Array.from(allergens),
+        mayContain: Array.from(mayContain),
+        dietaryTags: Array.from(dietaryTags),
+        allergenInfoAvailable: allergens.size > 0 || mayContain.size > 0 || hasFreeOfFlag
+    };
+}
+
+/**
+ * Map a spoken or written allergen name onto a canonical allergen id
+ * @param {string} text - e.g. "peanut", "tree nuts", "dairy"
+ * @returns {string|null} Allergen id, or null if unrecognized
+ */
+function normalizeAllergen(text) {
+    if (!text) {
+        return null;
+    }
+
+    const label = String(text).toLowerCase().replace(/[_-]/g, ' ').trim();
+    if (ALLERGENS[label.replace(/ /g, '_')]) {
+        return label.replace(/ /g, '_');
+    }
+
+    const match = ALLERGEN_PATTERNS.find(([, pattern]) => pattern.test(label));
+    return match ? match[0] : null;
+}
+
+// Dietary tags that rule an allergen out
+const FREE_OF_TAGS = {
+    gluten: 'gluten_free',
+    wheat: 'gluten_free',
+    milk: 'dairy_free',
+    peanut: 'peanut_free',
+    tree_nut: 'tree_nut_free'
+};
+
+/**
+ * Classify a menu item against one allergen
+ *
+ * Wheat implies gluten. Items without published allergen info, or
+ * with only "free of" flags for other allergens, are 'unknown' rather
+ * than 'free'.
+ *
+ * @param {Object} item - Menu item with normalized allergen fields
+ * @param {string} allergenId - Canonical allergen id
+ * @returns {'contains'|'may_contain'|'free'|'unknown'} Status of the item
+ */
+function getAllergenStatus(item, allergenId) {
+    const allergens = item?.allergens || [];
+    const mayContain = item?.mayContain || [];
+    const dietaryTags = item?.dietaryTags || [];
+
+    const related = allergenId === 'gluten' ? ['gluten', 'wheat'] : [allergenId];
+
+    if (related.some(id => allergens.includes(id))) {
+        return 'contains';
+    }
+    if (related.some(id => mayContain.includes(id))) {
+        return 'may_contain';
+    }
+    if (FREE_OF_TAGS[allergenId] && dietaryTags.includes(FREE_OF_TAGS[allergenId])) {
+        return 'free';
+    }
+    if (!item?.allergenInfoAvailable) {
+        return 'unknown';
+    }
+    // "Free of" flags alone say nothing about the allergens they don't name
+    if (allergens.length === 0 && mayContain.length === 0) {
+        return 'unknown';
+    }
+    return 'free';
+}
+
+module.exports = {
+    ALLERGENS,
+    DIETARY_TAGS,
+    extractDietaryInfo,
+    normalizeAllergen,
+    getAllergenStatus
+};
@@ -0,0 +1,192 @@
+/**
+ * Circuit Breaker - Fail fast while an upstream API is down
+ *
+ * Each upstream (Nutrislice, weather.gov) has one breaker shared by every
+ * request the container serves:
+ * - closed: requests go through; consecutive failures are counted
+ * - open: after FAILURE_THRESHOLD consecutive failures, requests are
+ *   rejected at once with a CircuitOpenError for RESET_TIMEOUT_MS, so a
+ *   dead upstream costs no time against Alexa's response budget
+ * - half-open: once the cooldown passes, one trial request goes through;
+ *   success closes the circuit, failure opens it for another cooldown
+ *
+ * Only upstream failures count: network errors, timeouts and 5xx
+ * responses. A 4xx response means the upstream is up.
+ */
+
+const constants = require('./constants');
+
+const STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Raised instead of calling an upstream whose circuit is open
+ */
+class CircuitOpenError extends Error {
+    /**
+   * @param {string} circuit - Breaker name, e.g. "nutrislice"
+   * @param {number} retryAt - When a trial request will be let through (ms since epoch)
+   */
+    constructor(circuit, retryAt) {
+        super(`${circuit} circuit is open`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.circuit = circuit;
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Decide whether an error means the upstream is unhealthy
+ * @param {Error} error - Error from the wrapped call (axios errors carry `response`)
+ * @returns {boolean} False for responses below 500
+ */
+function isUpstreamFailure(error) {
+    return !(error && error.response && error.response.status < 500);
+}
+
+class CircuitBreaker {
+    /**
+   * @param {Object} options
+   * @param {string} options.name - Upstream name, used in errors and logs
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open
+   * @param {function(Error): boolean} [options.isFailure] - Which errors count as failures
+   */
+    constructor({ name, failureThreshold, resetTimeoutMs, isFailure = isUpstreamFailure }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.isFailure = isFailure;
+        this.reset();
+    }
+
+    /**
+   * Current state, reporting an open circuit past its cooldown as half-open
+   * @type {string}
+   */
+    get state() {
+        if (this._state === STATE.OPEN && Date.now() >= this.openUntil) {
+            return STATE.HALF_OPEN;
+        }
+        return this._state;
+    }
+
+    /**
+   * Run a call through the breaker
+   *
+   * @param {function(): Promise<*>} fn - The upstream call
+   * @returns {Promise<*>} The call's result
+   * @throws {CircuitOpenError} If the circuit is open, or half-open with a trial already running
+   * @throws {Error} The call's own error
+   */
+    async execute(fn) {
+        const state = this.state;
+        if (state === STATE.OPEN || (state === STATE.HALF_OPEN && this.trialInFlight)) {
+            this.rejected++;
+            throw new CircuitOpenError(this.name, this.openUntil);
+        }
+
+        const trial = state === STATE.HALF_OPEN;
+        if (trial) {
+            this._state = STATE.HALF_OPEN;
+            this.trialInFlight = true;
+        }
+
+        try {
+            const result = await fn();
+            this._recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this._recordFailure(trial);
+            } else {
+                this._recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    /**
+   * @private
+   * @returns {void}
+   */
+    _recordSuccess() {
+        this._state = STATE.CLOSED;
+        this.failures = 0;
+    }
+
+    /**
+   * @private
+   * @param {boolean} trial - Whether the failed call was the half-open trial
+   * @returns {void}
+   */
+    _recordFailure(trial) {
+        this.failures++;
+        if (!trial && this.failures < this.failureThreshold) {
+            return;
+        }
+
+        this._state = STATE.OPEN;
+        this.openUntil = Date.now() + this.resetTimeoutMs;
+        this.opens++;
+    }
+
+    /**
+   * Close the circuit and reset statistics
+   *
+   * @returns {void}
+   */
+    reset() {
+        this._state = STATE.CLOSED;
+        this.failures = 0;
+        this.openUntil = 0;
+        this.trialInFlight = false;
+        this.opens = 0;
+        this.rejected = 0;
+    }
+
+    /**
+   * Get breaker statistics
+   *
+   * @returns {{state: string, failures: number, opens: number, rejected: number}}
+   *   Consecutive failures, times opened, and calls rejected while open
+   */
+    getStats() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            opens: this.opens,
+            rejected: this.rejected
+        };
+    }
+}
+
+// One breaker per upstream, shared by every request in the container
+const nutrisliceCircuitBreaker = new CircuitBreaker({
+    name: 'nutrislice',
+    failureThreshold: constants.CIRCUIT_BREAKER.NUTRISLICE.FAILURE_THRESHOLD,
+    resetTimeoutMs: constants.CIRCUIT_BREAKER.NUTRISLICE.RESET_TIMEOUT_MS
+});
+
+const weatherCircuitBreaker = new CircuitBreaker({
+    name: 'weather.gov',
+    failureThreshold: constants.CIRCUIT_BREAKER.WEATHER.FAILURE_THRESHOLD,
+    resetTimeoutMs: constants.CIRCUIT_BREAKER.WEATHER.RESET_TIMEOUT_MS
+});
+
+module.exports = {
+    STATE,
+    CircuitBreaker,
+    CircuitOpenError,
+    isUpstreamFailure,
+    nutrisliceCircuitBreaker,
+    weatherCircuitBreaker
+};
@@ -2,15 +2,32 @@
  * Application constants
  */
 
+const DEFAULT_SCHOOL_ID = process.env.NUTRISLICE_SCHOOL_ID || 'westmore-elementary-school-2';
+
+// Nutrislice district slug - the subdomain of <district>.nutrislice.com
+const NUTRISLICE_DISTRICT = (process.env.NUTRISLICE_DISTRICT || 'd45').trim().toLowerCase();
+
 module.exports = {
     // Nutrislice configuration
     NUTRISLICE: {
-        BASE_URL: process.env.NUTRISLICE_BASE_URL || 'https://d45.nutrislice.com/menu',
-        SCHOOL_ID: process.env.NUTRISLICE_SCHOOL_ID || 'westmore-elementary-school-2',
-        MEAL_TYPE: 'lunch',
+        DISTRICT: NUTRISLICE_DISTRICT,
+        API_BASE_URL: `https://${NUTRISLICE_DISTRICT}.api.nutrislice.com/menu/api`,
+        ORIGIN: `${NUTRISLICE_DISTRICT}.nutrislice.com`, // x-nutrislice-origin header
+        BASE_URL: `https://${NUTRISLICE_DISTRICT}.nutrislice.com/menu`, // Public menu website
+        SCHOOL_ID: DEFAULT_SCHOOL_ID,
+        MEAL_TYPE: 'lunch', // Default menu type
+        BREAKFAST_TYPE: 'breakfast',
         TIMEOUT_MS: 5000
     },
 
+    // Schools offered during household setup, as "slug:Display Name" pairs
+    SCHOOLS: process.env.NUTRISLICE_SCHOOLS ?
+        process.env.NUTRISLICE_SCHOOLS.split(',').map(entry => {
+            const [id, ...name] = entry.split(':');
+            return { id: id.trim(), name: name.join(':').trim() || id.trim() };
+        }) :
+        [{ id: DEFAULT_SCHOOL_ID, name: 'Westmore Elementary School' }],
+
     // Weather.gov configuration
     WEATHER: {
         BASE_URL: 'https://api.weather.gov',
@@ -20,11 +37,77 @@ module.exports = {
         TIMEOUT_MS: 5000 // Increased from 3000ms to reduce timeouts
     },
 
-    // Cache TTLs (in seconds)
+    // Menu source
+    MENU_PROVIDER: {
+        TYPE: process.env.MENU_PROVIDER || 'nutrislice', // 'nutrislice' or 'local'
+        FILE_PATH: process.env.MENU_FILE_PATH, // JSON or CSV file for 'local'
+        S3_BUCKET: process.env.MENU_S3_BUCKET, // ...or an S3 object for 'local'
+        S3_KEY: process.env.MENU_S3_KEY
+    },
+
+    // Household profile persistence
+    PERSISTENCE: {
+        ADAPTER: process.env.PERSISTENCE_ADAPTER || 'memory', // 'dynamodb', 'file' or 'memory'
+        TABLE_NAME: process.env.PROFILE_TABLE_NAME || 'AlexaLunchDadProfiles',
+        FILE_PATH: process.env.PROFILE_FILE_PATH || '.local-profiles.json'
+    },
+
+    // Shared cache layered under each container's in-memory cache
+    CACHE_BACKEND: {
+        TYPE: process.env.CACHE_BACKEND || 'memory', // 'dynamodb' or 'memory' (no shared cache)
+        TABLE_NAME: process.env.CACHE_TABLE_NAME || 'AlexaLunchDadCache',
+        ENDPOINT: process.env.CACHE_DYNAMODB_ENDPOINT, // e.g. http://localhost:8000 for DynamoDB Local
+        TIMEOUT_MS: 1000
+    },
+
+    // In-memory cache bounds, per container
+    CACHE_LIMITS: {
+        MAX_ENTRIES: 1000,
+        MAX_BYTES: 32 * 1024 * 1024, // approximate; the function has 256 MB
+        SWEEP_INTERVAL_MS: 5 * 60 * 1000
+    },
+
+    // Cache TTLs (in seconds). MENU, WEATHER, GRID_INFO and PROFILE are the
+    // namespace defaults (see cacheService); the rest are passed per call
     CACHE_TTL: {
         MENU: parseInt(process.env.CACHE_TTL_MENU) || 86400, // 24 hours
         WEATHER: parseInt(process.env.CACHE_TTL_WEATHER) || 600, // 10 minutes
-        GRID_INFO: 2592000 // 30 days (grid coordinates don't change)
+        GRID_INFO: 2592000, // 30 days (grid coordinates don't change)
+        SCHOOL_DIRECTORY: 86400, // 24 hours
+        WEATHER_ALERTS: 300, // 5 minutes: alerts are issued and lifted quickly
+        PROFILE: 300 // 5 minutes
+    },
+
+    // How long past its TTL cached data may still be served (seconds)
+    CACHE_STALE: {
+        MENU: {
+            STALE_WHILE_REVALIDATE: 86400, // 24 hours: menus rarely change once published
+            STALE_IF_ERROR: 604800 // 7 days: a week-old menu beats no menu during an outage
+        },
+        WEATHER: {
+            STALE_WHILE_REVALIDATE: 600, // 10 minutes
+            STALE_IF_ERROR: 21600 // 6 hours: this morning's forecast if weather.gov is down
+        }
+    },
+
+    // Circuit breakers: after FAILURE_THRESHOLD consecutive failed requests an
+    // upstream is skipped for RESET_TIMEOUT_MS, then one trial request is let through
+    CIRCUIT_BREAKER: {
+        NUTRISLICE: {
+            FAILURE_THRESHOLD: 5,
+            RESET_TIMEOUT_MS: 5 * 60 * 1000
+        },
+        WEATHER: {
+            FAILURE_THRESHOLD: 3,
+            RESET_TIMEOUT_MS: 3 * 60 * 1000
+        }
+    },
+
+    // Per-request time budget for upstream calls
+    DEADLINE: {
+        ALEXA_LIMIT_MS: 8000, // Alexa drops responses that take longer
+        SAFETY_MARGIN_MS: 500, // Left for building and returning the response
+        OPTIONAL_MIN_MS: 1000 // Weather and the APL calendar are skipped with less left
     },
 
     // Timezone (Villa Park, IL is in Central Time)
@@ -41,11 +124,24 @@ module.exports = {
 
     // Response limits
     MAX_MENU_ITEMS: 5,
+    MAX_WEEK_SUMMARY_ITEMS: 2, // Items spoken per day in the week summary
     CALENDAR_DAYS: 5,
+    SEARCH_SCHOOL_DAYS: 10, // How far ahead "when is pizza next" looks (two school weeks)
+
+    // "School lunch or home lunch?" rules (temperatures in the forecast's unit, Fahrenheit)
+    LUNCH_RULES: {
+        COLD_MAX_TEMP: 45,
+        HOT_MIN_TEMP: 85,
+        DEFAULT_VERDICT: 'home' // When none of a child's rules match
+    },
+
+    // Spoken after every allergen answer
+    ALLERGEN_DISCLAIMER: 'Allergen information comes from the school menu and can change, so please check with the cafeteria before relying on it.',
 
     // Error messages
     ERRORS: {
         NO_MENU: 'I couldn\'t find the lunch menu for that day.',
+        NO_BREAKFAST: 'I couldn\'t find a breakfast menu for that day.',
         WEEKEND: 'There\'s no school lunch on weekends.',
         HOLIDAY: 'There\'s no school that day.',
         API_ERROR: 'I\'m having trouble getting the menu right now. Please try again later.',
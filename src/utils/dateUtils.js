@@ -155,9 +155,173 @@ function getNextSchoolDay(currentDate, daysAhead = 1) {
     return workingDate;
 }
 
+/**
+ * Resolve an AMAZON.DATE slot value to a single calendar day
+ *
+ * Alexa already resolves relative phrases ("tomorrow", "Friday") to explicit
+ * dates. Values without a year ("XXXX-10-30") resolve to the next occurrence
+ * on or after the reference date. Week, month and season values are not a
+ * single day and resolve to null.
+ *
+ * @param {string} slotValue - AMAZON.DATE slot value
+ * @param {Date} [referenceDate] - "Today" in the school timezone (defaults to getTodayInTimezone())
+ * @returns {Date|null} Date at midnight, or null if the value is not a single day
+ *
+ * @example
+ * resolveSlotDate('2025-10-24') // Friday, Oct 24 2025
+ * resolveSlotDate('XXXX-10-30', new Date(2025, 9, 20)) // Oct 30 2025
+ * resolveSlotDate('2025-W43') // null
+ */
+function resolveSlotDate(slotValue, referenceDate = getTodayInTimezone()) {
+    if (!slotValue || typeof slotValue !== 'string') {
+        return null;
+    }
+
+    if (slotValue === 'PRESENT_REF') {
+        return new Date(referenceDate);
+    }
+
+    const match = slotValue.match(/^(\d{4}|XXXX)-(\d{2})-(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+
+    const month = parseInt(match[2], 10) - 1;
+    const day = parseInt(match[3], 10);
+
+    let year;
+    if (match[1] === 'XXXX') {
+        year = referenceDate.getFullYear();
+        const candidate = new Date(year, month, day);
+        if (candidate < referenceDate) {
+            year++;
+        }
+    } else {
+        year = parseInt(match[1], 10);
+    }
+
+    const result = new Date(year, month, day, 0, 0, 0, 0);
+
+    // Reject rollovers such as 2025-02-30
+    if (result.getMonth() !== month || result.getDate() !== day) {
+        return null;
+    }
+
+    return result;
+}
+
+/**
+ * Get the Monday that starts the week containing a date
+ *
+ * @param {Date} date - Any date within the week
+ * @returns {Date} Monday of that week at midnight
+ * @throws {Error} If date is invalid
+ *
+ * @example
+ * getWeekStart(new Date('2025-10-23T10:00:00')) // Monday, Oct 20 2025
+ */
+function getWeekStart(date) {
+    if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+        throw new Error('Invalid date provided');
+    }
+
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0, 0);
+    // getDay(): 0 = Sunday, so Sunday belongs to the week that started six days earlier
+    const offset = (result.getDay() + 6) % 7;
+    result.setDate(result.getDate() - offset);
+    return result;
+}
+
+/**
+ * Format a date for speech, e.g. "Thursday, October 23rd"
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Spoken date
+ * @throws {Error} If date is invalid
+ */
+function formatDateForSpeech(date) {
+    if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+        throw new Error('Invalid date provided');
+    }
+
+    const weekday = date.toLocaleDateString('en-US', { weekday: 'long' });
+    const month = date.toLocaleDateString('en-US', { month: 'long' });
+    const day = date.getDate();
+
+    let suffix = 'th';
+    if (day % 100 < 11 || day % 100 > 13) {
+        suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+    }
+
+    return `${weekday}, ${month} ${day}${suffix}`;
+}
+
+/**
+ * Read the calendar day and hour of an instant in a timezone
+ * @param {Date} instant - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {{day: string, hour: number}} Day as YYYY-MM-DD and hour 0-23
+ */
+function getLocalDayAndHour(instant, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instant).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: parseInt(parts.hour, 10)
+    };
+}
+
+/**
+ * Describe when cached data was fetched, for "as of ..." speech
+ *
+ * @param {string|Date} fetchedAt - When the data was fetched (ISO timestamp or Date)
+ * @param {Date} [now] - Current time
+ * @param {string} [timezone] - School timezone
+ * @returns {string} "this morning", "this afternoon", "this evening", "last night",
+ *   "yesterday", or "on Monday"; empty if fetchedAt is invalid
+ *
+ * @example
+ * describeAsOf('2025-10-20T13:05:00Z', new Date('2025-10-20T19:00:00Z')) // "this morning" (Chicago)
+ */
+function describeAsOf(fetchedAt, now = new Date(), timezone = constants.TIMEZONE) {
+    const fetched = new Date(fetchedAt);
+    if (!fetchedAt || isNaN(fetched.getTime())) {
+        return '';
+    }
+
+    const then = getLocalDayAndHour(fetched, timezone);
+    const today = getLocalDayAndHour(now, timezone);
+    const yesterday = getLocalDayAndHour(new Date(now.getTime() - 24 * 60 * 60 * 1000), timezone);
+
+    if (then.day === today.day) {
+        if (then.hour < 12) {
+            return 'this morning';
+        }
+        return then.hour < 17 ? 'this afternoon' : 'this evening';
+    }
+    if (then.day === yesterday.day) {
+        return then.hour >= 17 ? 'last night' : 'yesterday';
+    }
+    return `on ${fetched.toLocaleDateString('en-US', { weekday: 'long', timeZone: timezone })}`;
+}
+
 module.exports = {
     formatDateForNutrislice,
     isSchoolDay,
     getTodayInTimezone,
-    getNextSchoolDay
+    getNextSchoolDay,
+    resolveSlotDate,
+    getWeekStart,
+    formatDateForSpeech,
+    describeAsOf
 };
@@ -0,0 +1,166 @@
+/**
+ * Deadline - Per-request time budget
+ *
+ * Alexa waits about 8 seconds for a skill response, and the Lambda
+ * function's own timeout may be shorter. Each request gets one Deadline,
+ * derived from the Lambda context's remaining time, that every upstream
+ * call is run against:
+ * - required calls (the menu) fail with a DeadlineExceededError once the
+ *   budget is spent, so the handler can still answer with an apology
+ * - optional calls (weather, the APL calendar) are skipped when too little
+ *   budget is left to start them, and dropped if they outlast it
+ *
+ * A call that outlasts the deadline is abandoned, not cancelled; index.js
+ * stops Lambda from waiting on it after the response is sent. To keep
+ * abandoned calls rare, calls run by a Deadline can read it back through
+ * boundedTimeout() and remainingBudget(): services cap their HTTP timeouts
+ * and retry backoff at what's left instead of their fixed limits.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const constants = require('./constants');
+
+// The Deadline whose run() or optional() a call was started from
+const currentDeadline = new AsyncLocalStorage();
+
+// Request attribute holding the request's Deadline
+const DEADLINE_ATTRIBUTE = 'deadline';
+
+/**
+ * Raised when a required call is still running as the deadline passes
+ */
+class DeadlineExceededError extends Error {
+    /**
+   * @param {number} budgetMs - Time that was left when the call started
+   */
+    constructor(budgetMs) {
+        super(`Request deadline exceeded after ${budgetMs}ms`);
+        this.name = 'DeadlineExceededError';
+        this.code = 'DEADLINE_EXCEEDED';
+    }
+}
+
+class Deadline {
+    /**
+   * @param {number} budgetMs - Time the request may spend on upstream calls
+   */
+    constructor(budgetMs) {
+        this.expiresAt = Date.now() + Math.max(budgetMs, 0);
+    }
+
+    /**
+   * Build the deadline for a Lambda invocation
+   *
+   * Uses the lesser of the context's remaining time and Alexa's response
+   * limit, minus a margin for building and returning the response.
+   *
+   * @param {Object} [context] - Lambda context; without one Alexa's limit applies
+   * @returns {Deadline}
+   */
+    static fromContext(context) {
+        const limits = constants.DEADLINE;
+        let budgetMs = limits.ALEXA_LIMIT_MS;
+        if (context && typeof context.getRemainingTimeInMillis === 'function') {
+            budgetMs = Math.min(budgetMs, context.getRemainingTimeInMillis());
+        }
+        return new Deadline(budgetMs - limits.SAFETY_MARGIN_MS);
+    }
+
+    /**
+   * Time left before the deadline
+   *
+   * @returns {number} Milliseconds, never negative
+   */
+    remaining() {
+        return Math.max(this.expiresAt - Date.now(), 0);
+    }
+
+    /**
+   * Run a required call against the deadline
+   *
+   * @param {function(): Promise<*>} fn - The call
+   * @returns {Promise<*>} The call's result
+   * @throws {DeadlineExceededError} If the deadline passes first
+   * @throws {Error} The call's own error
+   */
+    async run(fn) {
+        const budgetMs = this.remaining();
+        if (budgetMs === 0) {
+            throw new DeadlineExceededError(budgetMs);
+        }
+
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new DeadlineExceededError(budgetMs)), budgetMs);
+        });
+
+        try {
+            return await Promise.race([currentDeadline.run(this, fn), expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+   * Run an optional call, dropping it rather than delaying the response
+   *
+   * @param {function(): Promise<*>} fn - The call
+   * @param {number} [minMs] - Budget needed to start it (defaults to DEADLINE.OPTIONAL_MIN_MS)
+   * @returns {Promise<*|null>} The call's result, or null if skipped, late or failed
+   */
+    async optional(fn, minMs = constants.DEADLINE.OPTIONAL_MIN_MS) {
+        if (this.remaining() < minMs) {
+            return null;
+        }
+
+        try {
+            return await this.run(fn);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Time left for the request the calling code is running for
+ *
+ * @returns {number} Milliseconds; Infinity outside Deadline.run() (e.g. the cache warmer)
+ */
+function remainingBudget() {
+    const deadline = currentDeadline.getStore();
+    return deadline ? deadline.remaining() : Infinity;
+}
+
+/**
+ * Cap an upstream call's timeout at the time left for the request
+ *
+ * @param {number} timeoutMs - The call's usual timeout
+ * @returns {number} Milliseconds, at least 1 (axios reads 0 as no timeout)
+ */
+function boundedTimeout(timeoutMs) {
+    return Math.max(Math.min(timeoutMs, remainingBudget()), 1);
+}
+
+/**
+ * Get the deadline for the current request
+ *
+ * Falls back to a deadline built from handlerInput.context when the
+ * request interceptor hasn't stored one.
+ *
+ * @param {Object} handlerInput - Alexa handler input
+ * @returns {Deadline}
+ */
+function getDeadline(handlerInput) {
+    const { attributesManager } = handlerInput;
+    const requestAttributes = attributesManager ? attributesManager.getRequestAttributes() : {};
+    return requestAttributes[DEADLINE_ATTRIBUTE] || Deadline.fromContext(handlerInput.context);
+}
+
+module.exports = {
+    DEADLINE_ATTRIBUTE,
+    Deadline,
+    DeadlineExceededError,
+    getDeadline,
+    remainingBudget,
+    boundedTimeout
+};
@@ -0,0 +1,162 @@
+/**
+ * Household Setup - Shared helpers for the onboarding and settings dialogs
+ *
+ * The setup intents (AddChildIntent, ChangeSchoolIntent, ForgetSettingsIntent)
+ * manage their own dialogs with Dialog.ElicitSlot / Dialog.ConfirmIntent so
+ * that spoken school names can be checked against the known schools before
+ * the user is asked to confirm.
+ */
+
+const menuParser = require('./menuParser');
+const allergenParser = require('./allergenParser');
+const constants = require('./constants');
+
+// Slots of each setup intent, used when starting a dialog from another request
+const SETUP_INTENT_SLOTS = {
+    AddChildIntent: ['childName', 'schoolName', 'allergies'],
+    ChangeSchoolIntent: ['childName', 'schoolName']
+};
+
+// Entity-resolution id for "no allergies"
+const NO_ALLERGIES_ID = 'none';
+
+// Spoken ways out of the allergies question when entity resolution doesn't match
+const NO_ALLERGIES_PATTERN = /^(none|no|nothing|no allergies|skip( it| that| this)?)$/i;
+
+/**
+ * Build an empty intent for starting a setup dialog via intent chaining
+ * @param {string} intentName - Setup intent name
+ * @returns {Object} Intent with every slot unfilled
+ */
+function buildSetupIntent(intentName) {
+    const slots = {};
+    for (const slotName of SETUP_INTENT_SLOTS[intentName] || []) {
+        slots[slotName] = { name: slotName, confirmationStatus: 'NONE' };
+    }
+    return { name: intentName, confirmationStatus: 'NONE', slots };
+}
+
+/**
+ * Read a slot's spoken value
+ * @param {Object} intent - Intent from the request
+ * @param {string} slotName - Slot name
+ * @returns {string|null} Trimmed value, or null if the slot is unfilled
+ */
+function getSlotValue(intent, slotName) {
+    const slot = intent.slots && intent.slots[slotName];
+    const value = slot && slot.value ? slot.value.trim() : '';
+    return value || null;
+}
+
+/**
+ * Check whether a slot was answered at all, whether or not the answer resolved
+ * @param {Object} intent - Intent from the request
+ * @param {string} slotName - Slot name
+ * @returns {boolean}
+ */
+function isSlotAnswered(intent, slotName) {
+    const slot = intent.slots && intent.slots[slotName];
+    return Boolean(slot && (slot.value || slot.slotValue));
+}
+
+/**
+ * Return a copy of the intent with one slot emptied, so it is asked again
+ * @param {Object} intent - Intent from the request
+ * @param {string} slotName - Slot to clear
+ * @returns {Object} Updated intent
+ */
+function clearSlot(intent, slotName) {
+    return {
+        ...intent,
+        slots: {
+            ...intent.slots,
+            [slotName]: { name: slotName, confirmationStatus: 'NONE' }
+        }
+    };
+}
+
+/**
+ * Find a school by its spoken name
+ * @param {string} spokenName - e.g. "westmore elementary"
+ * @param {Array<{id: string, name: string}>} [schools] - Schools to search
+ * @returns {{id: string, name: string}|null} Matching school
+ */
+function findSchool(spokenName, schools = constants.SCHOOLS) {
+    if (!spokenName) {
+        return null;
+    }
+    return menuParser.findMatchingItem(schools, spokenName);
+}
+
+/**
+ * Collect the spoken or resolved values of a (possibly multi-value) slot
+ * @param {Object} slot - Slot from the request
+ * @returns {Array<string>} Resolved ids where available, otherwise spoken values
+ */
+function collectSlotValues(slot) {
+    const slotValues = slot.slotValue && slot.slotValue.type === 'List'
+        ? slot.slotValue.values
+        : [slot.slotValue || slot];
+
+    return slotValues
+        .map(value => {
+            const authority = value.resolutions?.resolutionsPerAuthority?.[0];
+            if (authority && authority.status?.code === 'ER_SUCCESS_MATCH') {
+                return authority.values[0].value.id;
+            }
+            return value.value;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Read the allergies answer from the AddChildIntent
+ *
+ * "None" and "skip" count as no allergies, so there's always a way past
+ * the question.
+ *
+ * @param {Object} intent - Intent from the request
+ * @returns {Array<string>|null} Canonical allergen ids ([] for "no allergies"),
+ *   or null if the question hasn't been answered with a known allergen
+ */
+function getAllergySlotIds(intent) {
+    const slot = intent.slots && intent.slots.allergies;
+    if (!slot || (!slot.value && !slot.slotValue)) {
+        return null;
+    }
+
+    const values = collectSlotValues(slot);
+    if (values.length === 0) {
+        return null;
+    }
+    if (values.some(value => value === NO_ALLERGIES_ID || NO_ALLERGIES_PATTERN.test(value.trim()))) {
+        return [];
+    }
+
+    const ids = values.map(allergenParser.normalizeAllergen).filter(Boolean);
+    return ids.length > 0 ? Array.from(new Set(ids)) : null;
+}
+
+/**
+ * Describe a child's allergies for confirmation prompts
+ * @param {Array<string>} allergies - Canonical allergen ids
+ * @returns {string} e.g. "is allergic to peanuts and milk"
+ */
+function describeAllergies(allergies) {
+    if (!allergies || allergies.length === 0) {
+        return 'has no food allergies';
+    }
+    const labels = allergies.map(id => allergenParser.ALLERGENS[id] || id);
+    return `is allergic to ${menuParser.formatMenuItems(labels.map(name => ({ name })))}`;
+}
+
+module.exports = {
+    NO_ALLERGIES_ID,
+    buildSetupIntent,
+    getSlotValue,
+    isSlotAnswered,
+    clearSlot,
+    findSchool,
+    getAllergySlotIds,
+    describeAllergies
+};
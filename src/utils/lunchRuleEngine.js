@@ -0,0 +1,255 @@
+/**
+ * Lunch Rule Engine - Decide "school lunch or home lunch?" per child
+ *
+ * Each child in the household profile can carry an ordered list of
+ * declarative rules. The first rule whose conditions all hold decides the
+ * verdict; when none match, the default verdict applies.
+ *
+ * Rule shape:
+ * {
+ *   when: {
+ *     menuContains: ['pancakes', 'pizza'], // any of these foods is served
+ *     weather: ['cold']                    // any of: cold, hot, rainy, snowy
+ *   },
+ *   verdict: 'school' | 'home',
+ *   reason: 'optional spoken reason'
+ * }
+ *
+ * Children without rules get rules derived from their likes (school lunch)
+ * and dislikes (home lunch).
+ */
+
+const menuParser = require('./menuParser');
+const constants = require('./constants');
+
+const VERDICTS = ['school', 'home'];
+
+const WEATHER_CONDITIONS = {
+    cold: {
+        test: weather => weather.temperature !== null && weather.temperature <= constants.LUNCH_RULES.COLD_MAX_TEMP,
+        reason: 'it\'s going to be cold'
+    },
+    hot: {
+        test: weather => weather.temperature !== null && weather.temperature >= constants.LUNCH_RULES.HOT_MIN_TEMP,
+        reason: 'it\'s going to be hot'
+    },
+    rainy: {
+        test: weather => /rain|shower|drizzle|thunder|storm/.test(weather.forecast),
+        reason: 'rain is in the forecast'
+    },
+    snowy: {
+        test: weather => /snow|sleet|flurr|blizzard/.test(weather.forecast),
+        reason: 'snow is in the forecast'
+    }
+};
+
+const VERDICT_PHRASES = {
+    school: 'get school lunch',
+    home: 'bring lunch from home'
+};
+
+/**
+ * Keep only non-empty, lowercased strings from a list
+ * @param {*} list - Candidate list
+ * @returns {Array<string>}
+ */
+function normalizeTerms(list) {
+    if (!Array.isArray(list)) {
+        return [];
+    }
+    return list
+        .filter(value => typeof value === 'string' && value.trim() !== '')
+        .map(value => value.trim().toLowerCase());
+}
+
+/**
+ * Normalize a stored rule, dropping anything unrecognized
+ * @param {Object} rule - Stored rule
+ * @returns {Object|null} Normalized rule, or null if it has no valid verdict
+ */
+function normalizeRule(rule) {
+    if (!rule || !VERDICTS.includes(rule.verdict)) {
+        return null;
+    }
+
+    const when = rule.when || {};
+    const normalized = {
+        when: {
+            menuContains: normalizeTerms(when.menuContains),
+            weather: normalizeTerms(when.weather).filter(condition => WEATHER_CONDITIONS[condition])
+        },
+        verdict: rule.verdict
+    };
+
+    if (typeof rule.reason === 'string' && rule.reason.trim() !== '') {
+        normalized.reason = rule.reason.trim();
+    }
+
+    return normalized;
+}
+
+/**
+ * Normalize a stored list of rules
+ * @param {*} rules - Stored rules
+ * @returns {Array<Object>} Valid rules, in order
+ */
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+        return [];
+    }
+    return rules.map(normalizeRule).filter(Boolean);
+}
+
+/**
+ * Get the rules that apply to a child
+ * @param {Object} child - Child from the household profile
+ * @returns {Array<Object>} Explicit rules, or rules derived from likes and dislikes
+ */
+function getChildRules(child) {
+    const rules = normalizeRules(child.rules);
+    if (rules.length > 0) {
+        return rules;
+    }
+
+    const derived = [];
+    const likes = normalizeTerms(child.likes);
+    const dislikes = normalizeTerms(child.dislikes);
+    if (likes.length > 0) {
+        derived.push({ when: { menuContains: likes, weather: [] }, verdict: 'school' });
+    }
+    if (dislikes.length > 0) {
+        derived.push({ when: { menuContains: dislikes, weather: [] }, verdict: 'home' });
+    }
+    return derived;
+}
+
+/**
+ * Reduce weatherService output for today or tomorrow to what rules check
+ * @param {Object} weatherData - From getTodayWeather or getTomorrowWeather
+ * @returns {{temperature: number|null, forecast: string}|null} Null if unavailable
+ */
+function summarizeWeather(weatherData) {
+    if (!weatherData || weatherData.isFallback) {
+        return null;
+    }
+
+    const day = weatherData.today || weatherData.tomorrow;
+    if (!day) {
+        return null;
+    }
+
+    const temperature = weatherData.today ? day.high : day.temperature;
+    return {
+        temperature: typeof temperature === 'number' ? temperature : null,
+        forecast: `${day.shortForecast || ''} ${day.detailedForecast || ''}`.toLowerCase()
+    };
+}
+
+/**
+ * Check whether any child's rules depend on the weather
+ * @param {Array<Object>} children - Children from the household profile
+ * @returns {boolean} True if weather must be fetched to evaluate the rules
+ */
+function rulesNeedWeather(children) {
+    return (children || []).some(child =>
+        getChildRules(child).some(rule => rule.when.weather.length > 0)
+    );
+}
+
+/**
+ * Evaluate one rule against the day's menu and weather
+ * @param {Object} rule - Normalized rule
+ * @param {Array<Object>} items - Menu items
+ * @param {Object|null} weather - Summarized weather
+ * @returns {Array<string>|null} Reason fragments if the rule matches, else null
+ */
+function matchRule(rule, items, weather) {
+    const fragments = [];
+
+    if (rule.when.weather.length > 0) {
+        if (!weather) {
+            return null;
+        }
+        const condition = rule.when.weather.find(name => WEATHER_CONDITIONS[name].test(weather));
+        if (!condition) {
+            return null;
+        }
+        fragments.push(WEATHER_CONDITIONS[condition].reason);
+    }
+
+    if (rule.when.menuContains.length > 0) {
+        const matches = rule.when.menuContains
+            .map(food => menuParser.findMatchingItem(items, food))
+            .filter(Boolean);
+        if (matches.length === 0) {
+            return null;
+        }
+        fragments.push(`the menu has ${matches[0].name}`);
+    }
+
+    return fragments;
+}
+
+/**
+ * Decide school or home lunch for one child
+ * @param {Object} child - Child from the household profile
+ * @param {Object} menuData - Day's menu from nutrisliceService
+ * @param {Object} [weatherData] - Day's weather from weatherService
+ * @returns {{name: string, verdict: string, reason: string}} Verdict with spoken reason
+ */
+function evaluateChild(child, menuData, weatherData) {
+    const items = menuData && Array.isArray(menuData.items) ? menuData.items : [];
+    const weather = summarizeWeather(weatherData);
+
+    for (const rule of getChildRules(child)) {
+        const fragments = matchRule(rule, items, weather);
+        if (fragments) {
+            return {
+                name: child.name,
+                verdict: rule.verdict,
+                reason: rule.reason || fragments.join(' and ') || 'that\'s the plan'
+            };
+        }
+    }
+
+    return {
+        name: child.name,
+        verdict: constants.LUNCH_RULES.DEFAULT_VERDICT,
+        reason: 'nothing on the menu stood out'
+    };
+}
+
+/**
+ * Decide school or home lunch for every child in the household
+ * @param {Array<Object>} children - Children from the household profile
+ * @param {Object} menuData - Day's menu from nutrisliceService
+ * @param {Object} [weatherData] - Day's weather from weatherService
+ * @returns {Array<Object>} One verdict per child
+ */
+function evaluateHousehold(children, menuData, weatherData) {
+    return (children || []).map(child => evaluateChild(child, menuData, weatherData));
+}
+
+/**
+ * Speak the verdicts for a day
+ * @param {Array<Object>} verdicts - From evaluateHousehold
+ * @param {string} dayLabel - e.g. "today", "tomorrow", "on Monday"
+ * @returns {string} e.g. "Emma should get school lunch today, because the menu has Pancakes."
+ *   Not XML-escaped.
+ */
+function formatVerdictSpeech(verdicts, dayLabel) {
+    return (verdicts || [])
+        .map(({ name, verdict, reason }) => `${name} should ${VERDICT_PHRASES[verdict]} ${dayLabel}, because ${reason}.`)
+        .join(' ');
+}
+
+module.exports = {
+    VERDICTS,
+    normalizeRules,
+    getChildRules,
+    summarizeWeather,
+    rulesNeedWeather,
+    evaluateChild,
+    evaluateHousehold,
+    formatVerdictSpeech
+};
@@ -248,10 +248,117 @@ function formatMenuItems(items) {
     return `${names.join(', ')}, and ${lastItem}`;
 }
 
+/**
+ * Normalize text into comparable word tokens
+ * Lowercases, reads "&" as "and", drops punctuation and strips simple
+ * plural endings so that "Pizzas" matches "pizza" and "Tacos" matches "taco".
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Normalized tokens
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(token => {
+            // "es" is only a plural ending after s, x, z, ch and sh
+            // ("peaches", "boxes"); "apples" and "grapes" just drop the "s"
+            if (token.length > 4 && /(s|x|z|ch|sh)es$/.test(token)) {
+                return token.slice(0, -2);
+            }
+            if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+                return token.slice(0, -1);
+            }
+            return token;
+        });
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Check whether two normalized tokens are close enough to be the same word
+ * Allows one typo for words of 5+ letters and two for 8+ letters, which
+ * absorbs speech recognition slips like "spagetti" without matching
+ * unrelated short words.
+ * @param {string} queryToken - Token from the search query
+ * @param {string} nameToken - Token from the menu item name
+ * @returns {boolean}
+ */
+function tokensMatch(queryToken, nameToken) {
+    if (queryToken === nameToken) {
+        return true;
+    }
+
+    const length = Math.min(queryToken.length, nameToken.length);
+    const allowed = length >= 8 ? 2 : length >= 5 ? 1 : 0;
+    return allowed > 0 && editDistance(queryToken, nameToken) <= allowed;
+}
+
+/**
+ * Find the menu item that best matches a spoken food name
+ *
+ * Every word of the query must fuzzily match a word of the item name, so
+ * "pizza" matches "Cheese Pizza" but "cheese pizza" doesn't match
+ * "Pepperoni Pizza". Shorter names win ties, being the closer match.
+ *
+ * @param {Array<Object>} items - Menu items
+ * @param {string} query - Food name to search for
+ * @returns {Object|null} Best matching item, or null if none match
+ */
+function findMatchingItem(items, query) {
+    if (!items || !Array.isArray(items)) {
+        return null;
+    }
+
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+        return null;
+    }
+
+    let bestItem = null;
+    let bestLength = Infinity;
+
+    for (const item of items) {
+        const nameTokens = tokenize(item.name);
+        const matches = queryTokens.every(queryToken =>
+            nameTokens.some(nameToken => tokensMatch(queryToken, nameToken))
+        );
+
+        if (matches && nameTokens.length < bestLength) {
+            bestItem = item;
+            bestLength = nameTokens.length;
+        }
+    }
+
+    return bestItem;
+}
+
 module.exports = {
     extractMainItems,
     parseNutrisliceHTML,
     formatMenuItems,
+    findMatchingItem,
     // Export helper functions for testing
     checkIfMainItem,
     removeDuplicates,
@@ -0,0 +1,159 @@
+/**
+ * Nutrislice Validator - Classify weeks-endpoint payloads
+ *
+ * Checks only the fields the skill reads, so additions upstream don't
+ * count as drift but a renamed or retyped field does:
+ *
+ * {
+ *   days: [{
+ *     date: "2025-10-20",
+ *     menu_items: [{
+ *       food: null | {
+ *         name: "Cheese Pizza",
+ *         food_category: "entree" | null,
+ *         rounded_nutrition_info: { calories, g_protein } | null,
+ *         icons: { food_icons: [...] } | null
+ *       }
+ *     }]
+ *   }]
+ * }
+ *
+ * Drift is reported with a JSONPath-style path, e.g. "$.days[2].menu_items[0].food.name".
+ */
+
+const WEEK_STATUS = {
+    VALID: 'valid',
+    EMPTY: 'empty',
+    DRIFT: 'drift'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Raised when a Nutrislice payload no longer matches the expected schema
+ */
+class NutrisliceSchemaError extends Error {
+    /**
+   * @param {string} path - JSONPath-style location of the offending value
+   * @param {string} reason - What was expected there
+   */
+    constructor(path, reason) {
+        super(`Nutrislice response schema drift at ${path}: ${reason}`);
+        this.name = 'NutrisliceSchemaError';
+        this.path = path;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check an optional field: absent, null, or matching the predicate
+ * @param {*} value - Field value
+ * @param {function(*): boolean} predicate - Check for present values
+ * @returns {boolean}
+ */
+function isOptional(value, predicate) {
+    return value === undefined || value === null || predicate(value);
+}
+
+/**
+ * Find the first schema problem in a food object
+ * @param {Object} food - menu_items[].food
+ * @param {string} path - Path of the food object
+ * @returns {{path: string, reason: string}|null} First problem, or null
+ */
+function findFoodDrift(food, path) {
+    if (typeof food.name !== 'string') {
+        return { path: `${path}.name`, reason: 'expected a string' };
+    }
+    if (!isOptional(food.food_category, value => typeof value === 'string')) {
+        return { path: `${path}.food_category`, reason: 'expected a string or null' };
+    }
+    if (!isOptional(food.rounded_nutrition_info, isObject)) {
+        return { path: `${path}.rounded_nutrition_info`, reason: 'expected an object or null' };
+    }
+    if (!isOptional(food.icons, isObject)) {
+        return { path: `${path}.icons`, reason: 'expected an object or null' };
+    }
+    if (food.icons && !isOptional(food.icons.food_icons, Array.isArray)) {
+        return { path: `${path}.icons.food_icons`, reason: 'expected an array' };
+    }
+    return null;
+}
+
+/**
+ * Classify a weeks-endpoint payload
+ *
+ * - valid: at least one day has a food item
+ * - empty: well-formed, but no day has a food item (summer, holiday weeks)
+ * - drift: a field the skill reads is missing or has the wrong type
+ *
+ * @param {*} payload - Response body from the weeks endpoint
+ * @returns {{status: string, path?: string, reason?: string}} Classification (WEEK_STATUS), with the first problem for drift
+ *
+ * @example
+ * validateWeekResponse({ days: [{ date: '2025-10-20', menu_items: 'none' }] })
+ * // { status: 'drift', path: '$.days[0].menu_items', reason: 'expected an array' }
+ */
+function validateWeekResponse(payload) {
+    const drift = (path, reason) => ({ status: WEEK_STATUS.DRIFT, path, reason });
+
+    if (!isObject(payload)) {
+        return drift('$', 'expected an object');
+    }
+    if (!Array.isArray(payload.days)) {
+        return drift('$.days', 'expected an array');
+    }
+
+    let hasFood = false;
+    for (const [dayIndex, day] of payload.days.entries()) {
+        const dayPath = `$.days[${dayIndex}]`;
+
+        if (!isObject(day)) {
+            return drift(dayPath, 'expected an object');
+        }
+        if (typeof day.date !== 'string' || !DATE_PATTERN.test(day.date)) {
+            return drift(`${dayPath}.date`, 'expected a YYYY-MM-DD string');
+        }
+        if (!Array.isArray(day.menu_items)) {
+            return drift(`${dayPath}.menu_items`, 'expected an array');
+        }
+
+        for (const [itemIndex, item] of day.menu_items.entries()) {
+            const itemPath = `${dayPath}.menu_items[${itemIndex}]`;
+
+            if (!isObject(item)) {
+                return drift(itemPath, 'expected an object');
+            }
+            // Section headings and notes carry no food
+            if (item.food === null || item.food === undefined) {
+                continue;
+            }
+            if (!isObject(item.food)) {
+                return drift(`${itemPath}.food`, 'expected an object or null');
+            }
+
+            const foodDrift = findFoodDrift(item.food, `${itemPath}.food`);
+            if (foodDrift) {
+                return drift(foodDrift.path, foodDrift.reason);
+            }
+            hasFood = true;
+        }
+    }
+
+    return { status: hasFood ? WEEK_STATUS.VALID : WEEK_STATUS.EMPTY };
+}
+
+module.exports = {
+    WEEK_STATUS,
+    NutrisliceSchemaError,
+    validateWeekResponse
+};
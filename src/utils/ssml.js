@@ -0,0 +1,24 @@
+/**
+ * SSML - Helpers for building Alexa speech
+ *
+ * Menu item, school and child names come from Nutrislice and from what
+ * parents say, so they're escaped before being spoken inside <speak>.
+ */
+
+/**
+ * Escape XML special characters for SSML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text safe for SSML
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    escapeXml
+};
@@ -0,0 +1,146 @@
+/**
+ * Weather Alerts - Pick out and describe weather.gov alerts worth hearing
+ *
+ * weather.gov's active alerts for the school's location include anything
+ * from tornado warnings to air quality statements. Parents hear about:
+ * - severe alerts (severity Extreme or Severe), whatever the event
+ * - winter storm, cold and heat alerts, which are usually only Moderate
+ *   but decide whether kids are bundled up, or school runs at all
+ *
+ * Relevant alerts lead the today/tomorrow responses and set the APL
+ * header's alert banner.
+ */
+
+// weather.gov severities, most severe first
+const SEVERITY_ORDER = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+
+// Reported whatever their event
+const SEVERE_LEVELS = ['Extreme', 'Severe'];
+
+// Reported at any severity
+const SCHOOL_DAY_EVENTS = /\b(winter|snow|ice|sleet|blizzard|freez\w*|cold|chill|heat)\b/i;
+
+/**
+ * A relevant active alert
+ * @typedef {Object} WeatherAlert
+ * @property {string} id - weather.gov alert id
+ * @property {string} event - e.g. "Winter Storm Warning"
+ * @property {string} headline - weather.gov headline, e.g. "Winter Storm Warning issued January 5 at 3:12PM CST..."
+ * @property {string} severity - Extreme, Severe, Moderate, Minor or Unknown
+ * @property {string|null} onset - When the hazard begins (ISO timestamp)
+ * @property {string|null} ends - When the hazard ends (ISO timestamp), null if open-ended
+ */
+
+/**
+ * Decide whether an alert is worth speaking
+ * @param {{event: string, severity: string}} alert - Alert properties
+ * @returns {boolean}
+ */
+function isRelevantAlert(alert) {
+    return SEVERE_LEVELS.includes(alert.severity) || SCHOOL_DAY_EVENTS.test(alert.event || '');
+}
+
+/**
+ * Extract the relevant alerts from an /alerts/active response
+ * @param {Object} data - GeoJSON FeatureCollection from weather.gov
+ * @returns {Array<WeatherAlert>} Actual, relevant alerts, most severe first
+ * @throws {Error} If the response has no features array
+ */
+function extractRelevantAlerts(data) {
+    if (!data || !Array.isArray(data.features)) {
+        throw new Error('Invalid alerts response');
+    }
+
+    return data.features
+        .map(feature => feature.properties || {})
+        // Tests, exercises and cancellations aren't real hazards
+        .filter(alert => alert.status === 'Actual' && alert.messageType !== 'Cancel')
+        .filter(isRelevantAlert)
+        .map(alert => ({
+            id: alert.id,
+            event: alert.event,
+            headline: alert.headline || alert.event,
+            severity: alert.severity || 'Unknown',
+            onset: alert.onset || alert.effective || null,
+            ends: alert.ends || alert.expires || null
+        }))
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+}
+
+/**
+ * @private
+ * @param {string} severity - weather.gov severity
+ * @returns {number} 0 for Extreme, higher for less severe
+ */
+function severityRank(severity) {
+    const rank = SEVERITY_ORDER.indexOf(severity);
+    return rank === -1 ? SEVERITY_ORDER.length : rank;
+}
+
+/**
+ * Keep the alerts in effect at some point during a time window
+ * @param {Array<WeatherAlert>} alerts - Relevant alerts
+ * @param {{startTime?: string, endTime?: string}} window - e.g. a forecast period; open ends match everything
+ * @returns {Array<WeatherAlert>} Alerts overlapping the window
+ */
+function alertsDuring(alerts, window) {
+    const start = window.startTime ? Date.parse(window.startTime) : -Infinity;
+    const end = window.endTime ? Date.parse(window.endTime) : Infinity;
+
+    return alerts.filter(alert => {
+        const onset = alert.onset ? Date.parse(alert.onset) : -Infinity;
+        const ends = alert.ends ? Date.parse(alert.ends) : Infinity;
+        return onset < end && ends > start;
+    });
+}
+
+/**
+ * List distinct alert events, most severe first
+ * @private
+ * @param {Array<WeatherAlert>} alerts - Relevant alerts
+ * @returns {Array<string>} e.g. ["Winter Storm Warning", "Wind Chill Advisory"]
+ */
+function distinctEvents(alerts) {
+    return Array.from(new Set(alerts.map(alert => alert.event)));
+}
+
+/**
+ * Speech that leads a response when alerts are in effect
+ * @param {Object} [weatherData] - From weatherService.getTodayWeather() or getTomorrowWeather()
+ * @returns {string} e.g. "Weather alert: a Winter Storm Warning is in effect." or '' without alerts
+ */
+function formatAlertSpeech(weatherData) {
+    const alerts = weatherData && !weatherData.isFallback ? weatherData.alerts || [] : [];
+    const events = distinctEvents(alerts);
+    if (events.length === 0) {
+        return '';
+    }
+
+    if (events.length === 1) {
+        const article = /^[aeiou]/i.test(events[0]) ? 'an' : 'a';
+        return `Weather alert: ${article} ${events[0]} is in effect.`;
+    }
+    const list = `${events.slice(0, -1).join(', ')} and ${events[events.length - 1]}`;
+    return `Weather alerts: ${list} are in effect.`;
+}
+
+/**
+ * Short text for the APL header's alert banner
+ * @param {Array<WeatherAlert>} [alerts] - Relevant alerts, most severe first
+ * @returns {string} e.g. "Winter Storm Warning +1 more", or '' without alerts
+ */
+function formatAlertBanner(alerts) {
+    const events = distinctEvents(alerts || []);
+    if (events.length === 0) {
+        return '';
+    }
+    return events.length > 1 ? `${events[0]} +${events.length - 1} more` : events[0];
+}
+
+module.exports = {
+    isRelevantAlert,
+    extractRelevantAlerts,
+    alertsDuring,
+    formatAlertSpeech,
+    formatAlertBanner
+};
@@ -0,0 +1,101 @@
+/**
+ * Contract tests for the Nutrislice weeks endpoint
+ *
+ * Each fixture in tests/fixtures/nutrislice-weeks is a captured (or
+ * deliberately drifted) weeks-endpoint payload. When Nutrislice changes
+ * its API, capture a new payload, add it here with the expected
+ * classification, and the suite shows whether the skill still reads it.
+ */
+
+jest.mock('axios');
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nutrisliceService = require('../../src/services/nutrisliceService');
+const cacheService = require('../../src/services/cacheService');
+const { validateWeekResponse, NutrisliceSchemaError } = require('../../src/utils/nutrisliceValidator');
+const { nutrisliceCircuitBreaker } = require('../../src/utils/circuitBreaker');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/nutrislice-weeks');
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf-8'));
+
+const contracts = [
+  { fixture: 'valid-week', week: '2025-10-20', expected: { status: 'valid' } },
+  { fixture: 'empty-week', week: '2025-07-07', expected: { status: 'empty' } },
+  {
+    fixture: 'drift-days-renamed',
+    week: '2025-10-20',
+    expected: { status: 'drift', path: '$.days' }
+  },
+  {
+    fixture: 'drift-localized-food-name',
+    week: '2025-10-20',
+    expected: { status: 'drift', path: '$.days[1].menu_items[1].food.name' }
+  },
+  {
+    fixture: 'drift-food-icons-object',
+    week: '2025-10-20',
+    expected: { status: 'drift', path: '$.days[2].menu_items[1].food.icons.food_icons' }
+  },
+  {
+    fixture: 'drift-date-format',
+    week: '2025-10-20',
+    expected: { status: 'drift', path: '$.days[0].date' }
+  }
+];
+
+describe('Nutrislice weeks endpoint contract', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.clear();
+    nutrisliceService.__resetForTesting();
+    nutrisliceCircuitBreaker.reset();
+    nutrisliceService.setDependencies({ cache: cacheService.namespace('menu') });
+  });
+
+  it('should cover every captured fixture', () => {
+    const fixtures = fs.readdirSync(FIXTURE_DIR).map(file => path.basename(file, '.json')).sort();
+
+    expect(fixtures).toEqual(contracts.map(contract => contract.fixture).sort());
+  });
+
+  describe.each(contracts)('$fixture', ({ fixture, week, expected }) => {
+    it(`should classify the payload as ${expected.status}`, () => {
+      expect(validateWeekResponse(loadFixture(fixture))).toEqual(expect.objectContaining(expected));
+    });
+
+    it('should be handled by the service accordingly', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: loadFixture(fixture) });
+
+      const request = nutrisliceService.getMenuForWeek(SCHOOL_ID, week);
+
+      if (expected.status === 'drift') {
+        const error = await request.catch(caught => caught);
+        expect(error).toBeInstanceOf(NutrisliceSchemaError);
+        expect(error.path).toBe(expected.path);
+        return;
+      }
+
+      const weekData = await request;
+      const itemCount = Object.values(weekData.days).reduce((count, day) => count + day.items.length, 0);
+      expect(weekData.source).toBe('api');
+      expect(itemCount > 0).toBe(expected.status === 'valid');
+    });
+  });
+
+  it('should read every food from the valid week', async () => {
+    axios.get.mockResolvedValue({ status: 200, data: loadFixture('valid-week') });
+
+    const menu = await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20');
+
+    expect(menu.items.map(item => item.name)).toEqual(['Cheese Pizza', 'Garden Salad', 'Apple Slices']);
+    expect(menu.items[0]).toEqual(expect.objectContaining({
+      category: 'entree',
+      nutrients: { calories: 310, protein: 14 },
+      allergens: ['milk', 'wheat']
+    }));
+  });
+});
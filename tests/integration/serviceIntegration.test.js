@@ -32,7 +32,7 @@ describe('Service Integration Tests', () => {
 
     // Initialize nutrislice service with real dependencies
     nutrisliceService.setDependencies({
-      cache: cacheService,
+      cache: cacheService.namespace('menu'),
       parser: menuParser,
       dateUtils: dateUtils
     });
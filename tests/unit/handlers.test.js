@@ -20,6 +20,12 @@ describe('Request Handlers', () => {
                 speak: jest.fn().mockReturnThis(),
                 reprompt: jest.fn().mockReturnThis(),
                 getResponse: jest.fn().mockReturnValue({})
+            },
+            attributesManager: {
+                getRequestAttributes: jest.fn(() => ({
+                    profile: { children: [{ name: 'Brayden' }] }
+                })),
+                setRequestAttributes: jest.fn()
             }
         };
     });
@@ -5,6 +5,21 @@
  */
 
 const LaunchRequestHandler = require('../../../src/handlers/LaunchRequestHandler');
+const profileService = require('../../../src/services/profileService');
+const menuService = require('../../../src/services/menuService');
+const weatherService = require('../../../src/services/weatherService');
+const menuCalendarService = require('../../../src/services/menuCalendarService');
+
+/**
+ * attributesManager stand-in holding an already-loaded household profile
+ */
+const buildAttributesManager = (profile) => {
+  const requestAttributes = { profile: profileService.normalizeProfile(profile) };
+  return {
+    getRequestAttributes: jest.fn(() => requestAttributes),
+    setRequestAttributes: jest.fn()
+  };
+};
 
 describe('LaunchRequestHandler', () => {
   let mockHandlerInput;
@@ -15,6 +30,7 @@ describe('LaunchRequestHandler', () => {
     mockResponseBuilder = {
       speak: jest.fn().mockReturnThis(),
       reprompt: jest.fn().mockReturnThis(),
+      addElicitSlotDirective: jest.fn().mockReturnThis(),
       getResponse: jest.fn().mockReturnValue({
         outputSpeech: { type: 'SSML' },
         reprompt: { outputSpeech: { type: 'SSML' } }
@@ -30,7 +46,10 @@ describe('LaunchRequestHandler', () => {
           timestamp: '2025-10-22T10:00:00Z'
         }
       },
-      responseBuilder: mockResponseBuilder
+      responseBuilder: mockResponseBuilder,
+      attributesManager: buildAttributesManager({
+        children: [{ name: 'Brayden', schoolId: 'westmore-elementary-school-2' }]
+      })
     };
   });
 
@@ -141,6 +160,166 @@ describe('LaunchRequestHandler', () => {
     });
   });
 
+  describe('first-time setup', () => {
+    beforeEach(() => {
+      mockHandlerInput.requestEnvelope.request.type = 'LaunchRequest';
+      mockHandlerInput.attributesManager = buildAttributesManager({ children: [] });
+    });
+
+    it('should ask for the first child\'s name', async () => {
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(mockResponseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('What\'s your first child\'s name?')
+      );
+      expect(mockResponseBuilder.reprompt).toHaveBeenCalledWith('What\'s your child\'s name?');
+    });
+
+    it('should chain into the AddChildIntent dialog', async () => {
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(mockResponseBuilder.addElicitSlotDirective).toHaveBeenCalledWith('childName', {
+        name: 'AddChildIntent',
+        confirmationStatus: 'NONE',
+        slots: {
+          childName: { name: 'childName', confirmationStatus: 'NONE' },
+          schoolName: { name: 'schoolName', confirmationStatus: 'NONE' },
+          allergies: { name: 'allergies', confirmationStatus: 'NONE' }
+        }
+      });
+    });
+
+    it('should not start setup for returning users', async () => {
+      mockHandlerInput.attributesManager = buildAttributesManager({ children: [{ name: 'Emma' }] });
+      mockHandlerInput.requestEnvelope.context = { System: { device: { supportedInterfaces: {} } } };
+
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(mockResponseBuilder.addElicitSlotDirective).not.toHaveBeenCalled();
+      expect(mockResponseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Ask me whats for lunch today or tomorrow')
+      );
+    });
+  });
+
+  describe('school or home lunch', () => {
+    beforeEach(() => {
+      mockHandlerInput.requestEnvelope.request.type = 'LaunchRequest';
+      mockHandlerInput.requestEnvelope.context = { System: { device: { supportedInterfaces: {} } } };
+      jest.spyOn(menuService, 'getMenuForToday').mockResolvedValue({
+        items: [{ name: 'Blueberry Pancakes', category: 'entree' }, { name: 'Mac & Cheese', category: 'entree' }]
+      });
+      jest.spyOn(weatherService, 'getTodayWeather').mockResolvedValue({
+        today: { high: 38, shortForecast: 'Cloudy', detailedForecast: 'Cloudy, with a high near 38.' },
+        isFallback: false
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should speak a verdict for each child', async () => {
+      mockHandlerInput.attributesManager = buildAttributesManager({
+        children: [
+          { name: 'Brayden', likes: ['pancakes'] },
+          { name: 'Emma', rules: [{ when: { menuContains: ['mac and cheese'] }, verdict: 'home', reason: 'she only eats mine' }] }
+        ]
+      });
+
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      const speakArg = mockResponseBuilder.speak.mock.calls[0][0];
+      expect(speakArg).toContain('Brayden should get school lunch today, because the menu has Blueberry Pancakes.');
+      expect(speakArg).toContain('Emma should bring lunch from home today, because she only eats mine.');
+      expect(weatherService.getTodayWeather).not.toHaveBeenCalled();
+    });
+
+    it('should fetch weather for weather-based rules', async () => {
+      mockHandlerInput.attributesManager = buildAttributesManager({
+        children: [{ name: 'Liam', rules: [{ when: { weather: ['cold'], menuContains: ['cheese'] }, verdict: 'school' }] }]
+      });
+
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(weatherService.getTodayWeather).toHaveBeenCalledTimes(1);
+      expect(mockResponseBuilder.speak.mock.calls[0][0]).toContain(
+        'Liam should get school lunch today, because it&apos;s going to be cold and the menu has Mac &amp; Cheese.'
+      );
+    });
+
+    it('should summarize today\'s breakfast and lunch', async () => {
+      menuService.getMenuForToday.mockImplementation(async (schoolId, menuType) => ({
+        items: [{ name: menuType === 'breakfast' ? 'French Toast' : 'Cheese Pizza', category: 'entree' }]
+      }));
+
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(menuService.getMenuForToday).toHaveBeenCalledWith('westmore-elementary-school-2', 'breakfast');
+      expect(mockResponseBuilder.speak.mock.calls[0][0]).toMatch(
+        /^Today, breakfast is French Toast, and lunch is Cheese Pizza\. Ask me whats for lunch/
+      );
+    });
+
+    it('should skip verdicts when there is no menu', async () => {
+      menuService.getMenuForToday.mockResolvedValue({ items: [] });
+
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(mockResponseBuilder.speak).toHaveBeenCalledWith(
+        'Ask me whats for lunch today or tomorrow, and I\'ll help you decide what to eat.'
+      );
+    });
+  });
+
+  describe('APL calendar', () => {
+    beforeEach(() => {
+      mockHandlerInput.requestEnvelope.request.type = 'LaunchRequest';
+      mockHandlerInput.requestEnvelope.context = {
+        System: { device: { supportedInterfaces: { 'Alexa.Presentation.APL': {} } } }
+      };
+      mockResponseBuilder.addDirective = jest.fn().mockReturnThis();
+      jest.spyOn(weatherService, 'getTodayWeather').mockResolvedValue({ isFallback: true });
+      jest.spyOn(menuCalendarService, 'getMenuCalendar').mockResolvedValue({
+        days: [{ date: '2025-10-22', dayOfWeek: 'Wednesday', menuItems: ['Cheese Pizza'] }]
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fetch the calendar alongside the menus, not after them', async () => {
+      let releaseMenus;
+      const menusPublished = new Promise(resolve => { releaseMenus = resolve; });
+      jest.spyOn(menuService, 'getMenuForToday').mockImplementation(async () => {
+        await menusPublished;
+        return { items: [{ name: 'Cheese Pizza', category: 'entree' }] };
+      });
+
+      const handled = LaunchRequestHandler.handle(mockHandlerInput);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(menuCalendarService.getMenuCalendar).toHaveBeenCalledWith('westmore-elementary-school-2');
+
+      releaseMenus();
+      await handled;
+
+      expect(menuCalendarService.getMenuCalendar).toHaveBeenCalledTimes(1);
+      expect(mockResponseBuilder.addDirective).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not fetch the calendar for devices without a screen', async () => {
+      mockHandlerInput.requestEnvelope.context.System.device.supportedInterfaces = {};
+      jest.spyOn(menuService, 'getMenuForToday').mockResolvedValue({ items: [] });
+
+      await LaunchRequestHandler.handle(mockHandlerInput);
+
+      expect(menuCalendarService.getMenuCalendar).not.toHaveBeenCalled();
+      expect(mockResponseBuilder.addDirective).not.toHaveBeenCalled();
+    });
+  });
+
   describe('behavior verification', () => {
     it('should coordinate with responseBuilder correctly', async () => {
       mockHandlerInput.requestEnvelope.request.type = 'LaunchRequest';
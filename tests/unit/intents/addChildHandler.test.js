@@ -0,0 +1,259 @@
+/**
+ * Unit tests for AddChildHandler
+ * London School TDD Pattern - Real profileService over a stub attributesManager
+ */
+
+const AddChildHandler = require('../../../src/intents/AddChildHandler');
+const profileService = require('../../../src/services/profileService');
+const menuService = require('../../../src/services/menuService');
+const householdSetup = require('../../../src/utils/householdSetup');
+
+jest.mock('../../../src/services/menuService');
+
+describe('AddChildHandler', () => {
+  let handlerInput;
+  let requestAttributes;
+
+  const slot = (name, value) => ({ name, value, confirmationStatus: 'NONE' });
+
+  const withIntent = ({ childName, schoolName, allergies, allergyIds, confirmationStatus = 'NONE' } = {}) => {
+    const slots = {
+      childName: slot('childName', childName),
+      schoolName: slot('schoolName', schoolName),
+      allergies: slot('allergies', undefined)
+    };
+    if (allergies) {
+      slots.allergies.slotValue = {
+        type: 'List',
+        values: allergies.map((value, index) => ({
+          type: 'Simple',
+          value,
+          resolutions: {
+            resolutionsPerAuthority: [{
+              status: { code: 'ER_SUCCESS_MATCH' },
+              values: [{ value: { name: value, id: allergyIds[index] } }]
+            }]
+          }
+        }))
+      };
+    }
+    handlerInput.requestEnvelope.request.intent = { name: 'AddChildIntent', confirmationStatus, slots };
+  };
+
+  beforeEach(() => {
+    // The directory resolves names against the configured schools
+    menuService.findSchool.mockImplementation(async spokenName => householdSetup.findSchool(spokenName));
+
+    requestAttributes = { profile: profileService.createDefaultProfile() };
+
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: { name: 'AddChildIntent', confirmationStatus: 'NONE', slots: {} }
+        }
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => requestAttributes),
+        setRequestAttributes: jest.fn()
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        addElicitSlotDirective: jest.fn().mockReturnThis(),
+        addConfirmIntentDirective: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      }
+    };
+  });
+
+  describe('canHandle', () => {
+    it('should handle AddChildIntent', () => {
+      expect(AddChildHandler.canHandle(handlerInput)).toBe(true);
+    });
+
+    it('should not handle other intents', () => {
+      handlerInput.requestEnvelope.request.intent.name = 'ChangeSchoolIntent';
+      expect(AddChildHandler.canHandle(handlerInput)).toBe(false);
+    });
+  });
+
+  describe('dialog', () => {
+    it('should ask for the child\'s name first', async () => {
+      withIntent();
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('What\'s your child\'s name?');
+      expect(handlerInput.responseBuilder.addElicitSlotDirective)
+        .toHaveBeenCalledWith('childName', handlerInput.requestEnvelope.request.intent);
+    });
+
+    it('should ask which school the child attends', async () => {
+      withIntent({ childName: 'Emma' });
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('Which school does Emma go to?');
+      expect(handlerInput.responseBuilder.addElicitSlotDirective.mock.calls[0][0]).toBe('schoolName');
+    });
+
+    it('should ask again when the school is not recognized', async () => {
+      withIntent({ childName: 'Emma', schoolName: 'hogwarts' });
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'I couldn\'t find a school called hogwarts. Which school does Emma go to?'
+      );
+      const [slotName, updatedIntent] = handlerInput.responseBuilder.addElicitSlotDirective.mock.calls[0];
+      expect(slotName).toBe('schoolName');
+      expect(updatedIntent.slots.schoolName.value).toBeUndefined();
+      expect(updatedIntent.slots.childName.value).toBe('Emma');
+    });
+
+    it('should ask about allergies once the school is known', async () => {
+      withIntent({ childName: 'Emma', schoolName: 'westmore elementary' });
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Does Emma have any food allergies?')
+      );
+      expect(handlerInput.responseBuilder.addElicitSlotDirective.mock.calls[0][0]).toBe('allergies');
+    });
+
+    it('should confirm the collected answers', async () => {
+      withIntent({
+        childName: 'Emma',
+        schoolName: 'westmore',
+        allergies: ['peanut butter', 'dairy'],
+        allergyIds: ['peanut', 'milk']
+      });
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Emma goes to Westmore Elementary School and is allergic to peanuts and milk. Should I save that?'
+      );
+      expect(handlerInput.responseBuilder.addConfirmIntentDirective)
+        .toHaveBeenCalledWith(handlerInput.requestEnvelope.request.intent);
+      expect(handlerInput.attributesManager.setRequestAttributes).not.toHaveBeenCalled();
+    });
+
+    it('should clear an unrecognized allergy answer and ask again', async () => {
+      withIntent({ childName: 'Emma', schoolName: 'westmore' });
+      handlerInput.requestEnvelope.request.intent.slots.allergies = {
+        name: 'allergies',
+        value: 'broccoli',
+        confirmationStatus: 'NONE',
+        resolutions: { resolutionsPerAuthority: [{ status: { code: 'ER_SUCCESS_NO_MATCH' } }] }
+      };
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('I didn\'t recognize that allergy. Which food allergies does Emma have?')
+      );
+      const [slotName, updatedIntent] = handlerInput.responseBuilder.addElicitSlotDirective.mock.calls[0];
+      expect(slotName).toBe('allergies');
+      expect(updatedIntent.slots.allergies.value).toBeUndefined();
+      expect(updatedIntent.slots.schoolName.value).toBe('westmore');
+    });
+
+    it('should let "skip" move past the allergies question', async () => {
+      withIntent({ childName: 'Emma', schoolName: 'westmore' });
+      handlerInput.requestEnvelope.request.intent.slots.allergies = {
+        name: 'allergies',
+        value: 'skip',
+        confirmationStatus: 'NONE'
+      };
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Emma goes to Westmore Elementary School and has no food allergies.')
+      );
+    });
+
+    it('should accept "no allergies"', async () => {
+      withIntent({
+        childName: 'Emma',
+        schoolName: 'westmore',
+        allergies: ['no allergies'],
+        allergyIds: ['none']
+      });
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Emma goes to Westmore Elementary School and has no food allergies.')
+      );
+    });
+  });
+
+  describe('confirmation', () => {
+    it('should save the child when confirmed', async () => {
+      withIntent({
+        childName: 'Emma',
+        schoolName: 'westmore',
+        allergies: ['peanuts'],
+        allergyIds: ['peanut'],
+        confirmationStatus: 'CONFIRMED'
+      });
+
+      await AddChildHandler.handle(handlerInput);
+
+      const profile = profileService.getProfile(handlerInput);
+      expect(profile.children).toEqual([expect.objectContaining({
+        name: 'Emma',
+        schoolId: 'westmore-elementary-school-2',
+        schoolName: 'Westmore Elementary School',
+        allergies: ['peanut']
+      })]);
+      expect(requestAttributes.profileDirty).toBe(true);
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(expect.stringContaining('Got it.'));
+    });
+
+    it('should update an existing child instead of adding a duplicate', async () => {
+      requestAttributes.profile = profileService.normalizeProfile({
+        children: [{ name: 'Emma', schoolId: 'old-school', likes: ['pizza'] }, { name: 'Liam' }]
+      });
+      withIntent({
+        childName: 'emma',
+        schoolName: 'westmore',
+        allergies: ['none'],
+        allergyIds: ['none'],
+        confirmationStatus: 'CONFIRMED'
+      });
+
+      await AddChildHandler.handle(handlerInput);
+
+      const profile = profileService.getProfile(handlerInput);
+      expect(profile.children).toHaveLength(2);
+      expect(profile.children[0]).toEqual(expect.objectContaining({
+        name: 'Emma',
+        schoolId: 'westmore-elementary-school-2',
+        likes: ['pizza'],
+        allergies: []
+      }));
+    });
+
+    it('should not save when the user says no', async () => {
+      withIntent({
+        childName: 'Emma',
+        schoolName: 'westmore',
+        allergies: ['none'],
+        allergyIds: ['none'],
+        confirmationStatus: 'DENIED'
+      });
+
+      await AddChildHandler.handle(handlerInput);
+
+      expect(handlerInput.attributesManager.setRequestAttributes).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Okay, I didn\'t save Emma. You can say add a child to start over.'
+      );
+    });
+  });
+});
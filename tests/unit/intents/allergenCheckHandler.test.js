@@ -0,0 +1,180 @@
+/**
+ * Unit tests for AllergenCheckHandler
+ * London School TDD Pattern - Mock service collaborators
+ */
+
+const AllergenCheckHandler = require('../../../src/intents/AllergenCheckHandler');
+
+jest.mock('../../../src/services/menuService');
+
+const menuService = require('../../../src/services/menuService');
+const dateUtils = require('../../../src/utils/dateUtils');
+const constants = require('../../../src/utils/constants');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+const entree = (name, overrides = {}) => ({
+  name,
+  category: 'entree',
+  allergens: [],
+  mayContain: [],
+  dietaryTags: [],
+  allergenInfoAvailable: true,
+  ...overrides
+});
+
+describe('AllergenCheckHandler', () => {
+  let handlerInput;
+
+  const withSlots = ({ allergen, allergenId, date } = {}) => {
+    const slots = {};
+    if (allergen) {
+      slots.allergen = { name: 'allergen', value: allergen };
+      if (allergenId) {
+        slots.allergen.resolutions = {
+          resolutionsPerAuthority: [{
+            status: { code: 'ER_SUCCESS_MATCH' },
+            values: [{ value: { name: allergen, id: allergenId } }]
+          }]
+        };
+      }
+    }
+    if (date) {
+      slots.date = { name: 'date', value: date };
+    }
+    handlerInput.requestEnvelope.request.intent.slots = slots;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Monday, Oct 20, 2025 in the school timezone
+    jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 20));
+
+    menuService.getMenuForDate.mockResolvedValue({
+      date: '2025-10-20',
+      items: [
+        entree('PB&J Sandwich', { allergens: ['peanut', 'wheat'] }),
+        entree('Granola Bar Bowl', { mayContain: ['peanut'] }),
+        entree('Cheese Pizza', { allergens: ['milk', 'wheat'] }),
+        entree('Chicken Nuggets', { allergenInfoAvailable: false })
+      ]
+    });
+
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: { name: 'AllergenCheckIntent', slots: {} }
+        }
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => ({ profile: { children: [] } }))
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canHandle', () => {
+    test('returns true for AllergenCheckIntent', () => {
+      expect(AllergenCheckHandler.canHandle(handlerInput)).toBe(true);
+    });
+
+    test('returns false for other intents', () => {
+      handlerInput.requestEnvelope.request.intent.name = 'GetTodayMenuIntent';
+      expect(AllergenCheckHandler.canHandle(handlerInput)).toBe(false);
+    });
+  });
+
+  describe('handle', () => {
+    test('groups main items by allergen status for today', async () => {
+      withSlots({ allergen: 'peanut', allergenId: 'peanut' });
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-20');
+      const speech = handlerInput.responseBuilder.speak.mock.calls[0][0];
+      expect(speech).toContain('main lunch items today for peanuts');
+      expect(speech).toContain('PB&amp;J Sandwich contains peanuts.');
+      expect(speech).toContain('Granola Bar Bowl may contain peanuts.');
+      expect(speech).toContain('Cheese Pizza is listed as free of peanuts.');
+      expect(speech).toContain('Allergen info isn\'t published for Chicken Nuggets.');
+    });
+
+    test('always ends with the disclaimer', async () => {
+      withSlots({ allergen: 'milk', allergenId: 'milk' });
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      const speech = handlerInput.responseBuilder.speak.mock.calls[0][0];
+      expect(speech.endsWith(constants.ALLERGEN_DISCLAIMER)).toBe(true);
+    });
+
+    test('parses the spoken value without entity resolution', async () => {
+      withSlots({ allergen: 'dairy' });
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Cheese Pizza contains milk.')
+      );
+    });
+
+    test('checks another day when a date is given', async () => {
+      withSlots({ allergen: 'gluten', allergenId: 'gluten', date: '2025-10-21' });
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-21');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('on Tuesday, October 21st for gluten')
+      );
+    });
+
+    test('speaks the weekend message for weekends', async () => {
+      withSlots({ allergen: 'peanut', allergenId: 'peanut', date: '2025-10-25' });
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining(constants.ERRORS.WEEKEND)
+      );
+    });
+
+    test('asks which allergy when the slot is missing', async () => {
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Which allergy')
+      );
+    });
+
+    test('returns NO_MENU when there are no main items', async () => {
+      withSlots({ allergen: 'peanut', allergenId: 'peanut' });
+      menuService.getMenuForDate.mockResolvedValue({ items: [] });
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.NO_MENU);
+    });
+
+    test('handles API errors gracefully', async () => {
+      withSlots({ allergen: 'peanut', allergenId: 'peanut' });
+      menuService.getMenuForDate.mockRejectedValue(new Error('Network error'));
+
+      await AllergenCheckHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.API_ERROR);
+    });
+  });
+});
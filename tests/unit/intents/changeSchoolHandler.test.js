@@ -0,0 +1,159 @@
+/**
+ * Unit tests for ChangeSchoolHandler
+ * London School TDD Pattern - Real profileService over a stub attributesManager
+ */
+
+const ChangeSchoolHandler = require('../../../src/intents/ChangeSchoolHandler');
+const profileService = require('../../../src/services/profileService');
+const menuService = require('../../../src/services/menuService');
+const householdSetup = require('../../../src/utils/householdSetup');
+
+jest.mock('../../../src/services/menuService');
+
+describe('ChangeSchoolHandler', () => {
+  let handlerInput;
+  let requestAttributes;
+
+  const withIntent = ({ childName, schoolName, confirmationStatus = 'NONE' } = {}) => {
+    handlerInput.requestEnvelope.request.intent = {
+      name: 'ChangeSchoolIntent',
+      confirmationStatus,
+      slots: {
+        childName: { name: 'childName', value: childName, confirmationStatus: 'NONE' },
+        schoolName: { name: 'schoolName', value: schoolName, confirmationStatus: 'NONE' }
+      }
+    };
+  };
+
+  const withChildren = (children) => {
+    requestAttributes.profile = profileService.normalizeProfile({ children });
+  };
+
+  beforeEach(() => {
+    // The directory resolves names against the configured schools
+    menuService.findSchool.mockImplementation(async spokenName => householdSetup.findSchool(spokenName));
+
+    requestAttributes = { profile: profileService.createDefaultProfile() };
+
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: { name: 'ChangeSchoolIntent', confirmationStatus: 'NONE', slots: {} }
+        }
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => requestAttributes),
+        setRequestAttributes: jest.fn()
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        addElicitSlotDirective: jest.fn().mockReturnThis(),
+        addConfirmIntentDirective: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      }
+    };
+  });
+
+  it('should handle ChangeSchoolIntent', () => {
+    expect(ChangeSchoolHandler.canHandle(handlerInput)).toBe(true);
+  });
+
+  it('should switch to adding a child when none are set up', async () => {
+    withIntent({ childName: 'Emma' });
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    const [slotName, updatedIntent] = handlerInput.responseBuilder.addElicitSlotDirective.mock.calls[0];
+    expect(slotName).toBe('childName');
+    expect(updatedIntent.name).toBe('AddChildIntent');
+  });
+
+  it('should ask whose school to change when there are several children', async () => {
+    withChildren([{ name: 'Emma' }, { name: 'Liam' }]);
+    withIntent();
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      'Whose school should I change? You can say Emma and Liam.'
+    );
+  });
+
+  it('should use the only child when no name is given', async () => {
+    withChildren([{ name: 'Emma' }]);
+    withIntent();
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('Which school does Emma go to now?');
+  });
+
+  it('should ask again for an unknown child', async () => {
+    withChildren([{ name: 'Emma' }, { name: 'Liam' }]);
+    withIntent({ childName: 'Noah' });
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      'I don\'t have a child named Noah. Whose school should I change? You can say Emma and Liam.'
+    );
+    const [, updatedIntent] = handlerInput.responseBuilder.addElicitSlotDirective.mock.calls[0];
+    expect(updatedIntent.slots.childName.value).toBeUndefined();
+  });
+
+  it('should ask again for an unknown school', async () => {
+    withChildren([{ name: 'Emma' }]);
+    withIntent({ childName: 'emma', schoolName: 'hogwarts' });
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      'I couldn\'t find a school called hogwarts. Which school does Emma go to now?'
+    );
+  });
+
+  it('should confirm before changing', async () => {
+    withChildren([{ name: 'Emma', schoolId: 'old', schoolName: 'Old School' }]);
+    withIntent({ childName: 'Emma', schoolName: 'westmore' });
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      'Change Emma\'s school to Westmore Elementary School?'
+    );
+    expect(handlerInput.responseBuilder.addConfirmIntentDirective).toHaveBeenCalled();
+  });
+
+  it('should save the new school when confirmed', async () => {
+    withChildren([{ name: 'Emma', schoolId: 'old', schoolName: 'Old School', allergies: ['milk'] }, { name: 'Liam' }]);
+    withIntent({ childName: 'Emma', schoolName: 'westmore', confirmationStatus: 'CONFIRMED' });
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    const profile = profileService.getProfile(handlerInput);
+    expect(profile.children[0]).toEqual(expect.objectContaining({
+      name: 'Emma',
+      schoolId: 'westmore-elementary-school-2',
+      schoolName: 'Westmore Elementary School',
+      allergies: ['milk']
+    }));
+    expect(profile.children[1].name).toBe('Liam');
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      'Done. Emma now goes to Westmore Elementary School.'
+    );
+  });
+
+  it('should keep the old school when denied', async () => {
+    withChildren([{ name: 'Emma', schoolId: 'old', schoolName: 'Old School' }]);
+    withIntent({ childName: 'Emma', schoolName: 'westmore', confirmationStatus: 'DENIED' });
+
+    await ChangeSchoolHandler.handle(handlerInput);
+
+    expect(handlerInput.attributesManager.setRequestAttributes).not.toHaveBeenCalled();
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      'Okay, I won\'t change it. Emma is still at Old School.'
+    );
+  });
+});
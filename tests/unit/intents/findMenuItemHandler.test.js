@@ -0,0 +1,155 @@
+/**
+ * Unit tests for FindMenuItemHandler
+ * London School TDD Pattern - Mock service collaborators
+ */
+
+const FindMenuItemHandler = require('../../../src/intents/FindMenuItemHandler');
+
+jest.mock('../../../src/services/menuService');
+
+const menuService = require('../../../src/services/menuService');
+const dateUtils = require('../../../src/utils/dateUtils');
+const constants = require('../../../src/utils/constants');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+describe('FindMenuItemHandler', () => {
+  let handlerInput;
+
+  const withFoodSlot = (value) => {
+    handlerInput.requestEnvelope.request.intent.slots = {
+      food: { name: 'food', value }
+    };
+  };
+
+  // Serve the same menu for every date except the ones overridden
+  const mockMenus = (overrides = {}) => {
+    menuService.getMenusForDates.mockImplementation(async (schoolId, dates) =>
+      Object.fromEntries(dates.map(date => [
+        date,
+        overrides[date] || { date, items: [{ name: 'Chicken Nuggets' }] }
+      ]))
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Monday, Oct 20, 2025 in the school timezone
+    jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 20));
+
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: { name: 'FindMenuItemIntent', slots: {} }
+        }
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => ({ profile: { children: [] } }))
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canHandle', () => {
+    test('returns true for FindMenuItemIntent', () => {
+      expect(FindMenuItemHandler.canHandle(handlerInput)).toBe(true);
+    });
+
+    test('returns false for other intents', () => {
+      handlerInput.requestEnvelope.request.intent.name = 'GetTodayMenuIntent';
+      expect(FindMenuItemHandler.canHandle(handlerInput)).toBe(false);
+    });
+  });
+
+  describe('handle', () => {
+    test('searches the next ten school days starting today', async () => {
+      withFoodSlot('pizza');
+      mockMenus();
+
+      await FindMenuItemHandler.handle(handlerInput);
+
+      const dates = menuService.getMenusForDates.mock.calls[0][1];
+      expect(dates).toHaveLength(constants.SEARCH_SCHOOL_DAYS);
+      expect(dates[0]).toBe('2025-10-20');
+      expect(dates).not.toContain('2025-10-25');
+    });
+
+    test('speaks the first day the item is served', async () => {
+      withFoodSlot('pizza');
+      mockMenus({
+        '2025-10-23': { items: [{ name: 'Cheese Pizza' }] },
+        '2025-10-28': { items: [{ name: 'Pepperoni Pizza' }] }
+      });
+
+      await FindMenuItemHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Cheese Pizza is next served on Thursday, October 23rd.'
+      );
+    });
+
+    test('says today when the item is on today\'s menu', async () => {
+      withFoodSlot('nuggets');
+      mockMenus();
+
+      await FindMenuItemHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Chicken Nuggets is on the menu today.'
+      );
+    });
+
+    test('says when the item is not coming up', async () => {
+      withFoodSlot('sushi');
+      mockMenus();
+
+      await FindMenuItemHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'I don\'t see sushi on the menu in the next two weeks.'
+      );
+    });
+
+    test('skips days that failed to load', async () => {
+      withFoodSlot('tacos');
+      mockMenus({
+        '2025-10-20': new Error('Network error'),
+        '2025-10-21': { items: [{ name: 'Beef Tacos' }] }
+      });
+
+      await FindMenuItemHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Beef Tacos is next served on Tuesday, October 21st.'
+      );
+    });
+
+    test('returns API_ERROR when every day failed', async () => {
+      withFoodSlot('pizza');
+      menuService.getMenusForDates.mockImplementation(async (schoolId, dates) =>
+        Object.fromEntries(dates.map(date => [date, new Error('Network error')]))
+      );
+
+      await FindMenuItemHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.API_ERROR);
+    });
+
+    test('asks which food when the slot is missing', async () => {
+      await FindMenuItemHandler.handle(handlerInput);
+
+      expect(menuService.getMenusForDates).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('Which food should I look for?');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for ForgetSettingsHandler
+ * London School TDD Pattern - Mock profileService collaborator
+ */
+
+const ForgetSettingsHandler = require('../../../src/intents/ForgetSettingsHandler');
+
+jest.mock('../../../src/services/profileService');
+
+const profileService = require('../../../src/services/profileService');
+
+describe('ForgetSettingsHandler', () => {
+  let handlerInput;
+
+  const withConfirmation = (confirmationStatus) => {
+    handlerInput.requestEnvelope.request.intent.confirmationStatus = confirmationStatus;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: { name: 'ForgetSettingsIntent', confirmationStatus: 'NONE', slots: {} }
+        }
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        addConfirmIntentDirective: jest.fn().mockReturnThis(),
+        withShouldEndSession: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      }
+    };
+  });
+
+  it('should handle ForgetSettingsIntent', () => {
+    expect(ForgetSettingsHandler.canHandle(handlerInput)).toBe(true);
+  });
+
+  it('should ask for confirmation first', () => {
+    ForgetSettingsHandler.handle(handlerInput);
+
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      expect.stringContaining('Are you sure you want me to forget your settings?')
+    );
+    expect(handlerInput.responseBuilder.addConfirmIntentDirective)
+      .toHaveBeenCalledWith(handlerInput.requestEnvelope.request.intent);
+    expect(profileService.clearProfile).not.toHaveBeenCalled();
+  });
+
+  it('should clear the profile when confirmed', () => {
+    withConfirmation('CONFIRMED');
+
+    ForgetSettingsHandler.handle(handlerInput);
+
+    expect(profileService.clearProfile).toHaveBeenCalledWith(handlerInput);
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+      expect.stringContaining('I\'ve forgotten your household settings')
+    );
+    expect(handlerInput.responseBuilder.withShouldEndSession).toHaveBeenCalledWith(true);
+  });
+
+  it('should keep the profile when denied', () => {
+    withConfirmation('DENIED');
+
+    ForgetSettingsHandler.handle(handlerInput);
+
+    expect(profileService.clearProfile).not.toHaveBeenCalled();
+    expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('Okay, I\'ll keep your settings.');
+  });
+});
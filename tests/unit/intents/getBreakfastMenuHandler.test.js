@@ -0,0 +1,158 @@
+/**
+ * Unit tests for GetBreakfastMenuHandler
+ * London School TDD Pattern - Mock service collaborators
+ */
+
+const GetBreakfastMenuHandler = require('../../../src/intents/GetBreakfastMenuHandler');
+
+jest.mock('../../../src/services/menuService');
+
+const menuService = require('../../../src/services/menuService');
+const dateUtils = require('../../../src/utils/dateUtils');
+const constants = require('../../../src/utils/constants');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+const breakfastMenu = {
+  items: [
+    { name: 'Blueberry Pancakes', category: 'entree' },
+    { name: 'Apple Juice', category: 'beverage' }
+  ]
+};
+
+describe('GetBreakfastMenuHandler', () => {
+  let handlerInput;
+  let requestAttributes;
+
+  const withDateSlot = (value) => {
+    handlerInput.requestEnvelope.request.intent.slots = {
+      date: { name: 'date', value }
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Monday, Oct 20, 2025 in the school timezone
+    jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 20));
+
+    requestAttributes = { profile: { children: [] } };
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: {
+            name: 'GetBreakfastMenuIntent',
+            slots: {}
+          }
+        }
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => requestAttributes)
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canHandle', () => {
+    test('returns true for GetBreakfastMenuIntent', () => {
+      expect(GetBreakfastMenuHandler.canHandle(handlerInput)).toBe(true);
+    });
+
+    test('returns false for other intents', () => {
+      handlerInput.requestEnvelope.request.intent.name = 'GetTodayMenuIntent';
+      expect(GetBreakfastMenuHandler.canHandle(handlerInput)).toBe(false);
+    });
+  });
+
+  describe('handle', () => {
+    test('speaks today\'s breakfast when no date is given', async () => {
+      menuService.getMenuForDate.mockResolvedValue(breakfastMenu);
+
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-20', 'breakfast');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('Breakfast today is Blueberry Pancakes.');
+    });
+
+    test('labels tomorrow and later days', async () => {
+      menuService.getMenuForDate.mockResolvedValue(breakfastMenu);
+
+      withDateSlot('2025-10-21');
+      await GetBreakfastMenuHandler.handle(handlerInput);
+      withDateSlot('2025-10-24');
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak.mock.calls.map(call => call[0])).toEqual([
+        'Breakfast tomorrow is Blueberry Pancakes.',
+        'Breakfast on Friday, October 24th is Blueberry Pancakes.'
+      ]);
+    });
+
+    test('answers for the next school day on a weekend', async () => {
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date(2025, 9, 25)); // Saturday
+      menuService.getMenuForDate.mockResolvedValue(breakfastMenu);
+
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-27', 'breakfast');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Breakfast on Monday, October 27th is Blueberry Pancakes.'
+      );
+    });
+
+    test('says when a requested day isn\'t a school day', async () => {
+      withDateSlot('2025-10-25');
+
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining(constants.ERRORS.WEEKEND)
+      );
+    });
+
+    test('speaks one section per school for multi-school households', async () => {
+      requestAttributes.profile = {
+        children: [
+          { name: 'Emma', schoolId: SCHOOL_ID, schoolName: 'Westmore Elementary School' },
+          { name: 'Liam', schoolId: 'jefferson-middle-school', schoolName: 'Jefferson Middle School' }
+        ]
+      };
+      menuService.getMenuForDate.mockImplementation(async (schoolId) =>
+        (schoolId === SCHOOL_ID ? breakfastMenu : { items: [] })
+      );
+
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Here\'s what\'s for breakfast today. At Westmore Elementary School, Emma has Blueberry Pancakes. ' +
+        'Jefferson Middle School hasn&apos;t posted a breakfast menu.'
+      );
+    });
+
+    test('says so when the school serves no breakfast', async () => {
+      menuService.getMenuForDate.mockResolvedValue({ items: [] });
+
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.NO_BREAKFAST);
+    });
+
+    test('returns API_ERROR when the menu cannot be fetched', async () => {
+      menuService.getMenuForDate.mockRejectedValue(new Error('Network error'));
+
+      await GetBreakfastMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.API_ERROR);
+    });
+  });
+});
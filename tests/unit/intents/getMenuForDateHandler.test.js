@@ -0,0 +1,215 @@
+/**
+ * Unit tests for GetMenuForDateHandler
+ * London School TDD Pattern - Mock service collaborators
+ */
+
+const GetMenuForDateHandler = require('../../../src/intents/GetMenuForDateHandler');
+
+jest.mock('../../../src/services/menuService');
+jest.mock('../../../src/utils/menuParser');
+
+const menuService = require('../../../src/services/menuService');
+const menuParser = require('../../../src/utils/menuParser');
+const dateUtils = require('../../../src/utils/dateUtils');
+const constants = require('../../../src/utils/constants');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+describe('GetMenuForDateHandler', () => {
+  let handlerInput;
+
+  const withDateSlot = (value) => {
+    handlerInput.requestEnvelope.request.intent.slots = {
+      date: { name: 'date', value }
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Monday, Oct 20, 2025 in the school timezone
+    jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 20));
+
+    handlerInput = {
+      requestEnvelope: {
+        request: {
+          type: 'IntentRequest',
+          intent: {
+            name: 'GetMenuForDateIntent',
+            slots: {}
+          }
+        }
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => ({ profile: { children: [] } }))
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canHandle', () => {
+    test('returns true for GetMenuForDateIntent', () => {
+      expect(GetMenuForDateHandler.canHandle(handlerInput)).toBe(true);
+    });
+
+    test('returns false for other intents', () => {
+      handlerInput.requestEnvelope.request.intent.name = 'GetTodayMenuIntent';
+      expect(GetMenuForDateHandler.canHandle(handlerInput)).toBe(false);
+    });
+
+    test('returns false for non-IntentRequest', () => {
+      handlerInput.requestEnvelope.request.type = 'LaunchRequest';
+      expect(GetMenuForDateHandler.canHandle(handlerInput)).toBe(false);
+    });
+  });
+
+  describe('handle', () => {
+    test('speaks the menu for the resolved date', async () => {
+      const mockMenuData = { items: [{ name: 'Cheese Pizza', category: 'Entree' }] };
+      withDateSlot('2025-10-24');
+      menuService.getMenuForDate.mockResolvedValue(mockMenuData);
+      menuParser.extractMainItems.mockReturnValue(mockMenuData.items);
+      menuParser.formatMenuItems.mockReturnValue('Cheese Pizza');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-24');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'On Friday, October 24th, the lunch menu includes Cheese Pizza.'
+      );
+    });
+
+    test('says how old a menu served from a stale cache is', async () => {
+      withDateSlot('2025-10-24');
+      menuService.getMenuForDate.mockResolvedValue({
+        items: [{ name: 'Cheese Pizza' }],
+        stale: true,
+        fetchedAt: '2025-10-20T13:05:00Z'
+      });
+      menuParser.extractMainItems.mockReturnValue([{ name: 'Cheese Pizza' }]);
+      menuParser.formatMenuItems.mockReturnValue('Cheese Pizza');
+      jest.spyOn(dateUtils, 'describeAsOf').mockReturnValue('this morning');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'On Friday, October 24th, the lunch menu includes Cheese Pizza. That\'s the menu as of this morning.'
+      );
+    });
+
+    test('resolves dates without a year to the next occurrence', async () => {
+      withDateSlot('XXXX-10-30');
+      menuService.getMenuForDate.mockResolvedValue({ items: [{ name: 'Tacos' }] });
+      menuParser.extractMainItems.mockReturnValue([{ name: 'Tacos' }]);
+      menuParser.formatMenuItems.mockReturnValue('Tacos');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-30');
+    });
+
+    test('escapes XML special characters in menu text', async () => {
+      withDateSlot('2025-10-22');
+      menuService.getMenuForDate.mockResolvedValue({ items: [{ name: 'Mac & Cheese' }] });
+      menuParser.extractMainItems.mockReturnValue([{ name: 'Mac & Cheese' }]);
+      menuParser.formatMenuItems.mockReturnValue('Mac & Cheese');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Mac &amp; Cheese')
+      );
+    });
+
+    test('speaks one section per school for multi-school households', async () => {
+      withDateSlot('2025-10-24');
+      handlerInput.attributesManager.getRequestAttributes.mockReturnValue({
+        profile: {
+          children: [
+            { name: 'Emma', schoolId: SCHOOL_ID, schoolName: 'Westmore Elementary School' },
+            { name: 'Liam', schoolId: 'jefferson-middle-school', schoolName: 'Jefferson Middle School' }
+          ]
+        }
+      });
+      menuService.getMenuForDate.mockImplementation(async (schoolId) => ({
+        items: [{ name: schoolId === SCHOOL_ID ? 'Cheese Pizza' : 'Beef Tacos' }]
+      }));
+      menuParser.extractMainItems.mockImplementation(menuData => menuData.items);
+      menuParser.formatMenuItems.mockImplementation(items => items.map(item => item.name).join(' and '));
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).toHaveBeenCalledWith('jefferson-middle-school', '2025-10-24');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        'Here\'s what\'s for lunch on Friday, October 24th. ' +
+        'At Westmore Elementary School, Emma has Cheese Pizza. ' +
+        'At Jefferson Middle School, Liam has Beef Tacos.'
+      );
+    });
+
+    test('speaks the weekend message without calling the API', async () => {
+      withDateSlot('2025-10-25');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining(constants.ERRORS.WEEKEND)
+      );
+    });
+
+    test('speaks the holiday message for configured holidays', async () => {
+      withDateSlot('2025-12-24');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining(constants.ERRORS.HOLIDAY)
+      );
+    });
+
+    test('asks for a day when the slot is missing', async () => {
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('Which day')
+      );
+    });
+
+    test('asks for a day when the slot is a week', async () => {
+      withDateSlot('2025-W44');
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForDate).not.toHaveBeenCalled();
+    });
+
+    test('returns NO_MENU when no main items are found', async () => {
+      withDateSlot('2025-10-24');
+      menuService.getMenuForDate.mockResolvedValue({ items: [] });
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.NO_MENU);
+    });
+
+    test('handles API errors gracefully', async () => {
+      withDateSlot('2025-10-24');
+      menuService.getMenuForDate.mockRejectedValue(new Error('Network error'));
+
+      await GetMenuForDateHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.API_ERROR);
+    });
+  });
+});
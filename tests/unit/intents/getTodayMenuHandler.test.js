@@ -6,12 +6,12 @@
 const GetTodayMenuHandler = require('../../../src/intents/GetTodayMenuHandler');
 
 // Mock dependencies
-jest.mock('../../../src/services/nutrisliceService');
+jest.mock('../../../src/services/menuService');
 jest.mock('../../../src/services/weatherService');
 jest.mock('../../../src/utils/menuParser');
 jest.mock('../../../src/utils/constants');
 
-const nutrisliceService = require('../../../src/services/nutrisliceService');
+const menuService = require('../../../src/services/menuService');
 const weatherService = require('../../../src/services/weatherService');
 const menuParser = require('../../../src/utils/menuParser');
 const constants = require('../../../src/utils/constants');
@@ -86,7 +86,7 @@ describe('GetTodayMenuHandler', () => {
         { name: 'Pizza', category: 'Entree' }
       ];
 
-      nutrisliceService.getMenuForToday.mockResolvedValue(mockMenuData);
+      menuService.getMenuForToday.mockResolvedValue(mockMenuData);
       weatherService.getMorningWeather.mockResolvedValue(mockWeatherData);
       menuParser.extractMainItems.mockReturnValue(mockMainItems);
       menuParser.formatMenuItems.mockReturnValue('Pizza');
@@ -95,7 +95,7 @@ describe('GetTodayMenuHandler', () => {
       await GetTodayMenuHandler.handle(handlerInput);
 
       // Assert
-      expect(nutrisliceService.getMenuForToday).toHaveBeenCalledTimes(1);
+      expect(menuService.getMenuForToday).toHaveBeenCalledTimes(1);
       expect(weatherService.getMorningWeather).toHaveBeenCalledTimes(1);
       expect(menuParser.extractMainItems).toHaveBeenCalledWith(mockMenuData);
       expect(menuParser.formatMenuItems).toHaveBeenCalledWith(mockMainItems);
@@ -119,7 +119,7 @@ describe('GetTodayMenuHandler', () => {
 
       const mockMainItems = [{ name: 'Burger', category: 'Entree' }];
 
-      nutrisliceService.getMenuForToday.mockResolvedValue(mockMenuData);
+      menuService.getMenuForToday.mockResolvedValue(mockMenuData);
       weatherService.getMorningWeather.mockRejectedValue(new Error('Weather API down'));
       menuParser.extractMainItems.mockReturnValue(mockMainItems);
       menuParser.formatMenuItems.mockReturnValue('Burger');
@@ -135,7 +135,7 @@ describe('GetTodayMenuHandler', () => {
 
     test('returns error when menu is empty', async () => {
       // Arrange
-      nutrisliceService.getMenuForToday.mockResolvedValue({ items: [] });
+      menuService.getMenuForToday.mockResolvedValue({ items: [] });
       weatherService.getMorningWeather.mockResolvedValue(null);
 
       // Act
@@ -153,7 +153,7 @@ describe('GetTodayMenuHandler', () => {
         items: [{ name: 'Milk', category: 'Beverage' }]
       };
 
-      nutrisliceService.getMenuForToday.mockResolvedValue(mockMenuData);
+      menuService.getMenuForToday.mockResolvedValue(mockMenuData);
       weatherService.getMorningWeather.mockResolvedValue(null);
       menuParser.extractMainItems.mockReturnValue([]);
 
@@ -168,7 +168,7 @@ describe('GetTodayMenuHandler', () => {
 
     test('handles API errors gracefully', async () => {
       // Arrange
-      nutrisliceService.getMenuForToday.mockRejectedValue(new Error('Network error'));
+      menuService.getMenuForToday.mockRejectedValue(new Error('Network error'));
       weatherService.getMorningWeather.mockResolvedValue(null);
 
       // Act
@@ -194,7 +194,7 @@ describe('GetTodayMenuHandler', () => {
 
       const mockMainItems = [{ name: 'Tacos', category: 'Entree' }];
 
-      nutrisliceService.getMenuForToday.mockResolvedValue(mockMenuData);
+      menuService.getMenuForToday.mockResolvedValue(mockMenuData);
       weatherService.getMorningWeather.mockResolvedValue(mockWeatherData);
       menuParser.extractMainItems.mockReturnValue(mockMainItems);
       menuParser.formatMenuItems.mockReturnValue('Tacos');
@@ -6,21 +6,23 @@
 const GetTomorrowMenuHandler = require('../../../src/intents/GetTomorrowMenuHandler');
 
 // Mock dependencies
-jest.mock('../../../src/services/nutrisliceService');
+jest.mock('../../../src/services/menuService');
 jest.mock('../../../src/services/weatherService');
 jest.mock('../../../src/utils/menuParser');
 jest.mock('../../../src/utils/dateUtils');
 jest.mock('../../../src/utils/constants');
 
-const nutrisliceService = require('../../../src/services/nutrisliceService');
+const menuService = require('../../../src/services/menuService');
 const weatherService = require('../../../src/services/weatherService');
 const menuParser = require('../../../src/utils/menuParser');
 const dateUtils = require('../../../src/utils/dateUtils');
 const constants = require('../../../src/utils/constants');
+const { Deadline } = require('../../../src/utils/deadline');
 
 describe('GetTomorrowMenuHandler', () => {
   let handlerInput;
   let mockToday;
+  let requestAttributes;
 
   beforeEach(() => {
     // Reset all mocks
@@ -36,7 +38,8 @@ describe('GetTomorrowMenuHandler', () => {
     mockToday = new Date('2025-10-20T08:00:00.000Z');
     // Don't mock Date here - we'll do it per-test as needed
 
-    // Standard handler input
+    // Standard handler input (household without children)
+    requestAttributes = { profile: { children: [] } };
     handlerInput = {
       requestEnvelope: {
         request: {
@@ -50,6 +53,9 @@ describe('GetTomorrowMenuHandler', () => {
         speak: jest.fn().mockReturnThis(),
         reprompt: jest.fn().mockReturnThis(),
         getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => requestAttributes)
       }
     };
   });
@@ -92,7 +98,7 @@ describe('GetTomorrowMenuHandler', () => {
       // Mock the timezone-aware date function
       dateUtils.getTodayInTimezone.mockReturnValue(mockToday);
       dateUtils.getNextSchoolDay.mockReturnValue(mockTomorrow);
-      nutrisliceService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
+      menuService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
       weatherService.getTomorrowWeather.mockResolvedValue({
         tomorrow: {
           dayName: 'Tuesday',
@@ -110,7 +116,7 @@ describe('GetTomorrowMenuHandler', () => {
       await GetTomorrowMenuHandler.handle(handlerInput);
 
       // Assert
-      expect(nutrisliceService.getMenuForTomorrow).toHaveBeenCalledTimes(1);
+      expect(menuService.getMenuForTomorrow).toHaveBeenCalledTimes(1);
       expect(menuParser.extractMainItems).toHaveBeenCalledWith(mockMenuData);
       expect(menuParser.formatMenuItems).toHaveBeenCalledWith(mockMainItems);
 
@@ -123,6 +129,35 @@ describe('GetTomorrowMenuHandler', () => {
       );
     });
 
+    test('adds a school-or-home verdict for each child', async () => {
+      const mockToday = new Date('2025-10-20T12:00:00Z');
+      const mockTomorrow = new Date('2025-10-21T12:00:00Z');
+      const mockMenuData = {
+        items: [{ name: 'Spaghetti', category: 'Entree' }]
+      };
+
+      constants.LUNCH_RULES = { COLD_MAX_TEMP: 45, HOT_MIN_TEMP: 85, DEFAULT_VERDICT: 'home' };
+      requestAttributes.profile = {
+        children: [{ name: 'Emma', likes: ['spaghetti'] }, { name: 'Liam', likes: ['tacos'] }]
+      };
+
+      dateUtils.getTodayInTimezone.mockReturnValue(mockToday);
+      dateUtils.getNextSchoolDay.mockReturnValue(mockTomorrow);
+      menuService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
+      weatherService.getTomorrowWeather.mockResolvedValue(null);
+      menuParser.extractMainItems.mockReturnValue(mockMenuData.items);
+      menuParser.formatMenuItems.mockReturnValue('Spaghetti');
+      menuParser.findMatchingItem.mockImplementation((items, food) =>
+        (food === 'spaghetti' ? items[0] : null)
+      );
+
+      await GetTomorrowMenuHandler.handle(handlerInput);
+
+      const speech = handlerInput.responseBuilder.speak.mock.calls[0][0];
+      expect(speech).toContain('Emma should get school lunch tomorrow, because the menu has Spaghetti.');
+      expect(speech).toContain('Liam should bring lunch from home tomorrow, because nothing on the menu stood out.');
+    });
+
     test('returns next school day when skipping weekend', async () => {
       // Arrange - Asking about "tomorrow" when next school day is several days away
       // Return a date that's NOT tomorrow (4 days away to clearly demonstrate skip logic)
@@ -135,7 +170,7 @@ describe('GetTomorrowMenuHandler', () => {
       const mockMainItems = [{ name: 'Chicken Nuggets', category: 'Entree' }];
 
       dateUtils.getNextSchoolDay.mockReturnValue(mockFutureSchoolDay);
-      nutrisliceService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
+      menuService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
       menuParser.extractMainItems.mockReturnValue(mockMainItems);
       menuParser.formatMenuItems.mockReturnValue('Chicken Nuggets');
 
@@ -156,7 +191,7 @@ describe('GetTomorrowMenuHandler', () => {
       const mockTomorrow = new Date('2025-10-21T08:00:00.000Z');
 
       dateUtils.getNextSchoolDay.mockReturnValue(mockTomorrow);
-      nutrisliceService.getMenuForTomorrow.mockResolvedValue({ items: [] });
+      menuService.getMenuForTomorrow.mockResolvedValue({ items: [] });
 
       // Act
       await GetTomorrowMenuHandler.handle(handlerInput);
@@ -176,7 +211,7 @@ describe('GetTomorrowMenuHandler', () => {
       };
 
       dateUtils.getNextSchoolDay.mockReturnValue(mockTomorrow);
-      nutrisliceService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
+      menuService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
       menuParser.extractMainItems.mockReturnValue([]);
 
       // Act
@@ -193,7 +228,7 @@ describe('GetTomorrowMenuHandler', () => {
       const mockTomorrow = new Date('2025-10-21T08:00:00.000Z');
 
       dateUtils.getNextSchoolDay.mockReturnValue(mockTomorrow);
-      nutrisliceService.getMenuForTomorrow.mockRejectedValue(new Error('Network error'));
+      menuService.getMenuForTomorrow.mockRejectedValue(new Error('Network error'));
 
       // Act
       await GetTomorrowMenuHandler.handle(handlerInput);
@@ -225,7 +260,7 @@ describe('GetTomorrowMenuHandler', () => {
       // Mock the timezone-aware date function
       dateUtils.getTodayInTimezone.mockReturnValue(mockToday);
       dateUtils.getNextSchoolDay.mockReturnValue(mockTomorrow);
-      nutrisliceService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
+      menuService.getMenuForTomorrow.mockResolvedValue(mockMenuData);
       weatherService.getTomorrowWeather.mockResolvedValue({
         tomorrow: {
           dayName: 'Tuesday',
@@ -251,4 +286,85 @@ describe('GetTomorrowMenuHandler', () => {
       );
     });
   });
+
+  describe('weather alerts', () => {
+    test('leads with alerts in effect tomorrow', async () => {
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date('2025-10-22T12:00:00Z'));
+      dateUtils.getNextSchoolDay.mockReturnValue(new Date('2025-10-23T12:00:00Z'));
+      menuService.getMenuForTomorrow.mockResolvedValue({ items: [{ name: 'Chili', category: 'Entree' }] });
+      weatherService.getTomorrowWeather.mockResolvedValue({
+        tomorrow: {
+          dayName: 'Thursday',
+          temperature: 25,
+          temperatureUnit: 'F',
+          detailedForecast: 'Snow, mainly before noon.',
+          shortForecast: 'Snow'
+        },
+        alerts: [{ event: 'Winter Storm Warning', severity: 'Severe' }],
+        isFallback: false
+      });
+      menuParser.extractMainItems.mockReturnValue([{ name: 'Chili', category: 'Entree' }]);
+      menuParser.formatMenuItems.mockReturnValue('Chili');
+
+      await GetTomorrowMenuHandler.handle(handlerInput);
+
+      const speech = handlerInput.responseBuilder.speak.mock.calls[0][0];
+      expect(speech).toMatch(/^Weather alert: a Winter Storm Warning is in effect\. In /);
+      expect(speech).toContain("Tomorrow's lunch menu includes Chili");
+    });
+
+    test('skips tomorrow\'s alerts when the next school day is later', async () => {
+      // Friday: tomorrow is Saturday, the menu is Monday's
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date('2025-10-24T12:00:00Z'));
+      dateUtils.getNextSchoolDay.mockReturnValue(new Date('2025-10-27T12:00:00Z'));
+      menuService.getMenuForTomorrow.mockResolvedValue({ items: [{ name: 'Chili', category: 'Entree' }] });
+      weatherService.getTomorrowWeather.mockResolvedValue({
+        tomorrow: {
+          dayName: 'Saturday',
+          temperature: 25,
+          temperatureUnit: 'F',
+          detailedForecast: 'Snow, mainly before noon.',
+          shortForecast: 'Snow'
+        },
+        alerts: [{ event: 'Winter Storm Warning', severity: 'Severe' }],
+        isFallback: false
+      });
+      menuParser.extractMainItems.mockReturnValue([{ name: 'Chili', category: 'Entree' }]);
+      menuParser.formatMenuItems.mockReturnValue('Chili');
+
+      await GetTomorrowMenuHandler.handle(handlerInput);
+
+      const speech = handlerInput.responseBuilder.speak.mock.calls[0][0];
+      expect(speech).not.toContain('Winter Storm Warning');
+      expect(speech).toContain('The next school lunch is on Monday, featuring Chili');
+    });
+  });
+
+  describe('request deadline', () => {
+    beforeEach(() => {
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date('2025-10-20T12:00:00Z'));
+      dateUtils.getNextSchoolDay.mockReturnValue(new Date('2025-10-21T12:00:00Z'));
+      menuParser.extractMainItems.mockReturnValue([{ name: 'Spaghetti', category: 'Entree' }]);
+      menuParser.formatMenuItems.mockReturnValue('Spaghetti');
+    });
+
+    test('skips the weather but speaks the menu when the budget runs low', async () => {
+      requestAttributes.deadline = new Deadline(constants.DEADLINE.OPTIONAL_MIN_MS - 1);
+      menuService.getMenuForTomorrow.mockResolvedValue({ items: [{ name: 'Spaghetti', category: 'Entree' }] });
+
+      await GetTomorrowMenuHandler.handle(handlerInput);
+
+      expect(weatherService.getTomorrowWeather).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith("Tomorrow's lunch menu includes Spaghetti.");
+    });
+
+    test('apologizes when the deadline has already passed', async () => {
+      requestAttributes.deadline = new Deadline(0);
+
+      await GetTomorrowMenuHandler.handle(handlerInput);
+
+      expect(menuService.getMenuForTomorrow).not.toHaveBeenCalled();
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.API_ERROR);
+    });
+  });
 });
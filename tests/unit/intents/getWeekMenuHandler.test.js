@@ -0,0 +1,205 @@
+/**
+ * Unit tests for GetWeekMenuHandler
+ * London School TDD Pattern - Mock service collaborators
+ */
+
+const GetWeekMenuHandler = require('../../../src/intents/GetWeekMenuHandler');
+
+jest.mock('../../../src/services/menuCalendarService');
+
+const menuCalendarService = require('../../../src/services/menuCalendarService');
+const dateUtils = require('../../../src/utils/dateUtils');
+const constants = require('../../../src/utils/constants');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+describe('GetWeekMenuHandler', () => {
+  let handlerInput;
+
+  const mockWeek = {
+    days: [
+      { date: '2025-10-20', dayOfWeek: 'Monday', menuItems: ['Cheese Pizza', 'Tacos', 'Salad'], isSchoolDay: true },
+      { date: '2025-10-21', dayOfWeek: 'Tuesday', menuItems: ['Mac & Cheese'], isSchoolDay: true },
+      { date: '2025-10-22', dayOfWeek: 'Wednesday', menuItems: ['No school'], isSchoolDay: false },
+      { date: '2025-10-23', dayOfWeek: 'Thursday', menuItems: ['Menu unavailable'], isSchoolDay: true, isUnavailable: true },
+      { date: '2025-10-24', dayOfWeek: 'Friday', menuItems: ['Chicken Nuggets'], isSchoolDay: true }
+    ]
+  };
+
+  const withWeekSlot = (value, id) => {
+    handlerInput.requestEnvelope.request.intent.slots = {
+      week: {
+        name: 'week',
+        value,
+        resolutions: {
+          resolutionsPerAuthority: [{
+            status: { code: 'ER_SUCCESS_MATCH' },
+            values: [{ value: { name: value, id } }]
+          }]
+        }
+      }
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Wednesday, Oct 22, 2025 in the school timezone
+    jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 22));
+    menuCalendarService.getWeekMenuCalendar.mockResolvedValue(mockWeek);
+
+    handlerInput = {
+      requestEnvelope: {
+        context: {
+          System: { device: { supportedInterfaces: {} } }
+        },
+        request: {
+          type: 'IntentRequest',
+          intent: { name: 'GetWeekMenuIntent', slots: {} }
+        }
+      },
+      responseBuilder: {
+        speak: jest.fn().mockReturnThis(),
+        reprompt: jest.fn().mockReturnThis(),
+        addDirective: jest.fn().mockReturnThis(),
+        getResponse: jest.fn().mockReturnValue({ outputSpeech: 'test' })
+      },
+      attributesManager: {
+        getRequestAttributes: jest.fn(() => ({ profile: { children: [] } }))
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canHandle', () => {
+    test('returns true for GetWeekMenuIntent', () => {
+      expect(GetWeekMenuHandler.canHandle(handlerInput)).toBe(true);
+    });
+
+    test('returns false for other intents', () => {
+      handlerInput.requestEnvelope.request.intent.name = 'GetTodayMenuIntent';
+      expect(GetWeekMenuHandler.canHandle(handlerInput)).toBe(false);
+    });
+  });
+
+  describe('handle', () => {
+    test('fetches the current week when no slot is given', async () => {
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      const [schoolId, weekStart, title] = menuCalendarService.getWeekMenuCalendar.mock.calls[0];
+      expect(schoolId).toBe(SCHOOL_ID);
+      expect(dateUtils.formatDateForNutrislice(weekStart)).toBe('2025-10-20');
+      expect(title).toBe('This Week\'s Lunch Menu');
+    });
+
+    test('fetches the following week for NEXT_WEEK', async () => {
+      withWeekSlot('next week', 'NEXT_WEEK');
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      const [, weekStart] = menuCalendarService.getWeekMenuCalendar.mock.calls[0];
+      expect(dateUtils.formatDateForNutrislice(weekStart)).toBe('2025-10-27');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('lunch menu for next week')
+      );
+    });
+
+    test('answers for the coming week on a weekend', async () => {
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date(2025, 9, 25)); // Saturday
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      const [, weekStart] = menuCalendarService.getWeekMenuCalendar.mock.calls[0];
+      expect(dateUtils.formatDateForNutrislice(weekStart)).toBe('2025-10-27');
+    });
+
+    test('answers THIS_WEEK on a weekend with the coming week', async () => {
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date(2025, 9, 25)); // Saturday
+      withWeekSlot('this week', 'THIS_WEEK');
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      const [, weekStart, title] = menuCalendarService.getWeekMenuCalendar.mock.calls[0];
+      expect(dateUtils.formatDateForNutrislice(weekStart)).toBe('2025-10-27');
+      expect(title).toBe('This Week\'s Lunch Menu');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('lunch menu for this week')
+      );
+    });
+
+    test('answers NEXT_WEEK on a weekend with the week after the coming one', async () => {
+      dateUtils.getTodayInTimezone.mockReturnValue(new Date(2025, 9, 26)); // Sunday
+      withWeekSlot('next week', 'NEXT_WEEK');
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      const [, weekStart, title] = menuCalendarService.getWeekMenuCalendar.mock.calls[0];
+      expect(dateUtils.formatDateForNutrislice(weekStart)).toBe('2025-11-03');
+      expect(title).toBe('Next Week\'s Lunch Menu');
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(
+        expect.stringContaining('lunch menu for next week')
+      );
+    });
+
+    test('speaks a compact per-day summary with holidays and gaps', async () => {
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      const speech = handlerInput.responseBuilder.speak.mock.calls[0][0];
+      expect(speech).toContain('Monday, Cheese Pizza and Tacos.');
+      expect(speech).not.toContain('Salad');
+      expect(speech).toContain('Tuesday, Mac &amp; Cheese.');
+      expect(speech).toContain('Wednesday, no school.');
+      expect(speech).toContain('Thursday, no menu posted yet.');
+      expect(speech).toContain('Friday, Chicken Nuggets.');
+    });
+
+    test('says there is no school when every day is off', async () => {
+      menuCalendarService.getWeekMenuCalendar.mockResolvedValue({
+        days: mockWeek.days.map(day => ({ ...day, isSchoolDay: false }))
+      });
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith('There\'s no school this week.');
+    });
+
+    test('returns NO_MENU when no day has a menu', async () => {
+      menuCalendarService.getWeekMenuCalendar.mockResolvedValue({
+        days: mockWeek.days.map(day => ({ ...day, isSchoolDay: true, isUnavailable: true }))
+      });
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.NO_MENU);
+    });
+
+    test('renders the requested week on APL devices', async () => {
+      handlerInput.requestEnvelope.context.System.device.supportedInterfaces = {
+        'Alexa.Presentation.APL': {}
+      };
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.addDirective).toHaveBeenCalledTimes(1);
+      const directive = handlerInput.responseBuilder.addDirective.mock.calls[0][0];
+      expect(directive.datasources.menuData.days).toHaveLength(5);
+    });
+
+    test('does not add APL directive for voice-only devices', async () => {
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.addDirective).not.toHaveBeenCalled();
+    });
+
+    test('handles calendar errors gracefully', async () => {
+      menuCalendarService.getWeekMenuCalendar.mockRejectedValue(new Error('boom'));
+
+      await GetWeekMenuHandler.handle(handlerInput);
+
+      expect(handlerInput.responseBuilder.speak).toHaveBeenCalledWith(constants.ERRORS.API_ERROR);
+    });
+  });
+});
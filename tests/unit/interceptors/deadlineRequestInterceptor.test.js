@@ -0,0 +1,55 @@
+/**
+ * Tests for the request deadline interceptor
+ */
+
+const DeadlineRequestInterceptor = require('../../../src/interceptors/DeadlineRequestInterceptor');
+const { Deadline, getDeadline } = require('../../../src/utils/deadline');
+const constants = require('../../../src/utils/constants');
+
+/**
+ * handlerInput stand-in with in-memory request attributes
+ */
+function buildHandlerInput(context) {
+  let requestAttributes = {};
+  return {
+    context,
+    attributesManager: {
+      getRequestAttributes: jest.fn(() => requestAttributes),
+      setRequestAttributes: jest.fn((value) => { requestAttributes = value; })
+    }
+  };
+}
+
+describe('DeadlineRequestInterceptor', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store a deadline derived from the Lambda remaining time', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const handlerInput = buildHandlerInput({ getRemainingTimeInMillis: () => 4000 });
+
+    DeadlineRequestInterceptor.process(handlerInput);
+
+    const deadline = getDeadline(handlerInput);
+    expect(deadline).toBeInstanceOf(Deadline);
+    expect(deadline.remaining()).toBe(4000 - constants.DEADLINE.SAFETY_MARGIN_MS);
+  });
+
+  it('should stop Lambda waiting on calls the deadline abandoned', () => {
+    const context = { getRemainingTimeInMillis: () => 4000, callbackWaitsForEmptyEventLoop: true };
+
+    DeadlineRequestInterceptor.process(buildHandlerInput(context));
+
+    expect(context.callbackWaitsForEmptyEventLoop).toBe(false);
+  });
+
+  it('should work without a Lambda context', () => {
+    const handlerInput = buildHandlerInput(undefined);
+
+    DeadlineRequestInterceptor.process(handlerInput);
+
+    expect(getDeadline(handlerInput).remaining()).toBeGreaterThan(0);
+  });
+});
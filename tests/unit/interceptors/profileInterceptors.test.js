@@ -0,0 +1,102 @@
+/**
+ * Tests for the household profile request/response interceptors
+ */
+
+const ProfileRequestInterceptor = require('../../../src/interceptors/ProfileRequestInterceptor');
+const ProfileResponseInterceptor = require('../../../src/interceptors/ProfileResponseInterceptor');
+const profileService = require('../../../src/services/profileService');
+
+/**
+ * attributesManager stand-in with in-memory persistent attributes
+ */
+function buildHandlerInput(persistentAttributes = {}) {
+  let requestAttributes = {};
+  let persistent = persistentAttributes;
+  return {
+    attributesManager: {
+      getRequestAttributes: jest.fn(() => requestAttributes),
+      setRequestAttributes: jest.fn((value) => { requestAttributes = value; }),
+      getPersistentAttributes: jest.fn(async () => persistent),
+      setPersistentAttributes: jest.fn((value) => { persistent = value; }),
+      savePersistentAttributes: jest.fn(async () => {}),
+      deletePersistentAttributes: jest.fn(async () => {})
+    }
+  };
+}
+
+describe('Profile interceptors', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ProfileRequestInterceptor', () => {
+    it('should load and normalize the stored profile', async () => {
+      const handlerInput = buildHandlerInput({ profile: { children: [{ name: 'Emma' }] } });
+
+      await ProfileRequestInterceptor.process(handlerInput);
+
+      const profile = profileService.getProfile(handlerInput);
+      expect(profile.children[0]).toEqual(expect.objectContaining({ name: 'Emma', allergies: [] }));
+    });
+
+    it('should fall back to the default profile when loading fails', async () => {
+      const handlerInput = buildHandlerInput();
+      handlerInput.attributesManager.getPersistentAttributes.mockRejectedValue(new Error('Throttled'));
+
+      await ProfileRequestInterceptor.process(handlerInput);
+
+      expect(profileService.getProfile(handlerInput)).toEqual(profileService.createDefaultProfile());
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ProfileResponseInterceptor', () => {
+    it('should not write when the profile is unchanged', async () => {
+      const handlerInput = buildHandlerInput();
+      await ProfileRequestInterceptor.process(handlerInput);
+
+      await ProfileResponseInterceptor.process(handlerInput);
+
+      expect(handlerInput.attributesManager.savePersistentAttributes).not.toHaveBeenCalled();
+      expect(handlerInput.attributesManager.deletePersistentAttributes).not.toHaveBeenCalled();
+    });
+
+    it('should save a changed profile', async () => {
+      const handlerInput = buildHandlerInput({ other: 'kept' });
+      await ProfileRequestInterceptor.process(handlerInput);
+      profileService.saveProfile(handlerInput, { children: [{ name: 'Liam' }] });
+
+      await ProfileResponseInterceptor.process(handlerInput);
+
+      const saved = handlerInput.attributesManager.setPersistentAttributes.mock.calls[0][0];
+      expect(saved.other).toBe('kept');
+      expect(saved.profile.children[0].name).toBe('Liam');
+      expect(handlerInput.attributesManager.savePersistentAttributes).toHaveBeenCalledTimes(1);
+    });
+
+    it('should delete a cleared profile', async () => {
+      const handlerInput = buildHandlerInput({ profile: { children: [{ name: 'Emma' }] } });
+      await ProfileRequestInterceptor.process(handlerInput);
+      profileService.clearProfile(handlerInput);
+
+      await ProfileResponseInterceptor.process(handlerInput);
+
+      expect(handlerInput.attributesManager.deletePersistentAttributes).toHaveBeenCalledTimes(1);
+      expect(handlerInput.attributesManager.savePersistentAttributes).not.toHaveBeenCalled();
+    });
+
+    it('should swallow save failures', async () => {
+      const handlerInput = buildHandlerInput();
+      await ProfileRequestInterceptor.process(handlerInput);
+      profileService.saveProfile(handlerInput, { children: [{ name: 'Liam' }] });
+      handlerInput.attributesManager.savePersistentAttributes.mockRejectedValue(new Error('Throttled'));
+
+      await expect(ProfileResponseInterceptor.process(handlerInput)).resolves.toBeUndefined();
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Test suite for cacheBackends
+ *
+ * A small in-memory stand-in for DynamoDB's DocumentClient keeps items
+ * the way the table would, so the backend's item layout and TTL handling
+ * can be checked without AWS.
+ */
+
+const {
+  DynamoDbCacheBackend,
+  createCacheBackend
+} = require('../../../src/services/cacheBackends');
+const cacheService = require('../../../src/services/cacheService');
+const { GetCommand, PutCommand, DeleteCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+/**
+ * DynamoDBDocumentClient stand-in: get/put/delete keyed by the table's partition
+ * key, and scan with the begins_with filter deletePrefix() uses, one item per page
+ */
+class FakeDocumentClient {
+  constructor() {
+    this.tables = new Map();
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new Map());
+    }
+    return this.tables.get(name);
+  }
+
+  async send(command) {
+    const { TableName, Key, Item, ExpressionAttributeValues, ExclusiveStartKey } = command.input;
+    const table = this.table(TableName);
+
+    if (command instanceof GetCommand) {
+      const item = table.get(Key.key);
+      return item ? { Item: { ...item } } : {};
+    }
+    if (command instanceof PutCommand) {
+      table.set(Item.key, { ...Item });
+      return {};
+    }
+    if (command instanceof DeleteCommand) {
+      table.delete(Key.key);
+      return {};
+    }
+    if (command instanceof ScanCommand) {
+      const keys = Array.from(table.keys())
+        .filter(key => key.startsWith(ExpressionAttributeValues[':prefix']))
+        .sort();
+      const start = ExclusiveStartKey ? keys.indexOf(ExclusiveStartKey.key) + 1 : 0;
+      const page = keys.slice(start, start + 1);
+      const last = start + 1 < keys.length ? { key: page[0] } : undefined;
+      return { Items: page.map(key => ({ key })), LastEvaluatedKey: last };
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+
+describe('cacheBackends', () => {
+  let client;
+  let backend;
+  let now;
+
+  beforeEach(() => {
+    client = new FakeDocumentClient();
+    backend = new DynamoDbCacheBackend({ tableName: 'Cache', client });
+    now = Date.parse('2025-10-20T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const entryFor = (value) => ({
+    value,
+    expiresAt: now + 10 * MINUTE_MS,
+    revalidateUntil: now + 20 * MINUTE_MS,
+    staleUntil: now + 60 * MINUTE_MS,
+    createdAt: now
+  });
+
+  describe('DynamoDbCacheBackend', () => {
+    it('should round-trip entries', async () => {
+      const entry = entryFor({ items: [{ name: 'Pizza' }] });
+
+      await backend.set('menu:westmore:lunch:2025-10-20', entry);
+
+      expect(await backend.get('menu:westmore:lunch:2025-10-20')).toEqual(entry);
+    });
+
+    it('should set the native TTL attribute to the hard expiry in epoch seconds', async () => {
+      await backend.set('weather:hourly', entryFor({ temp: 50 }));
+
+      const item = client.table('Cache').get('weather:hourly');
+      expect(item.ttl).toBe((now + 60 * MINUTE_MS) / 1000);
+      expect(typeof item.value).toBe('string');
+    });
+
+    it('should ignore items past their TTL that DynamoDB has not removed yet', async () => {
+      await backend.set('weather:hourly', entryFor({ temp: 50 }));
+
+      now += 61 * MINUTE_MS;
+
+      expect(await backend.get('weather:hourly')).toBeNull();
+    });
+
+    it('should return null for missing keys and after delete', async () => {
+      await backend.set('weather:hourly', entryFor({ temp: 50 }));
+      await backend.delete('weather:hourly');
+
+      expect(await backend.get('weather:hourly')).toBeNull();
+      expect(await backend.get('never-set')).toBeNull();
+    });
+
+    it('should delete every item under a prefix across scan pages', async () => {
+      await backend.set('menu:westmore:lunch:2025-10-20', entryFor({}));
+      await backend.set('menu:westmore:lunch:2025-10-21', entryFor({}));
+      await backend.set('menu:westmore-2:lunch:2025-10-20', entryFor({}));
+
+      await backend.deletePrefix('menu:westmore:');
+
+      expect(Array.from(client.table('Cache').keys())).toEqual(['menu:westmore-2:lunch:2025-10-20']);
+    });
+
+    it('should require a table name', () => {
+      expect(() => new DynamoDbCacheBackend({ client })).toThrow('CACHE_TABLE_NAME');
+    });
+  });
+
+  describe('createCacheBackend', () => {
+    it('should create a DynamoDB backend for the configured table', async () => {
+      const created = createCacheBackend({ TYPE: 'dynamodb', TABLE_NAME: 'Cache', ENDPOINT: 'http://localhost:8000' });
+
+      expect(created).toBeInstanceOf(DynamoDbCacheBackend);
+      expect(created.tableName).toBe('Cache');
+      const endpoint = await created.client.config.endpoint();
+      expect(endpoint).toMatchObject({ protocol: 'http:', hostname: 'localhost', port: 8000 });
+    });
+
+    it('should return null when caching in memory only', () => {
+      expect(createCacheBackend({ TYPE: 'memory' })).toBeNull();
+    });
+
+    it('should reject unknown backends', () => {
+      expect(() => createCacheBackend({ TYPE: 'redis' })).toThrow('Unknown cache backend: redis');
+    });
+  });
+
+  describe('layered under cacheService', () => {
+    beforeEach(() => {
+      cacheService.clear();
+      cacheService.setBackend(backend);
+    });
+
+    afterEach(() => {
+      cacheService.setBackend(null);
+      cacheService.clear();
+    });
+
+    it('should reuse a value fetched before a cold start', async () => {
+      await cacheService.getOrFetch('menu:westmore:lunch:week:2025-10-19', async () => ({ days: {} }), 600);
+
+      // A new container starts with empty memory but the same table
+      cacheService.clear();
+      const fetch = jest.fn();
+      const value = await cacheService.getOrFetch('menu:westmore:lunch:week:2025-10-19', fetch, 600);
+
+      expect(value).toEqual({ days: {} });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(cacheService.getStats().backendHits).toBe(1);
+    });
+  });
+});
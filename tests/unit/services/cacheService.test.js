@@ -4,6 +4,7 @@
  */
 
 const cacheService = require('../../../src/services/cacheService');
+const constants = require('../../../src/utils/constants');
 
 describe('CacheService - TDD London School', () => {
   beforeEach(() => {
@@ -18,52 +19,52 @@ describe('CacheService - TDD London School', () => {
   });
 
   describe('get(key)', () => {
-    it('should return null for non-existent keys', () => {
-      const result = cacheService.get('nonexistent-key');
+    it('should return null for non-existent keys', async () => {
+      const result = await cacheService.get('nonexistent-key');
 
       expect(result).toBeNull();
     });
 
-    it('should return value for valid cached keys', () => {
-      cacheService.set('test-key', 'test-value', 60);
+    it('should return value for valid cached keys', async () => {
+      await cacheService.set('test-key', 'test-value', 60);
 
-      const result = cacheService.get('test-key');
+      const result = await cacheService.get('test-key');
 
       expect(result).toBe('test-value');
     });
 
-    it('should return null for expired entries', () => {
-      cacheService.set('expire-key', 'expire-value', 10);
+    it('should return null for expired entries', async () => {
+      await cacheService.set('expire-key', 'expire-value', 10);
 
       // Advance time by 11 seconds (past TTL)
       jest.advanceTimersByTime(11000);
 
-      const result = cacheService.get('expire-key');
+      const result = await cacheService.get('expire-key');
 
       expect(result).toBeNull();
     });
 
-    it('should return value for entries within TTL', () => {
-      cacheService.set('valid-key', 'valid-value', 60);
+    it('should return value for entries within TTL', async () => {
+      await cacheService.set('valid-key', 'valid-value', 60);
 
       // Advance time by 30 seconds (within 60s TTL)
       jest.advanceTimersByTime(30000);
 
-      const result = cacheService.get('valid-key');
+      const result = await cacheService.get('valid-key');
 
       expect(result).toBe('valid-value');
     });
 
-    it('should handle complex object values', () => {
+    it('should handle complex object values', async () => {
       const complexValue = {
         nested: { data: 'test' },
         array: [1, 2, 3],
         date: new Date('2025-10-22')
       };
 
-      cacheService.set('complex-key', complexValue, 60);
+      await cacheService.set('complex-key', complexValue, 60);
 
-      const result = cacheService.get('complex-key');
+      const result = await cacheService.get('complex-key');
 
       expect(result).toEqual(complexValue);
       expect(result.nested.data).toBe('test');
@@ -71,88 +72,88 @@ describe('CacheService - TDD London School', () => {
   });
 
   describe('set(key, value, ttl)', () => {
-    it('should store value with TTL', () => {
-      const result = cacheService.set('new-key', 'new-value', 300);
+    it('should store value with TTL', async () => {
+      const result = await cacheService.set('new-key', 'new-value', 300);
 
       expect(result).toBe(true);
-      expect(cacheService.get('new-key')).toBe('new-value');
+      expect(await cacheService.get('new-key')).toBe('new-value');
     });
 
-    it('should handle TTL = 0 (no caching)', () => {
-      cacheService.set('zero-ttl', 'value', 0);
+    it('should handle TTL = 0 (no caching)', async () => {
+      await cacheService.set('zero-ttl', 'value', 0);
 
-      const result = cacheService.get('zero-ttl');
+      const result = await cacheService.get('zero-ttl');
 
       expect(result).toBeNull();
     });
 
-    it('should overwrite existing keys', () => {
-      cacheService.set('update-key', 'original', 60);
-      cacheService.set('update-key', 'updated', 60);
+    it('should overwrite existing keys', async () => {
+      await cacheService.set('update-key', 'original', 60);
+      await cacheService.set('update-key', 'updated', 60);
 
-      const result = cacheService.get('update-key');
+      const result = await cacheService.get('update-key');
 
       expect(result).toBe('updated');
     });
 
-    it('should update expiration time on overwrite', () => {
-      cacheService.set('expire-test', 'value', 10);
+    it('should update expiration time on overwrite', async () => {
+      await cacheService.set('expire-test', 'value', 10);
 
       // Advance 5 seconds
       jest.advanceTimersByTime(5000);
 
       // Overwrite with new 10s TTL
-      cacheService.set('expire-test', 'new-value', 10);
+      await cacheService.set('expire-test', 'new-value', 10);
 
       // Advance another 7 seconds (12 total from first set, 7 from second)
       jest.advanceTimersByTime(7000);
 
       // Should still be valid (7s < 10s from second set)
-      const result = cacheService.get('expire-test');
+      const result = await cacheService.get('expire-test');
 
       expect(result).toBe('new-value');
     });
 
-    it('should handle negative TTL as no caching', () => {
-      cacheService.set('negative-ttl', 'value', -1);
+    it('should handle negative TTL as no caching', async () => {
+      await cacheService.set('negative-ttl', 'value', -1);
 
-      const result = cacheService.get('negative-ttl');
+      const result = await cacheService.get('negative-ttl');
 
       expect(result).toBeNull();
     });
   });
 
   describe('has(key)', () => {
-    it('should return false for non-existent keys', () => {
-      const result = cacheService.has('missing-key');
+    it('should return false for non-existent keys', async () => {
+      const result = await cacheService.has('missing-key');
 
       expect(result).toBe(false);
     });
 
-    it('should return true for valid cached keys', () => {
-      cacheService.set('exists-key', 'value', 60);
+    it('should return true for valid cached keys', async () => {
+      await cacheService.set('exists-key', 'value', 60);
 
-      const result = cacheService.has('exists-key');
+      const result = await cacheService.has('exists-key');
 
       expect(result).toBe(true);
     });
 
-    it('should return false for expired entries', () => {
-      cacheService.set('expire-check', 'value', 5);
+    it('should return false for expired entries', async () => {
+      await cacheService.set('expire-check', 'value', 5);
 
       jest.advanceTimersByTime(6000);
 
-      const result = cacheService.has('expire-check');
+      const result = await cacheService.has('expire-check');
 
       expect(result).toBe(false);
     });
 
-    it('should not affect cache statistics', () => {
-      cacheService.set('stats-test', 'value', 60);
+    it('should not affect cache statistics', async () => {
+      await cacheService.set('stats-test', 'value', 60);
 
       const statsBefore = cacheService.getStats();
-      cacheService.has('stats-test');
-      cacheService.has('non-existent');
+      await cacheService.has('stats-test');
+      await cacheService.has('non-existent');
       const statsAfter = cacheService.getStats();
 
       // has() should not increment hits/misses
@@ -162,22 +163,22 @@ describe('CacheService - TDD London School', () => {
   });
 
   describe('clear()', () => {
-    it('should remove all cached entries', () => {
-      cacheService.set('key1', 'value1', 60);
-      cacheService.set('key2', 'value2', 60);
-      cacheService.set('key3', 'value3', 60);
+    it('should remove all cached entries', async () => {
+      await cacheService.set('key1', 'value1', 60);
+      await cacheService.set('key2', 'value2', 60);
+      await cacheService.set('key3', 'value3', 60);
 
       cacheService.clear();
 
-      expect(cacheService.get('key1')).toBeNull();
-      expect(cacheService.get('key2')).toBeNull();
-      expect(cacheService.get('key3')).toBeNull();
+      expect(await cacheService.get('key1')).toBeNull();
+      expect(await cacheService.get('key2')).toBeNull();
+      expect(await cacheService.get('key3')).toBeNull();
     });
 
-    it('should reset cache statistics', () => {
-      cacheService.set('key', 'value', 60);
-      cacheService.get('key'); // Hit
-      cacheService.get('missing'); // Miss
+    it('should reset cache statistics', async () => {
+      await cacheService.set('key', 'value', 60);
+      await cacheService.get('key'); // Hit
+      await cacheService.get('missing'); // Miss
 
       const statsBefore = cacheService.getStats();
       expect(statsBefore.hits).toBe(1);
@@ -193,12 +194,12 @@ describe('CacheService - TDD London School', () => {
   });
 
   describe('getStats()', () => {
-    it('should track cache hits', () => {
-      cacheService.set('hit-key', 'value', 60);
+    it('should track cache hits', async () => {
+      await cacheService.set('hit-key', 'value', 60);
 
-      cacheService.get('hit-key'); // Hit
-      cacheService.get('hit-key'); // Hit
-      cacheService.get('hit-key'); // Hit
+      await cacheService.get('hit-key'); // Hit
+      await cacheService.get('hit-key'); // Hit
+      await cacheService.get('hit-key'); // Hit
 
       const stats = cacheService.getStats();
 
@@ -206,10 +207,10 @@ describe('CacheService - TDD London School', () => {
       expect(stats.misses).toBe(0);
     });
 
-    it('should track cache misses', () => {
-      cacheService.get('miss1'); // Miss
-      cacheService.get('miss2'); // Miss
-      cacheService.get('miss3'); // Miss
+    it('should track cache misses', async () => {
+      await cacheService.get('miss1'); // Miss
+      await cacheService.get('miss2'); // Miss
+      await cacheService.get('miss3'); // Miss
 
       const stats = cacheService.getStats();
 
@@ -217,14 +218,14 @@ describe('CacheService - TDD London School', () => {
       expect(stats.misses).toBe(3);
     });
 
-    it('should track mixed hits and misses', () => {
-      cacheService.set('exists', 'value', 60);
+    it('should track mixed hits and misses', async () => {
+      await cacheService.set('exists', 'value', 60);
 
-      cacheService.get('exists'); // Hit
-      cacheService.get('missing1'); // Miss
-      cacheService.get('exists'); // Hit
-      cacheService.get('missing2'); // Miss
-      cacheService.get('exists'); // Hit
+      await cacheService.get('exists'); // Hit
+      await cacheService.get('missing1'); // Miss
+      await cacheService.get('exists'); // Hit
+      await cacheService.get('missing2'); // Miss
+      await cacheService.get('exists'); // Hit
 
       const stats = cacheService.getStats();
 
@@ -233,14 +234,14 @@ describe('CacheService - TDD London School', () => {
       expect(stats.hitRate).toBeCloseTo(0.6, 2); // 3/5 = 0.6
     });
 
-    it('should count expired entries as misses', () => {
-      cacheService.set('expire-stat', 'value', 5);
+    it('should count expired entries as misses', async () => {
+      await cacheService.set('expire-stat', 'value', 5);
 
-      cacheService.get('expire-stat'); // Hit
+      await cacheService.get('expire-stat'); // Hit
 
       jest.advanceTimersByTime(6000);
 
-      cacheService.get('expire-stat'); // Miss (expired)
+      await cacheService.get('expire-stat'); // Miss (expired)
 
       const stats = cacheService.getStats();
 
@@ -248,17 +249,17 @@ describe('CacheService - TDD London School', () => {
       expect(stats.misses).toBe(1);
     });
 
-    it('should return current cache size', () => {
-      cacheService.set('key1', 'value1', 60);
-      cacheService.set('key2', 'value2', 60);
-      cacheService.set('key3', 'value3', 60);
+    it('should return current cache size', async () => {
+      await cacheService.set('key1', 'value1', 60);
+      await cacheService.set('key2', 'value2', 60);
+      await cacheService.set('key3', 'value3', 60);
 
       const stats = cacheService.getStats();
 
       expect(stats.size).toBe(3);
     });
 
-    it('should handle zero requests gracefully', () => {
+    it('should handle zero requests gracefully', async () => {
       const stats = cacheService.getStats();
 
       expect(stats.hits).toBe(0);
@@ -269,13 +270,13 @@ describe('CacheService - TDD London School', () => {
   });
 
   describe('Edge Cases & Concurrency', () => {
-    it('should handle rapid successive operations', () => {
+    it('should handle rapid successive operations', async () => {
       for (let i = 0; i < 100; i++) {
-        cacheService.set(`key${i}`, `value${i}`, 60);
+        await cacheService.set(`key${i}`, `value${i}`, 60);
       }
 
       for (let i = 0; i < 100; i++) {
-        expect(cacheService.get(`key${i}`)).toBe(`value${i}`);
+        expect(await cacheService.get(`key${i}`)).toBe(`value${i}`);
       }
 
       const stats = cacheService.getStats();
@@ -283,33 +284,33 @@ describe('CacheService - TDD London School', () => {
       expect(stats.hits).toBe(100);
     });
 
-    it('should handle null and undefined values', () => {
-      cacheService.set('null-key', null, 60);
-      cacheService.set('undefined-key', undefined, 60);
+    it('should handle null and undefined values', async () => {
+      await cacheService.set('null-key', null, 60);
+      await cacheService.set('undefined-key', undefined, 60);
 
-      expect(cacheService.get('null-key')).toBeNull();
-      expect(cacheService.get('undefined-key')).toBeUndefined();
+      expect(await cacheService.get('null-key')).toBeNull();
+      expect(await cacheService.get('undefined-key')).toBeUndefined();
     });
 
-    it('should handle special characters in keys', () => {
+    it('should handle special characters in keys', async () => {
       const specialKey = 'key:with:colons:and-dashes';
-      cacheService.set(specialKey, 'value', 60);
+      await cacheService.set(specialKey, 'value', 60);
 
-      const result = cacheService.get(specialKey);
+      const result = await cacheService.get(specialKey);
 
       expect(result).toBe('value');
     });
 
-    it('should clean up expired entries on access', () => {
-      cacheService.set('expire1', 'value1', 5);
-      cacheService.set('expire2', 'value2', 5);
-      cacheService.set('valid', 'value', 60);
+    it('should clean up expired entries on access', async () => {
+      await cacheService.set('expire1', 'value1', 5);
+      await cacheService.set('expire2', 'value2', 5);
+      await cacheService.set('valid', 'value', 60);
 
       jest.advanceTimersByTime(6000);
 
       // Access expired entries (should clean them up)
-      cacheService.get('expire1');
-      cacheService.get('expire2');
+      await cacheService.get('expire1');
+      await cacheService.get('expire2');
 
       const stats = cacheService.getStats();
 
@@ -319,12 +320,12 @@ describe('CacheService - TDD London School', () => {
   });
 
   describe('cleanup() utility method', () => {
-    it('should remove all expired entries in batch', () => {
-      cacheService.set('expire1', 'value1', 5);
-      cacheService.set('expire2', 'value2', 5);
-      cacheService.set('expire3', 'value3', 5);
-      cacheService.set('valid1', 'value', 60);
-      cacheService.set('valid2', 'value', 60);
+    it('should remove all expired entries in batch', async () => {
+      await cacheService.set('expire1', 'value1', 5);
+      await cacheService.set('expire2', 'value2', 5);
+      await cacheService.set('expire3', 'value3', 5);
+      await cacheService.set('valid1', 'value', 60);
+      await cacheService.set('valid2', 'value', 60);
 
       jest.advanceTimersByTime(6000);
 
@@ -334,9 +335,9 @@ describe('CacheService - TDD London School', () => {
       expect(cacheService.getStats().size).toBe(2); // 2 valid entries remain
     });
 
-    it('should return 0 if no entries expired', () => {
-      cacheService.set('valid1', 'value1', 60);
-      cacheService.set('valid2', 'value2', 60);
+    it('should return 0 if no entries expired', async () => {
+      await cacheService.set('valid1', 'value1', 60);
+      await cacheService.set('valid2', 'value2', 60);
 
       const removed = cacheService.cleanup();
 
@@ -344,10 +345,395 @@ describe('CacheService - TDD London School', () => {
       expect(cacheService.getStats().size).toBe(2);
     });
 
-    it('should handle empty cache', () => {
+    it('should handle empty cache', async () => {
       const removed = cacheService.cleanup();
 
       expect(removed).toBe(0);
     });
   });
+
+  describe('stale entries', () => {
+    const staleOptions = { staleWhileRevalidate: 60, staleIfError: 300 };
+
+    it('should keep entries past their TTL until the hard expiry', async () => {
+      await cacheService.set('menu', { items: [] }, 10, staleOptions);
+
+      jest.advanceTimersByTime(11000);
+      expect(await cacheService.get('menu')).toBeNull();
+      expect(await cacheService.getEntry('menu')).toEqual(expect.objectContaining({ stale: true, revalidate: true }));
+
+      jest.advanceTimersByTime(60000);
+      expect(await cacheService.getEntry('menu')).toEqual(expect.objectContaining({ stale: true, revalidate: false }));
+      expect(cacheService.cleanup()).toBe(0);
+
+      jest.advanceTimersByTime(300000);
+      expect(await cacheService.getEntry('menu')).toBeNull();
+      expect(cacheService.getStats().size).toBe(0);
+    });
+
+    it('should report fresh entries as not stale', async () => {
+      await cacheService.set('menu', 'value', 10, staleOptions);
+
+      expect(await cacheService.getEntry('menu')).toEqual({
+        value: 'value',
+        stale: false,
+        revalidate: false,
+        createdAt: expect.any(Number)
+      });
+    });
+  });
+
+  describe('getOrFetch()', () => {
+    const staleOptions = { staleWhileRevalidate: 60, staleIfError: 300 };
+
+    it('should share one fetch between concurrent callers', async () => {
+      let resolveFetch;
+      const response = new Promise(resolve => { resolveFetch = resolve; });
+      const fetch = jest.fn(() => response);
+
+      const first = cacheService.getOrFetch('weather', fetch, 10);
+      const second = cacheService.getOrFetch('weather', fetch, 10);
+      resolveFetch({ temp: 50 });
+
+      expect(await Promise.all([first, second])).toEqual([{ temp: 50 }, { temp: 50 }]);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(cacheService.getStats().coalesced).toBe(1);
+    });
+
+    it('should share a failed fetch and fetch again afterwards', async () => {
+      const fetch = jest.fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockResolvedValueOnce({ temp: 60 });
+
+      const results = await Promise.allSettled([
+        cacheService.getOrFetch('weather', fetch, 10),
+        cacheService.getOrFetch('weather', fetch, 10)
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+      expect(await cacheService.getOrFetch('weather', fetch, 10)).toEqual({ temp: 60 });
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not coalesce different keys', async () => {
+      const fetch = jest.fn().mockResolvedValue({});
+
+      await Promise.all([
+        cacheService.getOrFetch('weather:a', fetch, 10),
+        cacheService.getOrFetch('weather:b', fetch, 10)
+      ]);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(cacheService.getStats().coalesced).toBe(0);
+    });
+
+    it('should fetch and cache a missing value', async () => {
+      const fetch = jest.fn().mockResolvedValue({ temp: 50 });
+
+      expect(await cacheService.getOrFetch('weather', fetch, 10, staleOptions)).toEqual({ temp: 50 });
+      expect(await cacheService.getOrFetch('weather', fetch, 10, staleOptions)).toEqual({ temp: 50 });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve a stale value at once and refresh it in the background', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10, staleOptions);
+      jest.advanceTimersByTime(11000);
+      const fetch = jest.fn().mockResolvedValue({ temp: 60 });
+
+      const value = await cacheService.getOrFetch('weather', fetch, 10, staleOptions);
+      await cacheService.revalidating.get('weather');
+
+      expect(value).toEqual({ temp: 50, stale: true, cachedAt: expect.any(String) });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(await cacheService.get('weather')).toEqual({ temp: 60 });
+      expect(cacheService.getStats()).toEqual(expect.objectContaining({ staleHits: 1, revalidations: 1 }));
+    });
+
+    it('should wait for background refreshes to settle', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10, staleOptions);
+      jest.advanceTimersByTime(11000);
+
+      await cacheService.getOrFetch('weather', jest.fn().mockResolvedValue({ temp: 60 }), 10, staleOptions);
+      await cacheService.settle();
+
+      expect(cacheService.revalidating.size).toBe(0);
+      expect(await cacheService.get('weather')).toEqual({ temp: 60 });
+    });
+
+    it('should refresh a key only once at a time', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10, staleOptions);
+      jest.advanceTimersByTime(11000);
+      const fetch = jest.fn().mockResolvedValue({ temp: 60 });
+
+      await Promise.all([
+        cacheService.getOrFetch('weather', fetch, 10, staleOptions),
+        cacheService.getOrFetch('weather', fetch, 10, staleOptions)
+      ]);
+      await cacheService.revalidating.get('weather');
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the stale value when the background refresh fails', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10, staleOptions);
+      jest.advanceTimersByTime(11000);
+
+      await cacheService.getOrFetch('weather', jest.fn().mockRejectedValue(new Error('down')), 10, staleOptions);
+      await cacheService.revalidating.get('weather');
+
+      expect((await cacheService.getEntry('weather')).value).toEqual({ temp: 50 });
+      expect(cacheService.getStats().revalidationErrors).toBe(1);
+    });
+
+    it('should fetch past the revalidate window and serve stale only on error', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10, staleOptions);
+      jest.advanceTimersByTime(120000);
+
+      const fresh = await cacheService.getOrFetch('weather', jest.fn().mockResolvedValue({ temp: 60 }), 10, staleOptions);
+      expect(fresh).toEqual({ temp: 60 });
+
+      jest.advanceTimersByTime(120000);
+      const stale = await cacheService.getOrFetch('weather', jest.fn().mockRejectedValue(new Error('down')), 10, staleOptions);
+      expect(stale).toEqual(expect.objectContaining({ temp: 60, stale: true }));
+    });
+
+    it('should throw the fetch error when there is nothing stale to serve', async () => {
+      await expect(cacheService.getOrFetch('weather', jest.fn().mockRejectedValue(new Error('down')), 10))
+        .rejects.toThrow('down');
+    });
+
+    it('should accept a TTL computed from the fetched value', async () => {
+      await cacheService.getOrFetch('empty', async () => ({ days: {} }), week => (Object.keys(week.days).length ? 10 : 0));
+
+      expect(await cacheService.has('empty')).toBe(false);
+    });
+  });
+
+  describe('shared backend', () => {
+    let backend;
+
+    beforeEach(() => {
+      const entries = new Map();
+      backend = {
+        entries,
+        get: jest.fn(async key => entries.get(key) || null),
+        set: jest.fn(async (key, entry) => { entries.set(key, entry); }),
+        delete: jest.fn(async key => { entries.delete(key); })
+      };
+      cacheService.setBackend(backend);
+    });
+
+    afterEach(() => {
+      cacheService.setBackend(null);
+    });
+
+    it('should write fetched values through to the backend', async () => {
+      await cacheService.getOrFetch('weather', async () => ({ temp: 50 }), 10);
+
+      expect(backend.set).toHaveBeenCalledWith('weather', expect.objectContaining({ value: { temp: 50 } }));
+    });
+
+    it('should not write values that are not cached', async () => {
+      await cacheService.getOrFetch('weather', async () => ({ temp: 50 }), 0);
+
+      expect(backend.set).not.toHaveBeenCalled();
+    });
+
+    it('should load a missing value from the backend into memory', async () => {
+      await cacheService.getOrFetch('weather', async () => ({ temp: 50 }), 10);
+      cacheService.clear();
+      const fetch = jest.fn();
+
+      expect(await cacheService.getOrFetch('weather', fetch, 10)).toEqual({ temp: 50 });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(await cacheService.get('weather')).toEqual({ temp: 50 });
+    });
+
+    it('should prefer a newer backend value over a stale one in memory', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10, { staleIfError: 60 });
+      jest.advanceTimersByTime(11000);
+      backend.entries.set('weather', {
+        value: { temp: 60 },
+        expiresAt: Date.now() + 10000,
+        revalidateUntil: Date.now() + 10000,
+        staleUntil: Date.now() + 10000,
+        createdAt: Date.now()
+      });
+      const fetch = jest.fn();
+
+      expect(await cacheService.getOrFetch('weather', fetch, 10)).toEqual({ temp: 60 });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should read values another container cached', async () => {
+      await cacheService.set('weather', { temp: 50 }, 10);
+      cacheService.clear();
+
+      expect(await cacheService.get('weather')).toEqual({ temp: 50 });
+      expect(await cacheService.has('weather')).toBe(true);
+    });
+
+    it('should delete and invalidate in the backend too', async () => {
+      backend.deletePrefix = jest.fn().mockResolvedValue();
+
+      await cacheService.delete('weather');
+      await cacheService.invalidate('menu:westmore:');
+
+      expect(backend.delete).toHaveBeenCalledWith('weather');
+      expect(backend.deletePrefix).toHaveBeenCalledWith('menu:westmore:');
+    });
+
+    it('should fetch when the backend fails', async () => {
+      backend.get.mockRejectedValue(new Error('ProvisionedThroughputExceededException'));
+      backend.set.mockRejectedValue(new Error('ProvisionedThroughputExceededException'));
+
+      expect(await cacheService.getOrFetch('weather', async () => ({ temp: 50 }), 10)).toEqual({ temp: 50 });
+      expect(cacheService.getStats().backendErrors).toBe(2);
+    });
+  });
+
+  describe('memory limits', () => {
+    const defaults = { ...cacheService.limits };
+
+    afterEach(() => {
+      cacheService.setLimits(defaults);
+    });
+
+    it('should evict the least recently used entry past the entry limit', async () => {
+      cacheService.setLimits({ maxEntries: 2 });
+      await cacheService.set('a', 1, 60);
+      await cacheService.set('b', 2, 60);
+      await cacheService.get('a');
+
+      await cacheService.set('c', 3, 60);
+
+      expect(await cacheService.get('a')).toBe(1);
+      expect(await cacheService.get('b')).toBeNull();
+      expect(await cacheService.get('c')).toBe(3);
+      expect(cacheService.getStats()).toEqual(expect.objectContaining({ evictions: 1, size: 2 }));
+    });
+
+    it('should evict past the approximate byte limit', async () => {
+      const value = 'x'.repeat(100);
+      cacheService.setLimits({ maxBytes: 500 });
+
+      await cacheService.set('a', value, 60);
+      await cacheService.set('b', value, 60);
+      await cacheService.set('c', value, 60);
+
+      expect(await cacheService.has('a')).toBe(false);
+      expect(cacheService.getStats().bytes).toBeLessThanOrEqual(500);
+      expect(cacheService.getStats().evictions).toBe(1);
+    });
+
+    it('should not cache a value larger than the byte limit', async () => {
+      cacheService.setLimits({ maxBytes: 100 });
+
+      expect(await cacheService.set('big', 'x'.repeat(100), 60)).toBe(false);
+      expect(cacheService.getStats()).toEqual(expect.objectContaining({ size: 0, bytes: 0 }));
+    });
+
+    it('should keep the byte count in step when entries are replaced or removed', async () => {
+      await cacheService.set('a', 'x'.repeat(100), 10);
+      await cacheService.set('a', 'x', 10);
+      const bytes = cacheService.getStats().bytes;
+
+      jest.advanceTimersByTime(11000);
+      await cacheService.get('a');
+
+      expect(bytes).toBeLessThan(100);
+      expect(cacheService.getStats().bytes).toBe(0);
+    });
+
+    it('should sweep expired entries once the sweep interval has passed', async () => {
+      cacheService.setLimits({ sweepIntervalMs: 60000 });
+      await cacheService.set('short', 1, 10);
+      await cacheService.set('long', 2, 600);
+
+      jest.advanceTimersByTime(61000);
+      await cacheService.set('other', 3, 600);
+
+      expect(cacheService.getStats()).toEqual(expect.objectContaining({ size: 2, expirations: 1 }));
+    });
+
+    it('should not sweep before the interval', async () => {
+      cacheService.setLimits({ sweepIntervalMs: 60000 });
+      await cacheService.set('short', 1, 10);
+
+      jest.advanceTimersByTime(11000);
+      await cacheService.set('other', 3, 600);
+
+      expect(cacheService.getStats()).toEqual(expect.objectContaining({ size: 2, expirations: 0 }));
+    });
+  });
+
+  describe('namespaces', () => {
+    const menuCache = () => cacheService.namespace('menu');
+
+    it('should prefix keys with the namespace', async () => {
+      await menuCache().set(['westmore', 'lunch', '2025-10-20'], { items: [] });
+
+      expect(await cacheService.get('menu:westmore:lunch:2025-10-20')).toEqual({ items: [] });
+      expect(await menuCache().get(['westmore', 'lunch', '2025-10-20'])).toEqual({ items: [] });
+    });
+
+    it('should default to the namespace TTL from constants.CACHE_TTL', async () => {
+      const weatherCache = cacheService.namespace('weather');
+      await weatherCache.set('hourly', { temp: 50 });
+
+      jest.advanceTimersByTime((constants.CACHE_TTL.WEATHER - 1) * 1000);
+      expect(await weatherCache.has('hourly')).toBe(true);
+
+      jest.advanceTimersByTime(2000);
+      expect(await weatherCache.has('hourly')).toBe(false);
+    });
+
+    it('should use the namespace TTL in getOrFetch', async () => {
+      const gridCache = cacheService.namespace('grid');
+      await gridCache.getOrFetch(['41.8', '-87.9'], async () => ({ gridId: 'LOT' }));
+
+      jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+      expect(await gridCache.get(['41.8', '-87.9'])).toEqual({ gridId: 'LOT' });
+    });
+
+    it('should give every namespace its TTL from constants.CACHE_TTL', () => {
+      expect(cacheService.namespace('menu').ttl).toBe(constants.CACHE_TTL.MENU);
+      expect(cacheService.namespace('grid').ttl).toBe(constants.CACHE_TTL.GRID_INFO);
+      expect(cacheService.namespace('profile').ttl).toBe(constants.CACHE_TTL.PROFILE);
+    });
+
+    it('should reject unknown namespaces', () => {
+      expect(() => cacheService.namespace('sessions')).toThrow('Unknown cache namespace: sessions');
+    });
+
+    it('should invalidate every key for a school without touching similar slugs', async () => {
+      await menuCache().set(['westmore', 'lunch', '2025-10-20'], {});
+      await menuCache().set(['westmore', 'breakfast', '2025-10-20'], {});
+      await menuCache().set(['westmore-2', 'lunch', '2025-10-20'], {});
+
+      expect(await menuCache().invalidate(['westmore'])).toBe(2);
+
+      expect(await menuCache().has(['westmore', 'lunch', '2025-10-20'])).toBe(false);
+      expect(await menuCache().has(['westmore-2', 'lunch', '2025-10-20'])).toBe(true);
+    });
+
+    it('should invalidate a whole namespace', async () => {
+      await menuCache().set(['westmore', 'lunch', '2025-10-20'], {});
+      await cacheService.namespace('weather').set('hourly', {});
+
+      await menuCache().invalidate();
+
+      expect(cacheService.getStats().size).toBe(1);
+      expect(await cacheService.namespace('weather').has('hourly')).toBe(true);
+    });
+
+    it('should delete a single key', async () => {
+      await menuCache().set(['westmore', 'lunch', '2025-10-20'], {});
+
+      await menuCache().delete(['westmore', 'lunch', '2025-10-20']);
+
+      expect(cacheService.getStats()).toEqual(expect.objectContaining({ size: 0, bytes: 0 }));
+    });
+  });
 });
@@ -0,0 +1,107 @@
+/**
+ * Tests for cacheWarmingService (London School)
+ *
+ * nutrisliceService's fetch and weatherService are mocked; the plan's
+ * week arithmetic uses the real getWeekStartDate.
+ */
+
+jest.mock('../../../src/services/nutrisliceService', () => ({
+  ...jest.requireActual('../../../src/services/nutrisliceService'),
+  getMenuForWeek: jest.fn()
+}));
+jest.mock('../../../src/services/weatherService');
+
+const nutrisliceService = require('../../../src/services/nutrisliceService');
+const weatherService = require('../../../src/services/weatherService');
+const cacheService = require('../../../src/services/cacheService');
+const cacheWarmingService = require('../../../src/services/cacheWarmingService');
+const constants = require('../../../src/utils/constants');
+
+// Wednesday; its Nutrislice week starts Sunday, Oct 19
+const TODAY = new Date(2025, 9, 22);
+
+describe('cacheWarmingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nutrisliceService.getMenuForWeek.mockResolvedValue({ days: {} });
+    weatherService.getTodayWeather.mockResolvedValue({ isFallback: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getConfiguredSchoolIds', () => {
+    it('should list the default school and setup schools once each', () => {
+      const ids = cacheWarmingService.getConfiguredSchoolIds();
+
+      expect(ids).toContain(constants.NUTRISLICE.SCHOOL_ID);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  describe('planWarming', () => {
+    it('should warm this and next week for each school and menu type, then weather', () => {
+      const tasks = cacheWarmingService.planWarming(TODAY);
+      const schoolId = constants.NUTRISLICE.SCHOOL_ID;
+
+      expect(tasks).toEqual([
+        { type: 'menu', schoolId, menuType: 'lunch', weekStart: '2025-10-19' },
+        { type: 'menu', schoolId, menuType: 'lunch', weekStart: '2025-10-26' },
+        { type: 'menu', schoolId, menuType: 'breakfast', weekStart: '2025-10-19' },
+        { type: 'menu', schoolId, menuType: 'breakfast', weekStart: '2025-10-26' },
+        { type: 'weather' }
+      ]);
+    });
+  });
+
+  describe('warmCache', () => {
+    it('should list the tasks without fetching in a dry run', async () => {
+      const summary = await cacheWarmingService.warmCache({ dryRun: true, today: TODAY });
+
+      expect(summary.dryRun).toBe(true);
+      expect(summary.tasks).toContain(`menu ${constants.NUTRISLICE.SCHOOL_ID} lunch week of 2025-10-19`);
+      expect(summary.warmed).toBe(0);
+      expect(nutrisliceService.getMenuForWeek).not.toHaveBeenCalled();
+      expect(weatherService.getTodayWeather).not.toHaveBeenCalled();
+    });
+
+    it('should fetch every week through nutrisliceService and the weather through weatherService', async () => {
+      const summary = await cacheWarmingService.warmCache({ today: TODAY });
+
+      expect(nutrisliceService.getMenuForWeek).toHaveBeenCalledTimes(4);
+      expect(nutrisliceService.getMenuForWeek).toHaveBeenCalledWith(constants.NUTRISLICE.SCHOOL_ID, '2025-10-26', 'breakfast');
+      expect(weatherService.getTodayWeather).toHaveBeenCalledTimes(1);
+      expect(summary).toEqual(expect.objectContaining({ dryRun: false, warmed: 5, failed: [] }));
+    });
+
+    it('should keep warming when one fetch fails', async () => {
+      nutrisliceService.getMenuForWeek
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValue({ days: {} });
+
+      const summary = await cacheWarmingService.warmCache({ today: TODAY });
+
+      expect(summary.warmed).toBe(4);
+      expect(summary.failed).toEqual([
+        { task: `menu ${constants.NUTRISLICE.SCHOOL_ID} lunch week of 2025-10-19`, error: 'Network error' }
+      ]);
+    });
+
+    it('should report weather.gov falling back as a failure', async () => {
+      weatherService.getTodayWeather.mockResolvedValue({ isFallback: true });
+
+      const summary = await cacheWarmingService.warmCache({ today: TODAY });
+
+      expect(summary.failed).toEqual([{ task: 'weather', error: 'weather.gov unavailable' }]);
+    });
+
+    it('should wait for background refreshes before returning', async () => {
+      const settle = jest.spyOn(cacheService, 'settle');
+
+      await cacheWarmingService.warmCache({ today: TODAY });
+
+      expect(settle).toHaveBeenCalled();
+    });
+  });
+});
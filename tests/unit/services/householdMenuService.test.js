@@ -0,0 +1,163 @@
+/**
+ * Test suite for householdMenuService (London School TDD)
+ * Menu fetching is injected; profiles use the real profileService
+ */
+
+const householdMenuService = require('../../../src/services/householdMenuService');
+const profileService = require('../../../src/services/profileService');
+
+const menuFor = (...names) => ({
+  items: names.map(name => ({ name, category: 'entree' }))
+});
+
+const twoSchoolProfile = profileService.normalizeProfile({
+  children: [
+    { name: 'Emma', schoolId: 'westmore-elementary-school-2', schoolName: 'Westmore Elementary School', likes: ['pizza'] },
+    { name: 'Liam', schoolId: 'jefferson-middle-school', schoolName: 'Jefferson Middle School', dislikes: ['tacos'] },
+    { name: 'Noah', schoolId: 'jefferson-middle-school', schoolName: 'Jefferson Middle School' }
+  ]
+});
+
+describe('householdMenuService', () => {
+  describe('getHouseholdMenus', () => {
+    it('should fetch each school once', async () => {
+      const fetchMenu = jest.fn(async schoolId => (schoolId === 'jefferson-middle-school'
+        ? menuFor('Beef Tacos')
+        : menuFor('Cheese Pizza')));
+
+      const sections = await householdMenuService.getHouseholdMenus(twoSchoolProfile, fetchMenu);
+
+      expect(fetchMenu).toHaveBeenCalledTimes(2);
+      expect(sections.map(section => section.schoolId)).toEqual(['westmore-elementary-school-2', 'jefferson-middle-school']);
+      expect(sections[0].mainItems.map(item => item.name)).toEqual(['Cheese Pizza']);
+      expect(sections[1].children.map(child => child.name)).toEqual(['Liam', 'Noah']);
+    });
+
+    it('should keep one school\'s failure from failing the others', async () => {
+      const fetchMenu = jest.fn(async schoolId => {
+        if (schoolId === 'jefferson-middle-school') {
+          throw new Error('Network error');
+        }
+        return menuFor('Cheese Pizza');
+      });
+
+      const sections = await householdMenuService.getHouseholdMenus(twoSchoolProfile, fetchMenu);
+
+      expect(sections[0].error).toBeNull();
+      expect(sections[1].error).toEqual(expect.any(Error));
+      expect(householdMenuService.allFailed(sections)).toBe(false);
+      expect(householdMenuService.hasAnyMenu(sections)).toBe(true);
+    });
+
+    it('should report when every school failed', async () => {
+      const sections = await householdMenuService.getHouseholdMenus(
+        twoSchoolProfile,
+        jest.fn().mockRejectedValue(new Error('Network error'))
+      );
+
+      expect(householdMenuService.allFailed(sections)).toBe(true);
+      expect(householdMenuService.hasAnyMenu(sections)).toBe(false);
+    });
+  });
+
+  describe('formatSchoolSections', () => {
+    it('should speak one sentence per school naming its children', () => {
+      const sections = [
+        { schoolName: 'Westmore', children: [{ name: 'Emma' }], mainItems: [{ name: 'Pizza' }], error: null },
+        { schoolName: 'Jefferson', children: [{ name: 'Liam' }, { name: 'Noah' }], mainItems: [{ name: 'Tacos' }], error: null }
+      ];
+
+      expect(householdMenuService.formatSchoolSections(sections))
+        .toBe('At Westmore, Emma has Pizza. At Jefferson, Liam and Noah have Tacos.');
+    });
+
+    it('should mention schools that failed or posted no menu', () => {
+      const sections = [
+        { schoolName: 'Westmore', children: [{ name: 'Emma' }], mainItems: [], error: new Error('boom') },
+        { schoolName: 'Jefferson', children: [{ name: 'Liam' }], mainItems: [], error: null }
+      ];
+
+      expect(householdMenuService.formatSchoolSections(sections))
+        .toBe('I couldn\'t get the menu for Westmore. Jefferson hasn\'t posted a lunch menu.');
+    });
+  });
+
+  describe('formatStaleNotice', () => {
+    it('should say how old a stale menu is', () => {
+      const fetchedAt = new Date(Date.now() - 60 * 1000).toISOString();
+      const sections = [
+        { schoolName: 'Westmore', menuData: { items: [], stale: false } },
+        { schoolName: 'Jefferson', menuData: { items: [], stale: true, fetchedAt } }
+      ];
+
+      expect(householdMenuService.formatStaleNotice(sections)).toMatch(/^That's the menu as of (this|last|yesterday)/);
+    });
+
+    it('should return an empty string when every menu is fresh', () => {
+      const sections = [{ schoolName: 'Westmore', menuData: { items: [] } }, { schoolName: 'Jefferson', menuData: null }];
+
+      expect(householdMenuService.formatStaleNotice(sections)).toBe('');
+    });
+  });
+
+  describe('formatMealSummary', () => {
+    const section = (schoolName, ...names) => ({
+      schoolName,
+      children: [],
+      mainItems: names.map(name => ({ name })),
+      error: null
+    });
+
+    it('should join the meals for a single school', () => {
+      expect(householdMenuService.formatMealSummary({
+        breakfast: [section('Westmore', 'Pancakes')],
+        lunch: [section('Westmore', 'Pizza')]
+      }, 'Today')).toBe('Today, breakfast is Pancakes, and lunch is Pizza.');
+    });
+
+    it('should name each school and skip meals that weren\'t posted', () => {
+      expect(householdMenuService.formatMealSummary({
+        breakfast: [section('Westmore'), section('Jefferson', 'Waffles')],
+        lunch: [section('Westmore', 'Pizza'), section('Jefferson', 'Tacos')]
+      }, 'Today')).toBe('Today at Westmore, lunch is Pizza. At Jefferson, breakfast is Waffles, and lunch is Tacos.');
+    });
+
+    it('should return an empty string when no meal has a menu', () => {
+      expect(householdMenuService.formatMealSummary({
+        breakfast: [section('Westmore')],
+        lunch: [section('Westmore')]
+      }, 'Today')).toBe('');
+    });
+  });
+
+  describe('evaluateSections', () => {
+    it('should judge each child against their own school\'s menu', async () => {
+      const fetchMenu = async schoolId => (schoolId === 'jefferson-middle-school'
+        ? menuFor('Beef Tacos')
+        : menuFor('Cheese Pizza'));
+      const sections = await householdMenuService.getHouseholdMenus(twoSchoolProfile, fetchMenu);
+
+      const verdicts = householdMenuService.evaluateSections(sections, null);
+
+      expect(verdicts.map(({ name, verdict }) => [name, verdict])).toEqual([
+        ['Emma', 'school'],
+        ['Liam', 'home'],
+        ['Noah', 'home']
+      ]);
+    });
+  });
+
+  describe('buildChildColumns', () => {
+    it('should build one column per child with their school\'s items', () => {
+      const sections = [
+        { schoolName: 'Westmore', children: [{ name: 'Emma' }], mainItems: [{ name: 'Pizza' }], error: null },
+        { schoolName: 'Jefferson', children: [{ name: 'Liam' }], mainItems: [], error: new Error('boom') }
+      ];
+
+      expect(householdMenuService.buildChildColumns(sections)).toEqual([
+        { name: 'Emma', schoolName: 'Westmore', menuItems: ['Pizza'] },
+        { name: 'Liam', schoolName: 'Jefferson', menuItems: ['Menu unavailable'] }
+      ]);
+    });
+  });
+});
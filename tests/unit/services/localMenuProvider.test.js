@@ -0,0 +1,151 @@
+/**
+ * Test suite for LocalMenuProvider
+ * Menu files are written to a temporary directory; the real cacheService holds the index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalMenuProvider, parseCsv } = require('../../../src/services/localMenuProvider');
+const cacheService = require('../../../src/services/cacheService');
+
+const jsonMenu = {
+  schools: [{ id: 'st-marys', name: 'St. Mary\'s School' }],
+  items: [
+    { school: 'st-marys', date: '2025-10-20', name: 'Cheese Pizza', category: 'entree', allergens: ['Milk', 'wheat'] },
+    { school: 'st-marys', date: '2025-10-20', name: 'Apple Slices', category: 'fruit' },
+    { school: 'st-marys', date: '2025-10-20', menuType: 'breakfast', name: 'Pancakes', category: 'entree' },
+    { school: 'st-marys', date: '2025-10-22', name: 'Beef Tacos', category: 'entree' },
+    { school: 'st-marys', date: '2025-10-27', name: 'Chicken Nuggets', category: 'entree' }
+  ]
+};
+
+const csvMenu = [
+  'school,school_name,date,menu_type,name,category,description,allergens',
+  'st-marys,St. Mary\'s School,2025-10-20,lunch,"Pizza, Cheese",entree,"Thin ""NY"" crust",milk;wheat',
+  'st-marys,St. Mary\'s School,2025-10-20,,Apple Slices,fruit,,',
+  ''
+].join('\n');
+
+describe('LocalMenuProvider', () => {
+  let dir;
+
+  const writeMenu = (fileName, content) => {
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    cacheService.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunch-dad-menus-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should require a file path or S3 location', () => {
+    expect(() => new LocalMenuProvider({ bucket: 'menus' }))
+      .toThrow('Local menu provider needs MENU_FILE_PATH or MENU_S3_BUCKET and MENU_S3_KEY');
+  });
+
+  it('should read the menu file from S3', async () => {
+    const { S3Client } = require('@aws-sdk/client-s3');
+    const send = jest.spyOn(S3Client.prototype, 'send').mockResolvedValue({
+      Body: { transformToString: async () => JSON.stringify(jsonMenu) }
+    });
+
+    try {
+      const provider = new LocalMenuProvider({ bucket: 'menus', key: 'lunch/menu.json' });
+      const lunch = await provider.getDay('st-marys', '2025-10-22');
+
+      expect(lunch.items.map(item => item.name)).toEqual(['Beef Tacos']);
+      expect(send.mock.calls[0][0].input).toEqual({ Bucket: 'menus', Key: 'lunch/menu.json' });
+    } finally {
+      send.mockRestore();
+    }
+  });
+
+  describe('getDay', () => {
+    it('should return the items for a school, date and menu type', async () => {
+      const provider = new LocalMenuProvider({ filePath: writeMenu('menu.json', JSON.stringify(jsonMenu)) });
+
+      const lunch = await provider.getDay('st-marys', '2025-10-20');
+      const breakfast = await provider.getDay('st-marys', '2025-10-20', 'breakfast');
+
+      expect(lunch.date).toBe('2025-10-20');
+      expect(lunch.items.map(item => item.name)).toEqual(['Cheese Pizza', 'Apple Slices']);
+      expect(lunch.items[0]).toEqual(expect.objectContaining({
+        category: 'entree',
+        allergens: ['milk', 'wheat'],
+        allergenInfoAvailable: true
+      }));
+      expect(breakfast.items.map(item => item.name)).toEqual(['Pancakes']);
+    });
+
+    it('should report days without a menu like the Nutrislice provider', async () => {
+      const provider = new LocalMenuProvider({ filePath: writeMenu('menu.json', JSON.stringify(jsonMenu)) });
+
+      const menu = await provider.getDay('st-marys', '2025-10-21');
+
+      expect(menu).toEqual(expect.objectContaining({
+        items: [],
+        message: 'No menu available for this date'
+      }));
+    });
+
+    it('should read the file once while cached', async () => {
+      const filePath = writeMenu('menu.json', JSON.stringify(jsonMenu));
+      const provider = new LocalMenuProvider({ filePath });
+      const readSpy = jest.spyOn(fs.promises, 'readFile');
+
+      await provider.getDay('st-marys', '2025-10-20');
+      await provider.getDay('st-marys', '2025-10-22');
+
+      expect(readSpy).toHaveBeenCalledTimes(1);
+      readSpy.mockRestore();
+    });
+
+    it('should reject unreadable files', async () => {
+      const provider = new LocalMenuProvider({ filePath: writeMenu('menu.json', '{ not json') });
+
+      await expect(provider.getDay('st-marys', '2025-10-20')).rejects.toThrow('Failed to load menu file');
+    });
+  });
+
+  describe('getWeek', () => {
+    it('should return the Sunday-Saturday week with only the days that have menus', async () => {
+      const provider = new LocalMenuProvider({ filePath: writeMenu('menu.json', JSON.stringify(jsonMenu)) });
+
+      const week = await provider.getWeek('st-marys', '2025-10-22');
+
+      expect(week.weekStart).toBe('2025-10-19');
+      expect(week.menuType).toBe('lunch');
+      expect(Object.keys(week.days)).toEqual(['2025-10-20', '2025-10-22']);
+    });
+  });
+
+  describe('CSV files', () => {
+    it('should parse quoted fields and ;-separated allergens', () => {
+      const { items } = parseCsv(csvMenu);
+
+      expect(items[0]).toEqual(expect.objectContaining({
+        name: 'Pizza, Cheese',
+        description: 'Thin "NY" crust',
+        allergens: ['milk', 'wheat']
+      }));
+      expect(items[1].menuType).toBe('');
+    });
+
+    it('should serve menus and schools from a CSV file', async () => {
+      const provider = new LocalMenuProvider({ filePath: writeMenu('menu.csv', csvMenu) });
+
+      const menu = await provider.getDay('st-marys', '2025-10-20', 'lunch');
+      const schools = await provider.listSchools();
+
+      expect(menu.items.map(item => item.name)).toEqual(['Pizza, Cheese', 'Apple Slices']);
+      expect(schools).toEqual([{ id: 'st-marys', name: 'St. Mary\'s School', menuTypes: ['lunch'] }]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Test suite for menuCalendarService (London School TDD)
+ * menuService is mocked; date math uses the real dateUtils
+ */
+
+jest.mock('../../../src/services/menuService');
+
+const menuService = require('../../../src/services/menuService');
+const menuCalendarService = require('../../../src/services/menuCalendarService');
+const dateUtils = require('../../../src/utils/dateUtils');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+const menuFor = (date, name) => ({
+  date,
+  items: [{ name, category: 'entree', nutrients: { calories: 300, protein: 15 } }]
+});
+
+describe('menuCalendarService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getMenuCalendar', () => {
+    it('should request all five school days in one batch', async () => {
+      jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 23)); // Thursday
+      menuService.getMenusForDates.mockImplementation(async (schoolId, dates) =>
+        Object.fromEntries(dates.map(date => [date, menuFor(date, `Entree ${date}`)]))
+      );
+
+      const calendar = await menuCalendarService.getMenuCalendar(SCHOOL_ID);
+
+      expect(menuService.getMenusForDates).toHaveBeenCalledTimes(1);
+      expect(menuService.getMenusForDates).toHaveBeenCalledWith(SCHOOL_ID, [
+        '2025-10-23', '2025-10-24', '2025-10-27', '2025-10-28', '2025-10-29'
+      ], undefined);
+      expect(calendar.days.map(day => day.menuItems[0])).toEqual([
+        'Entree 2025-10-23', 'Entree 2025-10-24', 'Entree 2025-10-27',
+        'Entree 2025-10-28', 'Entree 2025-10-29'
+      ]);
+    });
+
+    it('should mark days whose week failed as unavailable', async () => {
+      jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 20));
+      menuService.getMenusForDates.mockImplementation(async (schoolId, dates) =>
+        Object.fromEntries(dates.map(date => [date, new Error('Network error')]))
+      );
+
+      const calendar = await menuCalendarService.getMenuCalendar(SCHOOL_ID);
+
+      expect(calendar.days).toHaveLength(5);
+      calendar.days.forEach(day => {
+        expect(day.menuItems).toEqual(['Menu unavailable']);
+        expect(day.isUnavailable).toBe(true);
+      });
+    });
+  });
+
+  describe('menu types', () => {
+    it('should request the given menu type', async () => {
+      jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 23));
+      menuService.getMenusForDates.mockImplementation(async (schoolId, dates) =>
+        Object.fromEntries(dates.map(date => [date, menuFor(date, 'Pancakes')]))
+      );
+
+      await menuCalendarService.getMenuCalendar(SCHOOL_ID, 'breakfast');
+      await menuCalendarService.getWeekMenuCalendar(SCHOOL_ID, new Date(2025, 9, 27), 'Breakfast', 'breakfast');
+
+      expect(menuService.getMenusForDates.mock.calls.map(call => call[2])).toEqual(['breakfast', 'breakfast']);
+    });
+  });
+
+  describe('getWeekMenuCalendar', () => {
+    it('should return Monday-Friday with holidays in place', async () => {
+      menuService.getMenusForDates.mockImplementation(async (schoolId, dates) =>
+        Object.fromEntries(dates.map(date => [date, menuFor(date, 'Tacos')]))
+      );
+
+      // Week of Dec 22, 2025: 23rd-26th are configured holidays
+      const calendar = await menuCalendarService.getWeekMenuCalendar(SCHOOL_ID, new Date(2025, 11, 22), 'Next Week\'s Lunch Menu');
+
+      expect(calendar.title).toBe('Next Week\'s Lunch Menu');
+      expect(menuService.getMenusForDates).toHaveBeenCalledWith(SCHOOL_ID, ['2025-12-22'], undefined);
+      expect(calendar.days.map(day => day.dayOfWeek)).toEqual([
+        'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'
+      ]);
+      expect(calendar.days[0].menuItems).toEqual(['Tacos']);
+      expect(calendar.days[1]).toEqual(expect.objectContaining({
+        menuItems: ['No school'],
+        isSchoolDay: false
+      }));
+    });
+
+    it('should leave the title unset when none is given', async () => {
+      const calendar = await menuCalendarService.getWeekMenuCalendar(SCHOOL_ID, new Date(2025, 11, 29));
+
+      // Dec 29 is the only non-holiday weekday that week
+      expect(menuService.getMenusForDates).toHaveBeenCalledWith(SCHOOL_ID, ['2025-12-29'], undefined);
+      expect(calendar.title).toBeUndefined();
+    });
+  });
+});
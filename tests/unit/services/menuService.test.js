@@ -0,0 +1,152 @@
+/**
+ * Test suite for menuService (London School TDD)
+ * Providers are stubbed; the Nutrislice collaborators are mocked
+ */
+
+jest.mock('../../../src/services/nutrisliceService');
+jest.mock('../../../src/services/schoolDirectoryService');
+
+const menuService = require('../../../src/services/menuService');
+const nutrisliceService = require('../../../src/services/nutrisliceService');
+const schoolDirectoryService = require('../../../src/services/schoolDirectoryService');
+const { LocalMenuProvider } = require('../../../src/services/localMenuProvider');
+const dateUtils = require('../../../src/utils/dateUtils');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+const schools = [
+  { id: 'jefferson-middle-school', name: 'Jefferson Middle School', menuTypes: ['lunch'] },
+  { id: SCHOOL_ID, name: 'Westmore Elementary School', menuTypes: ['lunch', 'breakfast'] }
+];
+
+const stubProvider = (overrides = {}) => ({
+  name: 'stub',
+  getDay: jest.fn(async (schoolId, date) => ({ date, items: [{ name: 'Pizza' }] })),
+  getWeek: jest.fn(),
+  listSchools: jest.fn(async () => schools),
+  ...overrides
+});
+
+describe('menuService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    menuService.__resetForTesting();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createMenuProvider', () => {
+    it('should default to the Nutrislice provider', () => {
+      expect(menuService.getMenuProvider().name).toBe('nutrislice');
+    });
+
+    it('should create a local provider from a file path', () => {
+      const provider = menuService.createMenuProvider({ TYPE: 'local', FILE_PATH: 'menus.json' });
+
+      expect(provider).toBeInstanceOf(LocalMenuProvider);
+    });
+
+    it('should reject a local provider without a file location', () => {
+      expect(() => menuService.createMenuProvider({ TYPE: 'local' }))
+        .toThrow('Local menu provider needs MENU_FILE_PATH or MENU_S3_BUCKET and MENU_S3_KEY');
+    });
+
+    it('should reject unknown provider types', () => {
+      expect(() => menuService.createMenuProvider({ TYPE: 'pdf' })).toThrow('Unknown menu provider: pdf');
+    });
+  });
+
+  describe('Nutrislice provider', () => {
+    it('should delegate day, week and school lookups', async () => {
+      nutrisliceService.getMenuForDate.mockResolvedValue({ items: [] });
+      nutrisliceService.getMenuForWeek.mockResolvedValue({ days: {} });
+      schoolDirectoryService.getSchools.mockResolvedValue(schools);
+
+      await menuService.getMenuForDate(SCHOOL_ID, '2025-10-20', 'breakfast');
+      await menuService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+      const listed = await menuService.listSchools();
+
+      expect(nutrisliceService.getMenuForDate).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-20', 'breakfast');
+      expect(nutrisliceService.getMenuForWeek).toHaveBeenCalledWith(SCHOOL_ID, '2025-10-20', undefined);
+      expect(listed).toBe(schools);
+    });
+
+    it('should batch several dates through the weeks endpoint', async () => {
+      nutrisliceService.getMenusForDates.mockResolvedValue({ '2025-10-20': { items: [] } });
+
+      await menuService.getMenusForDates(SCHOOL_ID, ['2025-10-20'], 'lunch');
+
+      expect(nutrisliceService.getMenusForDates).toHaveBeenCalledWith(SCHOOL_ID, ['2025-10-20'], 'lunch');
+    });
+  });
+
+  describe('getMenusForDates', () => {
+    it('should fetch each day when the provider has no batch fetch', async () => {
+      const provider = stubProvider({
+        getDay: jest.fn(async (schoolId, date) => {
+          if (date === '2025-10-21') {
+            throw new Error('No menu');
+          }
+          return { date, items: [] };
+        })
+      });
+      menuService.setMenuProvider(provider);
+
+      const menus = await menuService.getMenusForDates(SCHOOL_ID, ['2025-10-20', '2025-10-21']);
+
+      expect(provider.getDay).toHaveBeenCalledTimes(2);
+      expect(menus['2025-10-20']).toEqual({ date: '2025-10-20', items: [] });
+      expect(menus['2025-10-21']).toEqual(expect.any(Error));
+    });
+  });
+
+  describe('getMenuForToday / getMenuForTomorrow', () => {
+    it('should resolve today and the next school day in the school timezone', async () => {
+      // Friday, Oct 24, 2025
+      jest.spyOn(dateUtils, 'getTodayInTimezone').mockReturnValue(new Date(2025, 9, 24));
+      const provider = stubProvider();
+      menuService.setMenuProvider(provider);
+
+      await menuService.getMenuForToday(SCHOOL_ID, 'breakfast');
+      await menuService.getMenuForTomorrow(SCHOOL_ID);
+
+      expect(provider.getDay.mock.calls).toEqual([
+        [SCHOOL_ID, '2025-10-24', 'breakfast'],
+        [SCHOOL_ID, '2025-10-27', undefined]
+      ]);
+    });
+  });
+
+  describe('findSchool', () => {
+    it('should fuzzy-match a spoken name against the provider\'s schools', async () => {
+      menuService.setMenuProvider(stubProvider());
+
+      const school = await menuService.findSchool('jeferson middle');
+
+      expect(school).toEqual({ id: 'jefferson-middle-school', name: 'Jefferson Middle School', menuTypes: ['lunch'] });
+    });
+
+    it('should return null when nothing matches', async () => {
+      menuService.setMenuProvider(stubProvider());
+
+      expect(await menuService.findSchool('hogwarts')).toBeNull();
+      expect(await menuService.findSchool('')).toBeNull();
+    });
+
+    it('should fall back to the configured schools when the provider can\'t list schools', async () => {
+      menuService.setMenuProvider(stubProvider({
+        listSchools: jest.fn().mockRejectedValue(new Error('Network error'))
+      }));
+
+      const school = await menuService.findSchool('westmore');
+
+      expect(school).toEqual({
+        id: SCHOOL_ID,
+        name: 'Westmore Elementary School',
+        menuTypes: ['lunch']
+      });
+    });
+  });
+});
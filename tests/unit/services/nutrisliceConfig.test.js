@@ -0,0 +1,97 @@
+/**
+ * Tests for Nutrislice district configuration (London School)
+ *
+ * The API host, origin header and web URL all derive from one district
+ * slug, and invalid slugs are rejected at cold start.
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+
+/**
+ * Load fresh constants and nutrisliceService with the given environment
+ */
+function loadWithEnv(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      constants: require('../../../src/utils/constants'),
+      nutrisliceService: require('../../../src/services/nutrisliceService')
+    };
+  });
+  process.env = saved;
+  return modules;
+}
+
+describe('nutrisliceService - district configuration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('constants.NUTRISLICE', () => {
+    it('should default to the d45 district', () => {
+      const { constants } = loadWithEnv({});
+
+      expect(constants.NUTRISLICE.DISTRICT).toBe('d45');
+      expect(constants.NUTRISLICE.API_BASE_URL).toBe('https://d45.api.nutrislice.com/menu/api');
+      expect(constants.NUTRISLICE.ORIGIN).toBe('d45.nutrislice.com');
+      expect(constants.NUTRISLICE.BASE_URL).toBe('https://d45.nutrislice.com/menu');
+    });
+
+    it('should derive every host from NUTRISLICE_DISTRICT', () => {
+      const { constants } = loadWithEnv({ NUTRISLICE_DISTRICT: ' Pinellas ' });
+
+      expect(constants.NUTRISLICE.DISTRICT).toBe('pinellas');
+      expect(constants.NUTRISLICE.API_BASE_URL).toBe('https://pinellas.api.nutrislice.com/menu/api');
+      expect(constants.NUTRISLICE.ORIGIN).toBe('pinellas.nutrislice.com');
+      expect(constants.NUTRISLICE.BASE_URL).toBe('https://pinellas.nutrislice.com/menu');
+    });
+  });
+
+  describe('requests', () => {
+    it('should call the configured district\'s API with its origin header', async () => {
+      const { nutrisliceService } = loadWithEnv({ NUTRISLICE_DISTRICT: 'pinellas' });
+      axios.get.mockResolvedValue({ status: 200, data: { days: [] } });
+
+      expect(nutrisliceService.buildNutrisliceURL('lakewood-elementary', '2025-10-22'))
+        .toBe('https://pinellas.api.nutrislice.com/menu/api/weeks/school/lakewood-elementary/menu-type/lunch/2025/10/22/');
+
+      await nutrisliceService.getMenuForWeek('lakewood-elementary', '2025-10-22');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('https://pinellas.api.nutrislice.com/'),
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'x-nutrislice-origin': 'pinellas.nutrislice.com' })
+        })
+      );
+    });
+  });
+
+  describe('validateConfig', () => {
+    const { nutrisliceService } = loadWithEnv({});
+    const valid = { DISTRICT: 'd45', SCHOOL_ID: 'westmore-elementary-school-2' };
+
+    it('should accept district and school slugs', () => {
+      expect(nutrisliceService.validateConfig(valid, [{ id: 'jefferson-middle-school' }])).toBe(valid);
+    });
+
+    it('should reject a district that is not a slug', () => {
+      expect(() => nutrisliceService.validateConfig({ ...valid, DISTRICT: 'd45.nutrislice.com' }, []))
+        .toThrow('NUTRISLICE_DISTRICT "d45.nutrislice.com" is not a district slug');
+    });
+
+    it('should list every invalid setting', () => {
+      expect(() => nutrisliceService.validateConfig(
+        { DISTRICT: '', SCHOOL_ID: 'Westmore Elementary' },
+        [{ id: 'jefferson middle' }]
+      )).toThrow(/NUTRISLICE_DISTRICT.*; NUTRISLICE_SCHOOL_ID.*; NUTRISLICE_SCHOOLS entry "jefferson middle"/);
+    });
+
+    it('should validate the loaded configuration by default', () => {
+      expect(() => nutrisliceService.validateConfig()).not.toThrow();
+    });
+  });
+});
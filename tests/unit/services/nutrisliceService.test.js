@@ -9,6 +9,7 @@
 
 const nock = require('nock');
 const nutrisliceService = require('../../../src/services/nutrisliceService');
+const constants = require('../../../src/utils/constants');
 
 // Mock dependencies
 const mockCacheService = {
@@ -173,11 +174,11 @@ describe('nutrisliceService - TDD London School', () => {
       // Act
       await service.getMenuForDate(TEST_DATE);
 
-      // Assert: Cache should be called with TTL (typically 3600 seconds)
+      // Assert: Cache should be called with the configured menu TTL
       expect(mockCacheService.set).toHaveBeenCalledWith(
         expect.any(String),
         expect.any(Object),
-        3600 // 1 hour TTL from constants
+        constants.CACHE_TTL.MENU
       );
     });
   });
@@ -0,0 +1,370 @@
+/**
+ * Tests for week-level Nutrislice fetching (London School)
+ *
+ * One weeks-endpoint response covers every day of the week, so a single
+ * HTTP request should serve all of that week's days.
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const nutrisliceService = require('../../../src/services/nutrisliceService');
+const cacheService = require('../../../src/services/cacheService');
+const constants = require('../../../src/utils/constants');
+const { Deadline } = require('../../../src/utils/deadline');
+const {
+  nutrisliceCircuitBreaker,
+  CircuitOpenError
+} = require('../../../src/utils/circuitBreaker');
+
+const SCHOOL_ID = 'westmore-elementary-school-2';
+
+/**
+ * Build a weeks-endpoint payload with one entree per date
+ */
+function buildWeekResponse(dates) {
+  return {
+    status: 200,
+    data: {
+      days: dates.map(date => ({
+        date,
+        menu_items: [
+          { food: { name: `Entree ${date}`, food_category: 'entree' } },
+          { food: null, text: 'Section heading' }
+        ]
+      }))
+    }
+  };
+}
+
+describe('nutrisliceService - week fetching', () => {
+  const cache = cacheService.namespace('menu');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.clear();
+    nutrisliceService.__resetForTesting();
+    nutrisliceCircuitBreaker.reset();
+    nutrisliceService.setDependencies({ cache });
+  });
+
+  describe('getWeekStartDate', () => {
+    it('should return the Sunday of the week', () => {
+      expect(nutrisliceService.getWeekStartDate('2025-10-22')).toBe('2025-10-19');
+    });
+
+    it('should return the same day for a Sunday', () => {
+      expect(nutrisliceService.getWeekStartDate('2025-10-19')).toBe('2025-10-19');
+    });
+
+    it('should cross month boundaries', () => {
+      expect(nutrisliceService.getWeekStartDate('2025-11-01')).toBe('2025-10-26');
+    });
+  });
+
+  describe('getMenuForWeek', () => {
+    it('should request the week by its Sunday', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+
+      await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-22');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][0]).toContain(`/school/${SCHOOL_ID}/menu-type/lunch/2025/10/19/`);
+    });
+
+    it('should index every day of the response', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20', '2025-10-21']));
+
+      const week = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      expect(week.weekStart).toBe('2025-10-19');
+      expect(Object.keys(week.days)).toEqual(['2025-10-20', '2025-10-21']);
+      expect(week.days['2025-10-21'].items).toEqual([
+        expect.objectContaining({ name: 'Entree 2025-10-21', category: 'entree' })
+      ]);
+    });
+
+    it('should attach normalized allergen info to each item', async () => {
+      const response = buildWeekResponse(['2025-10-20']);
+      response.data.days[0].menu_items[0].food.icons = {
+        food_icons: [{ synced_name: 'Contains Milk' }, { synced_name: 'Vegetarian' }]
+      };
+      axios.get.mockResolvedValue(response);
+
+      const week = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      expect(week.days['2025-10-20'].items[0]).toEqual(expect.objectContaining({
+        allergens: ['milk'],
+        mayContain: [],
+        dietaryTags: ['vegetarian'],
+        allergenInfoAvailable: true
+      }));
+    });
+
+    it('should populate per-day cache entries from one response', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20', '2025-10-21']));
+
+      await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      expect((await cache.get([SCHOOL_ID, 'lunch', '2025-10-20'])).items).toHaveLength(1);
+      expect((await cache.get([SCHOOL_ID, 'lunch', '2025-10-21'])).items).toHaveLength(1);
+    });
+
+    it('should return an empty week on 404 without caching it', async () => {
+      axios.get.mockResolvedValue({ status: 404, data: null });
+
+      const week = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      expect(week.days).toEqual({});
+      expect(await cache.get([SCHOOL_ID, 'lunch', 'week', '2025-10-19'])).toBeNull();
+    });
+  });
+
+  describe('getMenuForDate', () => {
+    it('should serve other days of a fetched week without another request', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20', '2025-10-21', '2025-10-22']));
+
+      await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20');
+      const tuesday = await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-21');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(tuesday.items[0].name).toBe('Entree 2025-10-21');
+    });
+
+    it('should return an empty menu for a day missing from the week', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+
+      const result = await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-24');
+
+      expect(result.items).toEqual([]);
+      expect(result.message).toBe('No menu available for this date');
+    });
+  });
+
+  describe('multiple schools', () => {
+    it('should fetch and cache each school separately', async () => {
+      axios.get.mockImplementation((url) => Promise.resolve(buildWeekResponse(['2025-10-20'])));
+
+      await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20');
+      await nutrisliceService.getMenuForDate('jefferson-middle-school', '2025-10-20');
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(axios.get.mock.calls[1][0]).toContain('/school/jefferson-middle-school/menu-type/lunch/2025/10/19/');
+      expect(await cache.get(['jefferson-middle-school', 'lunch', '2025-10-20'])).not.toBeNull();
+    });
+
+    it('should fall back to the configured school when none is given', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+
+      const week = await nutrisliceService.getMenuForWeek(null, '2025-10-20');
+
+      expect(week.schoolId).toBe(SCHOOL_ID);
+      expect(axios.get.mock.calls[0][0]).toContain(`/school/${SCHOOL_ID}/`);
+    });
+  });
+
+  describe('menu types', () => {
+    it('should fetch and cache breakfast separately from lunch', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+
+      const week = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20', 'breakfast');
+      await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20');
+
+      expect(week.menuType).toBe('breakfast');
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(axios.get.mock.calls[0][0]).toContain(`/school/${SCHOOL_ID}/menu-type/breakfast/2025/10/19/`);
+      expect(axios.get.mock.calls[1][0]).toContain(`/school/${SCHOOL_ID}/menu-type/lunch/2025/10/19/`);
+      expect(await cache.get([SCHOOL_ID, 'breakfast', '2025-10-20'])).not.toBeNull();
+    });
+
+    it('should pass the menu type through batch fetches', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20', '2025-10-21']));
+
+      await nutrisliceService.getMenusForDates(SCHOOL_ID, ['2025-10-20', '2025-10-21'], 'breakfast');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][0]).toContain('/menu-type/breakfast/');
+    });
+  });
+
+  describe('getMenusForDates', () => {
+    it('should fetch each distinct week once, in parallel', async () => {
+      axios.get.mockImplementation((url) => Promise.resolve(
+        url.includes('/2025/10/19/')
+          ? buildWeekResponse(['2025-10-23', '2025-10-24'])
+          : buildWeekResponse(['2025-10-27', '2025-10-28', '2025-10-29'])
+      ));
+
+      const menus = await nutrisliceService.getMenusForDates(SCHOOL_ID, [
+        '2025-10-23', '2025-10-24', '2025-10-27', '2025-10-28', '2025-10-29'
+      ]);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(Object.keys(menus)).toHaveLength(5);
+      expect(menus['2025-10-28'].items[0].name).toBe('Entree 2025-10-28');
+    });
+
+    it('should skip the network for days already cached', async () => {
+      await cache.set([SCHOOL_ID, 'lunch', '2025-10-23'], { date: '2025-10-23', items: [] }, 60);
+
+      const menus = await nutrisliceService.getMenusForDates(SCHOOL_ID, ['2025-10-23']);
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(menus['2025-10-23'].date).toBe('2025-10-23');
+    });
+
+    it('should share one request with a concurrent lookup of the same week', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20', '2025-10-21']));
+
+      const [today, calendar] = await Promise.all([
+        nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20'),
+        nutrisliceService.getMenusForDates(SCHOOL_ID, ['2025-10-20', '2025-10-21'])
+      ]);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(today.items[0].name).toBe('Entree 2025-10-20');
+      expect(calendar['2025-10-21'].items[0].name).toBe('Entree 2025-10-21');
+      expect(cacheService.getStats().coalesced).toBe(1);
+    });
+
+    it('should return an Error for each day of a week that fails', async () => {
+      axios.get.mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 400 } }));
+
+      const menus = await nutrisliceService.getMenusForDates(SCHOOL_ID, ['2025-10-23', '2025-10-24']);
+
+      expect(menus['2025-10-23']).toBeInstanceOf(Error);
+      expect(menus['2025-10-24']).toBeInstanceOf(Error);
+    });
+  });
+
+  describe('menu source', () => {
+    it('should record the JSON API as the source of API menus', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+
+      const week = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      expect(week.source).toBe('api');
+      expect(week.days['2025-10-20'].source).toBe('api');
+    });
+
+    it('should not request the menu pages when the JSON API fails', async () => {
+      axios.get.mockRejectedValue(Object.assign(new Error('Forbidden'), { response: { status: 403 } }));
+
+      await expect(nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-22')).rejects.toThrow('Forbidden');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][0]).toContain('.api.nutrislice.com');
+    });
+  });
+
+  describe('stale menus', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    const TTL_MS = constants.CACHE_TTL.MENU * 1000;
+    const REVALIDATE_MS = constants.CACHE_STALE.MENU.STALE_WHILE_REVALIDATE * 1000;
+    let now;
+
+    beforeEach(() => {
+      now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should serve a stale week at once and refresh it in the background', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+      await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      now += TTL_MS + HOUR_MS;
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20', '2025-10-21']));
+      const week = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+      await cacheService.revalidating.get(cache.key([SCHOOL_ID, 'lunch', 'week', '2025-10-19']));
+
+      expect(week.stale).toBe(true);
+      expect(Object.keys(week.days)).toEqual(['2025-10-20']);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(Object.keys((await cache.get([SCHOOL_ID, 'lunch', 'week', '2025-10-19'])).days)).toEqual(['2025-10-20', '2025-10-21']);
+    });
+
+    it('should serve the stale menu when Nutrislice is down', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+      await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      now += TTL_MS + REVALIDATE_MS + HOUR_MS;
+      axios.get.mockRejectedValue(Object.assign(new Error('Forbidden'), { response: { status: 403 } }));
+      const menu = await nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20');
+
+      expect(menu).toEqual(expect.objectContaining({ stale: true, source: 'api' }));
+      expect(menu.items[0].name).toBe('Entree 2025-10-20');
+    });
+
+    it('should fail once the stale menu is past its hard expiry', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+      await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20');
+
+      now += 30 * 24 * HOUR_MS;
+      axios.get.mockRejectedValue(Object.assign(new Error('Forbidden'), { response: { status: 403 } }));
+
+      await expect(nutrisliceService.getMenuForDate(SCHOOL_ID, '2025-10-20')).rejects.toThrow('Forbidden');
+    });
+  });
+
+  describe('request deadline', () => {
+    it('should cap request timeouts at the time left for the request', async () => {
+      axios.get.mockResolvedValue(buildWeekResponse(['2025-10-20']));
+
+      await new Deadline(1500).run(() => nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20'));
+
+      expect(axios.get.mock.calls[0][1].timeout).toBeLessThanOrEqual(1500);
+    });
+
+    it('should stop retrying rather than back off past the deadline', async () => {
+      axios.get.mockRejectedValue(new Error('Network error'));
+
+      // Room for the first 100ms backoff, not the second 200ms one
+      const error = await new Deadline(250)
+        .run(() => nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20'))
+        .catch(caught => caught);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(error.message).toContain('after 2 attempts');
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const THRESHOLD = constants.CIRCUIT_BREAKER.NUTRISLICE.FAILURE_THRESHOLD;
+
+    it('should fail fast without a request once Nutrislice keeps failing', async () => {
+      axios.get.mockRejectedValue(new Error('Network error'));
+      for (let fetch = 0; fetch < THRESHOLD; fetch++) {
+        await expect(nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20')).rejects.toThrow();
+      }
+      const requests = axios.get.mock.calls.length;
+
+      const error = await nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-27').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(CircuitOpenError);
+      expect(axios.get).toHaveBeenCalledTimes(requests);
+      expect(nutrisliceCircuitBreaker.getStats().state).toBe('open');
+    });
+
+    it('should count one failure per fetch, however many attempts it made', async () => {
+      axios.get.mockRejectedValue(new Error('Network error'));
+
+      await expect(nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20')).rejects.toThrow('after 3 attempts');
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(nutrisliceCircuitBreaker.getStats().failures).toBe(1);
+    });
+
+    it('should not count client errors against Nutrislice', async () => {
+      axios.get.mockRejectedValue(Object.assign(new Error('Forbidden'), { response: { status: 403 } }));
+
+      await expect(nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-20')).rejects.toThrow('Forbidden');
+      await expect(nutrisliceService.getMenuForWeek(SCHOOL_ID, '2025-10-27')).rejects.toThrow('Forbidden');
+
+      expect(nutrisliceCircuitBreaker.getStats()).toEqual(expect.objectContaining({ state: 'closed', opens: 0 }));
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Test suite for persistenceService adapters
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  InMemoryPersistenceAdapter,
+  FilePersistenceAdapter,
+  createPersistenceAdapter
+} = require('../../../src/services/persistenceService');
+
+const envelopeFor = (userId) => ({
+  context: { System: { user: { userId } } },
+  request: { type: 'LaunchRequest' }
+});
+
+describe('persistenceService', () => {
+  describe('InMemoryPersistenceAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new InMemoryPersistenceAdapter();
+    });
+
+    it('should return an empty object for unknown users', async () => {
+      expect(await adapter.getAttributes(envelopeFor('user-1'))).toEqual({});
+    });
+
+    it('should save and read attributes per user', async () => {
+      await adapter.saveAttributes(envelopeFor('user-1'), { profile: { children: [] } });
+
+      expect(await adapter.getAttributes(envelopeFor('user-1'))).toEqual({ profile: { children: [] } });
+      expect(await adapter.getAttributes(envelopeFor('user-2'))).toEqual({});
+    });
+
+    it('should not share object references with callers', async () => {
+      const attributes = { profile: { children: [] } };
+      await adapter.saveAttributes(envelopeFor('user-1'), attributes);
+      attributes.profile.children.push({ name: 'Emma' });
+
+      const stored = await adapter.getAttributes(envelopeFor('user-1'));
+      expect(stored.profile.children).toEqual([]);
+    });
+
+    it('should delete attributes', async () => {
+      await adapter.saveAttributes(envelopeFor('user-1'), { a: 1 });
+      await adapter.deleteAttributes(envelopeFor('user-1'));
+
+      expect(await adapter.getAttributes(envelopeFor('user-1'))).toEqual({});
+    });
+  });
+
+  describe('FilePersistenceAdapter', () => {
+    let dir;
+    let adapter;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunch-dad-profiles-'));
+      adapter = new FilePersistenceAdapter(path.join(dir, 'profiles.json'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should treat a missing file as empty', async () => {
+      expect(await adapter.getAttributes(envelopeFor('user-1'))).toEqual({});
+    });
+
+    it('should persist attributes across adapter instances', async () => {
+      await adapter.saveAttributes(envelopeFor('user-1'), { profile: { children: [{ name: 'Emma' }] } });
+
+      const reopened = new FilePersistenceAdapter(path.join(dir, 'profiles.json'));
+      const stored = await reopened.getAttributes(envelopeFor('user-1'));
+      expect(stored.profile.children[0].name).toBe('Emma');
+    });
+
+    it('should delete only the requesting user', async () => {
+      await adapter.saveAttributes(envelopeFor('user-1'), { a: 1 });
+      await adapter.saveAttributes(envelopeFor('user-2'), { b: 2 });
+      await adapter.deleteAttributes(envelopeFor('user-1'));
+
+      expect(await adapter.getAttributes(envelopeFor('user-1'))).toEqual({});
+      expect(await adapter.getAttributes(envelopeFor('user-2'))).toEqual({ b: 2 });
+    });
+  });
+
+  describe('createPersistenceAdapter', () => {
+    it('should create an in-memory adapter', () => {
+      expect(createPersistenceAdapter({ ADAPTER: 'memory' })).toBeInstanceOf(InMemoryPersistenceAdapter);
+    });
+
+    it('should create a file adapter', () => {
+      const adapter = createPersistenceAdapter({ ADAPTER: 'file', FILE_PATH: 'profiles.json' });
+      expect(adapter).toBeInstanceOf(FilePersistenceAdapter);
+    });
+
+    it('should create a DynamoDB adapter for the configured table', () => {
+      const adapter = createPersistenceAdapter({ ADAPTER: 'dynamodb', TABLE_NAME: 'Profiles' });
+      expect(adapter.constructor.name).toBe('DynamoDbPersistenceAdapter');
+      expect(adapter.tableName).toBe('Profiles');
+    });
+
+    it('should reject unknown adapters', () => {
+      expect(() => createPersistenceAdapter({ ADAPTER: 'redis' })).toThrow('Unknown persistence adapter: redis');
+    });
+  });
+});
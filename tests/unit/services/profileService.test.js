@@ -0,0 +1,143 @@
+/**
+ * Test suite for profileService
+ */
+
+const profileService = require('../../../src/services/profileService');
+
+/**
+ * Minimal attributesManager stand-in backed by a plain object
+ */
+function buildHandlerInput(requestAttributes = {}) {
+  let attributes = requestAttributes;
+  return {
+    attributesManager: {
+      getRequestAttributes: jest.fn(() => attributes),
+      setRequestAttributes: jest.fn((value) => { attributes = value; })
+    }
+  };
+}
+
+describe('profileService', () => {
+  describe('normalizeProfile', () => {
+    it('should return the default profile for missing data', () => {
+      expect(profileService.normalizeProfile(undefined)).toEqual(profileService.createDefaultProfile());
+    });
+
+    it('should fill in missing child fields and drop nameless children', () => {
+      const profile = profileService.normalizeProfile({
+        children: [{ name: ' Emma ', schoolId: 'westmore' }, { schoolId: 'orphan' }]
+      });
+
+      expect(profile.children).toEqual([{
+        name: 'Emma',
+        schoolId: 'westmore',
+        schoolName: null,
+        allergies: [],
+        likes: [],
+        dislikes: [],
+        rules: []
+      }]);
+    });
+
+    it('should keep valid preferences and ignore invalid ones', () => {
+      const profile = profileService.normalizeProfile({
+        preferences: { units: 'metric', verbosity: 'chatty' }
+      });
+
+      expect(profile.preferences).toEqual({ units: 'metric', verbosity: 'normal' });
+    });
+  });
+
+  describe('getProfile / saveProfile / clearProfile', () => {
+    it('should return the default profile when none was loaded', () => {
+      const handlerInput = buildHandlerInput();
+
+      expect(profileService.getProfile(handlerInput).children).toEqual([]);
+    });
+
+    it('should store the profile and mark it dirty', () => {
+      const handlerInput = buildHandlerInput();
+
+      const saved = profileService.saveProfile(handlerInput, { children: [{ name: 'Liam' }] });
+
+      const attributes = handlerInput.attributesManager.getRequestAttributes();
+      expect(attributes.profileDirty).toBe(true);
+      expect(attributes.profile).toBe(saved);
+      expect(saved.createdAt).toEqual(expect.any(String));
+      expect(saved.updatedAt).toEqual(expect.any(String));
+      expect(profileService.getProfile(handlerInput).children[0].name).toBe('Liam');
+    });
+
+    it('should preserve createdAt on later saves', () => {
+      const handlerInput = buildHandlerInput();
+
+      const saved = profileService.saveProfile(handlerInput, {
+        children: [], createdAt: '2025-01-01T00:00:00.000Z'
+      });
+
+      expect(saved.createdAt).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('should mark the profile deleted on clear', () => {
+      const handlerInput = buildHandlerInput();
+      profileService.saveProfile(handlerInput, { children: [{ name: 'Liam' }] });
+
+      profileService.clearProfile(handlerInput);
+
+      const attributes = handlerInput.attributesManager.getRequestAttributes();
+      expect(attributes.profileDeleted).toBe(true);
+      expect(attributes.profileDirty).toBe(false);
+      expect(profileService.getProfile(handlerInput).children).toEqual([]);
+    });
+  });
+
+  describe('hasChildren / findChild', () => {
+    const profile = profileService.normalizeProfile({ children: [{ name: 'Emma' }] });
+
+    it('should report whether children are configured', () => {
+      expect(profileService.hasChildren(profile)).toBe(true);
+      expect(profileService.hasChildren(profileService.createDefaultProfile())).toBe(false);
+    });
+
+    it('should find children case-insensitively', () => {
+      expect(profileService.findChild(profile, 'emma').name).toBe('Emma');
+      expect(profileService.findChild(profile, 'Liam')).toBeNull();
+    });
+  });
+
+  describe('getHouseholdSchools / getPrimarySchoolId', () => {
+    it('should group children by school in the order they were added', () => {
+      const profile = profileService.normalizeProfile({
+        children: [
+          { name: 'Emma', schoolId: 'westmore-elementary-school-2', schoolName: 'Westmore Elementary School' },
+          { name: 'Liam', schoolId: 'jefferson-middle-school', schoolName: 'Jefferson Middle School' },
+          { name: 'Noah', schoolId: 'jefferson-middle-school', schoolName: 'Jefferson Middle School' }
+        ]
+      });
+
+      const schools = profileService.getHouseholdSchools(profile);
+
+      expect(schools.map(school => school.schoolId)).toEqual(['westmore-elementary-school-2', 'jefferson-middle-school']);
+      expect(schools[1].schoolName).toBe('Jefferson Middle School');
+      expect(schools[1].children.map(child => child.name)).toEqual(['Liam', 'Noah']);
+      expect(profileService.getPrimarySchoolId(profile)).toBe('westmore-elementary-school-2');
+    });
+
+    it('should fall back to the default school without children', () => {
+      const schools = profileService.getHouseholdSchools(profileService.createDefaultProfile());
+
+      expect(schools).toEqual([{
+        schoolId: 'westmore-elementary-school-2',
+        schoolName: 'Westmore Elementary School',
+        children: []
+      }]);
+    });
+
+    it('should put children without a school at the default school', () => {
+      const profile = profileService.normalizeProfile({ children: [{ name: 'Emma' }] });
+
+      expect(profileService.getPrimarySchoolId(profile)).toBe('westmore-elementary-school-2');
+      expect(profileService.getHouseholdSchools(profile)[0].children).toHaveLength(1);
+    });
+  });
+});
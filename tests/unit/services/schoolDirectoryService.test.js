@@ -0,0 +1,84 @@
+/**
+ * Test suite for schoolDirectoryService (London School TDD)
+ * axios is mocked; the real cacheService holds the school list
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const schoolDirectoryService = require('../../../src/services/schoolDirectoryService');
+const cacheService = require('../../../src/services/cacheService');
+
+const directoryResponse = {
+  status: 200,
+  data: [
+    {
+      name: 'Westmore Elementary School',
+      slug: 'westmore-elementary-school-2',
+      active_menu_types: [{ name: 'Lunch', slug: 'lunch' }, { name: 'Breakfast', slug: 'breakfast' }]
+    },
+    {
+      name: 'Jefferson Middle School',
+      slug: 'jefferson-middle-school',
+      active_menu_types: [{ name: 'Lunch', slug: 'lunch' }]
+    },
+    { name: 'District Office', slug: null },
+    { name: 'Ardmore Elementary', slug: 'ardmore-elementary' }
+  ]
+};
+
+describe('schoolDirectoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.clear();
+  });
+
+  describe('getSchools', () => {
+    it('should fetch the district directory with the origin header', async () => {
+      axios.get.mockResolvedValue(directoryResponse);
+
+      await schoolDirectoryService.getSchools();
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://d45.api.nutrislice.com/menu/api/schools/',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'x-nutrislice-origin': 'd45.nutrislice.com' })
+        })
+      );
+    });
+
+    it('should return slugs and menu types sorted by name, skipping schools without a slug', async () => {
+      axios.get.mockResolvedValue(directoryResponse);
+
+      const schools = await schoolDirectoryService.getSchools();
+
+      expect(schools).toEqual([
+        { id: 'ardmore-elementary', name: 'Ardmore Elementary', menuTypes: [] },
+        { id: 'jefferson-middle-school', name: 'Jefferson Middle School', menuTypes: ['lunch'] },
+        { id: 'westmore-elementary-school-2', name: 'Westmore Elementary School', menuTypes: ['lunch', 'breakfast'] }
+      ]);
+    });
+
+    it('should cache the directory', async () => {
+      axios.get.mockResolvedValue(directoryResponse);
+
+      await schoolDirectoryService.getSchools();
+      await schoolDirectoryService.getSchools();
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a malformed response', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: { schools: [] } });
+
+      await expect(schoolDirectoryService.getSchools())
+        .rejects.toThrow('Failed to fetch school directory: Invalid school directory response structure');
+    });
+
+    it('should report timeouts', async () => {
+      axios.get.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+
+      await expect(schoolDirectoryService.getSchools()).rejects.toThrow('School directory request timeout');
+    });
+  });
+});
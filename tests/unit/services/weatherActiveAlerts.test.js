@@ -0,0 +1,123 @@
+/**
+ * Tests for weather.gov active alerts in weatherService (London School)
+ *
+ * axios is mocked and answers by path; the real cacheService holds alerts.
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const weatherService = require('../../../src/services/weatherService');
+const cacheService = require('../../../src/services/cacheService');
+const { weatherCircuitBreaker } = require('../../../src/utils/circuitBreaker');
+const fixtures = require('../../fixtures/weather-gov-response.json');
+
+// Wednesday morning in Villa Park
+const NOW = Date.parse('2025-10-22T07:00:00-05:00');
+
+const dailyForecastResponse = {
+  properties: {
+    periods: [
+      {
+        name: 'Today', isDaytime: true, temperature: 34, temperatureUnit: 'F',
+        startTime: '2025-10-22T06:00:00-05:00', endTime: '2025-10-22T18:00:00-05:00',
+        shortForecast: 'Snow Likely', detailedForecast: 'Snow likely after noon. High near 34.'
+      },
+      {
+        name: 'Tonight', isDaytime: false, temperature: 20, temperatureUnit: 'F',
+        startTime: '2025-10-22T18:00:00-05:00', endTime: '2025-10-23T06:00:00-05:00',
+        shortForecast: 'Snow', detailedForecast: 'Snow.'
+      },
+      {
+        name: 'Thursday', isDaytime: true, temperature: 25, temperatureUnit: 'F',
+        startTime: '2025-10-23T06:00:00-05:00', endTime: '2025-10-23T18:00:00-05:00',
+        shortForecast: 'Snow', detailedForecast: 'Snow, mainly before noon.'
+      }
+    ]
+  }
+};
+
+/**
+ * Answer weather.gov requests by path, with the given alerts response
+ */
+function mockWeatherGov(alertsResponse) {
+  axios.get.mockImplementation(async (url) => {
+    if (url.includes('/alerts/active')) {
+      if (alertsResponse instanceof Error) {
+        throw alertsResponse;
+      }
+      return { data: alertsResponse };
+    }
+    if (url.includes('/points/')) {
+      return { data: fixtures.gridPointResponse };
+    }
+    if (url.endsWith('/forecast/hourly')) {
+      return { data: fixtures.hourlyForecastResponse };
+    }
+    return { data: dailyForecastResponse };
+  });
+}
+
+describe('weatherService - active alerts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.clear();
+    weatherCircuitBreaker.reset();
+    jest.spyOn(Date, 'now').mockImplementation(() => NOW);
+    mockWeatherGov(fixtures.activeAlertsResponse);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getActiveAlerts', () => {
+    it('should look up alerts for the point', async () => {
+      const alerts = await weatherService.getActiveAlerts('41.8897', '-87.9789');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.weather.gov/alerts/active?point=41.8897,-87.9789',
+        expect.objectContaining({ headers: expect.objectContaining({ Accept: 'application/geo+json' }) })
+      );
+      expect(alerts.map(alert => alert.event)).toEqual(['Winter Storm Warning', 'Wind Chill Advisory']);
+    });
+
+    it('should cache alerts', async () => {
+      await weatherService.getActiveAlerts('41.8897', '-87.9789');
+      await weatherService.getActiveAlerts('41.8897', '-87.9789');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject invalid coordinates', async () => {
+      await expect(weatherService.getActiveAlerts(null, '-87.9789')).rejects.toThrow('Invalid coordinates');
+    });
+  });
+
+  describe('getTodayWeather', () => {
+    it('should carry the alerts in effect today', async () => {
+      const weather = await weatherService.getTodayWeather();
+
+      expect(weather.alerts.map(alert => alert.event)).toEqual(['Winter Storm Warning', 'Wind Chill Advisory']);
+    });
+
+    it('should still return the forecast when alerts fail', async () => {
+      mockWeatherGov(new Error('Network error'));
+
+      const weather = await weatherService.getTodayWeather();
+
+      expect(weather.isFallback).toBe(false);
+      expect(weather.alerts).toEqual([]);
+      expect(weather.today.high).toBe(34);
+    });
+  });
+
+  describe('getTomorrowWeather', () => {
+    it('should carry only the alerts in effect tomorrow', async () => {
+      const weather = await weatherService.getTomorrowWeather();
+
+      expect(weather.tomorrow.dayName).toBe('Thursday');
+      expect(weather.alerts.map(alert => alert.event)).toEqual(['Winter Storm Warning']);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for serving stale weather (London School)
+ *
+ * axios is mocked; the real cacheService holds forecasts so their soft and
+ * hard expiry can be exercised by moving the clock.
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const weatherService = require('../../../src/services/weatherService');
+const cacheService = require('../../../src/services/cacheService');
+const { weatherCircuitBreaker } = require('../../../src/utils/circuitBreaker');
+const constants = require('../../../src/utils/constants');
+const fixtures = require('../../fixtures/weather-gov-response.json');
+
+const MINUTE_MS = 60 * 1000;
+
+const dailyForecastResponse = {
+  properties: {
+    periods: [
+      { name: 'Today', isDaytime: true, temperature: 62, temperatureUnit: 'F', shortForecast: 'Sunny', detailedForecast: 'Sunny, with a high near 62.' },
+      { name: 'Tonight', isDaytime: false, temperature: 45, temperatureUnit: 'F', shortForecast: 'Clear', detailedForecast: 'Clear.' },
+      { name: 'Thursday', isDaytime: true, temperature: 58, temperatureUnit: 'F', shortForecast: 'Rain', detailedForecast: 'Rain likely.' }
+    ]
+  }
+};
+
+/**
+ * Answer weather.gov requests by path
+ */
+function mockWeatherGov() {
+  axios.get.mockImplementation(async (url) => {
+    if (url.includes('/points/')) {
+      return { data: fixtures.gridPointResponse };
+    }
+    if (url.endsWith('/forecast/hourly')) {
+      return { data: fixtures.hourlyForecastResponse };
+    }
+    return { data: dailyForecastResponse };
+  });
+}
+
+describe('weatherService - stale forecasts', () => {
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.clear();
+    weatherCircuitBreaker.reset();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    mockWeatherGov();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report fresh weather as not stale', async () => {
+    const weather = await weatherService.getTodayWeather();
+
+    expect(weather).toEqual(expect.objectContaining({ stale: false, cachedAt: null, isFallback: false }));
+  });
+
+  it('should cache the daily forecast', async () => {
+    await weatherService.getTodayWeather();
+    await weatherService.getTomorrowWeather();
+
+    const dailyCalls = axios.get.mock.calls.filter(([url]) => url.endsWith('/forecast'));
+    expect(dailyCalls).toHaveLength(1);
+  });
+
+  it('should serve this morning\'s forecast when weather.gov is down', async () => {
+    await weatherService.getTodayWeather();
+
+    now += 60 * MINUTE_MS;
+    axios.get.mockRejectedValue(new Error('Network error'));
+    const weather = await weatherService.getTodayWeather();
+
+    expect(weather.isFallback).toBe(false);
+    expect(weather.stale).toBe(true);
+    expect(weather.cachedAt).toEqual(expect.any(String));
+    expect(weather.today.high).toBe(62);
+  });
+
+  it('should flag a stale tomorrow forecast', async () => {
+    await weatherService.getTomorrowWeather();
+
+    now += 60 * MINUTE_MS;
+    axios.get.mockRejectedValue(new Error('Network error'));
+    const weather = await weatherService.getTomorrowWeather();
+
+    expect(weather).toEqual(expect.objectContaining({ stale: true, isFallback: false }));
+    expect(weather.tomorrow.dayName).toBe('Thursday');
+  });
+
+  it('should look up the grid once for concurrent requests', async () => {
+    await Promise.all([weatherService.getTodayWeather(), weatherService.getTomorrowWeather()]);
+
+    const gridCalls = axios.get.mock.calls.filter(([url]) => url.includes('/points/'));
+    expect(gridCalls).toHaveLength(1);
+  });
+
+  it('should fall back at once without requests while weather.gov is failing', async () => {
+    axios.get.mockRejectedValue(new Error('Network error'));
+    // Each call fails on the grid lookup; the third failure opens the circuit
+    for (let call = 0; call < constants.CIRCUIT_BREAKER.WEATHER.FAILURE_THRESHOLD; call++) {
+      await weatherService.getTodayWeather();
+    }
+    const requests = axios.get.mock.calls.length;
+
+    const weather = await weatherService.getTodayWeather();
+
+    expect(weather.isFallback).toBe(true);
+    expect(axios.get).toHaveBeenCalledTimes(requests);
+  });
+
+  it('should fall back once stale forecasts are past their hard expiry', async () => {
+    await weatherService.getTodayWeather();
+
+    now += 24 * 60 * MINUTE_MS;
+    axios.get.mockRejectedValue(new Error('Network error'));
+    const weather = await weatherService.getTodayWeather();
+
+    expect(weather.isFallback).toBe(true);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Test suite for allergenParser
+ * Verifies Nutrislice icon labels map onto the normalized vocabulary
+ */
+
+const {
+  extractDietaryInfo,
+  normalizeAllergen,
+  getAllergenStatus,
+  ALLERGENS,
+  DIETARY_TAGS
+} = require('../../../src/utils/allergenParser');
+
+const foodWithIcons = (...names) => ({
+  name: 'Test Food',
+  icons: {
+    food_icons: names.map(name => ({ synced_name: name, enabled: true }))
+  }
+});
+
+describe('allergenParser', () => {
+  describe('extractDietaryInfo', () => {
+    it('should map "Contains" icons to allergen ids', () => {
+      const result = extractDietaryInfo(foodWithIcons('Contains Milk', 'Contains Wheat', 'Contains Soy'));
+
+      expect(result.allergens).toEqual(['milk', 'wheat', 'soy']);
+      expect(result.allergenInfoAvailable).toBe(true);
+    });
+
+    it('should tell peanuts apart from tree nuts', () => {
+      expect(extractDietaryInfo(foodWithIcons('Peanut')).allergens).toEqual(['peanut']);
+      expect(extractDietaryInfo(foodWithIcons('Contains Tree Nuts')).allergens).toEqual(['tree_nut']);
+      expect(extractDietaryInfo(foodWithIcons('Almonds')).allergens).toEqual(['tree_nut']);
+    });
+
+    it('should separate "may contain" flags', () => {
+      const result = extractDietaryInfo(foodWithIcons('May Contain Peanuts', 'Contains Egg'));
+
+      expect(result.allergens).toEqual(['egg']);
+      expect(result.mayContain).toEqual(['peanut']);
+    });
+
+    it('should prefer "contains" over "may contain" for the same allergen', () => {
+      const result = extractDietaryInfo(foodWithIcons('May Contain Milk', 'Contains Milk'));
+
+      expect(result.allergens).toEqual(['milk']);
+      expect(result.mayContain).toEqual([]);
+    });
+
+    it('should map dietary icons to tags', () => {
+      const result = extractDietaryInfo(foodWithIcons('Vegetarian', 'Whole Grain', 'Contains Pork'));
+
+      expect(result.dietaryTags).toEqual(['vegetarian', 'whole_grain', 'contains_pork']);
+      expect(result.allergens).toEqual([]);
+    });
+
+    it('should never read "free of" labels as allergens', () => {
+      const result = extractDietaryInfo(foodWithIcons('Gluten Free', 'Peanut Free', 'Egg-Free'));
+
+      expect(result.allergens).toEqual([]);
+      expect(result.dietaryTags).toEqual(['gluten_free', 'peanut_free']);
+      expect(result.allergenInfoAvailable).toBe(true);
+    });
+
+    it('should never read "peanut free" as free of tree nuts', () => {
+      const result = extractDietaryInfo(foodWithIcons('Peanut Free'));
+
+      expect(result.dietaryTags).toEqual(['peanut_free']);
+    });
+
+    it('should read "tree nut free" as free of tree nuts only', () => {
+      expect(extractDietaryInfo(foodWithIcons('Tree Nut Free')).dietaryTags).toEqual(['tree_nut_free']);
+    });
+
+    it('should read a plain "nut free" as free of peanuts and tree nuts', () => {
+      expect(extractDietaryInfo(foodWithIcons('Nut Free')).dietaryTags).toEqual(['peanut_free', 'tree_nut_free']);
+      expect(extractDietaryInfo(foodWithIcons('No Nuts')).dietaryTags).toEqual(['peanut_free', 'tree_nut_free']);
+    });
+
+    it('should fall back to icon name and slug', () => {
+      const result = extractDietaryInfo({
+        icons: { food_icons: [{ name: 'Fish' }, { slug: 'contains-sesame' }] }
+      });
+
+      expect(result.allergens).toEqual(['fish', 'sesame']);
+    });
+
+    it('should skip disabled icons', () => {
+      const result = extractDietaryInfo({
+        icons: { food_icons: [{ synced_name: 'Contains Milk', enabled: false }] }
+      });
+
+      expect(result.allergens).toEqual([]);
+    });
+
+    it('should read a plain allergens list', () => {
+      const result = extractDietaryInfo({ allergens: ['Shellfish', { name: 'Egg' }] });
+
+      expect(result.allergens).toEqual(['shellfish', 'egg']);
+    });
+
+    it('should report no allergen info when only dietary icons exist', () => {
+      const result = extractDietaryInfo(foodWithIcons('Vegetarian'));
+
+      expect(result.allergenInfoAvailable).toBe(false);
+    });
+
+    it('should handle foods without icons', () => {
+      expect(extractDietaryInfo({ name: 'Plain' })).toEqual({
+        allergens: [],
+        mayContain: [],
+        dietaryTags: [],
+        allergenInfoAvailable: false
+      });
+      expect(extractDietaryInfo(null).allergenInfoAvailable).toBe(false);
+    });
+  });
+
+  describe('normalizeAllergen', () => {
+    it('should accept canonical ids', () => {
+      expect(normalizeAllergen('tree_nut')).toBe('tree_nut');
+      expect(normalizeAllergen('peanut')).toBe('peanut');
+    });
+
+    it('should map spoken names and synonyms', () => {
+      expect(normalizeAllergen('Peanuts')).toBe('peanut');
+      expect(normalizeAllergen('tree nuts')).toBe('tree_nut');
+      expect(normalizeAllergen('dairy')).toBe('milk');
+      expect(normalizeAllergen('shrimp')).toBe('shellfish');
+    });
+
+    it('should return null for unknown input', () => {
+      expect(normalizeAllergen('kiwi')).toBeNull();
+      expect(normalizeAllergen(undefined)).toBeNull();
+    });
+  });
+
+  describe('getAllergenStatus', () => {
+    const item = (overrides) => ({
+      allergens: [],
+      mayContain: [],
+      dietaryTags: [],
+      allergenInfoAvailable: true,
+      ...overrides
+    });
+
+    it('should report contains and may contain', () => {
+      expect(getAllergenStatus(item({ allergens: ['peanut'] }), 'peanut')).toBe('contains');
+      expect(getAllergenStatus(item({ mayContain: ['peanut'] }), 'peanut')).toBe('may_contain');
+    });
+
+    it('should treat wheat as containing gluten', () => {
+      expect(getAllergenStatus(item({ allergens: ['wheat'] }), 'gluten')).toBe('contains');
+    });
+
+    it('should report free when info is published without the allergen', () => {
+      expect(getAllergenStatus(item({ allergens: ['milk'] }), 'peanut')).toBe('free');
+    });
+
+    it('should honour free-of dietary tags', () => {
+      const glutenFree = item({ dietaryTags: ['gluten_free'], allergenInfoAvailable: false });
+      expect(getAllergenStatus(glutenFree, 'gluten')).toBe('free');
+    });
+
+    it('should not read "peanut free" as free of tree nuts', () => {
+      const peanutFree = item({ dietaryTags: ['peanut_free'] });
+      expect(getAllergenStatus(peanutFree, 'peanut')).toBe('free');
+      expect(getAllergenStatus(peanutFree, 'tree_nut')).toBe('unknown');
+    });
+
+    it('should report tree nuts unknown for a menu item labelled "Peanut Free"', () => {
+      const result = extractDietaryInfo(foodWithIcons('Peanut Free'));
+      expect(getAllergenStatus(result, 'tree_nut')).toBe('unknown');
+    });
+
+    it('should report unknown when no allergen info is published', () => {
+      expect(getAllergenStatus({ name: 'Mystery' }, 'peanut')).toBe('unknown');
+    });
+  });
+
+  describe('vocabularies', () => {
+    it('should provide spoken labels for every allergen id', () => {
+      expect(ALLERGENS.peanut).toBe('peanuts');
+      expect(Object.keys(ALLERGENS)).toHaveLength(10);
+    });
+
+    it('should provide display labels for every dietary tag', () => {
+      expect(DIETARY_TAGS.gluten_free).toBe('Gluten Free');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Test suite for circuitBreaker
+ */
+
+const {
+  CircuitBreaker,
+  CircuitOpenError,
+  isUpstreamFailure,
+  STATE
+} = require('../../../src/utils/circuitBreaker');
+
+const networkError = () => new Error('Network error');
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+describe('circuitBreaker', () => {
+  let breaker;
+  let now;
+
+  const fail = (error = networkError()) => breaker.execute(() => Promise.reject(error)).catch(caught => caught);
+
+  beforeEach(() => {
+    now = Date.parse('2025-10-20T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ name: 'nutrislice', failureThreshold: 3, resetTimeoutMs: 60000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('closed', () => {
+    it('should pass results and errors through', async () => {
+      expect(await breaker.execute(async () => 'menu')).toBe('menu');
+      expect(await fail()).toEqual(networkError());
+      expect(breaker.getStats()).toEqual({ state: STATE.CLOSED, failures: 1, opens: 0, rejected: 0 });
+    });
+
+    it('should reset the failure count after a success', async () => {
+      await fail();
+      await fail();
+      await breaker.execute(async () => 'menu');
+      await fail();
+
+      expect(breaker.state).toBe(STATE.CLOSED);
+      expect(breaker.getStats().failures).toBe(1);
+    });
+  });
+
+  describe('open', () => {
+    beforeEach(async () => {
+      await fail();
+      await fail();
+      await fail();
+    });
+
+    it('should open after the failure threshold', () => {
+      expect(breaker.getStats()).toEqual(expect.objectContaining({ state: STATE.OPEN, opens: 1 }));
+    });
+
+    it('should reject calls without running them', async () => {
+      const call = jest.fn();
+
+      const error = await breaker.execute(call).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(CircuitOpenError);
+      expect(error.message).toBe('nutrislice circuit is open');
+      expect(error.retryAt).toBe(now + 60000);
+      expect(call).not.toHaveBeenCalled();
+      expect(breaker.getStats().rejected).toBe(1);
+    });
+  });
+
+  describe('half-open', () => {
+    beforeEach(async () => {
+      await fail();
+      await fail();
+      await fail();
+      now += 60000;
+    });
+
+    it('should report half-open once the cooldown passes', () => {
+      expect(breaker.state).toBe(STATE.HALF_OPEN);
+    });
+
+    it('should close after a successful trial', async () => {
+      expect(await breaker.execute(async () => 'menu')).toBe('menu');
+      expect(breaker.getStats()).toEqual(expect.objectContaining({ state: STATE.CLOSED, failures: 0 }));
+    });
+
+    it('should reopen for another cooldown after a failed trial', async () => {
+      await fail();
+
+      expect(breaker.getStats()).toEqual(expect.objectContaining({ state: STATE.OPEN, opens: 2 }));
+      now += 59999;
+      expect(breaker.state).toBe(STATE.OPEN);
+    });
+
+    it('should let only one trial through at a time', async () => {
+      let finishTrial;
+      const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+
+      const error = await breaker.execute(jest.fn()).catch(caught => caught);
+      finishTrial('menu');
+
+      expect(error).toBeInstanceOf(CircuitOpenError);
+      expect(await trial).toBe('menu');
+      expect(breaker.state).toBe(STATE.CLOSED);
+    });
+  });
+
+  describe('isUpstreamFailure', () => {
+    it('should count network errors, timeouts and server errors', () => {
+      expect(isUpstreamFailure(networkError())).toBe(true);
+      expect(isUpstreamFailure(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+      expect(isUpstreamFailure(httpError(503))).toBe(true);
+    });
+
+    it('should not count client errors', async () => {
+      expect(isUpstreamFailure(httpError(404))).toBe(false);
+
+      await fail(httpError(403));
+      await fail(httpError(403));
+      await fail(httpError(403));
+
+      expect(breaker.state).toBe(STATE.CLOSED);
+    });
+  });
+});
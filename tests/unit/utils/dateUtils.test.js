@@ -7,7 +7,11 @@ const {
   getNextSchoolDay,
   isSchoolDay,
   formatDateForNutrislice,
-  getTodayInTimezone
+  getTodayInTimezone,
+  resolveSlotDate,
+  getWeekStart,
+  formatDateForSpeech,
+  describeAsOf
 } = require('../../../src/utils/dateUtils');
 
 const constants = require('../../../src/utils/constants');
@@ -332,4 +336,104 @@ describe('dateUtils - TDD London School', () => {
       });
     });
   });
+
+  describe('resolveSlotDate', () => {
+    const monday = new Date(2025, 9, 20);
+
+    it('should resolve a full date to midnight on that day', () => {
+      const result = resolveSlotDate('2025-10-24', monday);
+      expect(formatDateForNutrislice(result)).toBe('2025-10-24');
+      expect(result.getHours()).toBe(0);
+    });
+
+    it('should resolve a yearless date later this year to this year', () => {
+      const result = resolveSlotDate('XXXX-10-30', monday);
+      expect(formatDateForNutrislice(result)).toBe('2025-10-30');
+    });
+
+    it('should resolve a yearless date already past to next year', () => {
+      const result = resolveSlotDate('XXXX-01-15', monday);
+      expect(formatDateForNutrislice(result)).toBe('2026-01-15');
+    });
+
+    it('should resolve PRESENT_REF to the reference date', () => {
+      const result = resolveSlotDate('PRESENT_REF', monday);
+      expect(formatDateForNutrislice(result)).toBe('2025-10-20');
+    });
+
+    it('should return null for week, month and missing values', () => {
+      expect(resolveSlotDate('2025-W43', monday)).toBeNull();
+      expect(resolveSlotDate('2025-10', monday)).toBeNull();
+      expect(resolveSlotDate(undefined, monday)).toBeNull();
+    });
+
+    it('should return null for impossible dates', () => {
+      expect(resolveSlotDate('2025-02-30', monday)).toBeNull();
+    });
+  });
+
+  describe('getWeekStart', () => {
+    it('should return Monday for a midweek date', () => {
+      const result = getWeekStart(new Date('2025-10-23T10:00:00'));
+      expect(formatDateForNutrislice(result)).toBe('2025-10-20');
+      expect(result.getHours()).toBe(0);
+    });
+
+    it('should return the same day for a Monday', () => {
+      const result = getWeekStart(new Date('2025-10-20T10:00:00'));
+      expect(formatDateForNutrislice(result)).toBe('2025-10-20');
+    });
+
+    it('should treat Sunday as the end of the week', () => {
+      const result = getWeekStart(new Date('2025-10-26T10:00:00'));
+      expect(formatDateForNutrislice(result)).toBe('2025-10-20');
+    });
+
+    it('should throw error for invalid date', () => {
+      expect(() => getWeekStart(null)).toThrow();
+    });
+  });
+
+  describe('formatDateForSpeech', () => {
+    it('should include weekday, month and ordinal day', () => {
+      expect(formatDateForSpeech(new Date(2025, 9, 23))).toBe('Thursday, October 23rd');
+    });
+
+    it('should use the correct ordinal suffixes', () => {
+      expect(formatDateForSpeech(new Date(2025, 9, 1))).toMatch(/1st$/);
+      expect(formatDateForSpeech(new Date(2025, 9, 2))).toMatch(/2nd$/);
+      expect(formatDateForSpeech(new Date(2025, 9, 11))).toMatch(/11th$/);
+      expect(formatDateForSpeech(new Date(2025, 9, 12))).toMatch(/12th$/);
+      expect(formatDateForSpeech(new Date(2025, 9, 22))).toMatch(/22nd$/);
+    });
+
+    it('should throw error for invalid date', () => {
+      expect(() => formatDateForSpeech(null)).toThrow();
+    });
+  });
+
+  describe('describeAsOf', () => {
+    // Monday, Oct 20, 2025, 2 PM in Chicago
+    const now = new Date('2025-10-20T19:00:00Z');
+    const chicago = 'America/Chicago';
+
+    it('should name the part of today', () => {
+      expect(describeAsOf('2025-10-20T13:05:00Z', now, chicago)).toBe('this morning');
+      expect(describeAsOf('2025-10-20T18:30:00Z', now, chicago)).toBe('this afternoon');
+    });
+
+    it('should distinguish yesterday from last night', () => {
+      expect(describeAsOf('2025-10-19T15:00:00Z', now, chicago)).toBe('yesterday');
+      expect(describeAsOf('2025-10-20T01:00:00Z', now, chicago)).toBe('last night');
+    });
+
+    it('should fall back to the weekday for older times', () => {
+      expect(describeAsOf('2025-10-17T15:00:00Z', now, chicago)).toBe('on Friday');
+    });
+
+    it('should return an empty string for missing or invalid times', () => {
+      expect(describeAsOf(null, now, chicago)).toBe('');
+      expect(describeAsOf('not a date', now, chicago)).toBe('');
+    });
+  });
 });
@@ -0,0 +1,185 @@
+/**
+ * Tests for the per-request deadline
+ *
+ * Fake timers stand in for slow upstream calls.
+ */
+
+const {
+  DEADLINE_ATTRIBUTE,
+  Deadline,
+  DeadlineExceededError,
+  getDeadline,
+  remainingBudget,
+  boundedTimeout
+} = require('../../../src/utils/deadline');
+const constants = require('../../../src/utils/constants');
+
+const { ALEXA_LIMIT_MS, SAFETY_MARGIN_MS, OPTIONAL_MIN_MS } = constants.DEADLINE;
+
+/**
+ * A call that settles after a delay
+ */
+function slowCall(ms, value = 'done') {
+  return () => new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+describe('deadline', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Deadline.fromContext', () => {
+    it('should leave a safety margin from the Lambda remaining time', () => {
+      const deadline = Deadline.fromContext({ getRemainingTimeInMillis: () => 3000 });
+
+      expect(deadline.remaining()).toBe(3000 - SAFETY_MARGIN_MS);
+    });
+
+    it('should cap the budget at Alexa\'s response limit', () => {
+      const deadline = Deadline.fromContext({ getRemainingTimeInMillis: () => 30000 });
+
+      expect(deadline.remaining()).toBe(ALEXA_LIMIT_MS - SAFETY_MARGIN_MS);
+    });
+
+    it('should use Alexa\'s limit without a Lambda context', () => {
+      expect(Deadline.fromContext(undefined).remaining()).toBe(ALEXA_LIMIT_MS - SAFETY_MARGIN_MS);
+    });
+
+    it('should never report negative time', () => {
+      const deadline = Deadline.fromContext({ getRemainingTimeInMillis: () => 100 });
+
+      expect(deadline.remaining()).toBe(0);
+    });
+  });
+
+  describe('run', () => {
+    it('should return the result of a call that finishes in time', async () => {
+      const deadline = new Deadline(2000);
+
+      const result = deadline.run(slowCall(500));
+      jest.advanceTimersByTime(500);
+
+      await expect(result).resolves.toBe('done');
+    });
+
+    it('should reject a call that outlasts the deadline', async () => {
+      const deadline = new Deadline(2000);
+
+      const result = deadline.run(slowCall(5000));
+      jest.advanceTimersByTime(2000);
+
+      await expect(result).rejects.toBeInstanceOf(DeadlineExceededError);
+      await expect(result).rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED' });
+    });
+
+    it('should not start a call once the deadline has passed', async () => {
+      const deadline = new Deadline(0);
+      const fn = jest.fn();
+
+      await expect(deadline.run(fn)).rejects.toBeInstanceOf(DeadlineExceededError);
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should pass through the call\'s own error', async () => {
+      const deadline = new Deadline(2000);
+
+      await expect(deadline.run(async () => { throw new Error('Network error'); })).rejects.toThrow('Network error');
+    });
+  });
+
+  describe('optional', () => {
+    it('should return the result of a call that finishes in time', async () => {
+      const deadline = new Deadline(2000);
+
+      const result = deadline.optional(slowCall(500, { temperature: 50 }));
+      jest.advanceTimersByTime(500);
+
+      await expect(result).resolves.toEqual({ temperature: 50 });
+    });
+
+    it('should drop a call that outlasts the deadline', async () => {
+      const deadline = new Deadline(2000);
+
+      const result = deadline.optional(slowCall(5000));
+      jest.advanceTimersByTime(2000);
+
+      await expect(result).resolves.toBeNull();
+    });
+
+    it('should skip the call when too little budget is left to start it', async () => {
+      const deadline = new Deadline(OPTIONAL_MIN_MS - 1);
+      const fn = jest.fn();
+
+      await expect(deadline.optional(fn)).resolves.toBeNull();
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should swallow the call\'s own error', async () => {
+      const deadline = new Deadline(2000);
+
+      await expect(deadline.optional(async () => { throw new Error('Network error'); })).resolves.toBeNull();
+    });
+  });
+
+  describe('boundedTimeout', () => {
+    it('should cap timeouts at the budget left for calls run by a deadline', async () => {
+      const deadline = new Deadline(2000);
+      jest.advanceTimersByTime(500);
+
+      const timeouts = await deadline.run(async () => [boundedTimeout(5000), boundedTimeout(1000)]);
+
+      expect(timeouts).toEqual([1500, 1000]);
+    });
+
+    it('should follow calls through awaits and optional calls', async () => {
+      const deadline = new Deadline(3000);
+
+      const remaining = await deadline.optional(async () => {
+        await Promise.resolve();
+        return remainingBudget();
+      });
+
+      expect(remaining).toBe(3000);
+    });
+
+    it('should never return 0, which axios reads as no timeout', async () => {
+      const deadline = new Deadline(1000);
+
+      const timeout = await deadline.run(async () => {
+        jest.setSystemTime(Date.now() + 2000);
+        return boundedTimeout(5000);
+      });
+
+      expect(timeout).toBe(1);
+    });
+
+    it('should leave timeouts alone outside a request', () => {
+      expect(remainingBudget()).toBe(Infinity);
+      expect(boundedTimeout(5000)).toBe(5000);
+    });
+  });
+
+  describe('getDeadline', () => {
+    it('should return the deadline stored by the request interceptor', () => {
+      const deadline = new Deadline(1234);
+      const handlerInput = {
+        attributesManager: { getRequestAttributes: () => ({ [DEADLINE_ATTRIBUTE]: deadline }) }
+      };
+
+      expect(getDeadline(handlerInput)).toBe(deadline);
+    });
+
+    it('should build one from the Lambda context when none is stored', () => {
+      const handlerInput = {
+        attributesManager: { getRequestAttributes: () => ({}) },
+        context: { getRemainingTimeInMillis: () => 2000 }
+      };
+
+      expect(getDeadline(handlerInput).remaining()).toBe(2000 - SAFETY_MARGIN_MS);
+    });
+  });
+});
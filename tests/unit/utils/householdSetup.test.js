@@ -0,0 +1,107 @@
+/**
+ * Tests for household setup dialog helpers
+ */
+
+const householdSetup = require('../../../src/utils/householdSetup');
+
+describe('householdSetup', () => {
+  const schools = [
+    { id: 'westmore-elementary-school-2', name: 'Westmore Elementary School' },
+    { id: 'jefferson-middle-school', name: 'Jefferson Middle School' }
+  ];
+
+  describe('buildSetupIntent', () => {
+    it('should list every slot of the intent unfilled', () => {
+      const intent = householdSetup.buildSetupIntent('ChangeSchoolIntent');
+
+      expect(intent).toEqual({
+        name: 'ChangeSchoolIntent',
+        confirmationStatus: 'NONE',
+        slots: {
+          childName: { name: 'childName', confirmationStatus: 'NONE' },
+          schoolName: { name: 'schoolName', confirmationStatus: 'NONE' }
+        }
+      });
+    });
+  });
+
+  describe('findSchool', () => {
+    it('should match partial and misheard school names', () => {
+      expect(householdSetup.findSchool('jefferson middle', schools).id).toBe('jefferson-middle-school');
+      expect(householdSetup.findSchool('westmoore', schools).id).toBe('westmore-elementary-school-2');
+    });
+
+    it('should return null for unknown or empty names', () => {
+      expect(householdSetup.findSchool('lincoln high', schools)).toBeNull();
+      expect(householdSetup.findSchool(null, schools)).toBeNull();
+    });
+  });
+
+  describe('getAllergySlotIds', () => {
+    const intentWith = (allergies) => ({ slots: { allergies: { name: 'allergies', ...allergies } } });
+
+    it('should return null when the question is unanswered', () => {
+      expect(householdSetup.getAllergySlotIds(intentWith({}))).toBeNull();
+      expect(householdSetup.getAllergySlotIds({ slots: {} })).toBeNull();
+    });
+
+    it('should fall back to the spoken value without entity resolution', () => {
+      expect(householdSetup.getAllergySlotIds(intentWith({ value: 'tree nuts' }))).toEqual(['tree_nut']);
+    });
+
+    it('should read every value of a multi-value slot', () => {
+      const ids = householdSetup.getAllergySlotIds(intentWith({
+        slotValue: {
+          type: 'List',
+          values: [{ type: 'Simple', value: 'eggs' }, { type: 'Simple', value: 'sesame' }, { type: 'Simple', value: 'egg' }]
+        }
+      }));
+
+      expect(ids).toEqual(['egg', 'sesame']);
+    });
+
+    it('should return an empty list for "no allergies"', () => {
+      const ids = householdSetup.getAllergySlotIds(intentWith({
+        value: 'no allergies',
+        resolutions: {
+          resolutionsPerAuthority: [{
+            status: { code: 'ER_SUCCESS_MATCH' },
+            values: [{ value: { name: 'no allergies', id: 'none' } }]
+          }]
+        }
+      }));
+
+      expect(ids).toEqual([]);
+    });
+
+    it('should treat unrecognized answers as unanswered', () => {
+      expect(householdSetup.getAllergySlotIds(intentWith({ value: 'broccoli' }))).toBeNull();
+    });
+
+    it('should read "none" and "skip" as no allergies without entity resolution', () => {
+      expect(householdSetup.getAllergySlotIds(intentWith({ value: 'none' }))).toEqual([]);
+      expect(householdSetup.getAllergySlotIds(intentWith({ value: 'Skip it' }))).toEqual([]);
+    });
+  });
+
+  describe('isSlotAnswered', () => {
+    it('should tell answered slots from unfilled ones', () => {
+      const intent = { slots: { allergies: { name: 'allergies', value: 'broccoli' }, childName: { name: 'childName' } } };
+
+      expect(householdSetup.isSlotAnswered(intent, 'allergies')).toBe(true);
+      expect(householdSetup.isSlotAnswered(intent, 'childName')).toBe(false);
+      expect(householdSetup.isSlotAnswered({}, 'allergies')).toBe(false);
+    });
+  });
+
+  describe('describeAllergies', () => {
+    it('should describe no allergies', () => {
+      expect(householdSetup.describeAllergies([])).toBe('has no food allergies');
+    });
+
+    it('should list spoken allergen labels', () => {
+      expect(householdSetup.describeAllergies(['peanut', 'tree_nut', 'egg']))
+        .toBe('is allergic to peanuts, tree nuts, and eggs');
+    });
+  });
+});
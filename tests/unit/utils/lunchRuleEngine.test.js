@@ -0,0 +1,144 @@
+/**
+ * Tests for the school-or-home lunch rule engine
+ */
+
+const lunchRuleEngine = require('../../../src/utils/lunchRuleEngine');
+
+describe('lunchRuleEngine', () => {
+  const menu = {
+    items: [
+      { name: 'Buttermilk Pancakes', category: 'entree' },
+      { name: 'Fish Sticks', category: 'entree' },
+      { name: 'Tomato Soup', category: 'side' }
+    ]
+  };
+
+  const todayWeather = (high, forecast = 'Sunny') => ({
+    today: { high, shortForecast: forecast, detailedForecast: `${forecast}, with a high near ${high}.` },
+    isFallback: false
+  });
+
+  describe('normalizeRules', () => {
+    it('should drop rules without a valid verdict and unknown weather conditions', () => {
+      const rules = lunchRuleEngine.normalizeRules([
+        { when: { menuContains: ['Pizza', ''], weather: ['cold', 'foggy'] }, verdict: 'school' },
+        { when: { menuContains: ['fish'] }, verdict: 'maybe' },
+        null
+      ]);
+
+      expect(rules).toEqual([
+        { when: { menuContains: ['pizza'], weather: ['cold'] }, verdict: 'school' }
+      ]);
+    });
+
+    it('should return an empty list for non-arrays', () => {
+      expect(lunchRuleEngine.normalizeRules(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getChildRules', () => {
+    it('should derive rules from likes and dislikes when none are set', () => {
+      const rules = lunchRuleEngine.getChildRules({ name: 'Emma', likes: ['pizza'], dislikes: ['fish'] });
+
+      expect(rules.map(rule => rule.verdict)).toEqual(['school', 'home']);
+      expect(rules[1].when.menuContains).toEqual(['fish']);
+    });
+
+    it('should prefer explicit rules', () => {
+      const rules = lunchRuleEngine.getChildRules({
+        name: 'Emma',
+        likes: ['pizza'],
+        rules: [{ when: { menuContains: ['tacos'] }, verdict: 'school' }]
+      });
+
+      expect(rules).toHaveLength(1);
+      expect(rules[0].when.menuContains).toEqual(['tacos']);
+    });
+  });
+
+  describe('evaluateChild', () => {
+    const child = {
+      name: 'Brayden',
+      rules: [
+        { when: { menuContains: ['pancakes', 'pizza'] }, verdict: 'school' },
+        { when: { menuContains: ['fish'] }, verdict: 'home' }
+      ]
+    };
+
+    it('should apply the first matching rule', () => {
+      expect(lunchRuleEngine.evaluateChild(child, menu)).toEqual({
+        name: 'Brayden',
+        verdict: 'school',
+        reason: 'the menu has Buttermilk Pancakes'
+      });
+    });
+
+    it('should fall through to later rules', () => {
+      const noPancakes = { items: menu.items.slice(1) };
+
+      expect(lunchRuleEngine.evaluateChild(child, noPancakes).verdict).toBe('home');
+    });
+
+    it('should use the default verdict when nothing matches', () => {
+      expect(lunchRuleEngine.evaluateChild(child, { items: [] })).toEqual({
+        name: 'Brayden',
+        verdict: 'home',
+        reason: 'nothing on the menu stood out'
+      });
+    });
+
+    it('should require weather and menu conditions together', () => {
+      const soupLover = {
+        name: 'Liam',
+        rules: [{ when: { weather: ['cold'], menuContains: ['soup'] }, verdict: 'school' }]
+      };
+
+      expect(lunchRuleEngine.evaluateChild(soupLover, menu, todayWeather(30))).toEqual({
+        name: 'Liam',
+        verdict: 'school',
+        reason: 'it\'s going to be cold and the menu has Tomato Soup'
+      });
+      expect(lunchRuleEngine.evaluateChild(soupLover, menu, todayWeather(70)).verdict).toBe('home');
+    });
+
+    it('should not match weather rules when weather is unavailable', () => {
+      const rainy = { name: 'Liam', rules: [{ when: { weather: ['rainy'] }, verdict: 'school' }] };
+
+      expect(lunchRuleEngine.evaluateChild(rainy, menu, { isFallback: true }).reason)
+        .toBe('nothing on the menu stood out');
+      expect(lunchRuleEngine.evaluateChild(rainy, menu, todayWeather(60, 'Chance Rain Showers')).verdict)
+        .toBe('school');
+    });
+
+    it('should read tomorrow\'s forecast shape', () => {
+      const hot = { name: 'Liam', rules: [{ when: { weather: ['hot'] }, verdict: 'home', reason: 'no hot lunch in this heat' }] };
+      const tomorrow = { tomorrow: { temperature: 92, shortForecast: 'Sunny', detailedForecast: '' }, isFallback: false };
+
+      expect(lunchRuleEngine.evaluateChild(hot, menu, tomorrow).reason).toBe('no hot lunch in this heat');
+    });
+  });
+
+  describe('rulesNeedWeather', () => {
+    it('should detect weather conditions in any child\'s rules', () => {
+      expect(lunchRuleEngine.rulesNeedWeather([{ name: 'A', likes: ['pizza'] }])).toBe(false);
+      expect(lunchRuleEngine.rulesNeedWeather([
+        { name: 'A' },
+        { name: 'B', rules: [{ when: { weather: ['snowy'] }, verdict: 'school' }] }
+      ])).toBe(true);
+    });
+  });
+
+  describe('formatVerdictSpeech', () => {
+    it('should speak one sentence per child', () => {
+      const speech = lunchRuleEngine.formatVerdictSpeech([
+        { name: 'Emma', verdict: 'school', reason: 'the menu has Pizza' },
+        { name: 'Liam', verdict: 'home', reason: 'nothing on the menu stood out' }
+      ], 'tomorrow');
+
+      expect(speech).toBe(
+        'Emma should get school lunch tomorrow, because the menu has Pizza. ' +
+        'Liam should bring lunch from home tomorrow, because nothing on the menu stood out.'
+      );
+    });
+  });
+});
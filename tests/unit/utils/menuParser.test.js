@@ -220,6 +220,7 @@ describe('MenuParser - TDD London School', () => {
       expect(() => menuParser.parseNutrisliceHTML(undefined)).not.toThrow();
       expect(menuParser.parseNutrisliceHTML(null).items).toEqual([]);
     });
+
   });
 
   describe('formatMenuItems()', () => {
@@ -317,4 +318,66 @@ describe('MenuParser - TDD London School', () => {
       expect(mainCategoryCount).toBeGreaterThan(0);
     });
   });
+
+  describe('findMatchingItem', () => {
+    const items = [
+      { name: 'Pepperoni Pizza' },
+      { name: 'Cheese Pizza' },
+      { name: 'Spaghetti & Meatballs' },
+      { name: 'Chicken Nuggets' },
+      { name: 'Chocolate Milk' }
+    ];
+
+    it('should match a single word inside a longer name', () => {
+      expect(menuParser.findMatchingItem(items, 'nuggets').name).toBe('Chicken Nuggets');
+    });
+
+    it('should require every query word to match', () => {
+      expect(menuParser.findMatchingItem(items, 'cheese pizza').name).toBe('Cheese Pizza');
+    });
+
+    it('should ignore case, punctuation and plurals', () => {
+      expect(menuParser.findMatchingItem(items, 'Chicken Nugget').name).toBe('Chicken Nuggets');
+      expect(menuParser.findMatchingItem(items, 'pizzas')).not.toBeNull();
+    });
+
+    it('should match singular queries against plural names', () => {
+      const fruit = [{ name: 'Sliced Apples' }, { name: 'Red Grapes' }, { name: 'Beef Tacos' }, { name: 'Peaches' }];
+
+      expect(menuParser.findMatchingItem(fruit, 'apple').name).toBe('Sliced Apples');
+      expect(menuParser.findMatchingItem(fruit, 'grape').name).toBe('Red Grapes');
+      expect(menuParser.findMatchingItem(fruit, 'taco').name).toBe('Beef Tacos');
+      expect(menuParser.findMatchingItem(fruit, 'peach').name).toBe('Peaches');
+    });
+
+    it('should match plural queries against singular names', () => {
+      const fruit = [{ name: 'Apple Slices' }, { name: 'Grape Cup' }, { name: 'Street Taco' }, { name: 'Lunch Box' }];
+
+      expect(menuParser.findMatchingItem(fruit, 'Apples').name).toBe('Apple Slices');
+      expect(menuParser.findMatchingItem(fruit, 'Grapes').name).toBe('Grape Cup');
+      expect(menuParser.findMatchingItem(fruit, 'Tacos').name).toBe('Street Taco');
+      expect(menuParser.findMatchingItem(fruit, 'boxes').name).toBe('Lunch Box');
+    });
+
+    it('should treat an ampersand as "and"', () => {
+      expect(menuParser.findMatchingItem(items, 'spaghetti and meatballs').name).toBe('Spaghetti & Meatballs');
+    });
+
+    it('should tolerate small misspellings in longer words', () => {
+      expect(menuParser.findMatchingItem(items, 'spagetti').name).toBe('Spaghetti & Meatballs');
+    });
+
+    it('should not fuzzily match short words', () => {
+      expect(menuParser.findMatchingItem([{ name: 'Ham Sandwich' }], 'jam')).toBeNull();
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(menuParser.findMatchingItem(items, 'sushi')).toBeNull();
+    });
+
+    it('should handle empty input', () => {
+      expect(menuParser.findMatchingItem(null, 'pizza')).toBeNull();
+      expect(menuParser.findMatchingItem(items, '')).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,73 @@
+/**
+ * Test suite for nutrisliceValidator
+ * Captured payloads are covered by tests/contract; these pin the edge cases
+ */
+
+const {
+  validateWeekResponse,
+  NutrisliceSchemaError,
+  WEEK_STATUS
+} = require('../../../src/utils/nutrisliceValidator');
+
+const dayWith = (...menuItems) => ({ date: '2025-10-20', menu_items: menuItems });
+
+describe('nutrisliceValidator', () => {
+  describe('validateWeekResponse', () => {
+    it('should reject payloads that are not objects', () => {
+      expect(validateWeekResponse(null)).toEqual({ status: WEEK_STATUS.DRIFT, path: '$', reason: 'expected an object' });
+      expect(validateWeekResponse('<html>')).toEqual(expect.objectContaining({ path: '$' }));
+    });
+
+    it('should treat a week with no days as empty', () => {
+      expect(validateWeekResponse({ days: [] })).toEqual({ status: WEEK_STATUS.EMPTY });
+    });
+
+    it('should treat section headings without food as empty', () => {
+      const payload = { days: [dayWith({ food: null, text: 'Entrees' })] };
+
+      expect(validateWeekResponse(payload)).toEqual({ status: WEEK_STATUS.EMPTY });
+    });
+
+    it('should ignore fields the skill does not read', () => {
+      const payload = {
+        days: [dayWith({ food: { name: 'Pizza', new_field: { nested: true } }, new_item_field: 1 })],
+        new_week_field: 'x'
+      };
+
+      expect(validateWeekResponse(payload)).toEqual({ status: WEEK_STATUS.VALID });
+    });
+
+    it('should report the first drifted field', () => {
+      const payload = {
+        days: [dayWith(
+          { food: { name: 'Pizza', food_category: 7 } },
+          { food: 'Tacos' }
+        )]
+      };
+
+      expect(validateWeekResponse(payload)).toEqual({
+        status: WEEK_STATUS.DRIFT,
+        path: '$.days[0].menu_items[0].food.food_category',
+        reason: 'expected a string or null'
+      });
+    });
+
+    it('should report a day without a menu_items array', () => {
+      expect(validateWeekResponse({ days: [{ date: '2025-10-20' }] })).toEqual(expect.objectContaining({
+        status: WEEK_STATUS.DRIFT,
+        path: '$.days[0].menu_items'
+      }));
+    });
+  });
+
+  describe('NutrisliceSchemaError', () => {
+    it('should carry the offending path', () => {
+      const error = new NutrisliceSchemaError('$.days', 'expected an array');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('NutrisliceSchemaError');
+      expect(error.path).toBe('$.days');
+      expect(error.message).toBe('Nutrislice response schema drift at $.days: expected an array');
+    });
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Tests for the SSML helpers
+ */
+
+const { escapeXml } = require('../../../src/utils/ssml');
+
+describe('ssml', () => {
+  describe('escapeXml', () => {
+    it('should escape every XML special character', () => {
+      expect(escapeXml('Mac & Cheese <"Kids\' Choice">'))
+        .toBe('Mac &amp; Cheese &lt;&quot;Kids&apos; Choice&quot;&gt;');
+    });
+
+    it('should escape ampersands before the other entities', () => {
+      expect(escapeXml('<')).toBe('&lt;');
+      expect(escapeXml('&lt;')).toBe('&amp;lt;');
+    });
+
+    it('should leave plain text alone', () => {
+      expect(escapeXml('Chicken Nuggets')).toBe('Chicken Nuggets');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for picking out and describing weather.gov alerts
+ */
+
+const weatherAlerts = require('../../../src/utils/weatherAlerts');
+const fixtures = require('../../fixtures/weather-gov-response.json');
+
+describe('weatherAlerts', () => {
+  describe('isRelevantAlert', () => {
+    it('should keep severe alerts whatever their event', () => {
+      expect(weatherAlerts.isRelevantAlert({ event: 'Severe Thunderstorm Warning', severity: 'Severe' })).toBe(true);
+      expect(weatherAlerts.isRelevantAlert({ event: 'Tornado Warning', severity: 'Extreme' })).toBe(true);
+    });
+
+    it('should keep winter storm, cold and heat alerts at any severity', () => {
+      expect(weatherAlerts.isRelevantAlert({ event: 'Winter Weather Advisory', severity: 'Moderate' })).toBe(true);
+      expect(weatherAlerts.isRelevantAlert({ event: 'Wind Chill Advisory', severity: 'Moderate' })).toBe(true);
+      expect(weatherAlerts.isRelevantAlert({ event: 'Heat Advisory', severity: 'Minor' })).toBe(true);
+      expect(weatherAlerts.isRelevantAlert({ event: 'Freeze Warning', severity: 'Moderate' })).toBe(true);
+    });
+
+    it('should drop other minor alerts', () => {
+      expect(weatherAlerts.isRelevantAlert({ event: 'Air Quality Alert', severity: 'Unknown' })).toBe(false);
+      expect(weatherAlerts.isRelevantAlert({ event: 'Special Weather Statement', severity: 'Moderate' })).toBe(false);
+    });
+  });
+
+  describe('extractRelevantAlerts', () => {
+    it('should keep actual relevant alerts, most severe first', () => {
+      const alerts = weatherAlerts.extractRelevantAlerts(fixtures.activeAlertsResponse);
+
+      expect(alerts.map(alert => alert.event)).toEqual(['Winter Storm Warning', 'Wind Chill Advisory']);
+      expect(alerts[0]).toEqual({
+        id: 'urn:oid:2.49.0.1.840.0.a2',
+        event: 'Winter Storm Warning',
+        headline: 'Winter Storm Warning issued October 22 at 3:12AM CDT by NWS Chicago IL',
+        severity: 'Severe',
+        onset: '2025-10-22T12:00:00-05:00',
+        ends: '2025-10-23T18:00:00-05:00'
+      });
+    });
+
+    it('should drop cancellations', () => {
+      const data = {
+        features: [{ properties: { event: 'Winter Storm Warning', severity: 'Severe', status: 'Actual', messageType: 'Cancel' } }]
+      };
+
+      expect(weatherAlerts.extractRelevantAlerts(data)).toEqual([]);
+    });
+
+    it('should reject a response without features', () => {
+      expect(() => weatherAlerts.extractRelevantAlerts({ properties: {} })).toThrow('Invalid alerts response');
+    });
+  });
+
+  describe('alertsDuring', () => {
+    const alerts = [
+      { event: 'Wind Chill Advisory', onset: '2025-10-22T04:00:00-05:00', ends: '2025-10-22T10:00:00-05:00' },
+      { event: 'Winter Storm Warning', onset: '2025-10-22T12:00:00-05:00', ends: '2025-10-23T18:00:00-05:00' },
+      { event: 'Heat Advisory', onset: null, ends: null }
+    ];
+
+    it('should keep alerts overlapping the window', () => {
+      const tomorrow = { startTime: '2025-10-23T06:00:00-05:00', endTime: '2025-10-23T18:00:00-05:00' };
+
+      expect(weatherAlerts.alertsDuring(alerts, tomorrow).map(alert => alert.event))
+        .toEqual(['Winter Storm Warning', 'Heat Advisory']);
+    });
+
+    it('should treat a window without times as open-ended', () => {
+      expect(weatherAlerts.alertsDuring(alerts, {})).toHaveLength(3);
+    });
+  });
+
+  describe('formatAlertSpeech', () => {
+    it('should name a single alert', () => {
+      const weatherData = { alerts: [{ event: 'Winter Storm Warning' }], isFallback: false };
+
+      expect(weatherAlerts.formatAlertSpeech(weatherData)).toBe('Weather alert: a Winter Storm Warning is in effect.');
+    });
+
+    it('should use "an" before a vowel', () => {
+      const weatherData = { alerts: [{ event: 'Extreme Cold Warning' }], isFallback: false };
+
+      expect(weatherAlerts.formatAlertSpeech(weatherData)).toBe('Weather alert: an Extreme Cold Warning is in effect.');
+    });
+
+    it('should list distinct events', () => {
+      const weatherData = {
+        alerts: [{ event: 'Winter Storm Warning' }, { event: 'Winter Storm Warning' }, { event: 'Wind Chill Advisory' }],
+        isFallback: false
+      };
+
+      expect(weatherAlerts.formatAlertSpeech(weatherData))
+        .toBe('Weather alerts: Winter Storm Warning and Wind Chill Advisory are in effect.');
+    });
+
+    it('should say nothing without alerts or weather', () => {
+      expect(weatherAlerts.formatAlertSpeech({ alerts: [], isFallback: false })).toBe('');
+      expect(weatherAlerts.formatAlertSpeech({ isFallback: true })).toBe('');
+      expect(weatherAlerts.formatAlertSpeech(null)).toBe('');
+    });
+  });
+
+  describe('formatAlertBanner', () => {
+    it('should show the most severe event and how many more', () => {
+      expect(weatherAlerts.formatAlertBanner([{ event: 'Winter Storm Warning' }, { event: 'Wind Chill Advisory' }]))
+        .toBe('Winter Storm Warning +1 more');
+      expect(weatherAlerts.formatAlertBanner([{ event: 'Heat Advisory' }])).toBe('Heat Advisory');
+    });
+
+    it('should be empty without alerts', () => {
+      expect(weatherAlerts.formatAlertBanner(undefined)).toBe('');
+    });
+  });
+});